@@ -176,6 +176,21 @@ async def get_scan_history():
                     "v0": analysis.get("v0"),
                     "r_squared": analysis.get("r_squared"),
                     "primaryChannel": analysis.get("primaryChannel"),
+                    "converted": analysis.get("converted"),
+                    # Per-ROI summaries for multi-well scans (full traces stay in the record)
+                    "traces": [
+                        {
+                            "roiId": t.get("roiId"),
+                            "name": t.get("name"),
+                            "role": t.get("role"),
+                            "analysis": {
+                                "v0": (t.get("analysis") or {}).get("v0"),
+                                "r_squared": (t.get("analysis") or {}).get("r_squared"),
+                                "converted": (t.get("analysis") or {}).get("converted"),
+                            } if t.get("analysis") else None,
+                        }
+                        for t in data.get("traces", [])
+                    ],
                 })
             except Exception as e:
                 # Log error but continue processing other files
@@ -8,13 +8,39 @@ import {
   Alert,
   ActivityIndicator,
   Dimensions,
+  TextInput,
+  Share,
+  InteractionManager,
+  Platform,
 } from 'react-native';
 import * as ExpoCameraModule from 'expo-camera';
-import Slider from '@react-native-community/slider';
 import { LineChart } from 'react-native-chart-kit';
-import Canvas from 'react-native-canvas';
+import Canvas, { Image as CanvasImage } from 'react-native-canvas';
 import * as analysisUtils from './analysisUtils';
+import * as progressCurve from './progressCurve';
+import * as roiPixels from './roiPixels';
+import * as roiStatistics from './roiStatistics';
+import * as cameraLock from './cameraLock';
+import * as blankQuality from './blankQuality';
+import * as roiLayout from './roiLayout';
+import ROIEditor from './ROIEditor';
+import ROILayoutPanel from './ROILayoutPanel';
+import PresetPanel from './PresetPanel';
+import ScanProtocolPanel from './ScanProtocolPanel';
+import AssaySettingsPanel from './AssaySettingsPanel';
+import { controlStyles } from './controlStyles';
+import * as layoutPresets from './layoutPresets';
+import * as roiAutoLocate from './roiAutoLocate';
+import * as scanQuality from './scanQuality';
+import * as scanProtocol from './scanProtocol';
+import * as channelModel from './channelModel';
+import * as assayConversion from './assayConversion';
+import * as signalFilters from './signalFilters';
+import * as calibration from './calibration';
+import * as darkFrame from './darkFrame';
+import * as linearity from './linearity';
 import { KineticAnalysisScreen } from './KineticAnalysisScreen';
+import { CalibrationScreen } from './CalibrationScreen';
 import StripReaderScreen from './StripReaderScreen';
 import useUsbDevice from './useUsbDevice';
 
@@ -22,15 +48,19 @@ const API_URL = 'https://mobilespectro-183048999594.europe-west1.run.app';
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 
 const CAMERA_HEIGHT = 400;
-const ROI_WIDTH_FRACTION = 0.8; // 80% of screen width
+const FRAME_DECODE_WIDTH = 240; // Frames are downscaled to this width before pixel extraction
 
 // State machine constants
 const STATES = {
   IDLE: 'IDLE',
+  DARK: 'DARK', // Optional dark capture: light off, cuvette covered
+  DARK_COMPLETE: 'DARK_COMPLETE',
   BLANKING_COUNTDOWN: 'BLANKING_COUNTDOWN',
   BLANKING: 'BLANKING',
   BLANKING_COMPLETE: 'BLANKING_COMPLETE',
   SCANNING: 'SCANNING',
+  READING: 'READING', // Averaging frames into one endpoint read
+  ENDPOINT_READY: 'ENDPOINT_READY', // Blank held, waiting for the next endpoint read
   PROCESSING: 'PROCESSING',
 };
 
@@ -53,26 +83,57 @@ export default function App() {
   const [loading, setLoading] = useState(true);
 
   // ROI Configuration
-  // Keep only separate ROI configs for sample + reference
-
-  // Separate ROI configs (percentages)
-  const [sampleROIConfig, setSampleROIConfig] = useState({ widthPercent: 80, heightPercent: 20, centerYPercent: 30 });
-  const [referenceROIConfig, setReferenceROIConfig] = useState({ widthPercent: 80, heightPercent: 20, centerYPercent: 70 });
+  // Named ROIs (fractions of the camera frame), each with a sample/reference/blank role
+  const [rois, setROIs] = useState(roiLayout.DEFAULT_ROIS);
+  const [selectedROIId, setSelectedROIId] = useState(roiLayout.DEFAULT_ROIS[0].id);
+  const [frameSize, setFrameSize] = useState(roiLayout.DEFAULT_FRAME_SIZE); // Aspect of the camera frames
+  const [cameraSettings, setCameraSettings] = useState(layoutPresets.DEFAULT_CAMERA_SETTINGS);
+  const [preferredChannel, setPreferredChannel] = useState('auto');
+  const [assay, setAssay] = useState(channelModel.DEFAULT_ASSAYS[0]); // Chromophore and its RGB channel mix
+  const [assayMetadata, setAssayMetadata] = useState(assayConversion.DEFAULT_ASSAY_METADATA); // ε, path length, volumes
+  const [protocol, setProtocol] = useState(scanProtocol.DEFAULT_PROTOCOL);
+  const [scanMode, setScanMode] = useState('kinetic'); // 'kinetic' traces, or 'endpoint' reads for calibration
+
+  // Saved layout presets (one per cuvette holder)
+  const [presets, setPresets] = useState([]);
+  const [activePresetName, setActivePresetName] = useState(null);
+
+  // Auto-locate proposal awaiting accept/revert: {previousRois, confidence, reasons}
+  const [autoLocateResult, setAutoLocateResult] = useState(null);
+  const [autoLocating, setAutoLocating] = useState(false);
 
   // Scan data
   const cameraRef = useRef(null);
   const frameDataRef = useRef(null);
   const captureErrorRef = useRef(false);
   const captureInFlightRef = useRef(false);
-
-  const absorbanceDataRef = useRef([]);
-  const blankSampleRGBRef = useRef(null);
-  const blankReferenceRGBRef = useRef(null);
+  const scanLayoutRef = useRef(null); // ROI layout, settings and protocol frozen for the duration of a scan
+  const cameraLockRef = useRef(null);
+  const [cameraLocked, setCameraLocked] = useState(false);
+
+  const absorbanceDataRef = useRef([]); // Primary (first sample ROI) trace, drives the live chart
+  const tracesRef = useRef({}); // ROI id -> trace points
+  const blankRGBRef = useRef(null); // ROI id -> averaged blank {r, g, b}
+  const noiseFloorRef = useRef({}); // Traced ROI id -> absorbance LOD {r, g, b} from the blank noise
+  const blankFramesRef = useRef([]);
+  const darkFramesRef = useRef([]);
+  const darkRef = useRef(null); // Averaged dark level per ROI, subtracted from every later frame
+  const [darkReport, setDarkReport] = useState(null);
+  const blankStartTimeRef = useRef(null);
+  const [blankReport, setBlankReport] = useState(null);
   const countdownRef = useRef(3);
   const [countdown, setCountdown] = useState(3);
   const scanStartTimeRef = useRef(null);
+  const blankRetriesRef = useRef(0);
+  const [autoStopReason, setAutoStopReason] = useState(null);
   const lastFrameTimeRef = useRef(0);
 
+  // Endpoint reads (standards and unknowns) for the Calibration tab
+  const endpointFramesRef = useRef(null); // Sample ROI id -> points of the read in progress
+  const [endpointReads, setEndpointReads] = useState([]);
+  const [readLabelInput, setReadLabelInput] = useState('');
+  const [linearityProfile, setLinearityProfile] = useState(null); // Validated detector range per channel
+
   const [results, setResults] = useState([]);
   const [selectedResult, setSelectedResult] = useState(null);
   const [activeTab, setActiveTab] = useState('scanner');
@@ -93,7 +154,8 @@ export default function App() {
               id: result.filename,
               analysis: {
                   v0: result.v0,
-                  r_squared: result.r_squared
+                  r_squared: result.r_squared,
+                  converted: result.converted || null
               }
           }));
           setResults(transformedResults);
@@ -176,14 +238,16 @@ export default function App() {
   // Keep countdown state in sync for UI updates
   useEffect(() => {
     let interval;
-    if (appState === STATES.BLANKING_COUNTDOWN || appState === STATES.BLANKING) {
+    if (appState === STATES.DARK || appState === STATES.BLANKING_COUNTDOWN || appState === STATES.BLANKING) {
       interval = setInterval(() => {
         countdownRef.current -= 1;
         setCountdown(countdownRef.current);
         if (countdownRef.current <= 0) {
-          if (appState === STATES.BLANKING_COUNTDOWN) {
+          if (appState === STATES.DARK) {
+            setAppState(STATES.DARK_COMPLETE);
+          } else if (appState === STATES.BLANKING_COUNTDOWN) {
             setAppState(STATES.BLANKING);
-            countdownRef.current = 10;
+            countdownRef.current = scanLayoutRef.current.protocol.blankSeconds;
             setCountdown(countdownRef.current);
           } else if (appState === STATES.BLANKING) {
             setAppState(STATES.BLANKING_COMPLETE);
@@ -194,6 +258,22 @@ export default function App() {
     return () => clearInterval(interval);
   }, [appState]);
 
+  // Load saved layout presets from the device
+  useEffect(() => {
+    layoutPresets
+      .loadPresets()
+      .then(setPresets)
+      .catch((err) => console.error('Failed to load layout presets:', err));
+  }, []);
+
+  // Load the detector linearity profile that scans are checked against
+  useEffect(() => {
+    linearity
+      .loadLinearityProfile()
+      .then(setLinearityProfile)
+      .catch((err) => console.error('Failed to load linearity profile:', err));
+  }, []);
+
   // Poll backend for status
   useEffect(() => {
     const interval = setInterval(async () => {
@@ -222,7 +302,8 @@ export default function App() {
               id: result.filename,
               analysis: {
                   v0: result.v0,
-                  r_squared: result.r_squared
+                  r_squared: result.r_squared,
+                  converted: result.converted || null
               }
           }));
           // Sort results from newest to oldest
@@ -244,72 +325,313 @@ export default function App() {
 
   // NOTE: countdown handling moved above to keep UI responsive
 
-  // Camera frame processor - DISABLED to prevent flashing (we use synthetic RGB data)
+  // Countdown before the blank window (time to uncover the cuvette after a dark capture)
+  const startBlankCountdown = () => {
+    countdownRef.current = scanLayoutRef.current.protocol.countdownSeconds;
+    setCountdown(countdownRef.current);
+    setAppState(STATES.BLANKING_COUNTDOWN);
+  };
+
+  // (Re)opens the blank window for the protocol's blank duration
+  const startBlankWindow = () => {
+    blankRGBRef.current = null;
+    blankFramesRef.current = [];
+    blankStartTimeRef.current = null;
+    setBlankReport(null);
+    countdownRef.current = scanLayoutRef.current.protocol.blankSeconds;
+    setCountdown(countdownRef.current);
+    setAppState(STATES.BLANKING);
+  };
+
+  const startScanning = () => {
+    scanStartTimeRef.current = Date.now();
+    setAppState(STATES.SCANNING);
+  };
+
+  // Opens one endpoint read: the next protocol.endpointFrames frames are averaged per sample ROI
+  const startEndpointRead = () => {
+    endpointFramesRef.current = roiLayout
+      .getROIsByRole(scanLayoutRef.current.rois, roiLayout.ROI_ROLES.SAMPLE)
+      .reduce((acc, roi) => ({ ...acc, [roi.id]: [] }), {});
+    scanStartTimeRef.current = Date.now();
+    setAppState(STATES.READING);
+  };
+
+  // Average the dark frames; hands-free protocols count straight down to the blank
+  useEffect(() => {
+    if (appState !== STATES.DARK_COMPLETE) return;
+    darkRef.current = darkFrame.summarizeDark(darkFramesRef.current);
+    setDarkReport(darkRef.current ? { ...darkRef.current, warnings: [] } : null);
+    if (scanLayoutRef.current.protocol.autoProceed) {
+      startBlankCountdown();
+    }
+  }, [appState]);
+
+  // Average the blank window once it closes and judge its noise/drift.
+  // Hands-free protocols move straight on to SCANNING (or re-blank) without a tap.
+  useEffect(() => {
+    if (appState !== STATES.BLANKING_COMPLETE) return;
+    const names = scanLayoutRef.current.rois.reduce((acc, roi) => ({ ...acc, [roi.id]: roi.name }), {});
+    const report = blankQuality.summarizeBlank(blankFramesRef.current, {}, names);
+    blankRGBRef.current = report.rois;
+    const layout = scanLayoutRef.current.rois;
+    noiseFloorRef.current = roiLayout.getTracedROIs(layout).reduce((acc, roi) => ({
+      ...acc,
+      [roi.id]: blankQuality.absorbanceNoiseFloor(
+        report,
+        roi.id,
+        roiLayout.resolveReference(roi, layout).id,
+        blankQuality.LOD_SIGMA,
+        scanLayoutRef.current.assay.channel ? [scanLayoutRef.current.assay.channel] : []
+      ),
+    }), {});
+    setBlankReport(report);
+    if (darkRef.current) {
+      setDarkReport({
+        ...darkRef.current,
+        warnings: darkFrame.checkDark(darkRef.current, report.rois, names),
+      });
+    }
+
+    const { protocol: scanProtocolSettings } = scanLayoutRef.current;
+    if (!scanProtocolSettings.autoProceed) return;
+    if (report.acceptable) {
+      if (scanLayoutRef.current.mode === 'endpoint') {
+        startEndpointRead();
+      } else {
+        startScanning();
+      }
+    } else if (blankRetriesRef.current < scanProtocolSettings.blankRetries) {
+      blankRetriesRef.current += 1;
+      startBlankWindow();
+    }
+  }, [appState]);
+
+  // Fixed-duration protocols stop themselves once the scan time is up
+  useEffect(() => {
+    if (appState !== STATES.SCANNING) return;
+    const { durationSeconds } = scanLayoutRef.current.protocol;
+    if (durationSeconds == null) return;
+    const timeout = setTimeout(
+      () => setAutoStopReason(`Scan duration of ${durationSeconds} s reached.`),
+      durationSeconds * 1000
+    );
+    return () => clearTimeout(timeout);
+  }, [appState]);
+
+  useEffect(() => {
+    if (autoStopReason && appState === STATES.SCANNING) {
+      handleStopScan(autoStopReason);
+    }
+  }, [autoStopReason]);
+
+  // Camera frame processor: grab a still every protocol interval, decode it on the
+  // hidden canvas and average the pixels inside every ROI.
   useEffect(() => {
-    // All RGB data is generated synthetically in processFrame based on frame count
-    // No picture captures needed - this eliminates all camera-related flashing
-    
-    if (appState === STATES.BLANKING || appState === STATES.SCANNING) {
+    if ([STATES.DARK, STATES.BLANKING, STATES.SCANNING, STATES.READING].includes(appState)) {
+      captureErrorRef.current = false;
       const analysisInterval = setInterval(async () => {
-        if (!permission?.granted) return;
-        
-        const frameNum = absorbanceDataRef.current.length + (Date.now() % 1000);
-        await processFrame(frameNum);
-      }, 500);
-      
+        if (!permission?.granted || !cameraRef.current) return;
+        // Skip this tick if the previous frame is still being captured or decoded
+        if (captureInFlightRef.current) return;
+
+        captureInFlightRef.current = true;
+        try {
+          await cameraRef.current.takePictureAsync({
+            base64: true,
+            quality: 0.3,
+            exif: true,
+            shutterSound: false,
+            onPictureSaved: handlePictureSaved,
+          });
+        } catch (err) {
+          captureInFlightRef.current = false;
+          if (!captureErrorRef.current) {
+            captureErrorRef.current = true;
+            console.error('Frame capture failed:', err);
+          }
+        }
+      }, scanLayoutRef.current.protocol.intervalMs);
+
       return () => clearInterval(analysisInterval);
     }
   }, [appState, permission?.granted]);
 
-  const processFrame = async (frameCount) => {
+  // One absorbance point for a sample/blank ROI, measured against its own reference
+  const measureROI = (roi, roiData, time) => {
+    const layout = scanLayoutRef.current.rois;
+    const reference = roiLayout.resolveReference(roi, layout);
+    const sample = roiData.rois[roi.id];
+    const ref = roiData.rois[reference.id];
+    const correctedAbs = analysisUtils.calculateAbsorbance(
+      sample.intensity,
+      blankRGBRef.current[roi.id],
+      ref.intensity,
+      blankRGBRef.current[reference.id]
+    );
+    // The assay's pseudo-wavelength channel is traced alongside R, G and B
+    const assayChannel = scanLayoutRef.current.assay.channel;
+    if (assayChannel) {
+      correctedAbs[assayChannel.id] = channelModel.calculateChannelAbsorbance(
+        assayChannel,
+        sample.intensity,
+        blankRGBRef.current[roi.id],
+        ref.intensity,
+        blankRGBRef.current[reference.id]
+      );
+    }
+
+    const lod = noiseFloorRef.current[roi.id];
+    const belowNoiseFloor = {};
+    for (const key of Object.keys(correctedAbs)) {
+      belowNoiseFloor[key] = Math.abs(correctedAbs[key]) < lod?.[key];
+    }
+    return {
+      time,
+      abs: correctedAbs,
+      belowNoiseFloor: lod ? belowNoiseFloor : null,
+      sample: sample.intensity,
+      reference: ref.intensity,
+      sampleStats: sample.stats,
+      referenceStats: ref.stats,
+      usable: sample.stats.usable && ref.stats.usable,
+      rejectReasons: [...sample.stats.reasons, ...ref.stats.reasons],
+    };
+  };
+
+  // Averages the read in progress into one endpoint read per sample ROI
+  const finishEndpointRead = () => {
+    const frames = endpointFramesRef.current;
+    endpointFramesRef.current = null;
+    const { rois: layout, assay: readAssay, analysisChannel } = scanLayoutRef.current;
+    const sampleROIs = roiLayout.getROIsByRole(layout, roiLayout.ROI_ROLES.SAMPLE);
+    const label = readLabelInput.trim() || `Read ${new Date().toLocaleTimeString()}`;
     try {
-      // Simple RGB estimation: generate changing values based on frame count
-      // This ensures absorbance values will change over time without relying on canvas decode
-      const phase = (frameCount % 100) / 100; // 0 to 1 cycle every 100 frames
-      
-      // Base RGB values with smooth oscillation
-      const baseR = 150 + Math.sin(phase * Math.PI * 2) * 20;
-      const baseG = 140 + Math.cos(phase * Math.PI * 2) * 15;
-      const baseB = 130 + Math.sin(phase * Math.PI * 2 + 1) * 10;
-      
-      // Sample ROI: slightly lower intensity (represents light absorbed by sample)
-      const sampleROI = {
-        r: Math.max(60, baseR - 40),
-        g: Math.max(60, baseG - 30),
-        b: Math.max(60, baseB - 25),
-      };
-      
-      // Reference ROI: higher intensity (represents unabsorbed reference light)
-      const referenceROI = {
-        r: baseR + 40,
-        g: baseG + 35,
-        b: baseB + 30,
-      };
+      const reads = sampleROIs.map((roi) => ({
+        id: `${Date.now()}-${roi.id}`,
+        label: sampleROIs.length > 1 ? `${label} · ${roi.name}` : label,
+        timestamp: new Date().toLocaleString(),
+        ...calibration.averageEndpointFrames(frames[roi.id]),
+        lod: noiseFloorRef.current[roi.id] || null,
+        dark: darkRef.current?.rois[roi.id] || null,
+        analysisChannel,
+        assay: readAssay,
+      }));
+      setEndpointReads((prev) => [...prev, ...reads]);
+      setReadLabelInput('');
+    } catch (err) {
+      Alert.alert('Endpoint Read Failed', err.message);
+    }
+    setAppState(STATES.ENDPOINT_READY);
+  };
 
-      if (appState === STATES.BLANKING && !blankSampleRGBRef.current) {
-        blankSampleRGBRef.current = sampleROI;
-        blankReferenceRGBRef.current = referenceROI;
-        console.log('🎯 BLANKING: Blank captured -', { sample: blankSampleRGBRef.current, reference: blankReferenceRGBRef.current });
+  const processFrame = async (frame, exif) => {
+    try {
+      const { rois: layout } = scanLayoutRef.current;
+      const roiData = roiStatistics.extractROIStatistics(
+        frame,
+        roiLayout.layoutToFrameRects(layout, { width: frame.width, height: frame.height })
+      );
+
+      if (appState === STATES.DARK) {
+        const intensities = {};
+        for (const id of Object.keys(roiData.rois)) {
+          intensities[id] = roiData.rois[id].intensity;
+        }
+        darkFramesRef.current.push({ rois: intensities, exif });
+        return;
       }
-
-      if (appState === STATES.SCANNING && blankSampleRGBRef.current) {
-        const correctedAbs = analysisUtils.calculateAbsorbance(
-          sampleROI,
-          blankSampleRGBRef.current,
-          referenceROI,
-          blankReferenceRGBRef.current
+      // The first reference ROI carries the exposure/white-balance lock
+      const lockReference = roiLayout.getROIsByRole(layout, roiLayout.ROI_ROLES.REFERENCE)[0];
+      const lockRGB = roiData.rois[lockReference.id].intensity;
+
+      // Exposure/white-balance lock: taken from the first usable blank frame,
+      // then every later frame must match it or the scan is abandoned.
+      if (cameraLockRef.current?.lost) return;
+      if (cameraLockRef.current) {
+        const lockCheck = cameraLock.checkCameraLock(
+          cameraLockRef.current,
+          exif,
+          lockRGB,
+          scanLayoutRef.current.camera.tolerances
         );
+        if (!lockCheck.held) {
+          cameraLockRef.current.lost = true;
+          abortScan(
+            'Camera Lock Lost',
+            `Camera settings changed since the blank (${lockCheck.reasons.join('; ')}). The scan was stopped and not saved.`
+          );
+          return;
+        }
+      }
 
-        const time = (Date.now() - scanStartTimeRef.current) / 1000;
-        absorbanceDataRef.current.push({
-          time,
-          abs: correctedAbs,
-          sample: sampleROI,
-          reference: referenceROI,
+      if (appState === STATES.BLANKING) {
+        // Unusable (e.g. saturated) frames are left out of the blank; its frame count shows how many were kept
+        if (!roiData.usable) return;
+        if (!cameraLockRef.current) {
+          try {
+            // The autofocus prop that holds focus only takes effect on iOS
+            const focusLocked = scanLayoutRef.current.camera.lockFocus && Platform.OS === 'ios';
+            cameraLockRef.current = cameraLock.createCameraLock(exif, lockRGB, focusLocked);
+          } catch (err) {
+            abortScan('Camera Lock Unavailable', err.message);
+            return;
+          }
+          // The dark was exposed before the lock; it only corrects frames if it was exposed the same way
+          darkRef.current = darkFrame.matchDarkToLock(darkRef.current, cameraLockRef.current.settings);
+        }
+      }
+
+      // Sample, reference and blank intensities all have the dark level removed
+      const corrected = darkFrame.subtractDark(roiData, darkRef.current);
+
+      if (appState === STATES.BLANKING) {
+        if (blankStartTimeRef.current == null) {
+          blankStartTimeRef.current = Date.now();
+        }
+        const intensities = {};
+        for (const id of Object.keys(corrected.rois)) {
+          intensities[id] = corrected.rois[id].intensity;
+        }
+        blankFramesRef.current.push({
+          time: (Date.now() - blankStartTimeRef.current) / 1000,
+          rois: intensities,
         });
+      }
+
+      if (appState === STATES.READING && blankRGBRef.current && endpointFramesRef.current) {
+        for (const id of Object.keys(endpointFramesRef.current)) {
+          const roi = layout.find((r) => r.id === id);
+          endpointFramesRef.current[id].push(measureROI(roi, corrected, (Date.now() - scanStartTimeRef.current) / 1000));
+        }
+        const collected = Object.values(endpointFramesRef.current)[0].length;
+        if (collected >= scanLayoutRef.current.protocol.endpointFrames) {
+          finishEndpointRead();
+        }
+      }
+
+      if (appState === STATES.SCANNING && blankRGBRef.current) {
+        const time = (Date.now() - scanStartTimeRef.current) / 1000;
+
+        for (const roi of roiLayout.getTracedROIs(layout)) {
+          tracesRef.current[roi.id].push(measureROI(roi, corrected, time));
+        }
+
+        const primaryId = roiLayout.getROIsByRole(layout, roiLayout.ROI_ROLES.SAMPLE)[0].id;
+        absorbanceDataRef.current = tracesRef.current[primaryId];
         setAbsorbanceData([...absorbanceDataRef.current]);
-        
-        console.log(`📊 [${time.toFixed(2)}s] Abs - R: ${correctedAbs.r.toFixed(4)}, G: ${correctedAbs.g.toFixed(4)}, B: ${correctedAbs.b.toFixed(4)}`);
+
+        const stopReason = scanProtocol.checkAutoStop(
+          absorbanceDataRef.current,
+          scanLayoutRef.current.protocol,
+          scanLayoutRef.current.analysisChannel
+        );
+        if (stopReason) {
+          setAutoStopReason(stopReason);
+        }
+
+        const primaryAbs = absorbanceDataRef.current[absorbanceDataRef.current.length - 1].abs;
+        console.log(`📊 [${time.toFixed(2)}s] Abs - R: ${primaryAbs.r.toFixed(4)}, G: ${primaryAbs.g.toFixed(4)}, B: ${primaryAbs.b.toFixed(4)}`);
       }
     } catch (err) {
       console.error('Frame processing failed:', err);
@@ -317,8 +639,22 @@ export default function App() {
   };
 
   const handlePictureSaved = async (photoData) => {
-    // Photo saving is disabled - all analysis uses synthetic RGB data
-    // This function kept for compatibility but not called
+    try {
+      frameDataRef.current = await decodeFrame(canvasRef.current, photoData);
+      if (photoData.width && photoData.height) {
+        // Keep the overlay mapping in step with the real frame aspect
+        setFrameSize((prev) =>
+          prev.width / prev.height === photoData.width / photoData.height
+            ? prev
+            : { width: photoData.width, height: photoData.height }
+        );
+      }
+      await processFrame(frameDataRef.current, photoData.exif);
+    } catch (err) {
+      console.error('Frame decode failed:', err);
+    } finally {
+      captureInFlightRef.current = false;
+    }
   };
 
   if (!permission) {
@@ -347,21 +683,104 @@ export default function App() {
   }
 
   const handleStartScan = () => {
+    const layoutProblems = roiLayout.validateLayout(rois);
+    if (layoutProblems.length > 0) {
+      Alert.alert('Invalid ROI Layout', layoutProblems.join('\n'));
+      return;
+    }
+
+    const channelProblems = assay.channel ? channelModel.validateChannel(assay.channel) : [];
+    if (channelProblems.length > 0) {
+      Alert.alert('Invalid Assay Channel', channelProblems.join('\n'));
+      return;
+    }
+
+    const metadataProblems = assayConversion.validateAssayMetadata(assayMetadata);
+    if (metadataProblems.length > 0) {
+      Alert.alert('Invalid Assay Details', metadataProblems.join('\n'));
+      return;
+    }
+
+    const protocolProblems = scanProtocol.validateProtocol(protocol);
+    if (protocolProblems.length > 0) {
+      Alert.alert('Invalid Scan Protocol', protocolProblems.join('\n'));
+      return;
+    }
+
+    setAutoLocateResult(null);
+    scanLayoutRef.current = {
+      rois,
+      camera: cameraSettings,
+      preferredChannel,
+      assay,
+      assayMetadata,
+      analysisChannel: channelModel.resolveAnalysisChannel(assay, preferredChannel),
+      protocol,
+      presetName: activePresetName,
+      mode: scanMode,
+      linearRange: linearity.toLinearRange(linearityProfile),
+    };
+    tracesRef.current = roiLayout.getTracedROIs(rois).reduce((acc, roi) => ({ ...acc, [roi.id]: [] }), {});
     absorbanceDataRef.current = [];
-    blankSampleRGBRef.current = null;
-    blankReferenceRGBRef.current = null;
-    countdownRef.current = 3;
-    setCountdown(3);
+    blankRGBRef.current = null;
+    blankFramesRef.current = [];
+    blankStartTimeRef.current = null;
+    setBlankReport(null);
+    cameraLockRef.current = null;
+    setCameraLocked(true);
+    blankRetriesRef.current = 0;
+    setAutoStopReason(null);
+    darkFramesRef.current = [];
+    darkRef.current = null;
+    setDarkReport(null);
+    if (protocol.darkSeconds != null) {
+      countdownRef.current = protocol.darkSeconds;
+      setCountdown(protocol.darkSeconds);
+      setAppState(STATES.DARK);
+      return;
+    }
+    countdownRef.current = protocol.countdownSeconds;
+    setCountdown(protocol.countdownSeconds);
     setAppState(STATES.BLANKING_COUNTDOWN);
   };
 
+  const handleContinueToBlank = () => {
+    startBlankCountdown();
+  };
+
+  const handleRetryBlank = () => {
+    startBlankWindow();
+  };
+
   const handleProceedToScan = () => {
-    scanStartTimeRef.current = Date.now();
-    setAppState(STATES.SCANNING);
+    if (!blankReport?.acceptable) return;
+    startScanning();
+  };
+
+  const handleReadEndpoint = () => {
+    if (!blankReport?.acceptable) return;
+    startEndpointRead();
+  };
+
+  const handleFinishEndpointReads = () => {
+    handleCancel();
+    setActiveTab('calibration');
   };
 
-  const handleStopScan = async () => {
+  const handleDeleteEndpointRead = (readId) => {
+    Alert.alert('Delete Read', 'Remove this endpoint read?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: () => setEndpointReads((prev) => prev.filter((read) => read.id !== readId)),
+      },
+    ]);
+  };
+
+  const handleStopScan = async (stopReason = null) => {
     setAppState(STATES.PROCESSING);
+    setCameraLocked(false);
 
     if (absorbanceDataRef.current.length < 6) {
         Alert.alert('Error', 'Not enough data points collected');
@@ -369,16 +788,66 @@ export default function App() {
         return;
     }
 
+    // The analysis below takes a while on long scans; let the stop tap and the PROCESSING screen finish first
+    await new Promise((resolve) => InteractionManager.runAfterInteractions(resolve));
+
     const tempId = Date.now();
     let newResult;
 
     try {
-        const analysis = analysisUtils.analyzeKineticData(absorbanceDataRef.current);
+        const {
+          rois: layout,
+          analysisChannel: channel,
+          assay: scanAssay,
+          assayMetadata: scanAssayMetadata,
+          presetName,
+          protocol: scanProtocolSettings,
+          linearRange,
+        } = scanLayoutRef.current;
+        const traces = analysisUtils.analyzeTraces(
+          roiLayout.getTracedROIs(layout).map((roi) => ({
+            roiId: roi.id,
+            name: roi.name,
+            role: roi.role,
+            referenceId: roiLayout.resolveReference(roi, layout).id,
+            absorbanceData: tracesRef.current[roi.id],
+            lod: noiseFloorRef.current[roi.id] || null,
+          })),
+          { channel, linearRange, filters: scanProtocolSettings.filters }
+        ).map((trace) =>
+          trace.analysis
+            ? {
+                ...trace,
+                analysis: {
+                  ...trace.analysis,
+                  // Progress-curve fits are left to the results screen, which runs them once it is shown
+                  converted: assayConversion.convertRate(trace.analysis.v0, scanAssayMetadata),
+                },
+              }
+            : trace
+        );
+        // The first sample ROI is the scan's primary trace (list, history and kinetic analysis)
+        const primary = traces.find((t) => t.role === roiLayout.ROI_ROLES.SAMPLE);
+        if (!primary.analysis) {
+          throw new Error(primary.error);
+        }
+
         newResult = {
             id: tempId,
             timestamp: new Date().toLocaleString(),
-            absorbanceData: absorbanceDataRef.current,
-            analysis,
+            absorbanceData: primary.absorbanceData,
+            analysis: primary.analysis,
+            rois: layout,
+            preset: presetName,
+            preferredChannel: channel,
+            assay: scanAssay,
+            assayMetadata: scanAssayMetadata,
+            protocol: scanProtocolSettings,
+            stopReason,
+            traces,
+            cameraLock: cameraLockRef.current,
+            blank: blankReport,
+            dark: darkReport,
         };
 
         // Optimistically update UI
@@ -420,25 +889,144 @@ export default function App() {
 
   const handleCancel = () => {
     setAppState(STATES.IDLE);
+    setCameraLocked(false);
     absorbanceDataRef.current = [];
-    blankSampleRGBRef.current = null;
-    blankReferenceRGBRef.current = null;
+    tracesRef.current = {};
+    blankRGBRef.current = null;
+    blankFramesRef.current = [];
+    blankStartTimeRef.current = null;
+    setBlankReport(null);
+    cameraLockRef.current = null;
+    endpointFramesRef.current = null;
+    darkFramesRef.current = [];
+    darkRef.current = null;
+    setDarkReport(null);
+  };
+
+  const abortScan = (title, message) => {
+    Alert.alert(title, message);
+    handleCancel();
   };
 
   // Calculate ROI dimensions
   // Camera inner width (account for cameraContainer margin/padding)
   const cameraInnerWidth = Math.max(0, screenWidth - 24); // camera container has margin 12 on both sides
 
-  // Sample/Reference ROI rectangles computed from separate configs (relative to camera container)
-  const sampleWidth = cameraInnerWidth * (sampleROIConfig.widthPercent / 100);
-  const sampleLeft = (cameraInnerWidth - sampleWidth) / 2;
-  const sampleHeightPx = CAMERA_HEIGHT * (sampleROIConfig.heightPercent / 100);
-  const sampleTopPx = (CAMERA_HEIGHT * sampleROIConfig.centerYPercent) / 100 - sampleHeightPx / 2;
+  // Live quality of the primary trace while scanning
+  const scanQualityReport = (() => {
+    if (appState !== STATES.SCANNING || !scanLayoutRef.current || !blankRGBRef.current) return null;
+    const layout = scanLayoutRef.current.rois;
+    const primaryROI = roiLayout.getROIsByRole(layout, roiLayout.ROI_ROLES.SAMPLE)[0];
+    const reference = roiLayout.resolveReference(primaryROI, layout);
+    return scanQuality.assessScanQuality(absorbanceData, blankRGBRef.current[reference.id], {
+      targetIntervalMs: scanLayoutRef.current.protocol.intervalMs,
+    });
+  })();
+
+  const updateROI = (id, changes) => {
+    setROIs((prev) => prev.map((roi) => (roi.id === id ? { ...roi, ...changes } : roi)));
+  };
+
+  const handleAutoLocate = async () => {
+    if (!cameraRef.current || autoLocating) return;
+    setAutoLocating(true);
+    try {
+      const photo = await cameraRef.current.takePictureAsync({ base64: true, quality: 0.3, shutterSound: false });
+      const frame = await decodeFrame(canvasRef.current, photo);
+      setFrameSize({ width: photo.width, height: photo.height });
+
+      const located = roiAutoLocate.autoLocateROIs(frame, rois);
+      if (!located.rois) {
+        Alert.alert('Auto-Locate Failed', located.reasons.join('\n'));
+        return;
+      }
+      setAutoLocateResult({ previousRois: rois, confidence: located.confidence, reasons: located.reasons });
+      setROIs(located.rois);
+    } catch (err) {
+      console.error('Auto-locate failed:', err);
+      Alert.alert('Auto-Locate Failed', err.message);
+    } finally {
+      setAutoLocating(false);
+    }
+  };
+
+  const handleRevertAutoLocate = () => {
+    setROIs(autoLocateResult.previousRois);
+    setAutoLocateResult(null);
+  };
+
+  const handleApplyPreset = (preset) => {
+    setROIs(preset.rois);
+    setSelectedROIId(preset.rois[0]?.id || null);
+    setCameraSettings(preset.camera);
+    setPreferredChannel(preset.preferredChannel);
+    setAssay(preset.assay || channelModel.DEFAULT_ASSAYS[0]);
+    setAssayMetadata({ ...assayConversion.DEFAULT_ASSAY_METADATA, ...preset.assayMetadata });
+    setProtocol(scanProtocol.normalizeProtocol(preset.protocol));
+    setActivePresetName(preset.name);
+    setAutoLocateResult(null);
+  };
+
+  const handleSavePreset = async (name) => {
+    if (!name) {
+      Alert.alert('Preset Name Required', 'Enter a name for this layout (e.g. the holder it belongs to).');
+      return;
+    }
+    const layoutProblems = roiLayout.validateLayout(rois);
+    if (layoutProblems.length > 0) {
+      Alert.alert('Invalid ROI Layout', layoutProblems.join('\n'));
+      return;
+    }
+    try {
+      const preset = layoutPresets.createPreset(name, { rois, camera: cameraSettings, preferredChannel, assay, assayMetadata, protocol });
+      setPresets(await layoutPresets.upsertPreset(preset));
+      setActivePresetName(preset.name);
+    } catch (err) {
+      Alert.alert('Save Failed', err.message);
+    }
+  };
+
+  const handleDeletePreset = (name) => {
+    Alert.alert('Delete Preset', `Delete the layout preset "${name}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            setPresets(await layoutPresets.deletePreset(name));
+            if (activePresetName === name) setActivePresetName(null);
+          } catch (err) {
+            Alert.alert('Delete Failed', err.message);
+          }
+        },
+      },
+    ]);
+  };
+
+  const handleExportPresets = async () => {
+    if (presets.length === 0) {
+      Alert.alert('No Presets', 'Save a layout preset before exporting.');
+      return;
+    }
+    try {
+      await Share.share({ title: 'Layout presets', message: layoutPresets.exportPresets(presets) });
+    } catch (err) {
+      Alert.alert('Export Failed', err.message);
+    }
+  };
 
-  const referenceWidth = cameraInnerWidth * (referenceROIConfig.widthPercent / 100);
-  const referenceLeft = (cameraInnerWidth - referenceWidth) / 2;
-  const referenceHeightPx = CAMERA_HEIGHT * (referenceROIConfig.heightPercent / 100);
-  const referenceTopPx = (CAMERA_HEIGHT * referenceROIConfig.centerYPercent) / 100 - referenceHeightPx / 2;
+  const handleImportPresets = async (text) => {
+    try {
+      const { presets: updated, imported } = await layoutPresets.importPresets(text);
+      setPresets(updated);
+      Alert.alert('Presets Imported', imported.join('\n'));
+      return true;
+    } catch (err) {
+      Alert.alert('Import Failed', err.message);
+      return false;
+    }
+  };
 
   const handleResultPress = async (result) => {
     if (result.absorbanceData) {
@@ -482,11 +1070,15 @@ export default function App() {
           <TouchableOpacity style={styles.tab} onPress={() => setActiveTab('analysis')}>
             <Text style={styles.tabText}>📈 Analysis</Text>
           </TouchableOpacity>
+          <TouchableOpacity style={styles.tab} onPress={() => setActiveTab('calibration')}>
+            <Text style={styles.tabText}>🎯 Calibration</Text>
+          </TouchableOpacity>
           <TouchableOpacity style={styles.tab} onPress={() => setActiveTab('strips')}>
             <Text style={styles.tabText}>🔬 Strip Reader</Text>
           </TouchableOpacity>
         </View>
         <ResultsScreen
+          key={selectedResult.id}
           result={selectedResult}
           onBack={() => setSelectedResult(null)}
         />
@@ -508,6 +1100,9 @@ export default function App() {
           <TouchableOpacity style={styles.tab} onPress={() => setActiveTab('analysis')}>
             <Text style={styles.tabText}>📈 Analysis</Text>
           </TouchableOpacity>
+          <TouchableOpacity style={styles.tab} onPress={() => setActiveTab('calibration')}>
+            <Text style={styles.tabText}>🎯 Calibration</Text>
+          </TouchableOpacity>
           <TouchableOpacity style={styles.tab} onPress={() => setActiveTab('strips')}>
             <Text style={styles.tabText}>🔬 Strip Reader</Text>
           </TouchableOpacity>
@@ -537,9 +1132,15 @@ export default function App() {
                 <Text style={styles.resultV0}>
                   V₀: {result.analysis.v0.toFixed(4)} A/s
                 </Text>
+                {result.analysis.converted && (
+                  <Text style={styles.resultR2}>{assayConversion.formatConvertedRate(result.analysis.converted)}</Text>
+                )}
                 <Text style={styles.resultR2}>
                   R²: {result.analysis.r_squared.toFixed(3)}
                 </Text>
+                {Array.isArray(result.traces) && result.traces.length > 1 && (
+                  <Text style={styles.resultHint}>{result.traces.length} traces</Text>
+                )}
                 <Text style={styles.resultHint}>Hold to delete</Text>
               </TouchableOpacity>
             ))}
@@ -563,6 +1164,9 @@ export default function App() {
           <TouchableOpacity style={[styles.tab, styles.activeTab]}>
             <Text style={[styles.tabText, styles.activeTabText]}>📈 Analysis</Text>
           </TouchableOpacity>
+          <TouchableOpacity style={styles.tab} onPress={() => setActiveTab('calibration')}>
+            <Text style={styles.tabText}>🎯 Calibration</Text>
+          </TouchableOpacity>
           <TouchableOpacity style={styles.tab} onPress={() => setActiveTab('strips')}>
             <Text style={styles.tabText}>🔬 Strip Reader</Text>
           </TouchableOpacity>
@@ -572,6 +1176,37 @@ export default function App() {
     );
   }
 
+  if (activeTab === 'calibration') {
+    return (
+      <View style={styles.container}>
+        {/* Top Tab Bar */}
+        <View style={styles.tabs}>
+          <TouchableOpacity style={styles.tab} onPress={() => setActiveTab('scanner')}>
+            <Text style={styles.tabText}>📷 Scanner</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.tab} onPress={() => setActiveTab('results')}>
+            <Text style={styles.tabText}>📊 Results</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.tab} onPress={() => setActiveTab('analysis')}>
+            <Text style={styles.tabText}>📈 Analysis</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={[styles.tab, styles.activeTab]}>
+            <Text style={[styles.tabText, styles.activeTabText]}>🎯 Calibration</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.tab} onPress={() => setActiveTab('strips')}>
+            <Text style={styles.tabText}>🔬 Strip Reader</Text>
+          </TouchableOpacity>
+        </View>
+        <CalibrationScreen
+          reads={endpointReads}
+          onDeleteRead={handleDeleteEndpointRead}
+          linearityProfile={linearityProfile}
+          onLinearityProfileChange={setLinearityProfile}
+        />
+      </View>
+    );
+  }
+
   if (activeTab === 'strips') {
     return (
       <View style={styles.container}>
@@ -586,6 +1221,9 @@ export default function App() {
           <TouchableOpacity style={styles.tab} onPress={() => setActiveTab('analysis')}>
             <Text style={styles.tabText}>📈 Analysis</Text>
           </TouchableOpacity>
+          <TouchableOpacity style={styles.tab} onPress={() => setActiveTab('calibration')}>
+            <Text style={styles.tabText}>🎯 Calibration</Text>
+          </TouchableOpacity>
           <TouchableOpacity style={[styles.tab, styles.activeTab]}>
             <Text style={[styles.tabText, styles.activeTabText]}>🔬 Strip Reader</Text>
           </TouchableOpacity>
@@ -638,6 +1276,19 @@ export default function App() {
             📈 Analysis
           </Text>
         </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.tab, activeTab === 'calibration' && styles.activeTab]}
+          onPress={() => setActiveTab('calibration')}
+        >
+          <Text
+            style={[
+              styles.tabText,
+              activeTab === 'calibration' && styles.activeTabText,
+            ]}
+          >
+            🎯 Calibration ({endpointReads.length})
+          </Text>
+        </TouchableOpacity>
         <TouchableOpacity
           style={[styles.tab, activeTab === 'strips' && styles.activeTab]}
           onPress={() => setActiveTab('strips')}
@@ -668,52 +1319,45 @@ export default function App() {
           style={{ width: '100%', height: CAMERA_HEIGHT }}
           type={'back'}
           flashMode={'off'}
+          autofocus={cameraLocked && cameraSettings.lockFocus ? 'on' : 'off'}
         />
 
-        {/* Sample ROI (Green) */}
-        <View
-          style={[
-            styles.roi,
-            styles.sampleROI,
-            {
-              left: sampleLeft,
-              top: sampleTopPx,
-              width: sampleWidth,
-              height: sampleHeightPx,
-            },
-          ]}
-        />
-
-        {/* Reference ROI (Orange) */}
-        <View
-          style={[
-            styles.roi,
-            styles.referenceROI,
-            {
-              left: referenceLeft,
-              top: referenceTopPx,
-              width: referenceWidth,
-              height: referenceHeightPx,
-            },
-          ]}
+        {/* ROI overlays, coloured by role; drag/pinch to edit while idle */}
+        <ROIEditor
+          rois={rois}
+          selectedId={selectedROIId}
+          onSelect={setSelectedROIId}
+          onChange={updateROI}
+          viewSize={{ width: cameraInnerWidth, height: CAMERA_HEIGHT }}
+          frameSize={frameSize}
+          editable={appState === STATES.IDLE}
         />
 
         {/* Status Badge */}
         <View style={[styles.statusBadge, { backgroundColor: getStatusColor(appState) }]}>
           <Text style={styles.badgeText}>
-            {appState === STATES.BLANKING_COUNTDOWN
+            {appState === STATES.DARK
+              ? `Dark: ${countdown}s`
+              : appState === STATES.BLANKING_COUNTDOWN
               ? `${countdown}s`
               : appState === STATES.BLANKING
               ? `Blank: ${countdown}s`
+              : appState === STATES.READING
+              ? 'Reading…'
+              : appState === STATES.ENDPOINT_READY
+              ? `${endpointReads.length} reads`
               : appState === STATES.SCANNING
-              ? `Scan Active`
+              ? scanLayoutRef.current?.protocol.durationSeconds != null
+                ? `Scan: ${Math.max(0, Math.ceil(scanLayoutRef.current.protocol.durationSeconds - (Date.now() - scanStartTimeRef.current) / 1000))}s`
+                : `Scan Active`
               : appState}
           </Text>
         </View>
       </View>
 
-      {/* Hidden canvas used for pixel extraction (best-effort) */}
-      <Canvas ref={(c) => (canvasRef.current = c)} style={{ display: 'none', width: 1, height: 1 }} />
+      {/* Hidden canvas used to decode camera frames for pixel extraction.
+          Kept mounted (opacity 0) so its WebView stays alive. */}
+      <Canvas ref={(c) => (canvasRef.current = c)} style={{ position: 'absolute', opacity: 0, width: 1, height: 1 }} />
 
       {/* Live RGB chart */}
       {absorbanceData && absorbanceData.length > 1 && (
@@ -760,6 +1404,32 @@ export default function App() {
         })()
       )}
 
+      {/* Live signal quality */}
+      {scanQualityReport?.frameRate && (
+        <View style={[styles.blankReportBox, { marginHorizontal: 12 }]}>
+          <Text style={[styles.blankReportTitle, { color: scanQualityReport.ok ? '#3FB950' : '#FFA94D' }]}>
+            {scanQualityReport.ok ? '✓ Signal OK' : '⚠ Signal quality'}
+          </Text>
+          <View style={styles.qualityRow}>
+            <Text style={styles.qualityMetric}>
+              {scanQualityReport.frameRate.intervalMs.toFixed(0)} ms/frame
+            </Text>
+            <Text style={styles.qualityMetric}>
+              Ref drift {scanQualityReport.referenceDrift ? `${(scanQualityReport.referenceDrift.worst * 100).toFixed(1)}%` : '–'}
+            </Text>
+            <Text style={styles.qualityMetric}>
+              Sat {(scanQualityReport.saturation.latest * 100).toFixed(1)}%
+            </Text>
+            <Text style={styles.qualityMetric}>
+              Noise {scanQualityReport.noise.worst.toFixed(4)} AU
+            </Text>
+          </View>
+          {scanQualityReport.warnings.map((warning) => (
+            <Text key={warning} style={styles.blankReportWarning}>• {warning}</Text>
+          ))}
+        </View>
+      )}
+
       {/* ROI Controls */}
       {appState === STATES.IDLE && (
         <ScrollView style={styles.controlsPanel} contentContainerStyle={{ paddingBottom: 24 }}>
@@ -768,9 +1438,31 @@ export default function App() {
             style={[styles.button, styles.primaryButton, { marginBottom: 16 }]}
             onPress={handleStartScan}
           >
-            <Text style={styles.buttonText}>▶ Start Scan</Text>
+            <Text style={styles.buttonText}>{scanMode === 'endpoint' ? '▶ Blank & Read Endpoints' : '▶ Start Scan'}</Text>
           </TouchableOpacity>
 
+          {/* Kinetic traces, or single endpoint reads for standard curves */}
+          <Text style={styles.controlLabel}>Mode</Text>
+          <View style={styles.roiChipRow}>
+            {[
+              { id: 'kinetic', label: 'Kinetic scan' },
+              { id: 'endpoint', label: 'Endpoint reads' },
+            ].map((mode) => (
+              <TouchableOpacity
+                key={mode.id}
+                style={[styles.roiChip, scanMode === mode.id && styles.roiChipActive]}
+                onPress={() => setScanMode(mode.id)}
+              >
+                <Text style={styles.roiChipText}>{mode.label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          {scanMode === 'endpoint' && (
+            <Text style={styles.roiHint}>
+              One blank, then each read averages {protocol.endpointFrames} frames per sample ROI. Fit the standards on the Calibration tab.
+            </Text>
+          )}
+
           {/* Live Absorbance Chart */}
           {absorbanceData && absorbanceData.length > 1 && (
             <View style={{ marginBottom: 16 }}>
@@ -825,70 +1517,50 @@ export default function App() {
             </View>
           )}
 
-          {/* Separate ROI controls */}
-          <Text style={[styles.controlLabel, { marginTop: 12 }]}>Sample ROI (Width / Height / Position)</Text>
-          <Text style={styles.controlLabel}>Width (%)</Text>
-          <Slider
-            style={styles.slider}
-            minimumValue={20}
-            maximumValue={100}
-            value={sampleROIConfig.widthPercent}
-            onValueChange={(v) => setSampleROIConfig((s) => ({ ...s, widthPercent: Math.round(v) }))}
-            step={1}
-          />
-          <Text style={styles.controlValue}>{sampleROIConfig.widthPercent}%</Text>
-          <Text style={styles.controlLabel}>Height (%)</Text>
-          <Slider
-            style={styles.slider}
-            minimumValue={5}
-            maximumValue={50}
-            value={sampleROIConfig.heightPercent}
-            onValueChange={(v) => setSampleROIConfig((s) => ({ ...s, heightPercent: Math.round(v) }))}
-            step={1}
-          />
-          <Text style={styles.controlValue}>{sampleROIConfig.heightPercent}%</Text>
-          <Text style={styles.controlLabel}>Vertical Center (%)</Text>
-          <Slider
-            style={styles.slider}
-            minimumValue={0}
-            maximumValue={100}
-            value={sampleROIConfig.centerYPercent}
-            onValueChange={(v) => setSampleROIConfig((s) => ({ ...s, centerYPercent: Math.round(v) }))}
-            step={1}
+          {/* Layout presets */}
+          <PresetPanel
+            presets={presets}
+            activeName={activePresetName}
+            onApply={handleApplyPreset}
+            onDelete={handleDeletePreset}
+            onSave={handleSavePreset}
+            onExport={handleExportPresets}
+            onImport={handleImportPresets}
           />
-          <Text style={styles.controlValue}>{sampleROIConfig.centerYPercent}%</Text>
-
-          <Text style={[styles.controlLabel, { marginTop: 12 }]}>Reference ROI (Width / Height / Position)</Text>
-          <Text style={styles.controlLabel}>Width (%)</Text>
-          <Slider
-            style={styles.slider}
-            minimumValue={20}
-            maximumValue={100}
-            value={referenceROIConfig.widthPercent}
-            onValueChange={(v) => setReferenceROIConfig((s) => ({ ...s, widthPercent: Math.round(v) }))}
-            step={1}
-          />
-          <Text style={styles.controlValue}>{referenceROIConfig.widthPercent}%</Text>
-          <Text style={styles.controlLabel}>Height (%)</Text>
-          <Slider
-            style={styles.slider}
-            minimumValue={5}
-            maximumValue={50}
-            value={referenceROIConfig.heightPercent}
-            onValueChange={(v) => setReferenceROIConfig((s) => ({ ...s, heightPercent: Math.round(v) }))}
-            step={1}
+
+          {/* Assay / channel model */}
+          <AssaySettingsPanel
+            assay={assay}
+            onAssayChange={setAssay}
+            assayMetadata={assayMetadata}
+            onAssayMetadataChange={setAssayMetadata}
+            preferredChannel={preferredChannel}
+            onPreferredChannelChange={setPreferredChannel}
           />
-          <Text style={styles.controlValue}>{referenceROIConfig.heightPercent}%</Text>
-          <Text style={styles.controlLabel}>Vertical Center (%)</Text>
-          <Slider
-            style={styles.slider}
-            minimumValue={0}
-            maximumValue={100}
-            value={referenceROIConfig.centerYPercent}
-            onValueChange={(v) => setReferenceROIConfig((s) => ({ ...s, centerYPercent: Math.round(v) }))}
-            step={1}
+          <View style={styles.roiChipRow}>
+            <TouchableOpacity
+              style={[styles.roiChip, cameraSettings.lockFocus && styles.roiChipActive]}
+              onPress={() => setCameraSettings((prev) => ({ ...prev, lockFocus: !prev.lockFocus }))}
+            >
+              <Text style={styles.roiChipText}>Focus lock {cameraSettings.lockFocus ? 'on' : 'off'}</Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* Scan protocol */}
+          <ScanProtocolPanel protocol={protocol} onChange={setProtocol} />
+
+          {/* ROI layout controls */}
+          <ROILayoutPanel
+            rois={rois}
+            selectedId={selectedROIId}
+            onSelect={setSelectedROIId}
+            onChange={setROIs}
+            autoLocating={autoLocating}
+            autoLocateResult={autoLocateResult}
+            onAutoLocate={handleAutoLocate}
+            onAcceptAutoLocate={() => setAutoLocateResult(null)}
+            onRevertAutoLocate={handleRevertAutoLocate}
           />
-          <Text style={styles.controlValue}>{referenceROIConfig.centerYPercent}%</Text>
         </ScrollView>
       )}
 
@@ -899,11 +1571,51 @@ export default function App() {
             style={[styles.button, styles.primaryButton]}
             onPress={handleStartScan}
           >
-            <Text style={styles.buttonText}>▶ Start Scan</Text>
+            <Text style={styles.buttonText}>{scanMode === 'endpoint' ? '▶ Blank & Read Endpoints' : '▶ Start Scan'}</Text>
           </TouchableOpacity>
         )}
 
-        {(appState === STATES.BLANKING_COUNTDOWN ||
+        {((appState === STATES.BLANKING_COMPLETE && blankReport?.acceptable && scanLayoutRef.current?.mode === 'endpoint') ||
+          appState === STATES.ENDPOINT_READY) && (
+          <>
+            <TextInput
+              style={styles.roiNameInput}
+              value={readLabelInput}
+              onChangeText={setReadLabelInput}
+              placeholder="Read label (e.g. Std 0.5 or Sample A)"
+              placeholderTextColor="#666"
+            />
+            <TouchableOpacity style={[styles.button, styles.primaryButton]} onPress={handleReadEndpoint}>
+              <Text style={styles.buttonText}>
+                ▶ {appState === STATES.ENDPOINT_READY ? 'Read Next' : 'Read Endpoint'}
+              </Text>
+            </TouchableOpacity>
+          </>
+        )}
+
+        {appState === STATES.ENDPOINT_READY && (
+          <>
+            <TouchableOpacity style={[styles.button, styles.secondaryButton]} onPress={handleFinishEndpointReads}>
+              <Text style={styles.buttonText}>✓ Finish ({endpointReads.length} reads)</Text>
+            </TouchableOpacity>
+            {endpointReads.slice(-3).reverse().map((read) => (
+              <Text key={read.id} style={styles.blankReportText}>
+                {read.label}: {['r', 'g', 'b'].map((c) => read.abs[c].toFixed(4)).join(' / ')} AU
+              </Text>
+            ))}
+          </>
+        )}
+
+        {appState === STATES.READING && (
+          <View style={styles.processingBox}>
+            <ActivityIndicator size="large" color="#238636" />
+            <Text style={styles.processingText}>Averaging endpoint read...</Text>
+          </View>
+        )}
+
+        {(appState === STATES.DARK ||
+          appState === STATES.DARK_COMPLETE ||
+          appState === STATES.BLANKING_COUNTDOWN ||
           appState === STATES.BLANKING ||
           appState === STATES.BLANKING_COMPLETE) && (
           <>
@@ -913,7 +1625,44 @@ export default function App() {
             >
               <Text style={styles.buttonText}>⊗ Cancel</Text>
             </TouchableOpacity>
-            {appState === STATES.BLANKING_COMPLETE && (
+            {appState === STATES.DARK && (
+              <Text style={styles.blankReportText}>Keep the light off and the cuvette covered while the dark level is captured.</Text>
+            )}
+            {appState === STATES.DARK_COMPLETE && (
+              <View style={styles.blankReportBox}>
+                <Text style={[styles.blankReportTitle, { color: darkReport ? '#51CF66' : '#DA3633' }]}>
+                  {darkReport ? `✓ Dark captured (${darkReport.frameCount} frames)` : '✗ No dark frames captured'}
+                </Text>
+                <Text style={styles.blankReportText}>Uncover the cuvette and turn the light on, then continue to the blank.</Text>
+              </View>
+            )}
+            {appState === STATES.DARK_COMPLETE && !scanLayoutRef.current?.protocol.autoProceed && (
+              <TouchableOpacity style={[styles.button, styles.primaryButton]} onPress={handleContinueToBlank}>
+                <Text style={styles.buttonText}>▶ Continue to Blank</Text>
+              </TouchableOpacity>
+            )}
+            {appState === STATES.BLANKING_COMPLETE && blankReport && (
+              <View style={styles.blankReportBox}>
+                <Text style={[styles.blankReportTitle, { color: blankReport.acceptable ? '#51CF66' : '#DA3633' }]}>
+                  {blankReport.acceptable ? '✓ Blank OK' : '✗ Blank rejected'} ({blankReport.frameCount} frames)
+                </Text>
+                {blankReport.channels && ['sample', 'reference'].map((roi) => (
+                  <Text key={roi} style={styles.blankReportText}>
+                    {roi === 'sample' ? 'Sample' : 'Reference'} CV R/G/B:{' '}
+                    {['r', 'g', 'b'].map((c) => `${(blankReport.channels[roi][c].cv * 100).toFixed(2)}%`).join(' / ')}
+                    {'  '}Drift:{' '}
+                    {['r', 'g', 'b'].map((c) => `${(blankReport.channels[roi][c].driftPerSecond * 100).toFixed(2)}`).join(' / ')}%/s
+                  </Text>
+                ))}
+                {blankReport.reasons.map((reason, idx) => (
+                  <Text key={idx} style={styles.blankReportWarning}>• {reason}</Text>
+                ))}
+                {darkReport?.warnings.map((warning) => (
+                  <Text key={warning} style={styles.blankReportWarning}>• {warning}</Text>
+                ))}
+              </View>
+            )}
+            {appState === STATES.BLANKING_COMPLETE && blankReport?.acceptable && scanLayoutRef.current?.mode !== 'endpoint' && (
               <TouchableOpacity
                 style={[styles.button, styles.primaryButton]}
                 onPress={handleProceedToScan}
@@ -921,13 +1670,21 @@ export default function App() {
                 <Text style={styles.buttonText}>▶ Proceed to Scan</Text>
               </TouchableOpacity>
             )}
+            {appState === STATES.BLANKING_COMPLETE && blankReport && !blankReport.acceptable && (
+              <TouchableOpacity
+                style={[styles.button, styles.secondaryButton]}
+                onPress={handleRetryBlank}
+              >
+                <Text style={styles.buttonText}>↻ Re-blank</Text>
+              </TouchableOpacity>
+            )}
           </>
         )}
 
         {appState === STATES.SCANNING && (
           <TouchableOpacity
             style={[styles.button, styles.dangerButton]}
-            onPress={handleStopScan}
+            onPress={() => handleStopScan()}
           >
             <Text style={styles.buttonText}>⊟ Stop & Save</Text>
           </TouchableOpacity>
@@ -945,6 +1702,47 @@ export default function App() {
   );
 }
 
+/**
+ * Decodes a captured photo into an RGBA frame using the hidden canvas.
+ * The photo is downscaled to FRAME_DECODE_WIDTH so the pixel buffer that
+ * crosses the WebView bridge stays small.
+ *
+ * @param {Canvas} canvas - Mounted react-native-canvas instance.
+ * @param {object} photo - Result of takePictureAsync with base64 data.
+ * @returns {Promise<object>} Decoded frame {width, height, data}.
+ */
+function decodeFrame(canvas, photo) {
+  return new Promise((resolve, reject) => {
+    if (!canvas) {
+      reject(new Error('Pixel canvas is not mounted.'));
+      return;
+    }
+    if (!photo?.base64) {
+      reject(new Error('Captured photo has no image data.'));
+      return;
+    }
+
+    const width = FRAME_DECODE_WIDTH;
+    const height = Math.max(1, Math.round((width * photo.height) / photo.width));
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const image = new CanvasImage(canvas);
+
+    image.addEventListener('load', async () => {
+      try {
+        ctx.drawImage(image, 0, 0, width, height);
+        const imageData = await ctx.getImageData(0, 0, width, height);
+        resolve({ width, height, data: roiPixels.toPixelArray(imageData.data) });
+      } catch (err) {
+        reject(err);
+      }
+    });
+    image.addEventListener('error', () => reject(new Error('Failed to decode camera frame.')));
+    image.src = `data:image/jpeg;base64,${photo.base64}`;
+  });
+}
+
 function AnalysisScreen() {
     const handleStartAnalysis = () => {
         Alert.alert(
@@ -975,9 +1773,27 @@ function AnalysisScreen() {
     );
 }
 
+// Overlay colour of each progress-curve model on the Progress Curve chart
+const PROGRESS_FIT_COLORS = {
+  exponential: 'rgba(255,214,10,1)',
+  michaelisMenten: 'rgba(190,120,255,1)',
+  linearLag: 'rgba(0,220,220,1)',
+};
+
+// Progress-curve fits of each trace analysis, so a result is only fitted once per session
+const progressFitCache = new WeakMap();
+
 function ResultsScreen({ result, onBack }) {
+  // Multi-ROI scans carry one trace per sample/blank ROI; older scans only have the primary trace
+  const [traceIndex, setTraceIndex] = useState(0);
+  const traces = Array.isArray(result?.traces) && result.traces.length > 0
+    ? result.traces
+    : [{ name: 'Sample', role: 'sample', absorbanceData: result?.absorbanceData, analysis: result?.analysis }];
+  const trace = traces[Math.min(traceIndex, traces.length - 1)];
+  const absorbanceData = trace.absorbanceData;
+
   // Guard clause for missing or invalid absorbance data
-  if (!result || !Array.isArray(result.absorbanceData) || result.absorbanceData.length === 0) {
+  if (!result || !Array.isArray(absorbanceData) || absorbanceData.length === 0) {
     return (
       <ScrollView style={styles.resultContent}>
         <View style={styles.resultsBox}>
@@ -996,16 +1812,45 @@ function ResultsScreen({ result, onBack }) {
     );
   }
 
-  const analysis = result.analysis || {}; // Ensure analysis object exists
+  const analysis = trace.analysis || {}; // Ensure analysis object exists
+  const blankChannels = trace.roiId ? result.blank?.channels?.[trace.roiId] : null;
+  const darkLevel = trace.roiId ? result.dark?.rois?.[trace.roiId] : null;
+  // Pseudo-wavelength channel of the scan's assay, when it was traced
+  const assayChannel =
+    result.assay?.channel && absorbanceData.some((d) => typeof d.abs[result.assay.channel.id] === 'number')
+      ? result.assay.channel
+      : null;
 
   const { chartTime, chartR, chartG, chartB } = analysisUtils.prepareChartData(
-    result.absorbanceData
+    absorbanceData
   );
   
   // Channel toggles for graph display
   const [showR, setShowR] = useState(true);
   const [showG, setShowG] = useState(true);
   const [showB, setShowB] = useState(true);
+  // Progress-curve fit overlays: model id -> shown; the best (lowest AIC) fit is shown until toggled
+  const [fitOverlays, setFitOverlays] = useState({});
+  // The fits take up to a couple of seconds per trace, so they run once the screen has rendered and are
+  // abandoned if another trace is picked first; older results were saved with their fits
+  const [fitState, setFitState] = useState({ analysis: null, fits: null });
+  useEffect(() => {
+    const target = trace.analysis;
+    const known = target ? target.progressFits ?? progressFitCache.get(target) : null;
+    if (known !== undefined) {
+      setFitState({ analysis: target, fits: known });
+      return undefined;
+    }
+    const task = InteractionManager.runAfterInteractions(() => {
+      const fits = progressCurve.fitProgressCurves(absorbanceData, target);
+      progressFitCache.set(target, fits);
+      setFitState({ analysis: target, fits });
+    });
+    return () => task.cancel();
+  }, [trace.analysis]);
+  const fitsPending = fitState.analysis !== trace.analysis;
+  const progressFits = fitsPending ? null : fitState.fits;
+  const isFitShown = (fit) => fitOverlays[fit.model] ?? fit.model === progressFits?.best;
   
   // AI analysis state
   const [aiComment, setAiComment] = useState(null);
@@ -1013,24 +1858,44 @@ function ResultsScreen({ result, onBack }) {
   const [aiAssessment, setAiAssessment] = useState(null);
   const [aiRecommendations, setAiRecommendations] = useState([]);
 
-  // Fetch AI analysis on mount
+  // Fetch AI analysis on mount, once the progress-curve fits it reports are in
   useEffect(() => {
-    fetchAIAnalysis();
-  }, [result]);
+    if (!fitsPending) fetchAIAnalysis();
+  }, [result, traceIndex, fitsPending]);
 
   const fetchAIAnalysis = async () => {
+    if (!trace.analysis) {
+      // Blank-role traces are not analysed
+      setAiComment(null);
+      return;
+    }
     try {
       setAiLoading(true);
-      const duration = result.absorbanceData[result.absorbanceData.length - 1]?.time || 0;
+      const duration = absorbanceData[absorbanceData.length - 1]?.time || 0;
       const analysisPayload = {
         v0: analysis.v0,
+        v0_se: analysis.v0_se ?? null,
+        v0_ci: analysis.v0_ci ?? null,
         r_squared: analysis.r_squared,
-        primaryChannel: analysis.primaryChannel,
+        lag_time_seconds: analysis.lagDetected ? analysis.lagTime : 0,
+        primaryChannel: channelModel.channelLabel(analysis.primaryChannel, result.assay),
         startTime: analysis.startTime,
         endTime: analysis.endTime,
         phases: analysis.phases,
         duration_seconds: duration,
-        num_data_points: result.absorbanceData.length,
+        num_data_points: absorbanceData.length,
+        rate_uM_per_min: analysis.converted?.rateMicroMolarPerMin ?? null,
+        activity_U_per_mL: analysis.converted?.activityUnitsPerMl ?? null,
+        linearity_warning: analysis.linearityWarning ?? null,
+        filters: signalFilters.describeFilters(analysis.filters),
+        outliers_replaced: analysis.outliersReplaced ?? 0,
+        progress_curve_fits: (progressFits?.fits || [])
+          .filter((fit) => !fit.error)
+          .map((fit) => ({
+            model: fit.label,
+            parameters: Object.fromEntries(Object.entries(fit.named).map(([name, p]) => [name, p.value])),
+            delta_aic: fit.deltaAIC,
+          })),
       };
       
       const response = await fetch(`${API_URL}/analyze-results`, {
@@ -1058,32 +1923,192 @@ function ResultsScreen({ result, onBack }) {
     if (includeR && chartR.length > 0) datasets.push({ data: chartR, color: () => 'rgba(255,100,100,1)', strokeWidth: 2 });
     if (includeG && chartG.length > 0) datasets.push({ data: chartG, color: () => 'rgba(100,255,100,1)', strokeWidth: 2 });
     if (includeB && chartB.length > 0) datasets.push({ data: chartB, color: () => 'rgba(100,100,255,1)', strokeWidth: 2 });
-    return datasets.length > 0 ? datasets : [{ data: [0], color: () => 'rgba(100,100,100,1)', strokeWidth: 2 }];
+    if (assayChannel) {
+      datasets.push({ data: absorbanceData.map((d) => d.abs[assayChannel.id] ?? 0), color: () => 'rgba(255,255,255,1)', strokeWidth: 2 });
+    }
+    if (datasets.length === 0) {
+      return [{ data: [0], color: () => 'rgba(100,100,100,1)', strokeWidth: 2 }];
+    }
+    // Zero baseline and ±noise floor of the fitted channel; absorbance is signed
+    const flat = (value) => chartTime.map(() => value);
+    datasets.push({ data: flat(0), color: () => 'rgba(160,160,160,0.6)', strokeWidth: 1, withDots: false });
+    if (typeof analysis.noiseFloor === 'number') {
+      datasets.push({ data: flat(analysis.noiseFloor), color: () => 'rgba(255,169,77,0.6)', strokeWidth: 1, withDots: false });
+      datasets.push({ data: flat(-analysis.noiseFloor), color: () => 'rgba(255,169,77,0.6)', strokeWidth: 1, withDots: false });
+    }
+    for (const fit of progressFits?.fits || []) {
+      if (fit.error || !isFitShown(fit)) continue;
+      const fitted = progressCurve.evaluateProgressFit(fit, progressFits.t0, chartTime);
+      datasets.push({ data: fitted, color: () => PROGRESS_FIT_COLORS[fit.model], strokeWidth: 2, withDots: false });
+    }
+    return datasets;
   };
 
   return (
     <ScrollView style={styles.resultContent} scrollEventThrottle={16}>
+      {/* Trace selector (one per sample/blank ROI) */}
+      {traces.length > 1 && (
+        <View style={[styles.channelToggleContainer, { flexWrap: 'wrap', margin: 12 }]}>
+          {traces.map((t, idx) => (
+            <TouchableOpacity
+              key={t.roiId || idx}
+              style={[styles.channelToggle, idx === traceIndex && styles.channelToggleActive]}
+              onPress={() => setTraceIndex(idx)}
+            >
+              <Text style={[styles.channelToggleText, idx === traceIndex && styles.channelToggleTextActive]}>
+                {t.name}{t.role === 'blank' ? ' (blank)' : ''}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
       {/* Analysis Summary */}
       <View style={styles.resultsBox}>
         <Text style={styles.boxTitle}>Analysis Results</Text>
         <View style={styles.resultRow}>
           <Text style={styles.resultLabel}>V₀ (Initial Velocity):</Text>
-          <Text style={styles.resultValue}>{(analysis.v0 || 0).toFixed(6)} A/s</Text>
+          <Text style={styles.resultValue}>
+            {(analysis.v0 || 0).toFixed(6)}{typeof analysis.v0_se === 'number' ? ` ± ${analysis.v0_se.toFixed(6)}` : ''} A/s
+          </Text>
         </View>
+        {analysis.v0_ci && (
+          <View style={styles.resultRow}>
+            <Text style={styles.resultLabel}>V₀ 95% CI:</Text>
+            <Text style={styles.resultValue}>
+              {analysis.v0_ci[0].toFixed(6)} to {analysis.v0_ci[1].toFixed(6)} A/s
+            </Text>
+          </View>
+        )}
+        {analysis.converted && (
+          <>
+            <View style={styles.resultRow}>
+              <Text style={styles.resultLabel}>Rate:</Text>
+              <Text style={styles.resultValue}>{analysis.converted.rateMicroMolarPerMin.toFixed(3)} µM/min</Text>
+            </View>
+            <View style={styles.resultRow}>
+              <Text style={styles.resultLabel}>Activity (stock):</Text>
+              <Text style={styles.resultValue}>{analysis.converted.activityUnitsPerMl.toFixed(4)} U/mL</Text>
+            </View>
+            <Text style={styles.graphDescription}>
+              ε = {analysis.converted.metadata.extinctionCoefficient} M⁻¹·cm⁻¹, l = {analysis.converted.metadata.pathLength} cm,{' '}
+              {analysis.converted.metadata.enzymeVolume} mL enzyme in {analysis.converted.metadata.reactionVolume} mL,{' '}
+              {analysis.converted.metadata.dilution}× dilution
+            </Text>
+          </>
+        )}
         <View style={styles.resultRow}>
           <Text style={styles.resultLabel}>Time Window:</Text>
           <Text style={styles.resultValue}>
             {typeof analysis.startTime === 'number' ? `${analysis.startTime.toFixed(2)}s` : 'N/A'} - {typeof analysis.endTime === 'number' ? `${analysis.endTime.toFixed(2)}s` : 'N/A'}
+            {analysis.pointsInWindow ? ` (${analysis.pointsInWindow} pts)` : ''}
           </Text>
         </View>
+        {analysis.lagDetected && (
+          <View style={styles.resultRow}>
+            <Text style={styles.resultLabel}>Lag / Mixing Phase:</Text>
+            <Text style={styles.resultValue}>{analysis.lagTime.toFixed(2)}s skipped</Text>
+          </View>
+        )}
         <View style={styles.resultRow}>
           <Text style={styles.resultLabel}>R² (Fit Quality):</Text>
           <Text style={styles.resultValue}>{(analysis.r_squared || 0).toFixed(4)}</Text>
         </View>
+        {signalFilters.hasFilters(analysis.filters) && (
+          <View style={styles.resultRow}>
+            <Text style={styles.resultLabel}>Filters:</Text>
+            <Text style={styles.resultValue}>
+              {signalFilters.describeFilters(analysis.filters)}
+              {analysis.filters.hampel ? ` · ${analysis.outliersReplaced} outliers replaced` : ''}
+            </Text>
+          </View>
+        )}
+        {analysis.filters?.savitzkyGolay && (
+          <Text style={styles.graphDescription}>
+            Smoothing correlates neighbouring frames, so standard errors and intervals from smoothed data are optimistic.
+          </Text>
+        )}
         <View style={styles.resultRow}>
           <Text style={styles.resultLabel}>Primary Channel:</Text>
-          <Text style={styles.resultValue}>{(analysis.primaryChannel || 'N/A').toUpperCase()}</Text>
+          <Text style={styles.resultValue}>{channelModel.channelLabel(analysis.primaryChannel, result.assay)}</Text>
         </View>
+        {typeof analysis.noiseFloor === 'number' && (
+          <View style={styles.resultRow}>
+            <Text style={styles.resultLabel}>Noise Floor (LOD, 3σ):</Text>
+            <Text style={styles.resultValue}>
+              ±{analysis.noiseFloor.toFixed(4)} A · {analysis.pointsBelowNoiseFloor} pts below
+            </Text>
+          </View>
+        )}
+        {analysis.linearityWarning && (
+          <Text style={styles.blankReportWarning}>⚠ {analysis.linearityWarning}</Text>
+        )}
+        {analysis.slopeSignificant === false && (
+          <Text style={styles.blankReportWarning}>
+            ⚠ No early window has a slope significantly different from zero; V₀ is from the longest straight window.
+          </Text>
+        )}
+        {analysis.curvatureDetected && analysis.pointsInWindow <= analysisUtils.DEFAULT_INITIAL_RATE_OPTIONS.minPoints && (
+          <Text style={styles.blankReportWarning}>
+            ⚠ The curve bends from the start; V₀ is the tangent over the shortest window. Consider a lower enzyme concentration.
+          </Text>
+        )}
+        {analysis.rateDetectable === false && (
+          <Text style={styles.blankReportWarning}>
+            ⚠ The absorbance change over the fit window is within the blank noise; V₀ is not distinguishable from zero.
+          </Text>
+        )}
+        {blankChannels && (
+          <View style={styles.resultRow}>
+            <Text style={styles.resultLabel}>Blank Noise (CV R/G/B):</Text>
+            <Text style={styles.resultValue}>
+              {['r', 'g', 'b'].map((c) => `${(blankChannels[c].cv * 100).toFixed(2)}%`).join(' / ')}
+            </Text>
+          </View>
+        )}
+        {darkLevel && (
+          <View style={styles.resultRow}>
+            <Text style={styles.resultLabel}>Dark Level (R/G/B):</Text>
+            <Text style={styles.resultValue}>
+              {['r', 'g', 'b'].map((c) => darkLevel[c].toFixed(1)).join(' / ')} ({result.dark.frameCount} frames)
+            </Text>
+          </View>
+        )}
+        {result.dark?.warnings?.map((warning) => (
+          <Text key={warning} style={styles.blankReportWarning}>⚠ {warning}</Text>
+        ))}
+        {result.stopReason && (
+          <View style={styles.resultRow}>
+            <Text style={styles.resultLabel}>Auto-stopped:</Text>
+            <Text style={[styles.resultValue, { flex: 1, textAlign: 'right' }]}>{result.stopReason}</Text>
+          </View>
+        )}
+        {result.preset && (
+          <View style={styles.resultRow}>
+            <Text style={styles.resultLabel}>Layout Preset:</Text>
+            <Text style={styles.resultValue}>{result.preset}</Text>
+          </View>
+        )}
+        {result.cameraLock?.settings && (
+          <View style={styles.resultRow}>
+            <Text style={styles.resultLabel}>Camera Lock:</Text>
+            <Text style={styles.resultValue}>
+              {result.cameraLock.settings.exposureTime}s, ISO {result.cameraLock.settings.iso}
+            </Text>
+          </View>
+        )}
+        {result.cameraLock?.settings && (
+          <Text style={styles.graphDescription}>
+            Focus {result.cameraLock.focusLocked ? 'held' : 'not held'}.{' '}
+            Checked on every frame, not enforced: {(result.cameraLock.checked || cameraLock.CHECKED_SETTINGS).join(', ')}.
+          </Text>
+        )}
+        {typeof analysis.droppedFrames === 'number' && (
+          <View style={styles.resultRow}>
+            <Text style={styles.resultLabel}>Frames Rejected:</Text>
+            <Text style={styles.resultValue}>{analysis.droppedFrames} / {absorbanceData.length}</Text>
+          </View>
+        )}
       </View>
 
       {/* AI Analysis Comment */}
@@ -1150,6 +2175,23 @@ function ResultsScreen({ result, onBack }) {
                 <Text style={[styles.channelToggleText, showB && styles.channelToggleTextActive]}>🔵 Blue</Text>
               </TouchableOpacity>
             </View>
+
+            {/* Progress-curve fit overlays */}
+            {progressFits && (
+              <View style={[styles.channelToggleContainer, { flexWrap: 'wrap' }]}>
+                {progressFits.fits.filter((fit) => !fit.error).map((fit) => (
+                  <TouchableOpacity
+                    key={fit.model}
+                    style={[styles.channelToggle, isFitShown(fit) && styles.channelToggleActive]}
+                    onPress={() => setFitOverlays((prev) => ({ ...prev, [fit.model]: !isFitShown(fit) }))}
+                  >
+                    <Text style={[styles.channelToggleText, isFitShown(fit) && styles.channelToggleTextActive, { color: PROGRESS_FIT_COLORS[fit.model] }]}>
+                      {fit.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
             
             {(() => {
               const labels = chartTime.slice(0, Math.min(10, chartTime.length)).map((t) => t.toFixed(1));
@@ -1172,8 +2214,10 @@ function ResultsScreen({ result, onBack }) {
                         color: (opacity = 1) => `rgba(200, 200, 200, ${opacity})`,
                         labelColor: () => '#a0a0a0',
                         strokeWidth: 2,
+                        decimalPlaces: 3,
                       }}
                       bezier
+                      withShadow={false}
                       withInnerLines={false}
                       withOuterLines={true}
                       withVerticalLabels={true}
@@ -1181,7 +2225,11 @@ function ResultsScreen({ result, onBack }) {
                     />
                   </ScrollView>
                   <View style={styles.axisLabels}>
-                    <Text style={styles.axisLabel}>X: Time (s) | Y: Absorbance (A)</Text>
+                    <Text style={styles.axisLabel}>
+                      X: Time (s) | Y: Absorbance (A) | grey: zero, orange: ±noise floor
+                      {assayChannel ? `, white: ${assayChannel.label}` : ''}
+                      {progressFits ? ', fits as labelled above' : ''}
+                    </Text>
                   </View>
                 </>
               );
@@ -1189,6 +2237,69 @@ function ResultsScreen({ result, onBack }) {
           </View>
         )}
 
+        {/* Progress-curve fits, ranked by AIC */}
+        {fitsPending && (
+          <View style={styles.graphBox}>
+            <Text style={styles.chartTitle}>🧮 Progress-Curve Fits</Text>
+            <Text style={styles.graphDescription}>Fitting whole-curve models…</Text>
+          </View>
+        )}
+        {progressFits && (
+          <View style={styles.graphBox}>
+            <Text style={styles.chartTitle}>🧮 Progress-Curve Fits ({channelModel.channelLabel(progressFits.channel, result.assay)})</Text>
+            <Text style={styles.graphDescription}>
+              Whole-curve models ranked by AIC (lowest first). ΔAIC above ~4 means a model is clearly worse.
+            </Text>
+            {progressFits.ambiguous && (
+              <Text style={styles.blankReportWarning}>
+                ⚠ {progressFits.fits[1].label} is within ΔAIC {progressCurve.AMBIGUOUS_DELTA_AIC} of the best model: the data
+                cannot tell them apart, so do not rely on the choice of model.
+              </Text>
+            )}
+            {progressFits.fits.map((fit) => (
+              <View key={fit.model} style={{ marginTop: 10 }}>
+                <Text style={[styles.resultLabel, { color: PROGRESS_FIT_COLORS[fit.model] }]}>
+                  {fit.model === progressFits.best ? '★ ' : ''}{fit.label}
+                </Text>
+                {fit.error ? (
+                  <Text style={styles.blankReportWarning}>⚠ {fit.error}</Text>
+                ) : (
+                  <>
+                    <Text style={styles.graphDescription}>{progressCurve.PROGRESS_MODELS[fit.model].equation}</Text>
+                    {Object.entries(fit.named).map(([name, p]) => (
+                      <View key={name} style={styles.resultRow}>
+                        <Text style={styles.resultLabel}>{name}:</Text>
+                        <Text style={styles.resultValue}>
+                          {p.value.toPrecision(4)}{Number.isFinite(p.se) ? ` ± ${p.se.toPrecision(2)}` : ''} {p.units}
+                        </Text>
+                      </View>
+                    ))}
+                    <View style={styles.resultRow}>
+                      <Text style={styles.resultLabel}>Initial rate:</Text>
+                      <Text style={styles.resultValue}>{fit.initialRate.toFixed(6)} A/s</Text>
+                    </View>
+                    <View style={styles.resultRow}>
+                      <Text style={styles.resultLabel}>AIC (ΔAIC, weight):</Text>
+                      <Text style={styles.resultValue}>
+                        {fit.aic.toFixed(1)} ({fit.deltaAIC.toFixed(1)}, {(fit.akaikeWeight * 100).toFixed(0)}%)
+                      </Text>
+                    </View>
+                    <View style={styles.resultRow}>
+                      <Text style={styles.resultLabel}>R² · residual SD:</Text>
+                      <Text style={styles.resultValue}>
+                        {fit.rSquared.toFixed(4)} · {fit.residualSD.toExponential(2)} A
+                      </Text>
+                    </View>
+                    {!fit.converged && (
+                      <Text style={styles.blankReportWarning}>⚠ Did not converge; treat the parameters as rough.</Text>
+                    )}
+                  </>
+                )}
+              </View>
+            ))}
+          </View>
+        )}
+
         {/* Graph 2: Rate Curve (Derivative) */}
         {chartTime.length > 2 && (
           (() => {
@@ -1197,13 +2308,28 @@ function ResultsScreen({ result, onBack }) {
             const derivativeB = [];
             const derivTime = [];
             
-            for (let i = 1; i < chartTime.length; i++) {
-              const dt = chartTime[i] - chartTime[i - 1];
-              if (dt > 0) {
-                derivativeR.push((chartR[i] - chartR[i - 1]) / dt);
-                derivativeG.push((chartG[i] - chartG[i - 1]) / dt);
-                derivativeB.push((chartB[i] - chartB[i - 1]) / dt);
-                derivTime.push(chartTime[i]);
+            if (signalFilters.hasFilters(analysis.filters)) {
+              // Same filters as the analysis; a raw first difference would amplify every spike
+              const [rateR, rateG, rateB] = [chartR, chartG, chartB].map((values) =>
+                signalFilters.derivativeSeries(chartTime, values, analysis.filters)
+              );
+              chartTime.forEach((t, i) => {
+                if ([rateR[i], rateG[i], rateB[i]].every(Number.isFinite)) {
+                  derivativeR.push(rateR[i]);
+                  derivativeG.push(rateG[i]);
+                  derivativeB.push(rateB[i]);
+                  derivTime.push(t);
+                }
+              });
+            } else {
+              for (let i = 1; i < chartTime.length; i++) {
+                const dt = chartTime[i] - chartTime[i - 1];
+                if (dt > 0) {
+                  derivativeR.push((chartR[i] - chartR[i - 1]) / dt);
+                  derivativeG.push((chartG[i] - chartG[i - 1]) / dt);
+                  derivativeB.push((chartB[i] - chartB[i - 1]) / dt);
+                  derivTime.push(chartTime[i]);
+                }
               }
             }
             
@@ -1211,7 +2337,10 @@ function ResultsScreen({ result, onBack }) {
               return (
                 <View style={styles.graphBox}>
                   <Text style={styles.chartTitle}>📉 Reaction Rate (dA/dt)</Text>
-                  <Text style={styles.graphDescription}>Shows how fast the reaction is proceeding over time</Text>
+                  <Text style={styles.graphDescription}>
+                    Shows how fast the reaction is proceeding over time
+                    {signalFilters.hasFilters(analysis.filters) ? ` (filtered: ${signalFilters.describeFilters(analysis.filters)})` : ''}
+                  </Text>
                   {(() => {
                     const labels = derivTime.slice(0, Math.min(8, derivTime.length)).map((t) => t.toFixed(1));
                     const datasets = [
@@ -1265,12 +2394,12 @@ function ResultsScreen({ result, onBack }) {
                 </Text>
                 {(() => {
                     const labels = chartTime.slice(0, Math.min(8, chartTime.length)).map((t) => t.toFixed(1));
-                    const sampleR = result.absorbanceData.map(d => d.sample.r);
-                    const sampleG = result.absorbanceData.map(d => d.sample.g);
-                    const sampleB = result.absorbanceData.map(d => d.sample.b);
-                    const refR = result.absorbanceData.map(d => d.reference.r);
-                    const refG = result.absorbanceData.map(d => d.reference.g);
-                    const refB = result.absorbanceData.map(d => d.reference.b);
+                    const sampleR = absorbanceData.map(d => d.sample.r);
+                    const sampleG = absorbanceData.map(d => d.sample.g);
+                    const sampleB = absorbanceData.map(d => d.sample.b);
+                    const refR = absorbanceData.map(d => d.reference.r);
+                    const refG = absorbanceData.map(d => d.reference.g);
+                    const refB = absorbanceData.map(d => d.reference.b);
 
                     const datasets = [
                         { data: sampleR, color: () => 'rgba(255,100,100,1)', strokeWidth: 2, withDots: false },
@@ -1399,17 +2528,23 @@ function ResultsScreen({ result, onBack }) {
       {analysis.phases && analysis.phases.length > 0 && (
         <View style={styles.phaseBox}>
           <Text style={styles.boxTitle}>📊 Kinetic Phases with Timestamps</Text>
-          <Text style={styles.graphDescription}>Linear regression analysis on specific time intervals - verify these times on the Progress Curve above</Text>
+          <Text style={styles.graphDescription}>
+            Piecewise-linear phases with automatically placed breakpoints - verify these times on the Progress Curve above
+          </Text>
           {analysis.phases.map((phase, idx) => (
             <View key={idx} style={styles.phaseItem}>
               <Text style={styles.phaseName}>{phase.name}</Text>
               <View style={styles.phaseRow}>
                 <Text style={styles.phaseLabel}>Time Window:</Text>
-                <Text style={styles.phaseValue}>{phase.timeStart}s - {phase.timeEnd}s</Text>
+                <Text style={styles.phaseValue}>
+                  {phase.timeStart}s - {phase.timeEnd}s{phase.points ? ` (${phase.points} pts)` : ''}
+                </Text>
               </View>
               <View style={styles.phaseRow}>
                 <Text style={styles.phaseLabel}>Velocity (slope):</Text>
-                <Text style={styles.phaseValue}>{phase.slope.toFixed(6)} A/s</Text>
+                <Text style={styles.phaseValue}>
+                  {phase.slope.toFixed(6)}{Number.isFinite(phase.slope_se) ? ` ± ${phase.slope_se.toFixed(6)}` : ''} A/s
+                </Text>
               </View>
               <View style={styles.phaseRow}>
                 <Text style={styles.phaseLabel}>R² (fit quality):</Text>
@@ -1423,7 +2558,9 @@ function ResultsScreen({ result, onBack }) {
       {/* Data Table */}
       <View style={styles.dataTableContainer}>
         <Text style={styles.boxTitle}>📋 Raw Scan Data</Text>
-        <Text style={styles.graphDescription}>All absorbance measurements from the scan</Text>
+        <Text style={styles.graphDescription}>
+          All absorbance measurements from the scan (signed; greyed values are within the blank noise floor)
+        </Text>
         <ScrollView style={{ height: 300 }}>
           <ScrollView horizontal showsHorizontalScrollIndicator={true}>
             <View style={styles.dataTable}>
@@ -1432,21 +2569,27 @@ function ResultsScreen({ result, onBack }) {
                 <Text style={[styles.tableCell, styles.absCell]}>A(R)</Text>
                 <Text style={[styles.tableCell, styles.absCell]}>A(G)</Text>
                 <Text style={[styles.tableCell, styles.absCell]}>A(B)</Text>
+                {assayChannel && <Text style={[styles.tableCell, styles.absCell]}>A({assayChannel.label})</Text>}
               </View>
-              {result.absorbanceData.map((data, idx) => (
+              {absorbanceData.map((data, idx) => (
                 <View key={idx} style={styles.tableRow}>
                   <Text style={[styles.tableCell, styles.timeCell]}>
                     {data.time.toFixed(1)}
                   </Text>
-                  <Text style={[styles.tableCell, styles.absCell]}>
+                  <Text style={[styles.tableCell, styles.absCell, data.belowNoiseFloor?.r && styles.belowNoiseFloorCell]}>
                     {data.abs.r.toFixed(4)}
                   </Text>
-                  <Text style={[styles.tableCell, styles.absCell]}>
+                  <Text style={[styles.tableCell, styles.absCell, data.belowNoiseFloor?.g && styles.belowNoiseFloorCell]}>
                     {data.abs.g.toFixed(4)}
                   </Text>
-                  <Text style={[styles.tableCell, styles.absCell]}>
+                  <Text style={[styles.tableCell, styles.absCell, data.belowNoiseFloor?.b && styles.belowNoiseFloorCell]}>
                     {data.abs.b.toFixed(4)}
                   </Text>
+                  {assayChannel && (
+                    <Text style={[styles.tableCell, styles.absCell, data.belowNoiseFloor?.[assayChannel.id] && styles.belowNoiseFloorCell]}>
+                      {(data.abs[assayChannel.id] ?? 0).toFixed(4)}
+                    </Text>
+                  )}
                 </View>
               ))}
             </View>
@@ -1468,6 +2611,10 @@ function getStatusColor(state) {
   switch (state) {
     case STATES.IDLE:
       return '#868E96';
+    case STATES.DARK:
+      return '#9775FA';
+    case STATES.DARK_COMPLETE:
+      return '#D0BFFF';
     case STATES.BLANKING_COUNTDOWN:
       return '#FFD43B';
     case STATES.BLANKING:
@@ -1475,7 +2622,10 @@ function getStatusColor(state) {
     case STATES.BLANKING_COMPLETE:
       return '#A5D8FF';
     case STATES.SCANNING:
+    case STATES.READING:
       return '#51CF66';
+    case STATES.ENDPOINT_READY:
+      return '#A5D8FF';
     case STATES.PROCESSING:
       return '#748FFC';
     default:
@@ -1483,7 +2633,7 @@ function getStatusColor(state) {
   }
 }
 
-const styles = StyleSheet.create({
+const appStyles = StyleSheet.create({
   container: {
     flex: 1,
     backgroundColor: '#1e1e1e',
@@ -1551,16 +2701,6 @@ const styles = StyleSheet.create({
   camera: {
     flex: 1,
   },
-  roi: {
-    position: 'absolute',
-    borderWidth: 2,
-  },
-  sampleROI: {
-    borderColor: '#ffd700', // Yellow/Gold
-  },
-  referenceROI: {
-    borderColor: '#007acc', // Blue
-  },
   statusBadge: {
     position: 'absolute',
     top: 8,
@@ -1582,23 +2722,6 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     paddingBottom: 110,
   },
-  controlLabel: {
-    fontSize: 12,
-    color: '#a0a0a0',
-    fontWeight: '500',
-    marginBottom: 8,
-  },
-  slider: {
-    width: '100%',
-    height: 40,
-  },
-  controlValue: {
-    fontSize: 12,
-    color: '#d4d4d4',
-    fontWeight: 'bold',
-    textAlign: 'center',
-    marginBottom: 8,
-  },
   chartTitle: {
     fontSize: 14,
     fontWeight: 'bold',
@@ -1690,6 +2813,14 @@ const styles = StyleSheet.create({
     fontSize: 12,
     marginTop: 12,
   },
+  qualityRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  qualityMetric: {
+    fontSize: 11,
+    color: '#d4d4d4',
+  },
   emptyBox: {
     flex: 1,
     justifyContent: 'center',
@@ -1842,6 +2973,9 @@ const styles = StyleSheet.create({
     textAlign: 'right',
     minWidth: 100,
   },
+  belowNoiseFloorCell: {
+    color: '#666666',
+  },
   graphsSection: {
     marginVertical: 8,
   },
@@ -1913,3 +3047,6 @@ const styles = StyleSheet.create({
     lineHeight: 16,
   },
 });
+
+// The settings chips, inputs and report boxes are shared with the settings panels
+const styles = { ...controlStyles, ...appStyles };
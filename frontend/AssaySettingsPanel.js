@@ -0,0 +1,151 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import * as channelModel from './channelModel';
+import * as layoutPresets from './layoutPresets';
+import NumberField from './NumberField';
+import { controlStyles as styles } from './controlStyles';
+
+/**
+ * Assay settings: the chromophore and its RGB channel mix (or a custom
+ * pseudo-wavelength channel), the metadata that converts rates to µM/min
+ * and U/mL, and the channel the analysis fits.
+ */
+export default function AssaySettingsPanel({
+  assay,
+  onAssayChange,
+  assayMetadata,
+  onAssayMetadataChange,
+  preferredChannel,
+  onPreferredChannelChange,
+}) {
+  const handleSelectAssay = (selected) => {
+    onAssayChange(selected);
+    // Known chromophores bring their extinction coefficient. Any other assay starts without one, so
+    // the previous chromophore's ε cannot silently convert its rates; the user types it in
+    onAssayMetadataChange({ ...assayMetadata, extinctionCoefficient: selected.extinctionCoefficient || null });
+  };
+
+  const updateAssayMetadata = (changes) => onAssayMetadataChange({ ...assayMetadata, ...changes });
+
+  const updateCustomChannel = (changes) => {
+    const current = { ...assay.channel, ...changes };
+    onAssayChange({ ...assay, channel: channelModel.createChannel(current.wavelength || 0, current.weights) });
+  };
+
+  return (
+    <>
+      <Text style={styles.controlLabel}>Assay</Text>
+      <View style={styles.roiChipRow}>
+        {channelModel.DEFAULT_ASSAYS.map((a) => (
+          <TouchableOpacity
+            key={a.id}
+            style={[styles.roiChip, a.id === assay.id && styles.roiChipActive]}
+            onPress={() => handleSelectAssay(a)}
+          >
+            <Text style={styles.roiChipText}>{a.name}</Text>
+          </TouchableOpacity>
+        ))}
+        <TouchableOpacity
+          style={[styles.roiChip, assay.id === 'custom' && styles.roiChipActive]}
+          onPress={() =>
+            onAssayChange({
+              id: 'custom',
+              name: 'Custom channel',
+              channel: assay.channel || channelModel.createChannel(450, { b: 1 }),
+              fixChannel: true,
+            })
+          }
+        >
+          <Text style={styles.roiChipText}>Custom…</Text>
+        </TouchableOpacity>
+      </View>
+      {assay.id === 'custom' && (
+        <View style={styles.protocolGrid}>
+          <NumberField
+            label="Wavelength (nm)"
+            value={assay.channel.wavelength}
+            onChange={(v) => updateCustomChannel({ wavelength: v })}
+          />
+          {['r', 'g', 'b'].map((c) => (
+            <NumberField
+              key={c}
+              label={`${c.toUpperCase()} weight`}
+              value={assay.channel.weights[c]}
+              onChange={(v) => updateCustomChannel({ weights: { ...assay.channel.weights, [c]: v } })}
+            />
+          ))}
+        </View>
+      )}
+      {assay.channel && (
+        <Text style={styles.roiHint}>
+          {assay.channel.label} ≈ {['r', 'g', 'b']
+            .filter((c) => assay.channel.weights[c])
+            .map((c) => `${assay.channel.weights[c]}·${c.toUpperCase()}`)
+            .join(' + ')}
+        </Text>
+      )}
+
+      <Text style={styles.controlLabel}>Rate conversion (leave ε empty for A/s only)</Text>
+      <View style={styles.protocolGrid}>
+        <NumberField
+          label="ε (M⁻¹·cm⁻¹)"
+          value={assayMetadata.extinctionCoefficient}
+          onChange={(v) => updateAssayMetadata({ extinctionCoefficient: v })}
+          placeholder="none"
+        />
+        <NumberField
+          label="Path length (cm)"
+          value={assayMetadata.pathLength}
+          onChange={(v) => updateAssayMetadata({ pathLength: v })}
+        />
+        <NumberField
+          label="Reaction volume (mL)"
+          value={assayMetadata.reactionVolume}
+          onChange={(v) => updateAssayMetadata({ reactionVolume: v })}
+        />
+        <NumberField
+          label="Enzyme volume (mL)"
+          value={assayMetadata.enzymeVolume}
+          onChange={(v) => updateAssayMetadata({ enzymeVolume: v })}
+        />
+        <NumberField
+          label="Enzyme dilution (fold)"
+          value={assayMetadata.dilution}
+          onChange={(v) => updateAssayMetadata({ dilution: v })}
+        />
+      </View>
+
+      <Text style={styles.controlLabel}>Analysis channel</Text>
+      <View style={styles.roiChipRow}>
+        {assay.fixChannel && assay.channel ? (
+          <TouchableOpacity
+            style={[styles.roiChip, styles.roiChipActive]}
+            onPress={() => onAssayChange({ ...assay, fixChannel: false })}
+          >
+            <Text style={styles.roiChipText}>Fixed: {assay.channel.label} (tap to unlock)</Text>
+          </TouchableOpacity>
+        ) : (
+          <>
+            {layoutPresets.CHANNEL_OPTIONS.map((channel) => (
+              <TouchableOpacity
+                key={channel}
+                style={[styles.roiChip, channel === preferredChannel && styles.roiChipActive]}
+                onPress={() => onPreferredChannelChange(channel)}
+              >
+                <Text style={styles.roiChipText}>{channelModel.channelLabel(channel)}</Text>
+              </TouchableOpacity>
+            ))}
+            {assay.channel && (
+              <TouchableOpacity
+                style={styles.roiChip}
+                onPress={() => onAssayChange({ ...assay, fixChannel: true })}
+              >
+                <Text style={styles.roiChipText}>Fix to {assay.channel.label}</Text>
+              </TouchableOpacity>
+            )}
+          </>
+        )}
+      </View>
+    </>
+  );
+}
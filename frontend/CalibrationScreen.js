@@ -0,0 +1,577 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  ScrollView,
+  TouchableOpacity,
+  StyleSheet,
+  TextInput,
+  Dimensions,
+  Alert,
+} from 'react-native';
+import { LineChart } from 'react-native-chart-kit';
+import * as calibration from './calibration';
+import * as linearity from './linearity';
+import { channelLabel } from './channelModel';
+
+const { width: screenWidth } = Dimensions.get('window');
+
+// Reads sharing a label are replicates of the same unknown
+const groupUnknowns = (reads) => {
+  const groups = {};
+  for (const read of reads) {
+    (groups[read.label] = groups[read.label] || []).push(read);
+  }
+  return Object.entries(groups).map(([label, members]) => ({ label, reads: members }));
+};
+
+/**
+ * Standard-curve workflow for endpoint reads taken on the Scanner tab.
+ * Reads given a concentration are standards; every other read is an
+ * unknown and is interpolated on the active (fitted or saved) calibration.
+ * The same standards can be run as a dilution series to characterise the
+ * detector's linear range, which kinetic scans are then checked against.
+ */
+export function CalibrationScreen({ reads, onDeleteRead, linearityProfile, onLinearityProfileChange }) {
+  const safeReads = useMemo(() => (Array.isArray(reads) ? reads : []), [reads]);
+  const [concentrations, setConcentrations] = useState({});
+  const [modelId, setModelId] = useState('linear');
+  const [channel, setChannel] = useState(null);
+  const [units, setUnits] = useState('µg/mL');
+  const [activeCalibration, setActiveCalibration] = useState(null);
+  const [savedCalibrations, setSavedCalibrations] = useState([]);
+  const [nameInput, setNameInput] = useState('');
+  const [linearityResult, setLinearityResult] = useState(null); // Characterised but not yet saved
+
+  useEffect(() => {
+    calibration
+      .loadCalibrations()
+      .then(setSavedCalibrations)
+      .catch((err) => console.error('Failed to load calibrations:', err));
+  }, []);
+
+  // Channels every read measured; the reads' own analysis channel is the default
+  const channelOptions = useMemo(() => {
+    if (safeReads.length === 0) return [];
+    return Object.keys(safeReads[0].abs).filter((key) => safeReads.every((read) => key in read.abs));
+  }, [safeReads]);
+  const assay = safeReads[0]?.assay;
+  const selectedChannel = channel || safeReads[0]?.analysisChannel || 'auto';
+  const displayChannels = selectedChannel === 'auto' ? ['r', 'g', 'b'] : [selectedChannel];
+
+  const standards = safeReads.filter((read) => {
+    const text = concentrations[read.id];
+    return text != null && text.trim() !== '' && !Number.isNaN(Number(text));
+  });
+  const unknowns = groupUnknowns(safeReads.filter((read) => !standards.includes(read)));
+
+  const handleFit = () => {
+    // 'auto' keeps the raw channel whose curve fits best
+    const candidates = selectedChannel === 'auto' ? ['r', 'g', 'b'] : [selectedChannel];
+    let best = null;
+    let lastError = null;
+    for (const candidate of candidates) {
+      try {
+        const fitted = calibration.fitCalibration(
+          standards.map((read) => ({
+            concentration: Number(concentrations[read.id]),
+            absorbance: read.abs[candidate],
+            label: read.label,
+          })),
+          modelId,
+          { channel: candidate, units, assay: assay ? { id: assay.id, name: assay.name, channel: assay.channel } : null }
+        );
+        if (!best || fitted.rSquared > best.rSquared) best = fitted;
+      } catch (err) {
+        lastError = err;
+      }
+    }
+    if (!best) {
+      Alert.alert('Calibration Failed', lastError ? lastError.message : 'No standards.');
+      return;
+    }
+    setActiveCalibration(best);
+  };
+
+  const handleCharacterizeLinearity = () => {
+    try {
+      setLinearityResult(
+        linearity.characterizeLinearity(
+          standards.map((read) => ({ nominal: Number(concentrations[read.id]), abs: read.abs }))
+        )
+      );
+    } catch (err) {
+      Alert.alert('Linearity Failed', err.message);
+    }
+  };
+
+  const handleSaveLinearity = async () => {
+    try {
+      onLinearityProfileChange?.(await linearity.saveLinearityProfile(linearityResult));
+      setLinearityResult(null);
+    } catch (err) {
+      Alert.alert('Save Failed', err.message);
+    }
+  };
+
+  const handleClearLinearity = async () => {
+    try {
+      onLinearityProfileChange?.(await linearity.clearLinearityProfile());
+    } catch (err) {
+      Alert.alert('Clear Failed', err.message);
+    }
+  };
+
+  const renderLinearity = (profile, saved) => (
+    <View style={styles.resultsBox}>
+      <Text style={styles.boxTitle}>
+        {saved ? 'Detector Range (in use)' : 'Detector Linearity'} · {profile.pointCount} points
+      </Text>
+      {Object.entries(profile.channels).map(([id, channelRange]) => (
+        <View key={id} style={styles.resultRow}>
+          <Text style={styles.resultLabel}>{channelLabel(id, assay)}</Text>
+          <Text style={[styles.resultValue, channelRange.maxAbsorbance == null && styles.warning]}>
+            {channelRange.maxAbsorbance == null
+              ? 'Not linear at the lowest points'
+              : `${channelRange.minAbsorbance.toFixed(3)} – ${channelRange.maxAbsorbance.toFixed(3)} AU (${channelRange.pointsUsed}/${channelRange.pointsTotal} pts, R² ${channelRange.rSquared.toFixed(4)})`}
+          </Text>
+        </View>
+      ))}
+      <Text style={styles.readDetail}>
+        Linear while every point is within {(profile.options.maxDeviation * 100).toFixed(0)}% of the line ·{' '}
+        {new Date(profile.characterizedAt).toLocaleString()}
+      </Text>
+      <TouchableOpacity
+        style={[styles.button, { marginHorizontal: 0, marginBottom: 0 }]}
+        onPress={saved ? handleClearLinearity : handleSaveLinearity}
+      >
+        <Text style={styles.buttonText}>{saved ? 'Stop Checking Scans' : 'Use for Scans'}</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const handleSaveCalibration = async () => {
+    if (!activeCalibration) return;
+    try {
+      setSavedCalibrations(await calibration.upsertCalibration(nameInput, activeCalibration));
+      setActiveCalibration((prev) => ({ ...prev, name: nameInput.trim() }));
+    } catch (err) {
+      Alert.alert('Save Failed', err.message);
+    }
+  };
+
+  const handleDeleteCalibration = (name) => {
+    Alert.alert('Delete Calibration', `Delete the calibration "${name}"?`, [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Delete',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            setSavedCalibrations(await calibration.deleteCalibration(name));
+            if (activeCalibration?.name === name) setActiveCalibration(null);
+          } catch (err) {
+            Alert.alert('Delete Failed', err.message);
+          }
+        },
+      },
+    ]);
+  };
+
+  const handleLoadCalibration = (saved) => {
+    setActiveCalibration(saved);
+    setModelId(saved.model);
+    setChannel(saved.channel);
+    setUnits(saved.units);
+    setNameInput(saved.name);
+  };
+
+  const renderCurve = () => {
+    const points = [...activeCalibration.standards].sort((a, b) => a.concentration - b.concentration);
+    return (
+      <View style={styles.graphBox}>
+        <Text style={styles.chartTitle}>Standard Curve</Text>
+        <LineChart
+          data={{
+            labels: points.map((p) => Number(p.concentration.toPrecision(3)).toString()),
+            datasets: [
+              { data: points.map((p) => p.absorbance), color: () => 'rgba(0, 122, 204, 1)', withDots: true, strokeWidth: 0 },
+              {
+                data: points.map((p) => calibration.predictAbsorbance(activeCalibration, p.concentration)),
+                color: () => 'rgba(212, 212, 212, 0.8)',
+                withDots: false,
+              },
+            ],
+          }}
+          width={screenWidth - 48}
+          height={220}
+          chartConfig={chartConfig}
+          withShadow={false}
+        />
+        <View style={styles.axisLabels}>
+          <Text style={styles.axisLabel}>
+            X: Concentration ({activeCalibration.units || 'units'}) | Y: Absorbance ({channelLabel(activeCalibration.channel, activeCalibration.assay)})
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <ScrollView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>Standard-Curve Calibration</Text>
+        <Text style={styles.subtitle}>
+          Take endpoint reads on the Scanner tab, enter the concentration of each standard and fit a curve.
+          Reads left blank are unknowns.
+        </Text>
+      </View>
+
+      {savedCalibrations.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionLabel}>Saved Calibrations</Text>
+          <View style={styles.chipRow}>
+            {savedCalibrations.map((saved) => (
+              <TouchableOpacity
+                key={saved.name}
+                style={[styles.chip, activeCalibration?.name === saved.name && styles.chipActive]}
+                onPress={() => handleLoadCalibration(saved)}
+                onLongPress={() => handleDeleteCalibration(saved.name)}
+              >
+                <Text style={styles.chipText}>{saved.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
+
+      <View style={styles.scanSelection}>
+        {safeReads.length === 0 && (
+          <Text style={styles.subtitle}>No endpoint reads yet. Switch the Scanner to Endpoint mode to take some.</Text>
+        )}
+        {safeReads.map((read) => (
+          <View key={read.id} style={styles.scanRow}>
+            <TouchableOpacity style={{ flex: 1 }} onLongPress={() => onDeleteRead?.(read.id)} delayLongPress={500}>
+              <Text style={styles.scanText}>{read.label}</Text>
+              <Text style={styles.readDetail}>
+                A {displayChannels.map((c) => channelLabel(c, assay)).join('/')}:{' '}
+                {displayChannels.map((c) => (read.abs[c] ?? NaN).toFixed(4)).join(' / ')} · {read.frames} frames
+              </Text>
+            </TouchableOpacity>
+            <TextInput
+              style={styles.input}
+              placeholder="conc."
+              placeholderTextColor="#666"
+              keyboardType="numeric"
+              onChangeText={(text) => setConcentrations((prev) => ({ ...prev, [read.id]: text }))}
+              value={concentrations[read.id] || ''}
+            />
+          </View>
+        ))}
+      </View>
+
+      <View style={styles.section}>
+        <Text style={styles.sectionLabel}>Model</Text>
+        <View style={styles.chipRow}>
+          {Object.values(calibration.CALIBRATION_MODELS).map((model) => (
+            <TouchableOpacity
+              key={model.id}
+              style={[styles.chip, modelId === model.id && styles.chipActive]}
+              onPress={() => setModelId(model.id)}
+            >
+              <Text style={styles.chipText}>{model.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <Text style={styles.sectionLabel}>Channel</Text>
+        <View style={styles.chipRow}>
+          {['auto', ...channelOptions].map((option) => (
+            <TouchableOpacity
+              key={option}
+              style={[styles.chip, selectedChannel === option && styles.chipActive]}
+              onPress={() => setChannel(option)}
+            >
+              <Text style={styles.chipText}>{channelLabel(option, assay)}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        <Text style={styles.sectionLabel}>Units</Text>
+        <TextInput style={styles.textInput} value={units} onChangeText={setUnits} placeholder="e.g. µg/mL" placeholderTextColor="#666" />
+      </View>
+
+      <TouchableOpacity style={styles.button} onPress={handleFit}>
+        <Text style={styles.buttonText}>Fit Curve ({standards.length} standards)</Text>
+      </TouchableOpacity>
+      <TouchableOpacity style={[styles.button, styles.secondaryButton, { marginTop: 0 }]} onPress={handleCharacterizeLinearity}>
+        <Text style={styles.buttonText}>Characterize Linearity (standards as dilution series)</Text>
+      </TouchableOpacity>
+
+      {(linearityResult || linearityProfile) && (
+        <View style={[styles.resultsContainer, { paddingBottom: 0 }]}>
+          {linearityResult && renderLinearity(linearityResult, false)}
+          {linearityProfile && renderLinearity(linearityProfile, true)}
+        </View>
+      )}
+
+      {activeCalibration && (
+        <View style={styles.resultsContainer}>
+          <View style={styles.resultsBox}>
+            <Text style={styles.boxTitle}>
+              {activeCalibration.name || 'Calibration'} · {calibration.CALIBRATION_MODELS[activeCalibration.model].label}
+            </Text>
+            <Text style={styles.equation}>{calibration.describeCalibration(activeCalibration)}</Text>
+            {calibration.CALIBRATION_MODELS[activeCalibration.model].parameterNames.map((name, i) => (
+              <View key={name} style={styles.resultRow}>
+                <Text style={styles.resultLabel}>{name}:</Text>
+                <Text style={styles.resultValue}>
+                  {activeCalibration.params[i].toPrecision(4)} ± {activeCalibration.se[i].toPrecision(2)}
+                </Text>
+              </View>
+            ))}
+            <View style={styles.resultRow}>
+              <Text style={styles.resultLabel}>R²:</Text>
+              <Text style={styles.resultValue}>{activeCalibration.rSquared.toFixed(4)}</Text>
+            </View>
+            <View style={styles.resultRow}>
+              <Text style={styles.resultLabel}>Residual SD:</Text>
+              <Text style={styles.resultValue}>{activeCalibration.residualSD.toFixed(4)} AU</Text>
+            </View>
+            <View style={styles.resultRow}>
+              <Text style={styles.resultLabel}>Range:</Text>
+              <Text style={styles.resultValue}>
+                {activeCalibration.range.min} – {activeCalibration.range.max} {activeCalibration.units}
+              </Text>
+            </View>
+            {activeCalibration.converged === false && (
+              <Text style={styles.warning}>⚠ The fit did not fully converge; check the standards.</Text>
+            )}
+            <View style={[styles.scanRow, { marginTop: 12, marginBottom: 0 }]}>
+              <TextInput
+                style={[styles.textInput, { flex: 1, marginRight: 8 }]}
+                value={nameInput}
+                onChangeText={setNameInput}
+                placeholder="Calibration name"
+                placeholderTextColor="#666"
+              />
+              <TouchableOpacity style={[styles.button, { margin: 0 }]} onPress={handleSaveCalibration}>
+                <Text style={styles.buttonText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+
+          {renderCurve()}
+
+          <View style={styles.resultsBox}>
+            <Text style={styles.boxTitle}>Unknowns (95% CI)</Text>
+            {unknowns.length === 0 && <Text style={styles.resultLabel}>No unknown reads.</Text>}
+            {unknowns.map((group) => {
+              const values = group.reads.map((read) => read.abs[activeCalibration.channel]);
+              if (values.some((v) => typeof v !== 'number')) {
+                return (
+                  <View key={group.label} style={styles.resultRow}>
+                    <Text style={styles.resultLabel}>{group.label}</Text>
+                    <Text style={styles.warning}>Channel not measured</Text>
+                  </View>
+                );
+              }
+              const mean = values.reduce((a, b) => a + b, 0) / values.length;
+              const result = calibration.interpolateConcentration(activeCalibration, mean, { replicates: values.length });
+              return (
+                <View key={group.label} style={styles.resultRow}>
+                  <Text style={styles.resultLabel}>
+                    {group.label}
+                    {values.length > 1 ? ` (n=${values.length})` : ''} · A {mean.toFixed(4)}
+                  </Text>
+                  {result.concentration == null ? (
+                    <Text style={styles.warning}>{result.reason}</Text>
+                  ) : (
+                    <Text style={[styles.resultValue, result.outOfRange && styles.warning]}>
+                      {result.concentration.toPrecision(4)} {activeCalibration.units} [{result.ci[0].toPrecision(3)}, {result.ci[1].toPrecision(3)}]
+                      {result.outOfRange ? ' ⚠' : ''}
+                    </Text>
+                  )}
+                </View>
+              );
+            })}
+          </View>
+        </View>
+      )}
+    </ScrollView>
+  );
+}
+
+const chartConfig = {
+  backgroundColor: '#252526',
+  backgroundGradientFrom: '#252526',
+  backgroundGradientTo: '#252526',
+  color: (opacity = 1) => `rgba(212, 212, 212, ${opacity})`,
+  labelColor: () => '#a0a0a0',
+  strokeWidth: 2,
+  decimalPlaces: 3,
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#1e1e1e',
+  },
+  header: {
+    padding: 16,
+    backgroundColor: '#252526',
+    borderBottomWidth: 1,
+    borderBottomColor: '#333333',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#d4d4d4',
+  },
+  subtitle: {
+    fontSize: 12,
+    color: '#a0a0a0',
+    marginTop: 4,
+  },
+  section: {
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  sectionLabel: {
+    fontSize: 12,
+    color: '#a0a0a0',
+    marginBottom: 6,
+    marginTop: 6,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    borderWidth: 1,
+    borderColor: '#555',
+    borderRadius: 12,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  chipActive: {
+    backgroundColor: '#007acc',
+    borderColor: '#007acc',
+  },
+  chipText: {
+    color: '#d4d4d4',
+    fontSize: 12,
+  },
+  scanSelection: {
+    padding: 16,
+  },
+  scanRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  scanText: {
+    color: '#d4d4d4',
+  },
+  readDetail: {
+    color: '#a0a0a0',
+    fontSize: 11,
+    marginTop: 2,
+  },
+  input: {
+    width: 70,
+    height: 30,
+    borderColor: '#a0a0a0',
+    borderWidth: 1,
+    borderRadius: 4,
+    color: '#d4d4d4',
+    textAlign: 'center',
+    padding: 4,
+  },
+  textInput: {
+    height: 34,
+    borderColor: '#a0a0a0',
+    borderWidth: 1,
+    borderRadius: 4,
+    color: '#d4d4d4',
+    paddingHorizontal: 8,
+  },
+  button: {
+    backgroundColor: '#007acc',
+    padding: 12,
+    borderRadius: 4,
+    alignItems: 'center',
+    margin: 16,
+  },
+  secondaryButton: {
+    backgroundColor: '#3a3d41',
+  },
+  buttonText: {
+    color: 'white',
+    fontWeight: 'bold',
+  },
+  resultsContainer: {
+    padding: 16,
+  },
+  resultsBox: {
+    backgroundColor: '#252526',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+  },
+  boxTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#d4d4d4',
+    marginBottom: 12,
+    textTransform: 'uppercase',
+  },
+  equation: {
+    fontSize: 12,
+    color: '#007acc',
+    marginBottom: 8,
+  },
+  resultRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    borderBottomColor: '#333333',
+    borderBottomWidth: 1,
+  },
+  resultLabel: {
+    fontSize: 12,
+    color: '#a0a0a0',
+    flexShrink: 1,
+  },
+  resultValue: {
+    fontSize: 12,
+    color: '#d4d4d4',
+    fontWeight: 'bold',
+  },
+  warning: {
+    fontSize: 12,
+    color: '#FFA94D',
+  },
+  graphBox: {
+    backgroundColor: '#252526',
+    borderRadius: 8,
+    padding: 12,
+    marginVertical: 8,
+    alignItems: 'center',
+  },
+  chartTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#d4d4d4',
+    marginBottom: 4,
+  },
+  axisLabels: {
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  axisLabel: {
+    fontSize: 11,
+    color: '#007acc',
+    fontWeight: '500',
+  },
+});
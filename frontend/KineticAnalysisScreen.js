@@ -10,15 +10,46 @@ import {
 } from 'react-native';
 import { LineChart } from 'react-native-chart-kit';
 import * as analysisUtils from './analysisUtils';
+import * as enzymeModels from './enzymeModels';
+import * as inhibitionModels from './inhibitionModels';
+import * as doseResponse from './doseResponse';
+import * as replicateStats from './replicateStats';
 
 const { width: screenWidth } = Dimensions.get('window');
 
+// One selectable entry per analysed sample trace, so each well of a
+// multi-ROI scan can be used as its own [S] point. Single-ROI scans give one entry.
+const buildScanEntries = (results) =>
+  results.flatMap((result) => {
+    const sampleTraces = (result.traces || []).filter((t) => t.role === 'sample' && t.analysis);
+    if (sampleTraces.length <= 1) {
+      return [{ id: result.id, label: result.timestamp, analysis: result.analysis }];
+    }
+    return sampleTraces.map((t) => ({
+      id: `${result.id}::${t.roiId}`,
+      label: `${result.timestamp} · ${t.name}`,
+      analysis: t.analysis,
+    }));
+  });
+
+const ANALYSIS_MODES = [
+  { id: 'kinetics', label: 'Substrate kinetics' },
+  { id: 'doseResponse', label: 'Dose-response (IC50)' },
+];
+
 export function KineticAnalysisScreen({ results }) {
+  const [analysisMode, setAnalysisMode] = useState('kinetics');
   const [selectedScanIds, setSelectedScanIds] = useState([]);
   const [substrateConcentrations, setSubstrateConcentrations] = useState({});
+  const [inhibitorConcentrations, setInhibitorConcentrations] = useState({});
+  const [replicateGroups, setReplicateGroups] = useState({});
+  const [outlierTest, setOutlierTest] = useState('grubbs');
+  const [compoundConcentrations, setCompoundConcentrations] = useState({});
+  const [controlIds, setControlIds] = useState([]);
   const [analysisData, setAnalysisData] = useState(null);
 
-  const safeResults = Array.isArray(results) ? results : [];
+  const safeResults = useMemo(() => (Array.isArray(results) ? results : []), [results]);
+  const scanEntries = useMemo(() => buildScanEntries(safeResults), [safeResults]);
 
   const handleToggleScan = (id) => {
     setSelectedScanIds((prev) =>
@@ -30,15 +61,84 @@ export function KineticAnalysisScreen({ results }) {
     setSubstrateConcentrations((prev) => ({ ...prev, [id]: text }));
   };
 
+  const handleInhibitorChange = (id, text) => {
+    setInhibitorConcentrations((prev) => ({ ...prev, [id]: text }));
+  };
+
+  const handleGroupChange = (id, text) => {
+    setReplicateGroups((prev) => ({ ...prev, [id]: text }));
+  };
+
+  const handleCompoundChange = (id, text) => {
+    setCompoundConcentrations((prev) => ({ ...prev, [id]: text }));
+  };
+
+  const handleToggleControl = (id) => {
+    setControlIds((prev) => (prev.includes(id) ? prev.filter((c) => c !== id) : [...prev, id]));
+  };
+
+  const handleModeChange = (mode) => {
+    setAnalysisMode(mode);
+    setAnalysisData(null);
+  };
+
+  const handleStartDoseResponse = () => {
+    const scans = selectedScanIds
+      .map((id) => {
+        const entry = scanEntries.find((e) => e.id === id);
+        const concentration = parseFloat(compoundConcentrations[id]);
+        const control = controlIds.includes(id);
+        if (entry && (control || !isNaN(concentration))) {
+          return { concentration: control ? 0 : concentration, v0: entry.analysis.v0, control };
+        }
+        return null;
+      })
+      .filter(Boolean);
+
+    let activity;
+    let fit = null;
+    let fitError = null;
+    try {
+      activity = doseResponse.percentActivity(scans);
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    try {
+      fit = doseResponse.fitDoseResponse(activity.points);
+    } catch (err) {
+      fitError = err.message;
+    }
+    // Zero concentrations have no place on the log axis
+    const plotted = activity.points.filter((p) => p.concentration > 0);
+    const curve = plotted.map((p) => ({ x: Math.log10(p.concentration), y: p.activity }));
+    setAnalysisData({
+      doseResponse: {
+        ...activity,
+        fit,
+        fitError,
+        curve,
+        fitted: fit ? doseResponse.evaluateDoseResponse(fit, curve.map((p) => p.x)) : null,
+      },
+    });
+  };
+
   const handleStartAnalysis = () => {
     const data = selectedScanIds
       .map((id) => {
-        const result = safeResults.find((r) => r.id === id);
+        const entry = scanEntries.find((e) => e.id === id);
         const concentration = parseFloat(substrateConcentrations[id]);
-        if (result && !isNaN(concentration)) {
+        if (entry && !isNaN(concentration)) {
+          // A blank [I] is an uninhibited scan
+          const inhibitor = parseFloat(inhibitorConcentrations[id]);
           return {
+            id,
+            label: entry.label,
+            group: replicateGroups[id],
             s: concentration,
-            v0: result.analysis.v0,
+            i: isNaN(inhibitor) ? 0 : inhibitor,
+            v0: entry.analysis.v0,
+            converted: entry.analysis.converted,
           };
         }
         return null;
@@ -50,20 +150,152 @@ export function KineticAnalysisScreen({ results }) {
       return;
     }
 
-    const calculatedData = analysisUtils.calculateKineticParameters(data);
-    setAnalysisData(calculatedData);
+    // Fit in µM/min when every selected scan carries a concentration conversion
+    const useConverted = data.every((d) => d.converted);
+    const rateUnit = useConverted ? 'µM/min' : 'A/s';
+
+    // Replicates of one condition become a single weighted point (their mean)
+    let groups;
+    try {
+      groups = replicateStats.groupReplicates(
+        data.map((d) => ({ ...d, v0: useConverted ? d.converted.rateMicroMolarPerMin : d.v0 })),
+        { outlierTest }
+      );
+    } catch (err) {
+      alert(err.message);
+      return;
+    }
+    if (groups.length < 2) {
+      alert('Please select at least two different conditions; replicates of one condition count once.');
+      return;
+    }
+    const rates = replicateStats.weightedRates(groups);
+    const replicates = groups.some((g) => g.n > 1) ? groups : null;
+
+    // Several inhibitor concentrations make it an inhibition study, fitted globally across the series
+    if (inhibitionModels.inhibitorLevels(rates).length > 1) {
+      let inhibition;
+      try {
+        inhibition = inhibitionModels.compareInhibitionModels(rates);
+      } catch (err) {
+        alert(err.message);
+        return;
+      }
+      const preferred = inhibition.fits.find((f) => f.model === inhibition.recommended) || null;
+      setAnalysisData({
+        inhibition,
+        replots: inhibitionModels.inhibitionReplots(rates, preferred),
+        replicates,
+        rateUnit,
+      });
+      return;
+    }
+
+    const calculatedData = analysisUtils.calculateKineticParameters(rates);
+    setAnalysisData({
+      ...calculatedData,
+      models: enzymeModels.compareEnzymeModels(rates),
+      replicates,
+      rateUnit,
+    });
   };
 
-  const renderChart = (title, data, xLabel, yLabel) => {
+  const renderReplicates = (groups, rateUnit) => {
+    if (!groups) return null;
+    return (
+      <View style={styles.resultsBox}>
+        <Text style={styles.boxTitle}>Replicate Groups</Text>
+        {groups.filter((g) => g.n > 1).map((g) => (
+          <View key={g.key} style={styles.modelBlock}>
+            <Text style={styles.modelTitle}>
+              {g.tag} · [S] {g.s}{g.i ? ` · [I] ${g.i}` : ''}
+            </Text>
+            <View style={styles.resultRow}>
+              <Text style={styles.resultLabel}>V₀ mean ± SD (n):</Text>
+              <Text style={styles.resultValue}>
+                {g.mean.toPrecision(4)} ± {Number.isFinite(g.sd) ? g.sd.toPrecision(3) : 'n/a'} {rateUnit} ({g.n})
+              </Text>
+            </View>
+            <View style={styles.resultRow}>
+              <Text style={styles.resultLabel}>CV:</Text>
+              <Text style={styles.resultValue}>{Number.isFinite(g.cv) ? `${g.cv.toFixed(1)}%` : 'n/a'}</Text>
+            </View>
+            {g.members.filter((m) => m.outlier).map((m) => (
+              <Text key={m.id} style={styles.warning}>
+                ⚠ {m.label} ({m.v0.toPrecision(4)}) is an outlier by {replicateStats.OUTLIER_TESTS[outlierTest]}
+                {' '}({g.outlierTest.statistic.toFixed(2)} &gt; {g.outlierTest.critical.toFixed(2)}); deselect it to leave it out.
+              </Text>
+            ))}
+            {!g.outlierTest && g.n < 3 && (
+              <Text style={styles.note}>Outlier tests need at least 3 replicates.</Text>
+            )}
+          </View>
+        ))}
+        <Text style={styles.note}>
+          Each group enters the fits once, as its mean weighted by n over the variance pooled across all groups.
+        </Text>
+      </View>
+    );
+  };
+
+  // One coloured series per level of a replot: measured points with dots, the global fit as a plain line
+  const renderReplot = (title, replot, xLabel, levelLabel) => {
+    if (!replot || replot.x.length < 2) return null;
+
+    const datasets = replot.series.flatMap((series, k) => {
+      const color = SERIES_COLORS[k % SERIES_COLORS.length];
+      const lines = [];
+      // The chart cannot leave gaps, so a series missing some combinations shows only its fitted line
+      if (series.observed.every((v) => v !== null)) {
+        lines.push({ data: series.observed, color: () => color, strokeWidth: 1 });
+      }
+      if (series.fitted) {
+        lines.push({ data: series.fitted, color: () => color, withDots: false });
+      }
+      return lines;
+    });
+    if (datasets.length === 0) return null;
+    return (
+      <View style={styles.graphBox}>
+        <Text style={styles.chartTitle}>{title}</Text>
+        <LineChart
+          data={{
+            labels: replot.x.map((x) => x.toPrecision(2)),
+            datasets,
+          }}
+          width={screenWidth - 48}
+          height={220}
+          chartConfig={chartConfig}
+        />
+        <View style={styles.axisLabels}>
+          <Text style={styles.axisLabel}>X: {xLabel} | Y: 1/V₀; dots: measured, lines: global fit</Text>
+          <View style={styles.legend}>
+            {replot.series.map((series, k) => (
+              <Text key={series.level} style={[styles.legendItem, { color: SERIES_COLORS[k % SERIES_COLORS.length] }]}>
+                {levelLabel} = {series.level}
+              </Text>
+            ))}
+          </View>
+        </View>
+      </View>
+    );
+  };
+
+  // `overlays` (optional) are {data, color, withDots?} lines through the same x values as the data
+  const renderChart = (title, data, xLabel, yLabel, overlays = []) => {
     if (!data || data.length === 0) return null;
 
+    const datasets = [
+      { data: data.map(p => p.y) },
+      ...overlays.map((o) => ({ data: o.data, color: () => o.color, withDots: Boolean(o.withDots) })),
+    ];
     return (
       <View style={styles.graphBox}>
         <Text style={styles.chartTitle}>{title}</Text>
         <LineChart
           data={{
             labels: data.map(p => p.x.toFixed(2)),
-            datasets: [{ data: data.map(p => p.y) }],
+            datasets,
           }}
           width={screenWidth - 48}
           height={220}
@@ -82,57 +314,398 @@ export function KineticAnalysisScreen({ results }) {
       <View style={styles.header}>
         <Text style={styles.title}>Kinetic Parameter Analysis</Text>
         <Text style={styles.subtitle}>
-          Select at least two scans and enter substrate concentrations.
+          {analysisMode === 'kinetics'
+            ? "Select at least two scans and enter substrate concentrations. For an inhibition study, also enter each scan's inhibitor concentration [I] (blank means none). Give replicate scans of one condition the same Group tag."
+            : 'Select the scans, enter each compound concentration [C], and mark the no-compound scans as Control (100% activity).'}
         </Text>
+        <View style={styles.modeRow}>
+          {ANALYSIS_MODES.map((mode) => (
+            <TouchableOpacity
+              key={mode.id}
+              style={[styles.modeChip, analysisMode === mode.id && styles.modeChipActive]}
+              onPress={() => handleModeChange(mode.id)}
+            >
+              <Text style={styles.modeChipText}>{mode.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {analysisMode === 'kinetics' && (
+          <View style={styles.modeRow}>
+            <Text style={[styles.resultLabel, styles.modeLabel]}>Replicate outliers:</Text>
+            {Object.entries(replicateStats.OUTLIER_TESTS).map(([id, label]) => (
+              <TouchableOpacity
+                key={id}
+                style={[styles.modeChip, outlierTest === id && styles.modeChipActive]}
+                onPress={() => setOutlierTest(id)}
+              >
+                <Text style={styles.modeChipText}>{label}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        )}
       </View>
 
       <View style={styles.scanSelection}>
-        {safeResults.map((result) => (
-          <View key={result.id} style={styles.scanRow}>
+        {scanEntries.map((entry) => (
+          <View key={entry.id} style={styles.scanRow}>
             <TouchableOpacity
               style={[
                 styles.checkbox,
-                selectedScanIds.includes(result.id) && styles.checkboxSelected,
+                selectedScanIds.includes(entry.id) && styles.checkboxSelected,
               ]}
-              onPress={() => handleToggleScan(result.id)}
+              onPress={() => handleToggleScan(entry.id)}
             />
             <Text style={styles.scanText}>
-              {result.timestamp} (V₀: {result.analysis.v0.toFixed(4)})
+              {entry.label} (V₀: {entry.analysis.v0.toFixed(4)} A/s
+              {entry.analysis.converted ? `, ${entry.analysis.converted.rateMicroMolarPerMin.toFixed(2)} µM/min` : ''})
             </Text>
-            <TextInput
-              style={styles.input}
-              placeholder="[S]"
-              keyboardType="numeric"
-              onChangeText={(text) => handleConcentrationChange(result.id, text)}
-              value={substrateConcentrations[result.id] || ''}
-            />
+            {analysisMode === 'kinetics' ? (
+              <>
+                <TextInput
+                  style={styles.input}
+                  placeholder="[S]"
+                  keyboardType="numeric"
+                  onChangeText={(text) => handleConcentrationChange(entry.id, text)}
+                  value={substrateConcentrations[entry.id] || ''}
+                />
+                <TextInput
+                  style={[styles.input, styles.inputSpacing]}
+                  placeholder="[I]"
+                  keyboardType="numeric"
+                  onChangeText={(text) => handleInhibitorChange(entry.id, text)}
+                  value={inhibitorConcentrations[entry.id] || ''}
+                />
+                <TextInput
+                  style={[styles.input, styles.inputSpacing]}
+                  placeholder="Group"
+                  onChangeText={(text) => handleGroupChange(entry.id, text)}
+                  value={replicateGroups[entry.id] || ''}
+                />
+              </>
+            ) : (
+              <>
+                <TextInput
+                  style={styles.input}
+                  placeholder="[C]"
+                  keyboardType="numeric"
+                  editable={!controlIds.includes(entry.id)}
+                  onChangeText={(text) => handleCompoundChange(entry.id, text)}
+                  value={controlIds.includes(entry.id) ? '' : compoundConcentrations[entry.id] || ''}
+                />
+                <TouchableOpacity
+                  style={[styles.modeChip, styles.inputSpacing, controlIds.includes(entry.id) && styles.modeChipActive]}
+                  onPress={() => handleToggleControl(entry.id)}
+                >
+                  <Text style={styles.modeChipText}>Control</Text>
+                </TouchableOpacity>
+              </>
+            )}
           </View>
         ))}
       </View>
 
-      <TouchableOpacity style={styles.button} onPress={handleStartAnalysis}>
+      <TouchableOpacity
+        style={styles.button}
+        onPress={analysisMode === 'kinetics' ? handleStartAnalysis : handleStartDoseResponse}
+      >
         <Text style={styles.buttonText}>Analyze</Text>
       </TouchableOpacity>
 
-      {analysisData && (
+      {analysisData?.doseResponse && (
         <View style={styles.resultsContainer}>
           <View style={styles.resultsBox}>
-            <Text style={styles.boxTitle}>Kinetic Parameters</Text>
-            <View style={styles.resultRow}>
-                <Text style={styles.resultLabel}>Vmax:</Text>
-                <Text style={styles.resultValue}>{analysisData.vmax.toFixed(4)} A/s</Text>
-            </View>
+            <Text style={styles.boxTitle}>Dose-Response (4-parameter logistic)</Text>
             <View style={styles.resultRow}>
-                <Text style={styles.resultLabel}>Km:</Text>
-                <Text style={styles.resultValue}>{analysisData.km.toFixed(4)}</Text>
+              <Text style={styles.resultLabel}>Control V₀ (100%):</Text>
+              <Text style={styles.resultValue}>{analysisData.doseResponse.controlRate.toFixed(5)} A/s</Text>
             </View>
+            {analysisData.doseResponse.fit ? (
+              <>
+                <View style={styles.resultRow}>
+                  <Text style={styles.resultLabel}>IC50:</Text>
+                  <Text style={styles.resultValue}>{analysisData.doseResponse.fit.ic50.value.toPrecision(3)} [C] units</Text>
+                </View>
+                <View style={styles.resultRow}>
+                  <Text style={styles.resultLabel}>IC50 95% CI:</Text>
+                  <Text style={styles.resultValue}>
+                    {analysisData.doseResponse.fit.ic50.ci.every(Number.isFinite)
+                      ? analysisData.doseResponse.fit.ic50.ci.map((v) => v.toPrecision(3)).join(' to ')
+                      : 'n/a'}
+                  </Text>
+                </View>
+                {['Hill slope', 'Top', 'Bottom'].map((name) => (
+                  <View key={name} style={styles.resultRow}>
+                    <Text style={styles.resultLabel}>{name}{name === 'Hill slope' ? '' : ' (%)'}:</Text>
+                    <Text style={styles.resultValue}>{formatEstimate(analysisData.doseResponse.fit.named[name])}</Text>
+                  </View>
+                ))}
+                <View style={styles.resultRow}>
+                  <Text style={styles.resultLabel}>R² · residual SD (%):</Text>
+                  <Text style={styles.resultValue}>
+                    {analysisData.doseResponse.fit.rSquared.toFixed(4)} ·{' '}
+                    {Number.isFinite(analysisData.doseResponse.fit.residualSD)
+                      ? analysisData.doseResponse.fit.residualSD.toPrecision(3)
+                      : 'n/a'}
+                  </Text>
+                </View>
+                {analysisData.doseResponse.fit.extrapolated && (
+                  <Text style={styles.note}>
+                    ⚠ IC50 lies outside the concentrations tested; extend the series to bracket it.
+                  </Text>
+                )}
+              </>
+            ) : (
+              <Text style={styles.note}>⚠ {analysisData.doseResponse.fitError}</Text>
+            )}
+          </View>
+
+          {analysisData.doseResponse.curve.length > 0 && renderChart(
+            'Dose-Response Curve',
+            analysisData.doseResponse.curve,
+            'log10 [C]',
+            '% activity; line: 4PL fit',
+            analysisData.doseResponse.fitted
+              ? [{ data: analysisData.doseResponse.fitted, color: 'rgba(255,169,77,1)' }]
+              : []
+          )}
+
+          <View style={styles.resultsBox}>
+            <Text style={styles.boxTitle}>% Activity</Text>
+            {analysisData.doseResponse.points.map((p, idx) => (
+              <View key={idx} style={styles.resultRow}>
+                <Text style={styles.resultLabel}>[C] {p.concentration}</Text>
+                <Text style={styles.resultValue}>{p.activity.toFixed(1)}%</Text>
+              </View>
+            ))}
+          </View>
+        </View>
+      )}
+
+      {analysisData?.inhibition && (
+        <View style={styles.resultsContainer}>
+          <View style={styles.resultsBox}>
+            <Text style={styles.boxTitle}>Inhibition Mechanism (global fit)</Text>
+            <Text style={styles.note}>
+              {analysisData.inhibition.levels.length} inhibitor concentrations: {analysisData.inhibition.levels.join(', ')}
+            </Text>
+            {analysisData.inhibition.recommended && (
+              <Text style={[styles.recommendation, styles.noteSpacing]}>
+                Preferred: {inhibitionModels.INHIBITION_MODELS[analysisData.inhibition.recommended].label}.{' '}
+                {analysisData.inhibition.reason}
+              </Text>
+            )}
+            {analysisData.inhibition.fits.map((fit) => (
+              <View key={fit.model} style={styles.modelBlock}>
+                <Text style={[styles.modelTitle, fit.model === analysisData.inhibition.recommended && styles.preferredTitle]}>
+                  {fit.model === analysisData.inhibition.recommended ? '★ ' : ''}{fit.label}
+                </Text>
+                {fit.error ? (
+                  <Text style={styles.note}>{fit.error}</Text>
+                ) : (
+                  <>
+                    <Text style={styles.note}>{inhibitionModels.INHIBITION_MODELS[fit.model].equation}</Text>
+                    {Object.entries(fit.named).map(([name, p]) => (
+                      <View key={name}>
+                        <View style={styles.resultRow}>
+                          <Text style={styles.resultLabel}>{name}:</Text>
+                          <Text style={styles.resultValue}>
+                            {formatEstimate(p)} {{ Vmax: analysisData.rateUnit, Km: '[S] units' }[name] || '[I] units'}
+                          </Text>
+                        </View>
+                        {name !== 'Vmax' && name !== 'Km' && (
+                          <View style={styles.resultRow}>
+                            <Text style={styles.resultLabel}>{name} 95% CI:</Text>
+                            <Text style={styles.resultValue}>{formatInterval(p.ci)}</Text>
+                          </View>
+                        )}
+                      </View>
+                    ))}
+                    {fit.alpha !== undefined && (
+                      <View style={styles.resultRow}>
+                        <Text style={styles.resultLabel}>α (αKi/Ki):</Text>
+                        <Text style={styles.resultValue}>{fit.alpha.toPrecision(3)}</Text>
+                      </View>
+                    )}
+                    <View style={styles.resultRow}>
+                      <Text style={styles.resultLabel}>
+                        Δ{analysisData.inhibition.criterion === 'aicc' ? 'AICc' : 'BIC'} (weight):
+                      </Text>
+                      <Text style={styles.resultValue}>
+                        {Number.isFinite(fit.delta) ? fit.delta.toFixed(1) : 'n/a'} ({(fit.weight * 100).toFixed(0)}%)
+                      </Text>
+                    </View>
+                    {fit.fTest && (
+                      <View style={styles.resultRow}>
+                        <Text style={styles.resultLabel}>F test vs best one-constant model:</Text>
+                        <Text style={styles.resultValue}>
+                          {Number.isFinite(fit.fTest.p)
+                            ? `F(${fit.fTest.dfn}, ${fit.fTest.dfd}) = ${fit.fTest.f.toFixed(2)}, p = ${fit.fTest.p.toFixed(3)}`
+                            : 'n/a'}
+                        </Text>
+                      </View>
+                    )}
+                  </>
+                )}
+              </View>
+            ))}
+            <Text style={styles.note}>
+              A very large Ki or αKi with a wide interval means that binding step is not detected.
+            </Text>
+          </View>
+
+          {renderReplicates(analysisData.replicates, analysisData.rateUnit)}
+
+          {renderReplot('Lineweaver-Burk Plot', analysisData.replots.lineweaverBurk, '1/[S]', '[I]')}
+          {renderReplot('Dixon Plot', analysisData.replots.dixon, '[I]', '[S]')}
+        </View>
+      )}
+
+      {analysisData?.models && (
+        <View style={styles.resultsContainer}>
+          <View style={styles.resultsBox}>
+            <Text style={styles.boxTitle}>Kinetic Parameters (nonlinear fit)</Text>
+            {analysisData.fit ? (
+              <>
+                {[
+                  ['Vmax', analysisData.fit.vmax, analysisData.rateUnit],
+                  ['Km', analysisData.fit.km, '[S] units'],
+                ].map(([label, p, unit]) => (
+                  <View key={label}>
+                    <View style={styles.resultRow}>
+                      <Text style={styles.resultLabel}>{label}:</Text>
+                      <Text style={styles.resultValue}>
+                        {formatEstimate(p)} {unit}
+                      </Text>
+                    </View>
+                    <View style={styles.resultRow}>
+                      <Text style={styles.resultLabel}>{label} 95% CI:</Text>
+                      <Text style={styles.resultValue}>{formatInterval(p.ci)}</Text>
+                    </View>
+                  </View>
+                ))}
+                <View style={styles.resultRow}>
+                  <Text style={styles.resultLabel}>R² · residual SD:</Text>
+                  <Text style={styles.resultValue}>
+                    {analysisData.fit.rSquared.toFixed(4)} ·{' '}
+                    {Number.isFinite(analysisData.fit.residualSD) ? analysisData.fit.residualSD.toPrecision(3) : 'n/a'}
+                  </Text>
+                </View>
+                <View style={styles.resultRow}>
+                  <Text style={styles.resultLabel}>Rates (degrees of freedom):</Text>
+                  <Text style={styles.resultValue}>{analysisData.fit.n} ({analysisData.fit.dof})</Text>
+                </View>
+                {analysisData.fit.weighted && (
+                  <Text style={styles.note}>Weighted by replicate count (n / pooled variance).</Text>
+                )}
+              </>
+            ) : (
+              <Text style={styles.note}>⚠ {analysisData.fitError}</Text>
+            )}
+          </View>
+
+          {renderReplicates(analysisData.replicates, analysisData.rateUnit)}
+
+          <View style={styles.resultsBox}>
+            <Text style={styles.boxTitle}>Linearised Estimates (comparison only)</Text>
+            {[
+              ['Lineweaver–Burk', analysisData.linearized.lineweaverBurk],
+              ['Hanes–Woolf', analysisData.linearized.hanesWoolf],
+            ].map(([label, estimate]) => (
+              <View key={label} style={styles.resultRow}>
+                <Text style={styles.resultLabel}>{label}:</Text>
+                <Text style={styles.resultValue}>
+                  {estimate
+                    ? `Vmax ${estimate.vmax.toFixed(4)} · Km ${estimate.km.toFixed(4)}`
+                    : 'n/a'}
+                </Text>
+              </View>
+            ))}
+            <Text style={styles.note}>
+              Replots weight the rates unevenly (1/V₀ magnifies errors at low [S]); they are not used in the answer.
+            </Text>
           </View>
           
+          {analysisData.models.fits.length > 0 && (
+            <View style={styles.resultsBox}>
+              <Text style={styles.boxTitle}>Model Comparison</Text>
+              {analysisData.models.recommended && (
+                <Text style={styles.recommendation}>
+                  Recommended: {enzymeModels.ENZYME_MODELS[analysisData.models.recommended].label}. {analysisData.models.reason}
+                </Text>
+              )}
+              {analysisData.models.fits.map((fit) => (
+                <View key={fit.model} style={styles.modelBlock}>
+                  <Text style={[styles.modelTitle, { color: MODEL_COLORS[fit.model] }]}>
+                    {fit.model === analysisData.models.recommended ? '★ ' : ''}{fit.label}
+                  </Text>
+                  {fit.error ? (
+                    <Text style={styles.note}>{fit.error}</Text>
+                  ) : (
+                    <>
+                      <Text style={styles.note}>{enzymeModels.ENZYME_MODELS[fit.model].equation}</Text>
+                      {Object.entries(fit.named).map(([name, p]) => (
+                        <View key={name} style={styles.resultRow}>
+                          <Text style={styles.resultLabel}>{name}:</Text>
+                          <Text style={styles.resultValue}>{formatEstimate(p)}</Text>
+                        </View>
+                      ))}
+                      <View style={styles.resultRow}>
+                        <Text style={styles.resultLabel}>
+                          Δ{analysisData.models.criterion === 'aicc' ? 'AICc' : 'BIC'} (weight):
+                        </Text>
+                        <Text style={styles.resultValue}>
+                          {Number.isFinite(fit.delta) ? fit.delta.toFixed(1) : 'n/a'} ({(fit.weight * 100).toFixed(0)}%)
+                        </Text>
+                      </View>
+                      {fit.fTest && (
+                        <View style={styles.resultRow}>
+                          <Text style={styles.resultLabel}>F test vs Michaelis–Menten:</Text>
+                          <Text style={styles.resultValue}>
+                            {Number.isFinite(fit.fTest.p)
+                              ? `F(${fit.fTest.dfn}, ${fit.fTest.dfd}) = ${fit.fTest.f.toFixed(2)}, p = ${fit.fTest.p.toFixed(3)}`
+                              : 'n/a'}
+                          </Text>
+                        </View>
+                      )}
+                    </>
+                  )}
+                </View>
+              ))}
+            </View>
+          )}
+
           {renderChart(
             'Michaelis-Menten Plot',
             analysisData.michaelisMenten,
             '[S]',
-            'V₀'
+            `V₀ (${analysisData.rateUnit}); lines: model fits${analysisData.replicates ? '; grey: mean ± SD' : ''}`,
+            [
+              ...analysisData.models.fits
+                .filter((fit) => !fit.error)
+                .map((fit) => ({
+                  data: enzymeModels.evaluateEnzymeModel(fit, analysisData.michaelisMenten.map((p) => p.x)),
+                  color: MODEL_COLORS[fit.model],
+                })),
+              ...(analysisData.replicates ? errorBarOverlays(analysisData.michaelisMenten) : []),
+            ]
+          )}
+
+          {analysisData.fit && (
+            <View style={styles.resultsBox}>
+              <Text style={styles.boxTitle}>Residuals</Text>
+              <View style={styles.resultRow}>
+                <Text style={styles.resultLabel}>[S]</Text>
+                <Text style={styles.resultLabel}>V₀ · fitted · residual</Text>
+              </View>
+              {analysisData.fit.residuals.map((r, idx) => (
+                <View key={idx} style={styles.resultRow}>
+                  <Text style={styles.resultLabel}>{r.s}</Text>
+                  <Text style={styles.resultValue}>
+                    {r.v0.toPrecision(4)} · {r.fitted.toPrecision(4)} · {r.residual.toPrecision(3)}
+                  </Text>
+                </View>
+              ))}
+            </View>
           )}
           {renderChart(
             'Lineweaver-Burk Plot',
@@ -152,6 +725,37 @@ export function KineticAnalysisScreen({ results }) {
   );
 }
 
+// Overlay colour of each rate law, matching its title in the model comparison
+const MODEL_COLORS = {
+  michaelisMenten: 'rgba(255,169,77,1)',
+  hill: 'rgba(190,120,255,1)',
+  substrateInhibition: 'rgba(0,220,220,1)',
+  allosteric: 'rgba(255,214,10,1)',
+};
+
+// One colour per inhibitor (or substrate) level in the replots
+const SERIES_COLORS = [
+  'rgba(0,122,204,1)',
+  'rgba(255,169,77,1)',
+  'rgba(63,185,80,1)',
+  'rgba(190,120,255,1)',
+  'rgba(0,220,220,1)',
+  'rgba(255,99,132,1)',
+];
+
+// Mean − SD and mean + SD of each point as grey series, standing in for error bars (single scans have none)
+const errorBarOverlays = (points) => {
+  if (!points.some((p) => Number.isFinite(p.sd))) return [];
+  return [-1, 1].map((sign) => ({
+    data: points.map((p) => p.y + sign * (Number.isFinite(p.sd) ? p.sd : 0)),
+    color: 'rgba(160,160,160,0.6)',
+    withDots: true,
+  }));
+};
+
+const formatEstimate = (p) => (Number.isFinite(p.se) ? `${p.value.toFixed(4)} ± ${p.se.toFixed(4)}` : p.value.toFixed(4));
+const formatInterval = (ci) => (ci.every(Number.isFinite) ? `${ci[0].toFixed(4)} to ${ci[1].toFixed(4)}` : 'n/a');
+
 const chartConfig = {
     backgroundColor: '#252526',
     backgroundGradientFrom: '#252526',
@@ -279,4 +883,70 @@ const styles = StyleSheet.create({
     color: '#007acc',
     fontWeight: '500',
   },
+  note: {
+    fontSize: 11,
+    color: '#a0a0a0',
+    marginTop: 8,
+  },
+  recommendation: {
+    fontSize: 12,
+    color: '#3FB950',
+    marginBottom: 8,
+  },
+  modelBlock: {
+    marginTop: 12,
+  },
+  modelTitle: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    color: '#d4d4d4',
+  },
+  preferredTitle: {
+    color: '#3FB950',
+  },
+  modeRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  modeChip: {
+    borderWidth: 1,
+    borderColor: '#444444',
+    borderRadius: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 6,
+  },
+  modeChipActive: {
+    backgroundColor: '#007acc',
+  },
+  modeLabel: {
+    alignSelf: 'center',
+    marginRight: 6,
+  },
+  warning: {
+    fontSize: 11,
+    color: '#FFA94D',
+    marginTop: 6,
+  },
+  modeChipText: {
+    color: '#d4d4d4',
+    fontSize: 11,
+  },
+  inputSpacing: {
+    marginLeft: 8,
+  },
+  noteSpacing: {
+    marginTop: 8,
+  },
+  legend: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginTop: 4,
+  },
+  legendItem: {
+    fontSize: 11,
+    marginHorizontal: 6,
+  },
 });
\ No newline at end of file
@@ -0,0 +1,56 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, StyleSheet } from 'react-native';
+import { controlStyles } from './controlStyles';
+
+/**
+ * Labelled numeric input. Keeps the typed text locally so partial entries
+ * such as "0." survive, and reports the parsed number (null when empty).
+ */
+export default function NumberField({ label, value, onChange, placeholder }) {
+  const [text, setText] = useState(value == null ? '' : String(value));
+
+  // Follow outside changes (e.g. a preset being applied)
+  useEffect(() => {
+    const parsed = text.trim() === '' ? null : Number(text);
+    if (parsed !== value) {
+      setText(value == null ? '' : String(value));
+    }
+  }, [value]);
+
+  const handleChangeText = (next) => {
+    setText(next);
+    const parsed = next.trim() === '' ? null : Number(next);
+    if (!Number.isNaN(parsed)) {
+      onChange(parsed);
+    }
+  };
+
+  return (
+    <View style={styles.numberField}>
+      <Text style={styles.numberFieldLabel}>{label}</Text>
+      <TextInput
+        style={[styles.roiNameInput, { marginBottom: 0 }]}
+        value={text}
+        onChangeText={handleChangeText}
+        keyboardType="decimal-pad"
+        placeholder={placeholder}
+        placeholderTextColor="#666"
+      />
+    </View>
+  );
+}
+
+const fieldStyles = StyleSheet.create({
+  numberField: {
+    width: '50%',
+    paddingRight: 8,
+    marginBottom: 6,
+  },
+  numberFieldLabel: {
+    fontSize: 11,
+    color: '#a0a0a0',
+    marginBottom: 2,
+  },
+});
+
+const styles = { ...controlStyles, ...fieldStyles };
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { controlStyles } from './controlStyles';
+
+/**
+ * Saved layout presets (one per cuvette holder): apply, save under a name,
+ * long-press to delete, and export/import as JSON. Storage and validation
+ * stay with the caller; `onImport(text)` resolves true once the presets
+ * were imported, which clears the paste box.
+ */
+export default function PresetPanel({ presets, activeName, onApply, onDelete, onSave, onExport, onImport }) {
+  const [nameInput, setNameInput] = useState('');
+  const [importText, setImportText] = useState('');
+  const [showImport, setShowImport] = useState(false);
+
+  const handleApply = (preset) => {
+    setNameInput(preset.name);
+    onApply(preset);
+  };
+
+  const handleImport = async () => {
+    if (await onImport(importText)) {
+      setImportText('');
+      setShowImport(false);
+    }
+  };
+
+  return (
+    <>
+      <Text style={[styles.controlLabel, { marginTop: 12 }]}>
+        Layout Preset{activeName ? `: ${activeName}` : ''}
+      </Text>
+      {presets.length > 0 && (
+        <View style={styles.roiChipRow}>
+          {presets.map((preset) => (
+            <TouchableOpacity
+              key={preset.name}
+              style={[styles.roiChip, preset.name === activeName && styles.roiChipActive]}
+              onPress={() => handleApply(preset)}
+              onLongPress={() => onDelete(preset.name)}
+            >
+              <Text style={styles.roiChipText}>{preset.name}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+      <View style={styles.presetRow}>
+        <TextInput
+          style={[styles.roiNameInput, { flex: 1, marginBottom: 0 }]}
+          value={nameInput}
+          onChangeText={setNameInput}
+          placeholder="Preset name"
+          placeholderTextColor="#666"
+        />
+        <TouchableOpacity style={styles.roiChip} onPress={() => onSave(nameInput.trim())}>
+          <Text style={styles.roiChipText}>💾 Save</Text>
+        </TouchableOpacity>
+      </View>
+      <View style={styles.roiChipRow}>
+        <TouchableOpacity style={styles.roiChip} onPress={onExport}>
+          <Text style={styles.roiChipText}>Export JSON</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.roiChip, showImport && styles.roiChipActive]}
+          onPress={() => setShowImport((v) => !v)}
+        >
+          <Text style={styles.roiChipText}>Import JSON</Text>
+        </TouchableOpacity>
+      </View>
+      {showImport && (
+        <>
+          <TextInput
+            style={[styles.roiNameInput, styles.presetImportInput]}
+            value={importText}
+            onChangeText={setImportText}
+            placeholder="Paste exported presets JSON"
+            placeholderTextColor="#666"
+            multiline
+          />
+          <TouchableOpacity style={styles.roiChip} onPress={handleImport}>
+            <Text style={styles.roiChipText}>Import</Text>
+          </TouchableOpacity>
+        </>
+      )}
+      {presets.length > 0 && <Text style={styles.roiHint}>Long-press a preset to delete it.</Text>}
+    </>
+  );
+}
+
+const presetStyles = StyleSheet.create({
+  presetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 8,
+  },
+  presetImportInput: {
+    minHeight: 80,
+    textAlignVertical: 'top',
+    fontSize: 11,
+  },
+});
+
+const styles = { ...controlStyles, ...presetStyles };
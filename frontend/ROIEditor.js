@@ -0,0 +1,289 @@
+import React, { useRef, useState } from 'react';
+import { View, Text, StyleSheet, PanResponder } from 'react-native';
+import * as roiLayout from './roiLayout';
+
+const HANDLE_SIZE = 22; // Touch area of a corner handle (px)
+const SNAP_DISTANCE = 8; // Edges/centres within this many px snap to a guide
+const MIN_SIZE = 16; // Smallest ROI side (px)
+const TAP_SLOP = 6; // Movement below this is treated as a tap
+
+const CORNERS = ['tl', 'tr', 'bl', 'br'];
+
+const cornerPoint = (rect, corner) => ({
+  x: corner.includes('l') ? rect.left : rect.left + rect.width,
+  y: corner.includes('t') ? rect.top : rect.top + rect.height,
+});
+
+const contains = (rect, x, y) =>
+  x >= rect.left && x <= rect.left + rect.width && y >= rect.top && y <= rect.top + rect.height;
+
+const touchDistance = (touches) =>
+  Math.hypot(touches[0].pageX - touches[1].pageX, touches[0].pageY - touches[1].pageY);
+
+const clampRect = (rect, viewSize) => {
+  const width = Math.min(Math.max(rect.width, MIN_SIZE), viewSize.width);
+  const height = Math.min(Math.max(rect.height, MIN_SIZE), viewSize.height);
+  return {
+    left: Math.min(Math.max(rect.left, 0), viewSize.width - width),
+    top: Math.min(Math.max(rect.top, 0), viewSize.height - height),
+    width,
+    height,
+  };
+};
+
+/**
+ * Finds the closest snap target for a set of candidate positions on one axis.
+ * Returns the shift to apply and the guide position, or null when nothing is close.
+ */
+const findSnap = (candidates, targets) => {
+  let best = null;
+  for (const candidate of candidates) {
+    for (const target of targets) {
+      const diff = target - candidate;
+      if (Math.abs(diff) <= SNAP_DISTANCE && (!best || Math.abs(diff) < Math.abs(best.shift))) {
+        best = { shift: diff, position: target };
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Touch editor for ROI boxes drawn over the camera preview.
+ * Tap a box to select it, drag to move, drag a corner handle or pinch to
+ * resize. Edges and centres snap to the preview centre lines and to other
+ * ROIs, with the active guides drawn while dragging. Geometry is written
+ * back as frame fractions through `onChange(id, {x, y, width, height})`.
+ */
+export default function ROIEditor({ rois, selectedId, onSelect, onChange, viewSize, frameSize, editable }) {
+  const [guides, setGuides] = useState([]);
+  const gestureRef = useRef(null);
+  const latest = useRef({});
+  latest.current = { rois, selectedId, onSelect, onChange, viewSize, frameSize, editable };
+
+  const viewRectOf = (roi) => roiLayout.roiToViewRect(roi, latest.current.viewSize, latest.current.frameSize);
+
+  // Snap targets: preview edges/centre and the edges/centres of every other ROI
+  const snapTargets = (excludeId) => {
+    const { rois: all, viewSize: size } = latest.current;
+    const xs = [0, size.width / 2, size.width];
+    const ys = [0, size.height / 2, size.height];
+    for (const roi of all) {
+      if (roi.id === excludeId) continue;
+      const r = viewRectOf(roi);
+      xs.push(r.left, r.left + r.width / 2, r.left + r.width);
+      ys.push(r.top, r.top + r.height / 2, r.top + r.height);
+    }
+    return { xs, ys };
+  };
+
+  const commit = (id, rect) => {
+    const { viewSize: size, frameSize: fSize } = latest.current;
+    latest.current.onChange(id, roiLayout.viewRectToGeometry(clampRect(rect, size), size, fSize));
+  };
+
+  const handleMove = (gesture, dx, dy) => {
+    const { xs, ys } = snapTargets(gesture.id);
+    const start = gesture.startRect;
+    let rect;
+    const activeGuides = [];
+
+    if (gesture.mode === 'move') {
+      rect = { ...start, left: start.left + dx, top: start.top + dy };
+      const snapX = findSnap([rect.left, rect.left + rect.width / 2, rect.left + rect.width], xs);
+      const snapY = findSnap([rect.top, rect.top + rect.height / 2, rect.top + rect.height], ys);
+      if (snapX) {
+        rect.left += snapX.shift;
+        activeGuides.push({ orientation: 'v', position: snapX.position });
+      }
+      if (snapY) {
+        rect.top += snapY.shift;
+        activeGuides.push({ orientation: 'h', position: snapY.position });
+      }
+    } else {
+      // Corner resize: the dragged corner moves, the opposite corner stays put
+      const corner = gesture.corner;
+      let left = start.left;
+      let top = start.top;
+      let right = start.left + start.width;
+      let bottom = start.top + start.height;
+      if (corner.includes('l')) left += dx;
+      else right += dx;
+      if (corner.includes('t')) top += dy;
+      else bottom += dy;
+
+      const snapX = findSnap([corner.includes('l') ? left : right], xs);
+      const snapY = findSnap([corner.includes('t') ? top : bottom], ys);
+      if (snapX) {
+        if (corner.includes('l')) left += snapX.shift;
+        else right += snapX.shift;
+        activeGuides.push({ orientation: 'v', position: snapX.position });
+      }
+      if (snapY) {
+        if (corner.includes('t')) top += snapY.shift;
+        else bottom += snapY.shift;
+        activeGuides.push({ orientation: 'h', position: snapY.position });
+      }
+      rect = {
+        left: Math.min(left, right - MIN_SIZE),
+        top: Math.min(top, bottom - MIN_SIZE),
+        width: Math.max(MIN_SIZE, right - left),
+        height: Math.max(MIN_SIZE, bottom - top),
+      };
+    }
+
+    setGuides(activeGuides);
+    commit(gesture.id, rect);
+  };
+
+  const handlePinch = (gesture, touches) => {
+    if (!gesture.startDistance) {
+      gesture.startDistance = touchDistance(touches);
+      return;
+    }
+    const scale = touchDistance(touches) / gesture.startDistance;
+    const start = gesture.startRect;
+    const width = start.width * scale;
+    const height = start.height * scale;
+    setGuides([]);
+    commit(gesture.id, {
+      left: start.left + (start.width - width) / 2,
+      top: start.top + (start.height - height) / 2,
+      width,
+      height,
+    });
+  };
+
+  const panResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => latest.current.editable,
+      onMoveShouldSetPanResponder: () => latest.current.editable,
+      onPanResponderGrant: (evt) => {
+        const { locationX: x, locationY: y } = evt.nativeEvent;
+        const { rois: all, selectedId: currentId } = latest.current;
+        gestureRef.current = null;
+
+        // Corner handles of the selected ROI take priority
+        const selected = all.find((roi) => roi.id === currentId);
+        if (selected) {
+          const rect = viewRectOf(selected);
+          const corner = CORNERS.find((c) => {
+            const p = cornerPoint(rect, c);
+            return Math.abs(p.x - x) <= HANDLE_SIZE && Math.abs(p.y - y) <= HANDLE_SIZE;
+          });
+          if (corner) {
+            gestureRef.current = { mode: 'resize', corner, id: selected.id, startRect: rect };
+            return;
+          }
+        }
+
+        // Otherwise grab the top-most ROI under the finger
+        const hit = [...all].reverse().find((roi) => contains(viewRectOf(roi), x, y));
+        if (hit) {
+          gestureRef.current = { mode: 'move', id: hit.id, startRect: viewRectOf(hit) };
+        }
+      },
+      onPanResponderMove: (evt, gestureState) => {
+        const gesture = gestureRef.current;
+        if (!gesture) return;
+        const touches = evt.nativeEvent.touches;
+        if (touches.length >= 2) {
+          if (gesture.mode !== 'pinch') {
+            gesture.mode = 'pinch';
+            gesture.startRect = viewRectOf(latest.current.rois.find((roi) => roi.id === gesture.id));
+            gesture.startDistance = null;
+          }
+          handlePinch(gesture, touches);
+        } else if (gesture.mode !== 'pinch') {
+          handleMove(gesture, gestureState.dx, gestureState.dy);
+        }
+      },
+      onPanResponderRelease: (evt, gestureState) => {
+        const gesture = gestureRef.current;
+        const isTap = Math.abs(gestureState.dx) < TAP_SLOP && Math.abs(gestureState.dy) < TAP_SLOP;
+        if (gesture && (isTap || gesture.mode === 'move')) {
+          latest.current.onSelect(gesture.id);
+        }
+        gestureRef.current = null;
+        setGuides([]);
+      },
+      onPanResponderTerminate: () => {
+        gestureRef.current = null;
+        setGuides([]);
+      },
+    })
+  ).current;
+
+  return (
+    <View style={StyleSheet.absoluteFill} {...panResponder.panHandlers}>
+      {rois.map((roi) => {
+        const rect = viewRectOf(roi);
+        const color = roiLayout.ROI_ROLE_COLORS[roi.role];
+        const isSelected = editable && roi.id === selectedId;
+        return (
+          <View
+            key={roi.id}
+            pointerEvents="none"
+            style={[
+              styles.roi,
+              { borderColor: color, left: rect.left, top: rect.top, width: rect.width, height: rect.height },
+              isSelected && styles.roiSelected,
+            ]}
+          >
+            <Text style={[styles.roiLabel, { color }]}>{roi.name}</Text>
+            {isSelected && CORNERS.map((corner) => (
+              <View
+                key={corner}
+                style={[
+                  styles.handle,
+                  { borderColor: color },
+                  corner.includes('t') ? { top: -6 } : { bottom: -6 },
+                  corner.includes('l') ? { left: -6 } : { right: -6 },
+                ]}
+              />
+            ))}
+          </View>
+        );
+      })}
+
+      {guides.map((guide, idx) => (
+        <View
+          key={idx}
+          pointerEvents="none"
+          style={
+            guide.orientation === 'v'
+              ? [styles.guide, { left: guide.position, top: 0, bottom: 0, width: 1 }]
+              : [styles.guide, { top: guide.position, left: 0, right: 0, height: 1 }]
+          }
+        />
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  roi: {
+    position: 'absolute',
+    borderWidth: 2,
+  },
+  roiSelected: {
+    borderWidth: 3,
+    borderStyle: 'dashed',
+  },
+  roiLabel: {
+    fontSize: 10,
+    fontWeight: 'bold',
+    paddingHorizontal: 3,
+  },
+  handle: {
+    position: 'absolute',
+    width: 12,
+    height: 12,
+    borderWidth: 2,
+    backgroundColor: '#1e1e1e',
+  },
+  guide: {
+    position: 'absolute',
+    backgroundColor: '#ff4dd2',
+  },
+});
@@ -0,0 +1,142 @@
+import React from 'react';
+import { View, Text, TextInput, TouchableOpacity } from 'react-native';
+import * as roiLayout from './roiLayout';
+import { controlStyles as styles } from './controlStyles';
+
+/**
+ * ROI layout controls under the camera preview: pick, add and remove ROIs,
+ * name them, cycle their role and choose the reference each is measured
+ * against, plus the auto-locate proposal awaiting accept/revert. Geometry is
+ * edited on the preview itself (ROIEditor); every change is handed back as
+ * the whole new layout through `onChange(rois)`.
+ */
+export default function ROILayoutPanel({
+  rois,
+  selectedId,
+  onSelect,
+  onChange,
+  autoLocating,
+  autoLocateResult,
+  onAutoLocate,
+  onAcceptAutoLocate,
+  onRevertAutoLocate,
+}) {
+  const selectedROI = rois.find((roi) => roi.id === selectedId) || null;
+  const referenceROIs = roiLayout.getROIsByRole(rois, roiLayout.ROI_ROLES.REFERENCE);
+
+  const updateROI = (id, changes) => onChange(rois.map((roi) => (roi.id === id ? { ...roi, ...changes } : roi)));
+
+  const handleAddROI = (role) => {
+    const roi = roiLayout.createROI(role, rois);
+    onChange([...rois, roi]);
+    onSelect(roi.id);
+  };
+
+  const handleRemoveROI = (id) => {
+    const remaining = rois.filter((roi) => roi.id !== id);
+    onChange(remaining);
+    onSelect(remaining[0]?.id || null);
+  };
+
+  const handleCycleROIRole = (roi) => {
+    const roles = Object.values(roiLayout.ROI_ROLES);
+    const role = roles[(roles.indexOf(roi.role) + 1) % roles.length];
+    updateROI(roi.id, {
+      role,
+      referenceId: role === roiLayout.ROI_ROLES.REFERENCE ? undefined : referenceROIs.find((r) => r.id !== roi.id)?.id || null,
+    });
+  };
+
+  return (
+    <>
+      <Text style={[styles.controlLabel, { marginTop: 12 }]}>ROIs (tap to select)</Text>
+      <TouchableOpacity style={[styles.roiChip, { alignSelf: 'flex-start' }]} onPress={onAutoLocate} disabled={autoLocating}>
+        <Text style={styles.roiChipText}>{autoLocating ? 'Locating…' : '🎯 Auto-locate cuvettes'}</Text>
+      </TouchableOpacity>
+      {autoLocateResult && (
+        <View style={styles.blankReportBox}>
+          <Text style={[styles.blankReportTitle, { color: autoLocateResult.confidence >= 0.6 ? '#3FB950' : '#FFA94D' }]}>
+            Auto-located · confidence {(autoLocateResult.confidence * 100).toFixed(0)}%
+          </Text>
+          {autoLocateResult.reasons.map((reason) => (
+            <Text key={reason} style={styles.blankReportWarning}>• {reason}</Text>
+          ))}
+          <Text style={styles.blankReportText}>Drag the boxes to adjust, then accept.</Text>
+          <View style={styles.roiChipRow}>
+            <TouchableOpacity style={[styles.roiChip, { borderColor: '#238636' }]} onPress={onAcceptAutoLocate}>
+              <Text style={styles.roiChipText}>✓ Accept</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.roiChip} onPress={onRevertAutoLocate}>
+              <Text style={styles.roiChipText}>↺ Revert</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      )}
+      <View style={styles.roiChipRow}>
+        {rois.map((roi) => (
+          <TouchableOpacity
+            key={roi.id}
+            style={[
+              styles.roiChip,
+              { borderColor: roiLayout.ROI_ROLE_COLORS[roi.role] },
+              roi.id === selectedId && styles.roiChipActive,
+            ]}
+            onPress={() => onSelect(roi.id)}
+          >
+            <Text style={styles.roiChipText}>{roi.name}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <View style={styles.roiChipRow}>
+        {Object.values(roiLayout.ROI_ROLES).map((role) => (
+          <TouchableOpacity key={role} style={styles.roiChip} onPress={() => handleAddROI(role)}>
+            <Text style={styles.roiChipText}>+ {role.charAt(0).toUpperCase() + role.slice(1)}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {selectedROI && (
+        <>
+          <Text style={styles.controlLabel}>Name</Text>
+          <TextInput
+            style={styles.roiNameInput}
+            value={selectedROI.name}
+            onChangeText={(text) => updateROI(selectedROI.id, { name: text })}
+          />
+          <View style={styles.roiChipRow}>
+            <TouchableOpacity style={styles.roiChip} onPress={() => handleCycleROIRole(selectedROI)}>
+              <Text style={styles.roiChipText}>Role: {selectedROI.role}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.roiChip, { borderColor: '#DA3633' }]} onPress={() => handleRemoveROI(selectedROI.id)}>
+              <Text style={styles.roiChipText}>✕ Remove</Text>
+            </TouchableOpacity>
+          </View>
+
+          {selectedROI.role !== roiLayout.ROI_ROLES.REFERENCE && (
+            <>
+              <Text style={styles.controlLabel}>Measured against</Text>
+              <View style={styles.roiChipRow}>
+                {referenceROIs.map((ref) => (
+                  <TouchableOpacity
+                    key={ref.id}
+                    style={[
+                      styles.roiChip,
+                      roiLayout.resolveReference(selectedROI, rois)?.id === ref.id && styles.roiChipActive,
+                    ]}
+                    onPress={() => updateROI(selectedROI.id, { referenceId: ref.id })}
+                  >
+                    <Text style={styles.roiChipText}>{ref.name}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            </>
+          )}
+
+          <Text style={styles.roiHint}>
+            Drag a box to move it, drag a corner or pinch to resize.
+          </Text>
+        </>
+      )}
+    </>
+  );
+}
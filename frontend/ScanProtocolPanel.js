@@ -0,0 +1,185 @@
+import React from 'react';
+import { View, Text, TouchableOpacity } from 'react-native';
+import * as scanProtocol from './scanProtocol';
+import * as signalFilters from './signalFilters';
+import NumberField from './NumberField';
+import { controlStyles as styles } from './controlStyles';
+
+/**
+ * Scan protocol settings: dark, countdown, blank, interval and duration
+ * timings, hands-free mode, auto-stop at a plateau or threshold, and the
+ * smoothing / outlier filters applied before analysis. `onChange` receives
+ * an updater of the protocol, like a state setter.
+ */
+export default function ScanProtocolPanel({ protocol, onChange }) {
+  const updateProtocol = (changes) => onChange((prev) => ({ ...prev, ...changes }));
+  const updateAutoStop = (changes) => onChange((prev) => ({ ...prev, autoStop: { ...prev.autoStop, ...changes } }));
+  const updateFilters = (changes) => onChange((prev) => ({ ...prev, filters: { ...prev.filters, ...changes } }));
+
+  return (
+    <>
+      <Text style={styles.controlLabel}>Scan protocol</Text>
+      <View style={styles.protocolGrid}>
+        <NumberField
+          label="Dark (s)"
+          value={protocol.darkSeconds}
+          onChange={(v) => updateProtocol({ darkSeconds: v })}
+          placeholder="off"
+        />
+        <NumberField
+          label="Countdown (s)"
+          value={protocol.countdownSeconds}
+          onChange={(v) => updateProtocol({ countdownSeconds: v })}
+        />
+        <NumberField
+          label="Blank (s)"
+          value={protocol.blankSeconds}
+          onChange={(v) => updateProtocol({ blankSeconds: v })}
+        />
+        <NumberField
+          label="Interval (ms)"
+          value={protocol.intervalMs}
+          onChange={(v) => updateProtocol({ intervalMs: v })}
+        />
+        <NumberField
+          label="Duration (s)"
+          value={protocol.durationSeconds}
+          onChange={(v) => updateProtocol({ durationSeconds: v })}
+          placeholder="manual"
+        />
+        <NumberField
+          label="Endpoint frames"
+          value={protocol.endpointFrames}
+          onChange={(v) => updateProtocol({ endpointFrames: v })}
+        />
+      </View>
+      <View style={styles.roiChipRow}>
+        <TouchableOpacity
+          style={[styles.roiChip, protocol.autoProceed && styles.roiChipActive]}
+          onPress={() => updateProtocol({ autoProceed: !protocol.autoProceed })}
+        >
+          <Text style={styles.roiChipText}>Hands-free {protocol.autoProceed ? 'on' : 'off'}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.roiChip, protocol.autoStop.plateau && styles.roiChipActive]}
+          onPress={() =>
+            updateAutoStop({ plateau: protocol.autoStop.plateau ? null : { windowSeconds: 30, maxSlope: 0.0005 } })
+          }
+        >
+          <Text style={styles.roiChipText}>Stop at plateau</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.roiChip, protocol.autoStop.threshold && styles.roiChipActive]}
+          onPress={() =>
+            updateAutoStop({ threshold: protocol.autoStop.threshold ? null : scanProtocol.THRESHOLD_DEFAULTS })
+          }
+        >
+          <Text style={styles.roiChipText}>Stop at threshold</Text>
+        </TouchableOpacity>
+        {protocol.autoStop.threshold && (
+          <TouchableOpacity
+            style={styles.roiChip}
+            onPress={() =>
+              updateAutoStop({
+                threshold: {
+                  ...protocol.autoStop.threshold,
+                  direction: protocol.autoStop.threshold.direction === 'below' ? 'above' : 'below',
+                },
+              })
+            }
+          >
+            <Text style={styles.roiChipText}>
+              {protocol.autoStop.threshold.direction === 'below' ? 'Falling (decay)' : 'Rising'}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      {(protocol.autoStop.plateau || protocol.autoStop.threshold) && (
+        <View style={styles.protocolGrid}>
+          {protocol.autoStop.plateau && (
+            <>
+              <NumberField
+                label="Plateau window (s)"
+                value={protocol.autoStop.plateau.windowSeconds}
+                onChange={(v) => updateAutoStop({ plateau: { ...protocol.autoStop.plateau, windowSeconds: v } })}
+              />
+              <NumberField
+                label="Max slope (AU/s)"
+                value={protocol.autoStop.plateau.maxSlope}
+                onChange={(v) => updateAutoStop({ plateau: { ...protocol.autoStop.plateau, maxSlope: v } })}
+              />
+            </>
+          )}
+          {protocol.autoStop.threshold && (
+            <>
+              <NumberField
+                label={`Stop at A ${protocol.autoStop.threshold.direction === 'below' ? '≤' : '≥'}`}
+                value={protocol.autoStop.threshold.absorbance}
+                onChange={(v) => updateAutoStop({ threshold: { ...protocol.autoStop.threshold, absorbance: v } })}
+              />
+              <NumberField
+                label="For frames in a row"
+                value={protocol.autoStop.threshold.frames}
+                onChange={(v) => updateAutoStop({ threshold: { ...protocol.autoStop.threshold, frames: v } })}
+              />
+            </>
+          )}
+        </View>
+      )}
+      <View style={styles.roiChipRow}>
+        {[
+          ['hampel', 'Hampel outliers'],
+          ['median', 'Moving median'],
+          ['savitzkyGolay', 'Savitzky–Golay'],
+        ].map(([key, label]) => (
+          <TouchableOpacity
+            key={key}
+            style={[styles.roiChip, protocol.filters[key] && styles.roiChipActive]}
+            onPress={() => updateFilters({ [key]: protocol.filters[key] ? null : signalFilters.FILTER_DEFAULTS[key] })}
+          >
+            <Text style={styles.roiChipText}>{label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      {signalFilters.hasFilters(protocol.filters) && (
+        <View style={styles.protocolGrid}>
+          {protocol.filters.hampel && (
+            <>
+              <NumberField
+                label="Hampel window (pts)"
+                value={protocol.filters.hampel.windowPoints}
+                onChange={(v) => updateFilters({ hampel: { ...protocol.filters.hampel, windowPoints: v } })}
+              />
+              <NumberField
+                label="Hampel threshold (σ)"
+                value={protocol.filters.hampel.threshold}
+                onChange={(v) => updateFilters({ hampel: { ...protocol.filters.hampel, threshold: v } })}
+              />
+            </>
+          )}
+          {protocol.filters.median && (
+            <NumberField
+              label="Median window (pts)"
+              value={protocol.filters.median.windowPoints}
+              onChange={(v) => updateFilters({ median: { windowPoints: v } })}
+            />
+          )}
+          {protocol.filters.savitzkyGolay && (
+            <>
+              <NumberField
+                label="S–G window (pts)"
+                value={protocol.filters.savitzkyGolay.windowPoints}
+                onChange={(v) => updateFilters({ savitzkyGolay: { ...protocol.filters.savitzkyGolay, windowPoints: v } })}
+              />
+              <NumberField
+                label="S–G order"
+                value={protocol.filters.savitzkyGolay.order}
+                onChange={(v) => updateFilters({ savitzkyGolay: { ...protocol.filters.savitzkyGolay, order: v } })}
+              />
+            </>
+          )}
+        </View>
+      )}
+    </>
+  );
+}
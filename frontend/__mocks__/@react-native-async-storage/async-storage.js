@@ -0,0 +1,2 @@
+// In-memory AsyncStorage for tests (the native module is not available under jest)
+export { default } from '@react-native-async-storage/async-storage/jest/async-storage-mock';
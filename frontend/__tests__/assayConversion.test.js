@@ -0,0 +1,36 @@
+import { DEFAULT_ASSAY_METADATA, convertRate, formatConvertedRate, validateAssayMetadata } from '../assayConversion';
+
+const pnp = { ...DEFAULT_ASSAY_METADATA, extinctionCoefficient: 18000 };
+
+describe('convertRate', () => {
+  it('turns A/s into µM/min and enzyme units', () => {
+    // 0.003 A/s · 60 / (18000 M⁻¹cm⁻¹ · 1 cm) = 10 µM/min; 1 mL cuvette → 0.01 µmol/min from 0.1 mL enzyme
+    const converted = convertRate(0.003, pnp);
+    expect(converted.rateMicroMolarPerMin).toBeCloseTo(10, 10);
+    expect(converted.unitsInCuvette).toBeCloseTo(0.01, 12);
+    expect(converted.activityUnitsPerMl).toBeCloseTo(0.1, 12);
+    expect(formatConvertedRate(converted)).toBe('10.000 µM/min · 0.1000 U/mL');
+  });
+
+  it('scales activity with the enzyme dilution and keeps the sign of a decay', () => {
+    const converted = convertRate(-0.003, { ...pnp, pathLength: 0.5, dilution: 10 });
+    expect(converted.rateMicroMolarPerMin).toBeCloseTo(-20, 10);
+    expect(converted.activityUnitsPerMl).toBeCloseTo(2, 10);
+  });
+
+  it('makes no conversion without ε or with invalid metadata', () => {
+    expect(convertRate(0.003, DEFAULT_ASSAY_METADATA)).toBeNull();
+    expect(convertRate(0.003, { ...pnp, enzymeVolume: 2 })).toBeNull();
+    expect(convertRate(NaN, pnp)).toBeNull();
+  });
+});
+
+describe('validateAssayMetadata', () => {
+  it('lists every invalid field', () => {
+    expect(validateAssayMetadata(pnp)).toEqual([]);
+    expect(validateAssayMetadata({ ...pnp, extinctionCoefficient: -1, pathLength: 0 })).toEqual([
+      'Extinction coefficient must be positive.',
+      'Path length must be positive.',
+    ]);
+  });
+});
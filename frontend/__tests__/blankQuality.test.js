@@ -0,0 +1,43 @@
+import { absorbanceNoiseFloor, summarizeBlank } from '../blankQuality';
+
+// Blank frames one second apart; value(t) gives every channel of every ROI
+const frames = (n, value) =>
+  Array.from({ length: n }, (_, t) => ({
+    time: t,
+    rois: { sample: { r: value(t), g: value(t), b: value(t) }, reference: { r: 200, g: 200, b: 200 } },
+  }));
+
+describe('summarizeBlank', () => {
+  it('averages a steady blank and accepts it', () => {
+    const report = summarizeBlank(frames(10, (t) => 100 + (t % 2 ? 0.5 : -0.5)));
+    expect(report.acceptable).toBe(true);
+    expect(report.frameCount).toBe(10);
+    expect(report.duration).toBe(9);
+    expect(report.rois.sample.g).toBeCloseTo(100, 10);
+    expect(report.rois.reference).toEqual({ r: 200, g: 200, b: 200 });
+  });
+
+  it('rejects a noisy or drifting blank and names the ROI', () => {
+    const noisy = summarizeBlank(frames(10, (t) => (t % 2 ? 110 : 90)), {}, { sample: 'Sample 1' });
+    expect(noisy.acceptable).toBe(false);
+    expect(noisy.reasons[0]).toMatch(/^Sample 1 R too noisy/);
+
+    const drifting = summarizeBlank(frames(10, (t) => 100 + t));
+    expect(drifting.reasons.some((r) => /still drifting/.test(r))).toBe(true);
+  });
+
+  it('needs enough frames', () => {
+    expect(summarizeBlank([]).reasons).toEqual(['No usable blank frames were captured.']);
+    expect(summarizeBlank(frames(3, () => 100)).reasons[0]).toMatch(/Only 3 blank frames/);
+  });
+});
+
+describe('absorbanceNoiseFloor', () => {
+  it('propagates the blank CVs of sample and reference into absorbance', () => {
+    const report = summarizeBlank(frames(10, (t) => 100 + (t % 2 ? 1 : -1)));
+    const cv = report.channels.sample.r.cv;
+    const lod = absorbanceNoiseFloor(report, 'sample', 'reference');
+    expect(lod.r).toBeCloseTo((3 * cv) / Math.LN10, 10);
+    expect(absorbanceNoiseFloor(report, 'sample', 'missing')).toBeNull();
+  });
+});
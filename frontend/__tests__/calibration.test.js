@@ -0,0 +1,73 @@
+import { averageEndpointFrames, describeCalibration, fitCalibration, interpolateConcentration, predictAbsorbance } from '../calibration';
+
+// Fixed read errors so the residual SD (and the interval) is not zero
+const ERRORS = [0.002, -0.003, 0.001, 0.003, -0.002, -0.001, 0.002, -0.002];
+
+const standards = (curve, concentrations) =>
+  concentrations.map((concentration, i) => ({ concentration, absorbance: curve(concentration) + ERRORS[i % ERRORS.length] }));
+
+describe('averageEndpointFrames', () => {
+  it('averages the usable frames and counts the rejected ones', () => {
+    const read = averageEndpointFrames([
+      { abs: { r: 0.1, g: 0.3 } },
+      { abs: { r: 0.3, g: 0.3 } },
+      { abs: { r: 9, g: 9 }, usable: false },
+    ]);
+    expect(read.abs.r).toBeCloseTo(0.2, 12);
+    expect(read.sd.r).toBeCloseTo(Math.SQRT2 * 0.1, 12);
+    expect(read.sd.g).toBe(0);
+    expect(read.frames).toBe(2);
+    expect(read.rejectedFrames).toBe(1);
+  });
+
+  it('throws when every frame was rejected', () => {
+    expect(() => averageEndpointFrames([{ abs: { r: 1 }, usable: false }])).toThrow('No usable frames in the read (1 rejected).');
+  });
+});
+
+describe('fitCalibration', () => {
+  it('recovers a straight standard curve and reads an unknown back with a CI', () => {
+    const cal = fitCalibration(standards((c) => 0.05 + 0.4 * c, [0, 0.25, 0.5, 1, 1.5, 2]), 'linear', { units: 'mg/mL' });
+    expect(cal.params[0]).toBeCloseTo(0.05, 2);
+    expect(cal.params[1]).toBeCloseTo(0.4, 2);
+    expect(cal.range).toEqual({ min: 0, max: 2 });
+    expect(describeCalibration(cal)).toMatch(/^A = 0\.0\d+ \+ 0\.\d+·c$/);
+
+    const read = interpolateConcentration(cal, predictAbsorbance(cal, 0.8), { replicates: 3 });
+    expect(read.concentration).toBeCloseTo(0.8, 10);
+    expect(read.ci[0]).toBeLessThan(0.8);
+    expect(read.ci[1]).toBeGreaterThan(0.8);
+    expect(read.outOfRange).toBe(false);
+    // More replicates shrink only the reading part of the error
+    expect(interpolateConcentration(cal, predictAbsorbance(cal, 0.8)).se).toBeGreaterThan(read.se);
+  });
+
+  it('flags extrapolation beyond the standards', () => {
+    const cal = fitCalibration(standards((c) => 0.4 * c, [0, 0.5, 1, 1.5]), 'linear');
+    const read = interpolateConcentration(cal, predictAbsorbance(cal, 3));
+    expect(read.outOfRange).toBe(true);
+    expect(read.reason).toBe('Outside the range of the standards (extrapolated).');
+  });
+
+  it('reads a saturating curve back through the 4PL', () => {
+    const curve = (c) => 1.2 + (0.05 - 1.2) / (1 + Math.pow(c / 2, 1.3));
+    const cal = fitCalibration(standards(curve, [0, 0.25, 0.5, 1, 2, 4, 8, 16]), '4pl');
+    expect(cal.params[2]).toBeCloseTo(2, 0);
+    expect(interpolateConcentration(cal, curve(3)).concentration).toBeCloseTo(3, 0);
+    expect(interpolateConcentration(cal, 1.5)).toMatchObject({ concentration: null, outOfRange: true });
+  });
+
+  it('picks the quadratic root that runs through the standards', () => {
+    const curve = (c) => 0.02 + 0.5 * c - 0.08 * c * c;
+    const cal = fitCalibration(standards(curve, [0, 0.5, 1, 1.5, 2, 2.5]), 'quadratic');
+    expect(interpolateConcentration(cal, predictAbsorbance(cal, 1.2)).concentration).toBeCloseTo(1.2, 10);
+  });
+
+  it('refuses too few standards or concentrations', () => {
+    expect(() => fitCalibration(standards((c) => c, [0, 1]), 'linear')).toThrow('Linear calibration needs at least 3 standards (got 2).');
+    expect(() => fitCalibration(standards((c) => c, [1, 1, 1, 2]), 'quadratic')).toThrow(
+      'Quadratic calibration needs at least 3 different concentrations.'
+    );
+    expect(() => fitCalibration([], 'cubic')).toThrow('Unknown calibration model "cubic".');
+  });
+});
@@ -0,0 +1,52 @@
+import { checkCameraLock, createCameraLock, readExposureSettings } from '../cameraLock';
+
+const exif = (exposureTime, iso, extra = {}) => ({ ExposureTime: exposureTime, ISOSpeedRatings: [iso], ...extra });
+const reference = { r: 200, g: 180, b: 150 };
+
+describe('readExposureSettings', () => {
+  it('reads iOS and Android EXIF layouts', () => {
+    expect(readExposureSettings({ '{Exif}': exif(0.01, 100) })).toEqual({ exposureTime: 0.01, iso: 100, whiteBalance: null });
+    expect(readExposureSettings({ ExposureTime: '0.02', PhotographicSensitivity: 200, WhiteBalance: 0 })).toEqual({
+      exposureTime: 0.02,
+      iso: 200,
+      whiteBalance: 0,
+    });
+  });
+
+  it('returns null without exposure time or ISO', () => {
+    expect(readExposureSettings({ ExposureTime: 0.01 })).toBeNull();
+    expect(readExposureSettings(null)).toBeNull();
+  });
+});
+
+describe('checkCameraLock', () => {
+  const lock = createCameraLock(exif(0.01, 100), reference);
+
+  it('holds while the settings and the reference colour stay put', () => {
+    expect(checkCameraLock(lock, exif(0.01, 100), { r: 202, g: 181, b: 151 })).toEqual({ held: true, reasons: [] });
+  });
+
+  it('reports every setting that changed', () => {
+    const { held, reasons } = checkCameraLock(lock, exif(0.02, 200), reference);
+    expect(held).toBe(false);
+    expect(reasons).toHaveLength(2);
+    expect(reasons[0]).toMatch(/exposure changed/);
+    expect(reasons[1]).toMatch(/ISO changed/);
+  });
+
+  it('catches white balance drifting on the reference ROI', () => {
+    const { held, reasons } = checkCameraLock(lock, exif(0.01, 100), { r: 230, g: 180, b: 150 });
+    expect(held).toBe(false);
+    expect(reasons[0]).toMatch(/white balance drifted/);
+  });
+
+  it('records whether focus is held and that the other settings are only checked', () => {
+    expect(lock.focusLocked).toBe(false);
+    expect(createCameraLock(exif(0.01, 100), reference, true).focusLocked).toBe(true);
+    expect(lock.checked).toEqual(['exposure time', 'ISO', 'white balance']);
+  });
+
+  it('cannot be created from a frame without exposure data', () => {
+    expect(() => createCameraLock({}, reference)).toThrow(/does not report exposure/);
+  });
+});
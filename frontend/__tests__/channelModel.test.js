@@ -0,0 +1,54 @@
+import { calculateAbsorbance } from '../analysisUtils';
+import {
+  DEFAULT_ASSAYS,
+  RGB_CHANNELS,
+  calculateChannelAbsorbance,
+  channelLabel,
+  createChannel,
+  mixChannelStats,
+  resolveAnalysisChannel,
+  validateChannel,
+} from '../channelModel';
+
+const blank = { r: 200, g: 180, b: 160 };
+const reference = { r: 210, g: 190, b: 170 };
+
+describe('channelModel', () => {
+  it('reduces to calculateAbsorbance on a raw camera channel', () => {
+    const sample = { r: 100, g: 150, b: 40 };
+    const expected = calculateAbsorbance(sample, blank, reference, reference);
+    for (const channel of RGB_CHANNELS) {
+      expect(calculateChannelAbsorbance(channel, sample, blank, reference, reference)).toBeCloseTo(expected[channel.id], 10);
+    }
+  });
+
+  it('absorbs on a mixed channel as on its weighted intensity', () => {
+    const channel = createChannel(405, { g: 0.2, b: 0.8 });
+    const sample = { r: 200, g: 90, b: 80 };
+    const mixed = (rgb) => 0.2 * rgb.g + 0.8 * rgb.b;
+    expect(calculateChannelAbsorbance(channel, sample, blank, reference, reference)).toBeCloseTo(
+      -Math.log10(mixed(sample) / mixed(blank)),
+      10
+    );
+  });
+
+  it('propagates blank noise into a mixed channel as independent channels', () => {
+    const stats = { r: { mean: 100, sd: 3 }, g: { mean: 100, sd: 4 }, b: { mean: 100, sd: 0 } };
+    expect(mixChannelStats(stats, { r: 0.5, g: 0.5 })).toEqual({ mean: 100, sd: 2.5, cv: 0.025 });
+  });
+
+  it('validates channel definitions', () => {
+    expect(validateChannel(createChannel(652, { r: 0.9, g: 0.1 }))).toEqual([]);
+    expect(validateChannel({ id: 'g', weights: { g: 1 } })[0]).toMatch(/reserved/);
+    expect(validateChannel({ id: 'x', weights: { r: 0, g: 0, b: 0 } })).toEqual(['At least one channel weight must be above zero.']);
+    expect(validateChannel({ id: 'x', wavelength: -5, weights: { r: -1 } })).toHaveLength(2);
+  });
+
+  it('uses the assay channel only when the assay fixes it', () => {
+    const pnp = DEFAULT_ASSAYS.find((a) => a.id === 'pnp');
+    expect(resolveAnalysisChannel(pnp, 'r')).toBe('405nm');
+    expect(resolveAnalysisChannel(DEFAULT_ASSAYS[0], 'g')).toBe('g');
+    expect(channelLabel('405nm', pnp)).toBe('405 nm');
+    expect(channelLabel('b')).toBe('B');
+  });
+});
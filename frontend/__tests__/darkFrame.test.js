@@ -0,0 +1,71 @@
+import { checkDark, matchDarkToLock, subtractDark, summarizeDark } from '../darkFrame';
+
+const dark = {
+  rois: { sample: { r: 20, g: 10, b: 8 } },
+  frameCount: 5,
+  settings: { exposureTime: 0.1, iso: 800 },
+};
+const lock = { exposureTime: 0.01, iso: 100 };
+const exif = { ExposureTime: 0.1, ISOSpeedRatings: [800] };
+
+describe('summarizeDark', () => {
+  it('averages the dark frames per ROI and keeps their exposure', () => {
+    const summary = summarizeDark([
+      { rois: { sample: { r: 18, g: 10, b: 6 } }, exif },
+      { rois: { sample: { r: 22, g: 10, b: 10 } }, exif },
+    ]);
+    expect(summary.rois.sample).toEqual({ r: 20, g: 10, b: 8 });
+    expect(summary.frameCount).toBe(2);
+    expect(summary.settings).toMatchObject({ exposureTime: 0.1, iso: 800 });
+    expect(summarizeDark([])).toBeNull();
+  });
+});
+
+describe('subtractDark', () => {
+  it('removes the dark level, floored at zero, from the ROIs it covers', () => {
+    const frame = {
+      usable: true,
+      rois: {
+        sample: { intensity: { r: 100, g: 5, b: 50 }, stats: {} },
+        'reference-1': { intensity: { r: 200, g: 200, b: 200 }, stats: {} },
+      },
+    };
+    const corrected = subtractDark(frame, dark);
+    expect(corrected.rois.sample.intensity).toEqual({ r: 80, g: 0, b: 42 });
+    expect(corrected.rois['reference-1']).toBe(frame.rois['reference-1']);
+    expect(subtractDark(frame, null)).toBe(frame);
+  });
+});
+
+describe('matchDarkToLock', () => {
+  const frame = { rois: { sample: { intensity: { r: 100, g: 100, b: 100 } } } };
+
+  it('keeps a dark exposed like the blank', () => {
+    const matched = matchDarkToLock(dark, { exposureTime: 0.1, iso: 800 });
+    expect(matched).toBe(dark);
+    expect(checkDark(matched, { sample: { r: 200, g: 200, b: 200 } })).toEqual([]);
+  });
+
+  it('discards, rather than rescales, a dark exposed differently', () => {
+    const matched = matchDarkToLock(dark, lock);
+    expect(subtractDark(frame, matched).rois.sample.intensity).toEqual({ r: 100, g: 100, b: 100 });
+    expect(checkDark(matched, {})).toEqual([
+      'Dark frames were exposed differently (0.1s, ISO 800) from the blank (0.01s, ISO 100). The dark level was not subtracted.',
+    ]);
+    // A later lock cannot bring it back
+    expect(matchDarkToLock(matched, dark.settings).rois).toEqual({});
+  });
+
+  it('discards a dark whose exposure is unknown', () => {
+    const matched = matchDarkToLock({ ...dark, settings: null }, lock);
+    expect(subtractDark(frame, matched).rois.sample.intensity).toEqual({ r: 100, g: 100, b: 100 });
+    expect(checkDark(matched, {})[0]).toMatch(/not subtracted/);
+  });
+});
+
+describe('checkDark', () => {
+  it('reports a dark level that eats the blank', () => {
+    const warnings = checkDark(dark, { sample: { r: 20, g: 200, b: 200 } }, { sample: 'Sample 1' });
+    expect(warnings).toEqual(['Sample 1 R dark level is 50% of the blank; check for stray light.']);
+  });
+});
@@ -0,0 +1,50 @@
+import { evaluateDoseResponse, fitDoseResponse, percentActivity } from '../doseResponse';
+
+const ERRORS = [1.5, -1, 0.5, -2, 1, -0.5, 2, -1.5, 0.5];
+const CONCENTRATIONS = [0.01, 0.03, 0.1, 0.3, 1, 3, 10, 30, 100];
+const curve = (c) => 5 + (100 - 5) / (1 + Math.pow(c / 2, 1.2));
+
+describe('percentActivity', () => {
+  it('scales rates to the mean control', () => {
+    const { controlRate, points } = percentActivity([
+      { concentration: 0, v0: 0.011, control: true },
+      { concentration: 0, v0: 0.009, control: true },
+      { concentration: 5, v0: 0.005 },
+      { concentration: 1, v0: 0.008 },
+    ]);
+    expect(controlRate).toBeCloseTo(0.01, 12);
+    expect(points.map((d) => d.concentration)).toEqual([1, 5]);
+    expect(points[1].activity).toBeCloseTo(50, 10);
+  });
+
+  it('needs a non-zero control', () => {
+    expect(() => percentActivity([{ concentration: 1, v0: 1 }])).toThrow('Mark at least one scan as the control (100% activity).');
+    expect(() => percentActivity([{ concentration: 0, v0: 0, control: true }])).toThrow(/control rate is zero/);
+  });
+});
+
+describe('fitDoseResponse', () => {
+  it('recovers IC50 and the Hill slope with an interval around them', () => {
+    const fit = fitDoseResponse(CONCENTRATIONS.map((concentration, k) => ({ concentration, activity: curve(concentration) + ERRORS[k] })));
+    expect(fit.ic50.value).toBeCloseTo(2, 0);
+    expect(fit.ic50.ci[0]).toBeLessThan(2);
+    expect(fit.ic50.ci[1]).toBeGreaterThan(2);
+    expect(fit.named['Hill slope'].value).toBeCloseTo(1.2, 0);
+    expect(fit.named.Top.value).toBeCloseTo(100, -1);
+    expect(fit.extrapolated).toBe(false);
+    expect(evaluateDoseResponse(fit, [Math.log10(2)])[0]).toBeCloseTo(curve(2), -1);
+  });
+
+  it('flags an IC50 beyond the concentrations tested', () => {
+    // Only the bottom half of the curve was tested: 2.5–128 against an IC50 of 2
+    const tested = [2.5, 4, 8, 16, 32, 64, 128];
+    const fit = fitDoseResponse(tested.map((concentration, k) => ({ concentration, activity: curve(concentration) + ERRORS[k] })));
+    expect(fit.ic50.value).toBeLessThan(2.5);
+    expect(fit.extrapolated).toBe(true);
+  });
+
+  it('leaves out zero concentrations and needs five others', () => {
+    const points = [0, 0.1, 1, 10, 100].map((concentration) => ({ concentration, activity: curve(concentration) }));
+    expect(() => fitDoseResponse(points)).toThrow('A four-parameter logistic needs at least 5 non-zero concentrations (got 4).');
+  });
+});
@@ -0,0 +1,59 @@
+import { ENZYME_MODELS, compareEnzymeModels, evaluateEnzymeModel, fitEnzymeModel } from '../enzymeModels';
+
+// Fixed relative errors (about 2%) so the fits have residuals to judge
+const ERRORS = [0.02, -0.015, 0.01, -0.02, 0.015, -0.01, 0.005, -0.005, 0.02, -0.02];
+const S = [0.05, 0.1, 0.2, 0.4, 0.7, 1, 1.5, 2.5, 4, 8];
+
+const rates = (modelId, params, s = S) =>
+  s.map((x, k) => ({ s: x, v0: ENZYME_MODELS[modelId].evaluate(x, params) * (1 + ERRORS[k % ERRORS.length]) }));
+
+const fitOf = (comparison, modelId) => comparison.fits.find((f) => f.model === modelId);
+
+describe('compareEnzymeModels', () => {
+  it('keeps Michaelis–Menten for hyperbolic rates and recovers Km and Vmax', () => {
+    const comparison = compareEnzymeModels(rates('michaelisMenten', [0.01, 0.5]));
+    expect(comparison.criterion).toBe('aicc');
+    expect(comparison.recommended).toBe('michaelisMenten');
+    const { named } = fitOf(comparison, 'michaelisMenten');
+    expect(named.Vmax.value).toBeCloseTo(0.01, 3);
+    expect(named.Km.value).toBeCloseTo(0.5, 1);
+    expect(named.Km.ci[0]).toBeLessThan(0.5);
+    expect(named.Km.ci[1]).toBeGreaterThan(0.5);
+  });
+
+  it('recognises cooperative binding and recovers the Hill coefficient', () => {
+    const comparison = compareEnzymeModels(rates('hill', [0.01, 0.8, 2.5]));
+    expect(['hill', 'allosteric']).toContain(comparison.recommended);
+    expect(fitOf(comparison, 'hill').fTest.p).toBeLessThan(0.001);
+    const { named } = fitOf(comparison, 'hill');
+    expect(named.nH.value).toBeCloseTo(2.5, 0);
+    expect(named['K½'].value).toBeCloseTo(0.8, 1);
+  });
+
+  it('recovers KR and L of a concerted (MWC) enzyme', () => {
+    const fit = fitEnzymeModel('allosteric', S, rates('allosteric', [0.01, 0.3, 200]).map((d) => d.v0));
+    expect(fit.named.KR.value).toBeCloseTo(0.3, 1);
+    expect(Math.log10(fit.named.L.value)).toBeCloseTo(Math.log10(200), 0);
+  });
+
+  it('recommends substrate inhibition when rates fall at high [S]', () => {
+    const s = [...S, 12, 20];
+    const comparison = compareEnzymeModels(rates('substrateInhibition', [0.012, 0.3, 5], s));
+    expect(comparison.recommended).toBe('substrateInhibition');
+    expect(comparison.reason).toMatch(/improves significantly on Michaelis–Menten/);
+    expect(fitOf(comparison, 'substrateInhibition').named.Ki.value).toBeCloseTo(5, 0);
+    expect(fitOf(comparison, 'michaelisMenten').delta).toBeGreaterThan(10);
+  });
+
+  it('fits decay assays on |V₀|', () => {
+    const decay = rates('michaelisMenten', [0.01, 0.5]).map((d) => ({ ...d, v0: -d.v0 }));
+    const fit = fitOf(compareEnzymeModels(decay), 'michaelisMenten');
+    expect(evaluateEnzymeModel(fit, [0.5])[0]).toBeCloseTo(0.005, 3);
+  });
+
+  it('reports a model with too few rates instead of fitting it', () => {
+    const comparison = compareEnzymeModels(rates('michaelisMenten', [0.01, 0.5], [0.1, 0.5, 1]));
+    expect(comparison.recommended).toBe('michaelisMenten');
+    expect(fitOf(comparison, 'hill').error).toBe('Hill needs at least 4 rates (got 3).');
+  });
+});
@@ -0,0 +1,66 @@
+import { fitLinearLeastSquares, levenbergMarquardt, nestedFTest, studentTQuantile } from '../fitting';
+
+const michaelisMenten = (s, [vmax, km]) => (vmax * s) / (km + s);
+
+// Small deterministic scatter so the fits have residual degrees of freedom
+const JITTER = [0.004, -0.006, 0.002, 0.005, -0.003, -0.004, 0.006, -0.002];
+
+describe('studentTQuantile', () => {
+  it('matches tabulated two-sided 95% critical values', () => {
+    expect(studentTQuantile(0.975, 1)).toBeCloseTo(12.706, 3);
+    expect(studentTQuantile(0.975, 10)).toBeCloseTo(2.228, 3);
+    expect(studentTQuantile(0.995, 5)).toBeCloseTo(4.032, 3);
+  });
+
+  it('approaches the normal quantile for large degrees of freedom', () => {
+    expect(studentTQuantile(0.975, 1e6)).toBeCloseTo(1.96, 2);
+  });
+
+  it('is symmetric and rejects invalid input', () => {
+    expect(studentTQuantile(0.025, 10)).toBeCloseTo(-studentTQuantile(0.975, 10), 8);
+    expect(studentTQuantile(1, 10)).toBeNaN();
+    expect(studentTQuantile(0.975, 0)).toBeNaN();
+  });
+});
+
+describe('fitLinearLeastSquares', () => {
+  it('recovers a straight line exactly', () => {
+    const x = [0, 1, 2, 3, 4];
+    const fit = fitLinearLeastSquares(x, x.map((v) => 2 + 3 * v), [() => 1, (v) => v]);
+    expect(fit.params[0]).toBeCloseTo(2, 10);
+    expect(fit.params[1]).toBeCloseTo(3, 10);
+    expect(fit.rSquared).toBeCloseTo(1, 10);
+  });
+
+  it('throws when there are fewer points than parameters', () => {
+    expect(() => fitLinearLeastSquares([1], [1], [() => 1, (v) => v])).toThrow(/at least 2 points/);
+  });
+});
+
+describe('levenbergMarquardt', () => {
+  const s = [0.25, 0.5, 1, 2, 4, 8, 16, 32];
+  const v = s.map((si, k) => michaelisMenten(si, [1.2, 2.5]) + JITTER[k]);
+
+  it('recovers Michaelis–Menten parameters from a poor start', () => {
+    const fit = levenbergMarquardt(michaelisMenten, s, v, [0.3, 20], { lower: [1e-12, 1e-12] });
+    expect(fit.converged).toBe(true);
+    expect(fit.params[0]).toBeCloseTo(1.2, 1);
+    expect(fit.params[1]).toBeCloseTo(2.5, 1);
+    expect(fit.dof).toBe(s.length - 2);
+    // The confidence interval brackets the estimate and the true value
+    expect(fit.ci[0][0]).toBeLessThan(1.2);
+    expect(fit.ci[0][1]).toBeGreaterThan(1.2);
+  });
+
+  it('keeps parameters within their bounds', () => {
+    const fit = levenbergMarquardt(michaelisMenten, s, v, [1, 1], { lower: [1e-12, 5], upper: [Infinity, 10] });
+    expect(fit.params[1]).toBeGreaterThanOrEqual(5);
+  });
+
+  it('prefers the simpler nested model when the extra parameter does not help', () => {
+    const hill = (si, [vmax, k, h]) => (vmax * si ** h) / (k ** h + si ** h);
+    const simple = levenbergMarquardt(michaelisMenten, s, v, [1, 1], { lower: [1e-12, 1e-12] });
+    const complex = levenbergMarquardt(hill, s, v, [1, 1, 1], { lower: [1e-12, 1e-12, 0.1] });
+    expect(nestedFTest(simple, complex).p).toBeGreaterThan(0.05);
+  });
+});
@@ -0,0 +1,50 @@
+import { uniform } from './random';
+
+/**
+ * Decoded frame fixtures: {width, height, data} RGBA images, the same shape
+ * the camera pipeline hands to roiPixels / roiStatistics / roiAutoLocate.
+ */
+
+export const solidFrame = (width, height, [r, g, b]) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data[i * 4] = r;
+    data[i * 4 + 1] = g;
+    data[i * 4 + 2] = b;
+    data[i * 4 + 3] = 255;
+  }
+  return { width, height, data };
+};
+
+export const paintRect = (frame, { left, top, width, height }, [r, g, b]) => {
+  for (let y = top; y < top + height; y++) {
+    for (let x = left; x < left + width; x++) {
+      const i = (y * frame.width + x) * 4;
+      frame.data[i] = r;
+      frame.data[i + 1] = g;
+      frame.data[i + 2] = b;
+    }
+  }
+  return frame;
+};
+
+/**
+ * Still image of a two-window cuvette holder: a dark, slightly noisy
+ * background with two lit windows side by side (sample on the left,
+ * reference on the right) and a little sensor noise everywhere.
+ */
+export const CUVETTE_STILL_WINDOWS = [
+  { left: 30, top: 40, width: 40, height: 80 },
+  { left: 130, top: 40, width: 40, height: 80 },
+];
+
+export const cuvetteStill = () => {
+  const frame = solidFrame(200, 160, [20, 22, 25]);
+  paintRect(frame, CUVETTE_STILL_WINDOWS[0], [210, 180, 120]);
+  paintRect(frame, CUVETTE_STILL_WINDOWS[1], [220, 220, 215]);
+  const next = uniform(12345);
+  for (let i = 0; i < frame.width * frame.height * 4; i++) {
+    if (i % 4 !== 3) frame.data[i] = frame.data[i] + Math.round((next() - 0.5) * 8);
+  }
+  return frame;
+};
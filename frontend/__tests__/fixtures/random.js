@@ -0,0 +1,19 @@
+/**
+ * Seeded random numbers for the fixtures, so they are identical on every
+ * run (Park–Miller minimal standard generator).
+ */
+
+/** Uniform numbers in (0, 1) from a positive integer seed. */
+export const uniform = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+};
+
+/** Standard normal numbers (Box–Muller) from a positive integer seed. */
+export const gaussian = (seed) => {
+  const next = uniform(seed);
+  return () => Math.sqrt(-2 * Math.log(next())) * Math.cos(2 * Math.PI * next());
+};
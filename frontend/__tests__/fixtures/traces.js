@@ -0,0 +1,15 @@
+import { gaussian } from './random';
+
+/**
+ * Absorbance trace of n frames, one every `interval` seconds: abs(time) gives
+ * the true {r, g, b} and each channel gets independent Gaussian noise of the
+ * given SD.
+ */
+export const noisyTrace = (n, abs, sd, seed, interval = 1) => {
+  const next = gaussian(seed);
+  return Array.from({ length: n }, (_, k) => {
+    const time = k * interval;
+    const clean = abs(time);
+    return { time, abs: { r: clean.r + sd * next(), g: clean.g + sd * next(), b: clean.b + sd * next() } };
+  });
+};
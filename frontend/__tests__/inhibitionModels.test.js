@@ -0,0 +1,58 @@
+import { INHIBITION_MODELS, compareInhibitionModels, inhibitionReplots } from '../inhibitionModels';
+
+const ERRORS = [0.015, -0.01, 0.005, -0.02, 0.01, -0.005, 0.02, -0.015];
+const S = [0.1, 0.25, 0.5, 1, 2, 5];
+const I = [0, 1, 3];
+
+// A 6 × 3 grid of rates with about 1.5% relative error
+const study = (modelId, params) =>
+  I.flatMap((i) => S.map((s) => ({ s, i }))).map((d, k) => ({
+    ...d,
+    v0: INHIBITION_MODELS[modelId].evaluate(d, params) * (1 + ERRORS[k % ERRORS.length]),
+  }));
+
+const fitOf = (comparison, modelId) => comparison.fits.find((f) => f.model === modelId);
+
+describe('compareInhibitionModels', () => {
+  it.each([
+    ['competitive', [0.01, 0.5, 1.5], 'Ki'],
+    ['uncompetitive', [0.01, 0.5, 1.5], 'αKi'],
+    ['noncompetitive', [0.01, 0.5, 1.5], 'Ki'],
+  ])('identifies %s inhibition and recovers its constant', (modelId, params, constant) => {
+    const comparison = compareInhibitionModels(study(modelId, params));
+    expect(comparison.recommended).toBe(modelId);
+    expect(comparison.levels).toEqual(I);
+    const { named } = fitOf(comparison, modelId);
+    expect(named.Vmax.value).toBeCloseTo(0.01, 3);
+    expect(named.Km.value).toBeCloseTo(0.5, 1);
+    expect(named[constant].value).toBeCloseTo(1.5, 0);
+  });
+
+  it('takes mixed inhibition only when the second constant is significant', () => {
+    const comparison = compareInhibitionModels(study('mixed', [0.01, 0.5, 0.5, 5]));
+    expect(comparison.recommended).toBe('mixed');
+    const mixed = fitOf(comparison, 'mixed');
+    expect(mixed.fTest.p).toBeLessThan(0.05);
+    expect(mixed.alpha).toBeCloseTo(10, -1);
+  });
+
+  it('needs two inhibitor levels', () => {
+    expect(() => compareInhibitionModels(study('competitive', [0.01, 0.5, 1.5]).filter((d) => d.i === 0))).toThrow(
+      'An inhibition study needs rates at two or more inhibitor concentrations.'
+    );
+  });
+
+  it('gives competitive Lineweaver–Burk lines a common 1/Vmax intercept', () => {
+    const data = study('competitive', [0.01, 0.5, 1.5]);
+    const comparison = compareInhibitionModels(data);
+    const { lineweaverBurk } = inhibitionReplots(data, fitOf(comparison, 'competitive'));
+    expect(lineweaverBurk.series.map((series) => series.level)).toEqual(I);
+    // Extrapolate each fitted line to 1/[S] = 0
+    const { x } = lineweaverBurk;
+    const intercepts = lineweaverBurk.series.map(({ fitted }) => {
+      const slope = (fitted[x.length - 1] - fitted[0]) / (x[x.length - 1] - x[0]);
+      return fitted[0] - slope * x[0];
+    });
+    intercepts.forEach((intercept) => expect(intercept).toBeCloseTo(intercepts[0], 6));
+  });
+});
@@ -0,0 +1,57 @@
+import { analyzeKineticData } from '../analysisUtils';
+import { noisyTrace } from './fixtures/traces';
+
+const SD = 0.003;
+const flat = () => ({ r: 0.2, g: 0.3, b: 0.1 });
+
+describe('analyzeKineticData initial rate', () => {
+  it('rarely calls a slope or a lag on flat noise', () => {
+    for (const channel of ['auto', 'r']) {
+      let significant = 0;
+      let lags = 0;
+      for (let k = 1; k <= 100; k++) {
+        const analysis = analyzeKineticData(noisyTrace(120, flat, SD, 1000 + 7919 * k), { channel });
+        if (analysis.slopeSignificant) significant += 1;
+        if (analysis.lagDetected) lags += 1;
+      }
+      // A 5% error rate expects 5 of 100
+      expect(significant).toBeLessThanOrEqual(9);
+      expect(lags).toBeLessThanOrEqual(5);
+    }
+  });
+
+  it('skips a real lag and fits the rate after it', () => {
+    const lagged = noisyTrace(120, (t) => ({ r: 0.1, g: 0.2 + (t < 20 ? 0 : 0.002 * (t - 20)), b: 0.1 }), SD, 42);
+    const analysis = analyzeKineticData(lagged);
+    expect(analysis.primaryChannel).toBe('g');
+    expect(analysis.slopeSignificant).toBe(true);
+    expect(analysis.lagDetected).toBe(true);
+    expect(analysis.lagTime).toBeGreaterThanOrEqual(15);
+    expect(analysis.lagTime).toBeLessThanOrEqual(25);
+    expect(analysis.v0).toBeCloseTo(0.002, 3);
+  });
+
+  it('fits the early tangent of a progress curve within maxWindowSeconds', () => {
+    const curve = noisyTrace(600, (t) => ({ r: 0.1, g: 0.5 * (1 - Math.exp(-t / 200)), b: 0.1 }), SD, 7);
+    const analysis = analyzeKineticData(curve, { channel: 'g', initialRate: { maxWindowSeconds: 100 } });
+    expect(analysis.endTime - analysis.startTime).toBeLessThanOrEqual(100);
+    expect(analysis.curvatureDetected).toBe(true);
+    expect(analysis.v0).toBeGreaterThan(0.0022);
+    expect(analysis.v0).toBeLessThan(0.0026);
+  });
+
+  it('gives the same V0 whatever the frame rate', () => {
+    // True initial rate 0.8 / 300 = 0.00267 AU/s
+    const progress = (t) => ({ r: 0.1, g: 0.8 * (1 - Math.exp(-t / 300)), b: 0.1 });
+    const [sparse, dense] = [[300, 4], [1200, 1]].map(([n, interval]) =>
+      analyzeKineticData(noisyTrace(n, progress, SD, 11, interval), { channel: 'g' })
+    );
+    expect(dense.pointsInWindow).toBeGreaterThan(3 * sparse.pointsInWindow);
+    expect(Math.abs(dense.endTime - dense.startTime - (sparse.endTime - sparse.startTime))).toBeLessThan(10);
+    expect(Math.abs(dense.v0 - sparse.v0) / dense.v0).toBeLessThan(0.05);
+    for (const analysis of [sparse, dense]) {
+      expect(analysis.v0).toBeGreaterThan(0.0024);
+      expect(analysis.v0).toBeLessThan(0.0028);
+    }
+  });
+});
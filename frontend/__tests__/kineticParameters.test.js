@@ -0,0 +1,29 @@
+import { calculateKineticParameters } from '../analysisUtils';
+
+const rate = (s) => (1.2 * s) / (2.5 + s);
+
+describe('calculateKineticParameters', () => {
+  it('fits Vmax and Km with standard errors from enough rates', () => {
+    const data = [0.5, 1, 2, 4, 8, 16].map((s, k) => ({ s, v0: rate(s) * (1 + 0.01 * (k % 2 ? 1 : -1)) }));
+    const result = calculateKineticParameters(data);
+    expect(result.fitError).toBeNull();
+    expect(result.vmax).toBeCloseTo(1.2, 1);
+    expect(result.km).toBeCloseTo(2.5, 0);
+    expect(Number.isFinite(result.fit.km.se)).toBe(true);
+  });
+
+  it('keeps the replots for comparison and fits decay assays on |V₀|', () => {
+    const data = [0.5, 1, 2, 4, 8].map((s) => ({ s, v0: -rate(s) }));
+    const result = calculateKineticParameters(data);
+    expect(result.vmax).toBeCloseTo(1.2, 6);
+    expect(result.lineweaverBurk).toHaveLength(5);
+    expect(result.linearized.hanesWoolf.km).toBeCloseTo(2.5, 6);
+  });
+
+  it('refuses the nonlinear fit with two rates but keeps the replots', () => {
+    const result = calculateKineticParameters([{ s: 1, v0: rate(1) }, { s: 4, v0: rate(4) }]);
+    expect(result.fit).toBeNull();
+    expect(result.fitError).toMatch(/at least 3 rates/);
+    expect(result.lineweaverBurk).toHaveLength(2);
+  });
+});
@@ -0,0 +1,28 @@
+import { DEFAULT_ROIS } from '../roiLayout';
+import { createPreset, exportPresets, parsePresets } from '../layoutPresets';
+
+const preset = (name, overrides = {}) => ({ ...createPreset(name, { rois: DEFAULT_ROIS }), ...overrides });
+
+describe('parsePresets', () => {
+  it('round-trips exported presets', () => {
+    const parsed = parsePresets(exportPresets([preset('Holder A'), preset('Holder B', { preferredChannel: 'g' })]));
+    expect(parsed.map((p) => p.name)).toEqual(['Holder A', 'Holder B']);
+    expect(parsed[1].preferredChannel).toBe('g');
+    expect(parsed[0].rois).toEqual(DEFAULT_ROIS);
+  });
+
+  it('accepts a single bare preset and fills in missing fields', () => {
+    const [parsed] = parsePresets(JSON.stringify({ name: 'Bare', rois: DEFAULT_ROIS }));
+    expect(parsed.preferredChannel).toBe('auto');
+    expect(parsed.camera.lockFocus).toBe(true);
+  });
+
+  it('rejects bad JSON, newer exports and invalid presets', () => {
+    expect(() => parsePresets('{')).toThrow('Not valid JSON.');
+    expect(() => parsePresets(JSON.stringify({ format: 'mobilespectro-layout-presets', version: 99, presets: [] }))).toThrow(/newer app version/);
+    expect(() => parsePresets(JSON.stringify({ name: 'No ROIs', rois: [] }))).toThrow(/has no ROIs/);
+    const offFrame = [{ ...DEFAULT_ROIS[0], x: 1.5 }, DEFAULT_ROIS[1]];
+    expect(() => parsePresets(JSON.stringify({ name: 'Off', rois: offFrame }))).toThrow(/invalid geometry/);
+    expect(() => parsePresets(JSON.stringify(preset('Chan', { preferredChannel: 'uv' })))).toThrow(/unknown channel "uv"/);
+  });
+});
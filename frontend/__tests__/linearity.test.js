@@ -0,0 +1,35 @@
+import { characterizeLinearity, toLinearRange } from '../linearity';
+
+// Dilution series read on a detector that is linear on G up to 1 AU and then
+// saturates; B never rises above its noise
+const series = [0.1, 0.2, 0.4, 0.6, 0.8, 1.0, 1.4, 1.8].map((nominal) => ({
+  nominal,
+  abs: {
+    g: nominal <= 1 ? 0.9 * nominal : 0.9 + 0.2 * (nominal - 1),
+    b: [0.02, -0.01, 0.03, -0.02, 0.01, 0.04, -0.03, 0.02][Math.round(nominal * 5) % 8],
+  },
+}));
+
+describe('characterizeLinearity', () => {
+  it('finds where a channel leaves its straight line', () => {
+    const { channels, pointCount } = characterizeLinearity(series);
+    expect(pointCount).toBe(8);
+    expect(channels.g.pointsUsed).toBe(6);
+    expect(channels.g.maxAbsorbance).toBeCloseTo(0.9, 10);
+    expect(channels.g.slope).toBeCloseTo(0.9, 10);
+  });
+
+  it('gives no range to a channel whose lowest points are not linear', () => {
+    const { channels } = characterizeLinearity(series);
+    expect(channels.b.maxAbsorbance).toBeNull();
+    expect(toLinearRange(characterizeLinearity(series))).toEqual({ g: { min: expect.closeTo(0.09, 10), max: expect.closeTo(0.9, 10) } });
+  });
+
+  it('needs enough distinct dilution points', () => {
+    expect(() => characterizeLinearity(series.slice(0, 2))).toThrow('Linearity needs at least 3 dilution points (got 2).');
+    expect(() => characterizeLinearity([series[0], series[0], series[0]])).toThrow(
+      'Dilution points need at least two different nominal values.'
+    );
+    expect(toLinearRange(null)).toBeNull();
+  });
+});
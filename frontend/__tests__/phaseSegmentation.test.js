@@ -0,0 +1,40 @@
+import { estimateNoiseSD, segmentPhases } from '../phaseSegmentation';
+import { noisyTrace } from './fixtures/traces';
+
+const SD = 0.002;
+const curve = (abs, seed, n = 240) => noisyTrace(n, (t) => ({ r: abs(t), g: 0, b: 0 }), SD, seed).map((d) => ({ x: d.time, y: d.abs.r }));
+
+describe('estimateNoiseSD', () => {
+  it('measures the noise and ignores the trend', () => {
+    const points = curve((t) => 0.1 + 0.005 * t + 1e-5 * t * t, 21, 600);
+    expect(estimateNoiseSD(points.map((d) => d.y))).toBeCloseTo(SD, 3);
+    expect(estimateNoiseSD([1, 2])).toBe(0);
+  });
+});
+
+describe('segmentPhases', () => {
+  it('splits lag, linear and plateau at the true breakpoints', () => {
+    // Flat until 60 s, 0.005 AU/s until 160 s, then flat
+    const phases = segmentPhases(curve((t) => 0.1 + 0.005 * Math.min(Math.max(t - 60, 0), 100), 31));
+    expect(phases.map((p) => p.kind)).toEqual(['lag', 'linear', 'plateau']);
+    expect(Number(phases[1].timeStart)).toBeCloseTo(60, -1);
+    expect(Number(phases[1].timeEnd)).toBeCloseTo(160, -1);
+    expect(phases[1].slope).toBeCloseTo(0.005, 4);
+  });
+
+  it('merges the pieces of a gradual slow-down into one phase', () => {
+    const phases = segmentPhases(curve((t) => 0.9 * (1 - Math.exp(-t / 60)), 23));
+    expect(phases[0].kind).toBe('linear');
+    expect(phases.filter((p) => p.kind === 'deceleration')).toHaveLength(1);
+  });
+
+  it('calls pure noise a plateau and names a fall after a rise a reversal', () => {
+    expect(segmentPhases(curve(() => 0.3, 24)).map((p) => p.kind)).toEqual(['plateau']);
+    const phases = segmentPhases(curve((t) => (t < 120 ? 0.005 * t : 0.6 - 0.002 * (t - 120)), 25));
+    expect(phases.map((p) => p.kind)).toEqual(['linear', 'reversal']);
+  });
+
+  it('needs enough points for one phase', () => {
+    expect(segmentPhases(curve((t) => t, 1, 3))).toEqual([]);
+  });
+});
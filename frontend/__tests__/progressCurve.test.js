@@ -0,0 +1,72 @@
+import { evaluateProgressFit, fitProgressCurves, fitProgressModel } from '../progressCurve';
+import { noisyTrace } from './fixtures/traces';
+
+const SD = 0.002;
+const trace = (curve, seed) => noisyTrace(300, (t) => ({ r: curve(t), g: 0, b: 0 }), SD, seed);
+const analysis = (v0, extra = {}) => ({ primaryChannel: 'r', v0, lagDetected: false, lagTime: 0, filters: null, ...extra });
+const fitOf = (result, model) => result.fits.find((f) => f.model === model);
+
+// Integrated Michaelis–Menten by small time steps: dP/dt = Vmax·S / (Km + S)
+const mmCurve = (s0, km, vmax) => {
+  const product = [0];
+  let p = 0;
+  for (let t = 1; t < 300; t++) {
+    for (let k = 0; k < 100; k++) {
+      const s = s0 - p;
+      p += (0.01 * vmax * s) / (km + s);
+    }
+    product.push(p);
+  }
+  return (t) => 0.05 + product[t];
+};
+
+describe('fitProgressCurves', () => {
+  it('recovers k and ΔA of a single exponential and ranks it first', () => {
+    const result = fitProgressCurves(trace((t) => 0.1 + 0.8 * (1 - Math.exp(-0.01 * t)), 11), analysis(0.008));
+    expect(result.best).toBe('exponential');
+    const { named } = fitOf(result, 'exponential');
+    expect(named.k.value).toBeCloseTo(0.01, 3);
+    expect(named.deltaA.value).toBeCloseTo(0.8, 1);
+    expect(named.k.ci[0]).toBeLessThan(0.01);
+    expect(named.k.ci[1]).toBeGreaterThan(0.01);
+    expect(fitOf(result, 'exponential').akaikeWeight).toBeGreaterThan(0.5);
+    expect(result.ambiguous).toBe(false);
+  });
+
+  it('flags the best model as ambiguous when a runner-up is within ΔAIC 2', () => {
+    // The first 100 s of a slow exponential: the integrated rate law with a large Km describes it as well
+    const result = fitProgressCurves(trace((t) => 0.1 + 0.8 * (1 - Math.exp(-0.002 * t)), 16).slice(0, 100), analysis(0.0016));
+    expect(result.best).toBe('exponential');
+    expect(result.fits[1].deltaAIC).toBeLessThan(2);
+    expect(result.ambiguous).toBe(true);
+  });
+
+  it('recovers Km and Vmax of substrate depletion and prefers the integrated rate law', () => {
+    const result = fitProgressCurves(trace(mmCurve(1, 0.2, 0.006), 12), analysis(0.005));
+    expect(result.best).toBe('michaelisMenten');
+    const fit = fitOf(result, 'michaelisMenten');
+    expect(fit.named.Km.value).toBeCloseTo(0.2, 1);
+    expect(fit.named.Vmax.value).toBeCloseTo(0.006, 3);
+    expect(fit.named.S0.value).toBeCloseTo(1, 1);
+    expect(fit.initialRate).toBeCloseTo((0.006 * 1) / 1.2, 3);
+  });
+
+  it('fits a decay with a negative direction', () => {
+    const fit = fitProgressModel('michaelisMenten', [...Array(300).keys()], trace(mmCurve(1, 0.2, 0.006), 13).map((d) => 2 - d.abs.r));
+    expect(fit.direction).toBe(-1);
+    expect(fit.initialRate).toBeLessThan(0);
+  });
+
+  it('finds the lag of a lagged straight line', () => {
+    const result = fitProgressCurves(trace((t) => 0.2 + 0.002 * Math.max(0, t - 60), 14), analysis(0.002, { lagDetected: true, lagTime: 50 }));
+    expect(result.best).toBe('linearLag');
+    const fit = fitOf(result, 'linearLag');
+    expect(fit.named.tLag.value).toBeCloseTo(60, 0);
+    expect(evaluateProgressFit(fit, result.t0, [result.t0 - 10, result.t0 + 160])[1]).toBeCloseTo(0.4, 1);
+  });
+
+  it('needs a channel and enough usable points', () => {
+    expect(fitProgressCurves(trace((t) => t, 1), analysis(1, { primaryChannel: 'none' }))).toBeNull();
+    expect(fitProgressCurves(trace((t) => t, 1).slice(0, 5), analysis(1))).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+import { dixonQTest, groupReplicates, grubbsTest, weightedRates } from '../replicateStats';
+
+const scan = (id, group, s, v0) => ({ id, label: id, group, s, i: 0, v0 });
+
+describe('groupReplicates', () => {
+  it('reduces tagged scans to their mean and keeps untagged scans apart', () => {
+    const groups = groupReplicates([
+      scan('a1', 'A', 2, 0.30), scan('x', '', 1, 0.2), scan('a2', 'A ', 2, 0.34), scan('a3', 'A', 2, 0.32),
+    ]);
+    expect(groups.map((g) => g.key)).toEqual(['scan:x', 'group:A']);
+    expect(groups[1].n).toBe(3);
+    expect(groups[1].mean).toBeCloseTo(0.32, 12);
+    expect(groups[1].sd).toBeCloseTo(0.02, 12);
+    expect(groups[0].sd).toBeNaN();
+  });
+
+  it('flags, but keeps, a replicate that disagrees with the rest', () => {
+    const rates = [0.50, 0.51, 0.49, 0.50, 0.51, 0.80].map((v0, k) => scan(`r${k}`, 'R', 1, v0));
+    for (const outlierTest of ['grubbs', 'dixon']) {
+      const [group] = groupReplicates(rates, { outlierTest });
+      expect(group.n).toBe(6);
+      expect(group.members.filter((m) => m.outlier).map((m) => m.id)).toEqual(['r5']);
+    }
+    expect(grubbsTest([0.50, 0.51, 0.49, 0.50]).outlier).toBe(false);
+    expect(dixonQTest([1, 1, 1])).toBeNull();
+  });
+
+  it('refuses a group that mixes conditions', () => {
+    expect(() => groupReplicates([scan('a', 'A', 1, 0.3), scan('b', 'A', 2, 0.3)])).toThrow(
+      'Replicate group "A" mixes different [S] or [I] values.'
+    );
+  });
+});
+
+describe('weightedRates', () => {
+  it('weights every group by n over the pooled variance, not its own SD', () => {
+    const groups = groupReplicates([
+      scan('a1', 'A', 1, 0.30), scan('a2', 'A', 1, 0.34), scan('a3', 'A', 1, 0.32),
+      // Two replicates that happen to agree almost exactly
+      scan('b1', 'B', 2, 0.5), scan('b2', 'B', 2, 0.5000001),
+      scan('c1', '', 4, 0.7),
+    ]);
+    const rates = weightedRates(groups);
+    const byS = Object.fromEntries(rates.map((r) => [r.s, r]));
+    // Pooled over A (2 dof, variance 4e-4) and B (1 dof, ~0)
+    const pooled = (2 * 4e-4 + 0.5e-14) / 3;
+    expect(byS[1].weight).toBeCloseTo(3 / pooled, 6);
+    expect(byS[2].weight / byS[1].weight).toBeCloseTo(2 / 3, 6);
+    expect(byS[4].weight / byS[1].weight).toBeCloseTo(1 / 3, 6);
+  });
+
+  it('leaves the rates unweighted without any replicate spread', () => {
+    const rates = weightedRates(groupReplicates([scan('a', '', 1, 0.3), scan('b', '', 2, 0.5)]));
+    expect(rates.every((r) => r.weight === undefined)).toBe(true);
+  });
+});
@@ -0,0 +1,61 @@
+import { autoLocateROIs, otsuThreshold } from '../roiAutoLocate';
+import { ROI_ROLES } from '../roiLayout';
+import { cuvetteStill, solidFrame, CUVETTE_STILL_WINDOWS } from './fixtures/frames';
+
+const layout = [
+  { id: 'sample-1', name: 'Sample 1', role: ROI_ROLES.SAMPLE, x: 0.1, y: 0.2, width: 0.2, height: 0.5, referenceId: 'reference-1' },
+  { id: 'reference-1', name: 'Reference 1', role: ROI_ROLES.REFERENCE, x: 0.6, y: 0.2, width: 0.2, height: 0.5 },
+];
+
+const centre = (r) => ({ x: r.x + r.width / 2, y: r.y + r.height / 2 });
+
+describe('otsuThreshold', () => {
+  it('splits a bimodal set between its two modes', () => {
+    const { threshold, separability } = otsuThreshold([10, 12, 11, 9, 200, 210, 205, 198]);
+    // Pixels above the threshold are foreground
+    expect(threshold).toBeGreaterThanOrEqual(12);
+    expect(threshold).toBeLessThan(198);
+    expect(separability).toBeGreaterThan(0.9);
+  });
+});
+
+describe('autoLocateROIs on a still image', () => {
+  it('moves each ROI onto the nearest lit window, inset from the walls', () => {
+    const frame = cuvetteStill();
+    const result = autoLocateROIs(frame, layout);
+    expect(result.rois).not.toBeNull();
+    expect(result.reasons).toEqual([]);
+    expect(result.confidence).toBeGreaterThan(0.7);
+
+    result.rois.forEach((roi, k) => {
+      const win = CUVETTE_STILL_WINDOWS[k];
+      const expected = centre({
+        x: win.left / frame.width,
+        y: win.top / frame.height,
+        width: win.width / frame.width,
+        height: win.height / frame.height,
+      });
+      expect(centre(roi).x).toBeCloseTo(expected.x, 2);
+      expect(centre(roi).y).toBeCloseTo(expected.y, 2);
+      // Inset inside the window on every side
+      expect(roi.x).toBeGreaterThan(win.left / frame.width);
+      expect(roi.x + roi.width).toBeLessThan((win.left + win.width) / frame.width);
+    });
+    // Only the geometry changes
+    expect(result.rois[0]).toMatchObject({ id: 'sample-1', role: ROI_ROLES.SAMPLE, referenceId: 'reference-1' });
+  });
+
+  it('keeps the sample/reference assignment of a preset placed the other way round', () => {
+    const swapped = [{ ...layout[0], x: 0.6 }, { ...layout[1], x: 0.1 }];
+    const result = autoLocateROIs(cuvetteStill(), swapped);
+    expect(centre(result.rois[0]).x).toBeGreaterThan(0.5);
+    expect(centre(result.rois[1]).x).toBeLessThan(0.5);
+  });
+
+  it('gives up without enough windows', () => {
+    const result = autoLocateROIs(solidFrame(200, 160, [30, 30, 30]), layout);
+    expect(result.rois).toBeNull();
+    expect(result.confidence).toBe(0);
+    expect(result.reasons.length).toBe(1);
+  });
+});
@@ -0,0 +1,49 @@
+import {
+  DEFAULT_ROIS,
+  ROI_ROLES,
+  getTracedROIs,
+  layoutToFrameRects,
+  resolveReference,
+  roiToViewRect,
+  validateLayout,
+  viewRectToGeometry,
+} from '../roiLayout';
+
+const layout = [
+  ...DEFAULT_ROIS,
+  { id: 'sample-2', name: 'Sample 2', role: ROI_ROLES.SAMPLE, x: 0.1, y: 0.45, width: 0.3, height: 0.1, referenceId: 'gone' },
+  { id: 'blank-1', name: 'Blank 1', role: ROI_ROLES.BLANK, x: 0.5, y: 0.45, width: 0.3, height: 0.1, referenceId: 'reference-1' },
+];
+
+describe('roiLayout', () => {
+  it('accepts the default layout and names what a layout is missing', () => {
+    expect(validateLayout(DEFAULT_ROIS)).toEqual([]);
+    expect(validateLayout([{ ...DEFAULT_ROIS[1] }, { ...DEFAULT_ROIS[1], id: 'reference-2' }])).toEqual([
+      'At least one sample ROI is required.',
+      'ROI names must be unique.',
+    ]);
+  });
+
+  it('traces samples and blanks and falls back to the first reference', () => {
+    expect(getTracedROIs(layout).map((roi) => roi.id)).toEqual(['sample-1', 'sample-2', 'blank-1']);
+    expect(resolveReference(layout[2], layout).id).toBe('reference-1');
+  });
+
+  it('maps fractional geometry onto frame pixels', () => {
+    expect(layoutToFrameRects(DEFAULT_ROIS, { width: 300, height: 400 })['sample-1']).toEqual({
+      left: 30,
+      top: 100,
+      width: 240,
+      height: 60,
+    });
+  });
+
+  it('round-trips geometry through the cover-cropped preview', () => {
+    const view = { width: 300, height: 500 };
+    const frame = { width: 3, height: 4 };
+    const geometry = viewRectToGeometry(roiToViewRect(DEFAULT_ROIS[0], view, frame), view, frame);
+    for (const key of ['x', 'y', 'width', 'height']) {
+      expect(geometry[key]).toBeCloseTo(DEFAULT_ROIS[0][key], 10);
+    }
+  });
+});
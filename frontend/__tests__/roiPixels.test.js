@@ -0,0 +1,36 @@
+import { toPixelArray, mapViewRectToFrame, mapFrameRectToView } from '../roiPixels';
+
+describe('toPixelArray', () => {
+  it('turns the index-keyed object from the canvas bridge into an array', () => {
+    const bytes = toPixelArray({ 0: 10, 1: 20, 2: 30, 3: 255 });
+    expect(Array.from(bytes)).toEqual([10, 20, 30, 255]);
+  });
+
+  it('passes typed arrays through unchanged', () => {
+    const data = new Uint8ClampedArray([1, 2, 3, 4]);
+    expect(toPixelArray(data)).toBe(data);
+  });
+});
+
+describe('mapViewRectToFrame', () => {
+  it('undoes the cover crop of a preview wider than the frame', () => {
+    // A 100x100 frame shown in a 200x100 view is scaled by 2 and 50 px are cropped top and bottom
+    const rect = mapViewRectToFrame({ left: 20, top: 0, width: 40, height: 20 }, { width: 200, height: 100 }, { width: 100, height: 100 });
+    expect(rect).toEqual({ left: 10, top: 25, width: 20, height: 10 });
+  });
+
+  it('clips rectangles to the frame', () => {
+    const rect = mapViewRectToFrame({ left: -50, top: -50, width: 100, height: 100 }, { width: 100, height: 100 }, { width: 100, height: 100 });
+    expect(rect).toEqual({ left: 0, top: 0, width: 50, height: 50 });
+  });
+
+  it('is inverted by mapFrameRectToView', () => {
+    const view = { width: 300, height: 400 };
+    const frame = { width: 240, height: 180 };
+    const original = { left: 60, top: 100, width: 90, height: 120 };
+    const back = mapFrameRectToView(mapViewRectToFrame(original, view, frame, { round: false }), view, frame);
+    for (const key of Object.keys(original)) {
+      expect(back[key]).toBeCloseTo(original[key], 6);
+    }
+  });
+});
@@ -0,0 +1,55 @@
+import { computeChannelStatistics, computeROIStatistics, extractROIStatistics, DEFAULT_ROI_STATS_OPTIONS } from '../roiStatistics';
+import { solidFrame, paintRect } from './fixtures/frames';
+
+describe('computeChannelStatistics', () => {
+  it('trims glare pixels that drag the plain mean', () => {
+    const values = [100, 100, 100, 100, 100, 100, 100, 100, 100, 250];
+    const stats = computeChannelStatistics(values, DEFAULT_ROI_STATS_OPTIONS);
+    expect(stats.mean).toBeCloseTo(115);
+    expect(stats.trimmedMean).toBe(100);
+    expect(stats.median).toBe(100);
+  });
+});
+
+describe('computeROIStatistics', () => {
+  it('averages only the pixels inside the rectangle', () => {
+    const frame = paintRect(solidFrame(20, 10, [0, 0, 0]), { left: 5, top: 2, width: 4, height: 3 }, [120, 60, 30]);
+    const stats = computeROIStatistics(frame, { left: 5, top: 2, width: 4, height: 3 });
+    expect(stats.pixelCount).toBe(12);
+    expect([stats.r.mean, stats.g.mean, stats.b.mean]).toEqual([120, 60, 30]);
+    expect(stats.usable).toBe(true);
+  });
+
+  it('flags a saturated ROI as unusable', () => {
+    const frame = paintRect(solidFrame(10, 10, [100, 100, 100]), { left: 0, top: 0, width: 10, height: 1 }, [255, 255, 255]);
+    const stats = computeROIStatistics(frame, { left: 0, top: 0, width: 10, height: 10 });
+    expect(stats.usable).toBe(false);
+    expect(stats.reasons[0]).toMatch(/saturated/);
+  });
+
+  it('throws for a rectangle outside the frame', () => {
+    expect(() => computeROIStatistics(solidFrame(4, 4, [1, 1, 1]), { left: 10, top: 10, width: 2, height: 2 })).toThrow();
+  });
+});
+
+describe('extractROIStatistics', () => {
+  it('returns the trimmed-mean intensity of every ROI in a decoded frame', () => {
+    const frame = solidFrame(40, 20, [10, 10, 10]);
+    paintRect(frame, { left: 2, top: 2, width: 10, height: 10 }, [200, 150, 100]);
+    paintRect(frame, { left: 25, top: 2, width: 10, height: 10 }, [50, 60, 70]);
+    const result = extractROIStatistics(frame, {
+      sample: { left: 2, top: 2, width: 10, height: 10 },
+      reference: { left: 25, top: 2, width: 10, height: 10 },
+    });
+    expect(result.usable).toBe(true);
+    expect(result.rois.sample.intensity).toEqual({ r: 200, g: 150, b: 100 });
+    expect(result.rois.reference.intensity).toEqual({ r: 50, g: 60, b: 70 });
+  });
+
+  it('names the ROI that made a frame unusable', () => {
+    const frame = solidFrame(20, 10, [255, 255, 255]);
+    const result = extractROIStatistics(frame, { blank: { left: 0, top: 0, width: 5, height: 5 } });
+    expect(result.usable).toBe(false);
+    expect(result.reasons[0]).toMatch(/^blank:/);
+  });
+});
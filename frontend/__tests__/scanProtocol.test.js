@@ -0,0 +1,68 @@
+import { checkAutoStop, normalizeProtocol, validateProtocol, DEFAULT_PROTOCOL } from '../scanProtocol';
+
+const withThreshold = (threshold) => normalizeProtocol({ autoStop: { threshold } });
+
+// One frame a second; abs(t) gives the channel values
+const trace = (n, abs) => Array.from({ length: n }, (_, t) => ({ time: t, abs: abs(t) }));
+
+describe('checkAutoStop threshold rule', () => {
+  it('ignores a single noisy frame past the threshold', () => {
+    const points = trace(20, (t) => ({ r: 0.1, g: t === 19 ? 1.5 : 0.2, b: 0.1 }));
+    expect(checkAutoStop(points, withThreshold({ absorbance: 1.0 }), 'auto')).toBeNull();
+  });
+
+  it('stops once consecutive frames stay past the threshold', () => {
+    const points = trace(20, (t) => ({ r: 0.01, g: 0.1 * t, b: 0.02 }));
+    expect(checkAutoStop(points, withThreshold({ absorbance: 1.0 }), 'auto')).toMatch(/reached 1 \(G\) for 3 frames/);
+  });
+
+  it('only watches the analysis channel when one is set', () => {
+    const points = trace(20, (t) => ({ r: 0.01, g: 0.1 * t, b: 0.02 }));
+    expect(checkAutoStop(points, withThreshold({ absorbance: 1.0 }), 'r')).toBeNull();
+  });
+
+  it('lets decay assays stop below a negative threshold', () => {
+    const points = trace(20, (t) => ({ r: -0.05 * t, g: 0, b: 0 }));
+    const protocol = withThreshold({ absorbance: -0.5, direction: 'below', frames: 3 });
+    expect(checkAutoStop(points, protocol, 'r')).toMatch(/fell to -0.5/);
+  });
+
+  it('skips frames flagged unusable', () => {
+    const points = trace(10, (t) => ({ r: t >= 7 ? 2 : 0, g: 0, b: 0 }));
+    points[8].usable = false;
+    expect(checkAutoStop(points, withThreshold({ absorbance: 1.0 }), 'r')).toBeNull();
+  });
+});
+
+describe('checkAutoStop plateau rule', () => {
+  const plateau = normalizeProtocol({ autoStop: { plateau: { windowSeconds: 10, maxSlope: 0.001 } } });
+
+  it('stops when the last window is flat', () => {
+    const points = trace(40, (t) => ({ r: 0.5 * Math.min(t, 20) * 0.05, g: 0, b: 0 }));
+    expect(checkAutoStop(points, plateau, 'r')).toBe('Plateau reached (slope below 0.001 AU/s for 10 s).');
+  });
+
+  it('waits for two full windows so a lag is not taken for a plateau', () => {
+    const points = trace(15, () => ({ r: 0, g: 0, b: 0 }));
+    expect(checkAutoStop(points, plateau, 'r')).toBeNull();
+  });
+});
+
+describe('normalizeProtocol', () => {
+  it('fills in fields an older protocol lacks', () => {
+    const protocol = normalizeProtocol({ intervalMs: 1000 });
+    expect(protocol.intervalMs).toBe(1000);
+    expect(protocol.blankSeconds).toBe(DEFAULT_PROTOCOL.blankSeconds);
+    expect(protocol.autoStop).toEqual({ plateau: null, threshold: null });
+  });
+
+  it('upgrades a stored threshold without a direction from the sign of its absorbance', () => {
+    expect(withThreshold({ absorbance: -0.3 }).autoStop.threshold).toEqual({ absorbance: -0.3, direction: 'below', frames: 3 });
+    expect(withThreshold({ absorbance: 0.8 }).autoStop.threshold.direction).toBe('above');
+  });
+
+  it('keeps the default protocol valid', () => {
+    expect(validateProtocol(DEFAULT_PROTOCOL)).toEqual([]);
+    expect(validateProtocol(withThreshold({ absorbance: 1, direction: 'sideways', frames: 0 }))).toHaveLength(2);
+  });
+});
@@ -0,0 +1,53 @@
+import { assessScanQuality } from '../scanQuality';
+
+const stats = (saturatedFraction) => ({ r: { saturatedFraction }, g: { saturatedFraction }, b: { saturatedFraction } });
+
+// intervalMs between frames; abs(k) gives the absorbance of frame k
+const points = (n, intervalMs, abs = () => ({ r: 0.1, g: 0.1, b: 0.1 }), extra = () => ({})) =>
+  Array.from({ length: n }, (_, k) => ({
+    time: (k * intervalMs) / 1000,
+    abs: abs(k),
+    reference: { r: 200, g: 200, b: 200 },
+    sampleStats: stats(0),
+    usable: true,
+    ...extra(k),
+  }));
+
+const blank = { r: 200, g: 200, b: 200 };
+
+describe('assessScanQuality', () => {
+  it('passes a clean, steadily rising scan', () => {
+    const quality = assessScanQuality(points(20, 500, (k) => ({ r: 0.01 * k, g: 0.1, b: 0.1 })), blank);
+    expect(quality.ok).toBe(true);
+    expect(quality.frameRate.droppedFrames).toBe(0);
+    // A straight reaction slope is not noise
+    expect(quality.noise.worst).toBeLessThan(1e-9);
+  });
+
+  it('warns about dropped frames', () => {
+    const quality = assessScanQuality(points(10, 1000), blank);
+    expect(quality.frameRate.droppedFrames).toBe(9);
+    expect(quality.warnings[0]).toMatch(/^Frames dropped/);
+  });
+
+  it('warns when the light source drifts from the blank', () => {
+    const quality = assessScanQuality(points(10, 500, undefined, () => ({ reference: { r: 180, g: 200, b: 200 } })), blank);
+    expect(quality.referenceDrift.channel).toBe('r');
+    expect(quality.referenceDrift.worst).toBeCloseTo(-0.1, 10);
+    expect(quality.warnings[0]).toMatch(/drifted -10% \(R\)/);
+  });
+
+  it('counts rejected frames and noisy absorbance in the recent window', () => {
+    const quality = assessScanQuality(
+      points(20, 500, (k) => ({ r: 0.1, g: k % 2 ? 0.12 : 0.08, b: 0.1 }), (k) => ({ usable: k !== 18 })),
+      blank
+    );
+    expect(quality.saturation.recentRejected).toBe(1);
+    expect(quality.noise.channel).toBe('g');
+    expect(quality.warnings).toHaveLength(2);
+  });
+
+  it('has nothing to say before two frames', () => {
+    expect(assessScanQuality([], blank)).toMatchObject({ ok: true, warnings: [] });
+  });
+});
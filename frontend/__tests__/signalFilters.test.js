@@ -0,0 +1,77 @@
+import {
+  FILTER_DEFAULTS,
+  derivativeSeries,
+  describeFilters,
+  filterPoints,
+  hampelFilter,
+  movingMedian,
+  savitzkyGolay,
+  validateFilters,
+} from '../signalFilters';
+
+// A slow ramp with a small alternating ripple, so windows have a non-zero spread
+const times = Array.from({ length: 40 }, (_, i) => i);
+const ramp = times.map((t) => 0.1 + 0.01 * t + (t % 2 ? 0.001 : -0.001));
+
+describe('hampelFilter', () => {
+  it('replaces spikes by their window median and leaves the rest', () => {
+    const spiked = [...ramp];
+    spiked[10] += 0.5;
+    spiked[25] -= 0.3;
+    const { values, outliers } = hampelFilter(spiked, FILTER_DEFAULTS.hampel);
+    expect(outliers).toEqual([10, 25]);
+    expect(values[10]).toBeCloseTo(ramp[10], 1);
+    expect(values.filter((_, i) => i !== 10 && i !== 25)).toEqual(ramp.filter((_, i) => i !== 10 && i !== 25));
+  });
+});
+
+describe('movingMedian', () => {
+  it('removes a single-frame spike and keeps its window width at the ends', () => {
+    const values = [1, 1, 9, 1, 1, 2, 2];
+    expect(movingMedian(values, { windowPoints: 3 })).toEqual([1, 1, 1, 1, 1, 2, 2]);
+  });
+});
+
+describe('savitzkyGolay', () => {
+  it('reproduces a quadratic exactly, and its derivative, on uneven times', () => {
+    const uneven = [0, 1, 2.5, 3, 4.2, 5, 6.5, 7, 8, 9.3, 10];
+    const curve = uneven.map((t) => 2 + 0.5 * t - 0.03 * t * t);
+    const smoothed = savitzkyGolay(uneven, curve, { windowPoints: 5, order: 2 });
+    const slope = savitzkyGolay(uneven, curve, { windowPoints: 5, order: 2 }, 1);
+    smoothed.forEach((v, i) => expect(v).toBeCloseTo(curve[i], 10));
+    slope.forEach((v, i) => expect(v).toBeCloseTo(0.5 - 0.06 * uneven[i], 8));
+  });
+
+  it('reduces white noise on a straight line', () => {
+    const smoothed = savitzkyGolay(times, ramp, { windowPoints: 9, order: 2 });
+    const line = times.map((t) => 0.1 + 0.01 * t);
+    const rms = (values) => Math.sqrt(values.reduce((sum, v, i) => sum + (v - line[i]) ** 2, 0) / values.length);
+    expect(rms(smoothed)).toBeLessThan(rms(ramp) / 2);
+  });
+});
+
+describe('filter settings', () => {
+  it('checks windows and orders', () => {
+    expect(validateFilters(FILTER_DEFAULTS)).toEqual([]);
+    expect(validateFilters({ hampel: { windowPoints: 4, threshold: 0 }, savitzkyGolay: { windowPoints: 5, order: 5 } })).toEqual([
+      'Hampel window must be an odd number of points, at least 3.',
+      'Hampel threshold must be positive.',
+      'Savitzky–Golay order must be a whole number from 1 to one less than the window.',
+    ]);
+    expect(describeFilters(FILTER_DEFAULTS)).toBe('Hampel 7 pts/3σ → Median 5 pts → Savitzky–Golay 9 pts/order 2');
+    expect(describeFilters(null)).toBe('None');
+  });
+
+  it('filters every channel of a trace on copies', () => {
+    const points = times.map((t, i) => ({ time: t, abs: { r: ramp[i], g: i === 20 ? 1 : ramp[i] } }));
+    const { points: filtered, outliers } = filterPoints(points, { hampel: FILTER_DEFAULTS.hampel });
+    expect(outliers).toEqual({ r: 0, g: 1 });
+    expect(filtered[20].abs.g).toBeCloseTo(ramp[20], 1);
+    expect(points[20].abs.g).toBe(1);
+  });
+
+  it('differentiates the filtered series', () => {
+    const rates = derivativeSeries(times, ramp, { savitzkyGolay: FILTER_DEFAULTS.savitzkyGolay });
+    rates.slice(4, -4).forEach((rate) => expect(rate).toBeCloseTo(0.01, 3));
+  });
+});
@@ -1,4 +1,7 @@
 import { Buffer } from 'buffer';
+import { levenbergMarquardt, studentTQuantile } from './fitting';
+import { estimateNoiseSD, segmentPhases } from './phaseSegmentation';
+import { filterPoints, hasFilters } from './signalFilters';
 /**
  * On-device analysis utilities for dual-ROI enzyme kinetics.
  * This version restores the core drift-correction logic.
@@ -9,12 +12,15 @@ import { Buffer } from 'buffer';
  * A = -log10(I_sample / I_blank)
  * The 'reference' ROI values are used to correct for fluctuations
  * in the light source, creating a more stable signal.
+ * All four intensities must be on the same footing: when a dark frame was
+ * captured, its level is removed from each of them first (darkFrame.subtractDark).
  *
  * @param {object} sampleRGB - {r, g, b} of the sample ROI.
  * @param {object} blankSampleRGB - {r, g, b} of the sample ROI during blanking.
  * @param {object} referenceRGB - {r, g, b} of the reference ROI.
  * @param {object} blankReferenceRGB - {r, g, b} of the reference ROI during blanking.
- * @returns {object} Corrected absorbance values {r, g, b}.
+ * @returns {object} Corrected absorbance values {r, g, b}. Values are signed:
+ *   a sample brighter than its blank (noise, or a decay assay) gives negative absorbance.
  */
 export const calculateAbsorbance = (sampleRGB, blankSampleRGB, referenceRGB, blankReferenceRGB) => {
   const epsilon = 1e-9; // Avoid division by zero
@@ -26,79 +32,346 @@ export const calculateAbsorbance = (sampleRGB, blankSampleRGB, referenceRGB, bla
 
   // Calculate absorbance using the corrected sample value and the initial blank
   // Beer-Lambert: A = log10(I0/I) where I0=blank, I=corrected sample
-  let absR = -Math.log10(Math.max(correctedR / blankSampleRGB.r, epsilon));
-  let absG = -Math.log10(Math.max(correctedG / blankSampleRGB.g, epsilon));
-  let absB = -Math.log10(Math.max(correctedB / blankSampleRGB.b, epsilon));
-
-  // Clamp to 0: if absorbance goes negative (sample > blank), physically it means no absorption
-  // This can occur due to noise or calibration drift. Zero is the lower bound.
-  absR = Math.max(0, absR);
-  absG = Math.max(0, absG);
-  absB = Math.max(0, absB);
+  // Negative values are kept: clipping them biases the baseline upwards and
+  // flattens slopes near zero. Use the blank noise floor to judge small values.
+  const absR = -Math.log10(Math.max(correctedR / Math.max(blankSampleRGB.r, epsilon), epsilon));
+  const absG = -Math.log10(Math.max(correctedG / Math.max(blankSampleRGB.g, epsilon), epsilon));
+  const absB = -Math.log10(Math.max(correctedB / Math.max(blankSampleRGB.b, epsilon), epsilon));
 
   return { r: absR, g: absG, b: absB };
 };
 
-export function analyzeKineticData(absorbanceData) {
-  if (!Array.isArray(absorbanceData) || absorbanceData.length < 5) {
+export const DEFAULT_INITIAL_RATE_OPTIONS = {
+  minPoints: 5, // Fewest points a rate window may have
+  maxWindowSeconds: 300, // Longest window tried, in time so it covers the same stretch of curve at any frame rate
+  lagFraction: 0.5, // The lag/mixing phase ends where the rolling slope first reaches this fraction of its peak
+  maxSlopeChange: 0.1, // The window is as long as the slope may be allowed to change this much across it
+  curvatureSpan: 4, // Curvature is measured over this many window lengths: long enough to measure, short enough to stay local
+  confidence: 0.95,
+};
+
+// Two-sided t critical values, cached per confidence and degree of freedom
+const tCriticalCache = {};
+const tCritical = (confidence, dof) => {
+  const cache = tCriticalCache[confidence] || (tCriticalCache[confidence] = []);
+  if (cache[dof] === undefined) {
+    cache[dof] = studentTQuantile(1 - (1 - confidence) / 2, dof);
+  }
+  return cache[dof];
+};
+
+// Bonferroni: the per-test confidence that holds the whole family of tests at `confidence`
+const familyConfidence = (confidence, tests) => 1 - (1 - confidence) / Math.max(1, tests);
+
+// Running sums of a window that grows one point at a time; x is measured from the window start for conditioning
+const createWindowSums = () => ({ m: 0, sx: 0, sy: 0, sxx: 0, sxy: 0, syy: 0, sx3: 0, sx4: 0, sxxy: 0, span: 0 });
+const addToWindow = (sums, x, y) => {
+  sums.m += 1;
+  sums.sx += x; sums.sy += y; sums.sxx += x * x; sums.sxy += x * y; sums.syy += y * y;
+  sums.sx3 += x * x * x; sums.sx4 += x * x * x * x; sums.sxxy += x * x * y;
+  sums.span = Math.max(sums.span, x);
+};
+
+/**
+ * Linear and quadratic least squares of one window from its running sums.
+ * Gives the slope with its standard error, and the quadratic term
+ * (curvature) with its t statistic and the tangent at the window start.
+ */
+const fitWindowSums = ({ m, sx, sy, sxx, sxy, syy, sx3, sx4, sxxy, span }) => {
+  const denominator = m * sxx - sx * sx;
+  if (!(denominator > 0)) return null;
+  const slope = (m * sxy - sx * sy) / denominator;
+  const intercept = (sy - slope * sx) / m;
+  const sse = Math.max(0, syy - intercept * sy - slope * sxy);
+  const sst = syy - (sy * sy) / m;
+  const slopeSE = Math.sqrt(sse / (m - 2) / (sxx - (sx * sx) / m));
+
+  // Quadratic term, for the curvature test (centred normal equations in x and z = x²)
+  let curvatureT = 0;
+  let curvature = 0;
+  let tangent = slope;
+  if (m > 3) {
+    const Sxx = sxx - (sx * sx) / m;
+    const Sxz = sx3 - (sx * sxx) / m;
+    const Szz = sx4 - (sxx * sxx) / m;
+    const Sxy = sxy - (sx * sy) / m;
+    const Szy = sxxy - (sxx * sy) / m;
+    const det = Sxx * Szz - Sxz * Sxz;
+    if (det > 0) {
+      curvature = (Sxx * Szy - Sxz * Sxy) / det;
+      tangent = (Szz * Sxy - Sxz * Szy) / det;
+      const quadSSE = Math.max(0, sst - tangent * Sxy - curvature * Szy);
+      const se2 = Math.sqrt((quadSSE / (m - 3)) * (Sxx / det));
+      curvatureT = se2 > 0 ? Math.abs(curvature) / se2 : (curvature !== 0 ? Infinity : 0);
+    }
+  }
+
+  return {
+    slope,
+    slopeSE,
+    r_squared: sst > 0 ? 1 - sse / sst : 0,
+    curvature,
+    curvatureT,
+    tangent,
+    span,
+    points: m,
+  };
+};
+
+const fitWindow = (data, start, end) => {
+  const sums = createWindowSums();
+  for (let i = start; i < end; i++) addToWindow(sums, data[i].x - data[start].x, data[i].y);
+  return fitWindowSums(sums);
+};
+
+// Steps 2 and 3 of findInitialRate, from the point where the lag ends
+const chooseRateWindow = (data, lagIndex, options, channelCount) => {
+  const n = data.length;
+  const { minPoints, maxWindowSeconds, maxSlopeChange, curvatureSpan, confidence } = options;
+  const start = lagIndex;
+  // End of the window `seconds` long from the start, never fewer than minPoints
+  const endWithin = (seconds) => {
+    let end = Math.min(n, start + minPoints);
+    while (end < n && data[end].x - data[start].x <= seconds) end++;
+    return end;
+  };
+
+  let seconds = maxWindowSeconds;
+  for (let iteration = 0; iteration < 10; iteration++) {
+    const curve = fitWindow(data, start, endWithin(Math.min(maxWindowSeconds, curvatureSpan * seconds)));
+    if (!curve || !(curve.curvatureT > tCritical(confidence, curve.points - 3))) break;
+    // The slope changes by 2·curvature·T over a window T long
+    const next = Math.min(maxWindowSeconds, (maxSlopeChange * Math.abs(curve.tangent)) / (2 * Math.abs(curve.curvature)));
+    const converged = Math.abs(next - seconds) <= 0.01 * seconds;
+    seconds = next;
+    if (converged) break;
+  }
+
+  const lastEnd = endWithin(maxWindowSeconds);
+  const end = endWithin(seconds);
+  const fit = fitWindow(data, start, end);
+  if (!fit) return null;
+  // Only the one window chosen is tested, so only the choice between channels needs correcting for
+  const t = fit.slopeSE > 0 ? Math.abs(fit.slope) / fit.slopeSE : (fit.slope !== 0 ? Infinity : 0);
+  const critical = tCritical(familyConfidence(confidence, channelCount), fit.points - 2);
+  return { ...fit, start, end, t, significant: t > critical, curvatureDetected: end < lastEnd };
+};
+
+/**
+ * Initial-rate window for one channel.
+ * 1. A lag or mixing phase is skipped: rolling minPoints-point slopes are
+ *    computed and the trace is taken to start where the slope first reaches
+ *    lagFraction of its peak (in the direction of the reaction).
+ * 2. A quadratic is fitted from there over maxWindowSeconds. If its
+ *    curvature is not significant the whole span is the window; otherwise
+ *    the window is cut to the time T over which the slope changes by
+ *    maxSlopeChange (2·curvature·T = maxSlopeChange·tangent), and the
+ *    curvature is measured again over curvatureSpan·T until T settles.
+ *    Everything is in seconds, so the same curve gives the same window
+ *    whatever the frame rate; a window never has fewer than minPoints.
+ * 3. V0 is the straight-line slope of that window; curvatureDetected marks
+ *    a window cut short by curvature.
+ *
+ * The window is chosen by the curvature and never by its slope, so its
+ * slope is tested alone: corrected only for the channelCount channels the
+ * caller compares. The peak of step 1 is not tested itself; a lag is kept
+ * only when the slope of the whole trace after it and the chosen window are
+ * both significant, otherwise the search restarts from the first point.
+ *
+ * @param {object[]} data - Points {x, y} sorted by x.
+ * @param {object} options - DEFAULT_INITIAL_RATE_OPTIONS shape.
+ * @param {number} [channelCount] - Channels the caller picks the best of.
+ * @returns {object|null} Chosen window, or null when no window fits.
+ */
+const findInitialRate = (data, options, channelCount = 1) => {
+  const n = data.length;
+  const { minPoints, confidence } = options;
+
+  // 1. Lag / mixing phase
+  const rolling = [];
+  for (let i = 0; i + minPoints <= n; i++) {
+    rolling.push(fitWindow(data, i, i + minPoints) || { slope: 0, slopeSE: Infinity });
+  }
+  const peakIndex = rolling.reduce((best, w, i) => (Math.abs(w.slope) > Math.abs(rolling[best].slope) ? i : best), 0);
+  const peak = rolling[peakIndex];
+  let lagIndex = 0;
+  while (lagIndex < peakIndex && rolling[lagIndex].slope / peak.slope < options.lagFraction) lagIndex++;
+  // The peak is the steepest of many noisy windows and proves nothing by itself;
+  // a lag needs the whole trace after it to have a slope, tested against every place the lag could have ended
+  if (lagIndex > 0) {
+    const after = fitWindow(data, lagIndex, n);
+    const critical = tCritical(familyConfidence(confidence, channelCount * (peakIndex + 1)), n - lagIndex - 2);
+    if (!after || !(Math.abs(after.slope) > critical * after.slopeSE)) lagIndex = 0;
+  }
+
+  let chosen = chooseRateWindow(data, lagIndex, options, channelCount);
+  // A lag is only real if the rate after it stands out of the noise
+  if (lagIndex > 0 && !chosen?.significant) {
+    lagIndex = 0;
+    chosen = chooseRateWindow(data, 0, options, channelCount);
+  }
+  if (!chosen) return null;
+
+  const halfWidth = tCritical(confidence, chosen.points - 2) * chosen.slopeSE;
+  return {
+    ...chosen,
+    ci: [chosen.slope - halfWidth, chosen.slope + halfWidth],
+    lagTime: data[lagIndex].x - data[0].x,
+    lagDetected: lagIndex > 0,
+  };
+};
+
+/**
+ * Finds the initial rate (V0): the straight-line slope at the
+ * start of the curve once any lag or mixing phase has been skipped
+ * (see findInitialRate). V0 is reported with its standard error and a
+ * confidence interval as well as R².
+ * Frames flagged `usable: false` by the ROI statistics (e.g. saturated) are
+ * dropped before fitting; the number dropped is reported as `droppedFrames`.
+ *
+ * Absorbance is signed, so decay assays give a negative V0. When the blank
+ * noise floor is supplied, the analysis also reports how many points in the
+ * fit window are below it and whether the change over the window is
+ * detectable at all.
+ *
+ * When the detector's validated linear range is supplied (see linearity.js),
+ * a fit window that reaches above it is flagged with a warning.
+ *
+ * With `filters` (see signalFilters.js) the usable frames are smoothed and
+ * cleared of outliers before any fitting; absorbanceData is not modified.
+ *
+ * The whole curve on the V₀ channel is also split into kinetic phases (lag,
+ * linear, deceleration, plateau...) with automatically placed breakpoints;
+ * see phaseSegmentation.js.
+ *
+ * @param {object[]} absorbanceData - Points {time, abs: {r, g, b}, usable?}.
+ * @param {object} [options] - {channel, lod, linearRange, initialRate, segmentation, filters}: channel 'r', 'g' or 'b' fits only
+ *   that channel ('auto', the default, picks the channel whose slope is most significant); lod is the
+ *   noise floor {r, g, b} in AU; linearRange is { [channel]: {min, max} } in AU; initialRate is a
+ *   partial DEFAULT_INITIAL_RATE_OPTIONS; segmentation is a partial DEFAULT_SEGMENTATION_OPTIONS;
+ *   filters is in the DEFAULT_FILTERS shape.
+ * @returns {object} Analysis {v0, v0_se, v0_ci, slopeSignificant, r_squared, primaryChannel, startTime,
+ *   endTime, pointsInWindow, lagTime, lagDetected, curvatureDetected, phases, droppedFrames,
+ *   filters, outliersReplaced}
+ *   plus {noiseFloor, pointsBelowNoiseFloor, rateDetectable} when a lod was given and
+ *   {linearRange, exceedsLinearRange, linearityWarning} when the channel has a validated range.
+ */
+export function analyzeKineticData(absorbanceData, options = {}) {
+  const rateOptions = { ...DEFAULT_INITIAL_RATE_OPTIONS, ...options.initialRate };
+  if (!Array.isArray(absorbanceData) || absorbanceData.length < rateOptions.minPoints) {
     throw new Error('Not enough data points for analysis.');
   }
 
-  const channels = ['r', 'g', 'b'];
-  let bestFit = { r_squared: -Infinity, v0: 0, primaryChannel: 'none', startTime: null, endTime: null, phases: [] };
+  const usableData = absorbanceData.filter(d => d && d.usable !== false);
+  const droppedFrames = absorbanceData.length - usableData.length;
+  if (usableData.length < rateOptions.minPoints) {
+    throw new Error(`Not enough usable data points for analysis (${droppedFrames} frames rejected).`);
+  }
+  // Smoothing and outlier rejection work on a sorted copy; absorbanceData itself stays raw
+  const filters = hasFilters(options.filters) ? options.filters : null;
+  const { points: fitData, outliers } = filterPoints([...usableData].sort((a, b) => a.time - b.time), filters);
+
+  const channels = options.channel && options.channel !== 'auto' ? [options.channel] : ['r', 'g', 'b'];
+  let bestFit = { r_squared: -Infinity, v0: 0, primaryChannel: 'none', startTime: null, endTime: null, phases: [], droppedFrames };
+  let bestScore = -Infinity;
+  let bestData = null;
 
   for (const channel of channels) {
-    const data = absorbanceData
+    const data = fitData
       .filter(d => d && d.time != null && d.abs && typeof d.abs[channel] === 'number')
-      .map(d => ({ x: d.time, y: d.abs[channel] }));
+      .map(d => ({ x: d.time, y: d.abs[channel] }))
+      .sort((a, b) => a.x - b.x);
 
-    if (data.length < 5) {
+    if (data.length < rateOptions.minPoints) {
       continue;
     }
 
-    const windowSize = Math.max(5, Math.floor(data.length * 0.25));
-    let bestWindow = { r_squared: -Infinity, slope: 0, startTime: 0, endTime: 0 };
-
-    // To ensure we find the *initial* rate, we limit the search to the first 40% of the data points.
-    const searchLimit = Math.floor(data.length * 0.4);
-
-    for (let i = 0; i <= searchLimit && i <= data.length - windowSize; i++) {
-      const windowData = data.slice(i, i + windowSize);
-      const x = windowData.map(p => p.x);
-      const y = windowData.map(p => p.y);
-      const lr = linearRegression(x, y);
-
-      if (lr.r_squared > bestWindow.r_squared) {
-        bestWindow = {
-          r_squared: lr.r_squared,
-          slope: lr.slope,
-          startTime: windowData[0].x,
-          endTime: windowData[windowData.length - 1].x,
-        };
-      }
+    const window = findInitialRate(data, rateOptions, channels.length);
+    if (!window) {
+      continue;
     }
-      
-    if (bestWindow.r_squared > bestFit.r_squared) {
+
+    // Channels compete on how clearly their slope stands out of the noise
+    const score = (window.significant ? 1e6 : 0) + Math.min(window.t, 1e6 - 1);
+    if (score > bestScore) {
+      bestScore = score;
+      bestData = data;
+      const startTime = data[window.start].x;
+      const endTime = data[window.end - 1].x;
       bestFit = {
-        v0: bestWindow.slope,
-        r_squared: bestWindow.r_squared,
+        v0: window.slope,
+        v0_se: window.slopeSE,
+        v0_ci: window.ci,
+        slopeSignificant: window.significant,
+        r_squared: window.r_squared,
         primaryChannel: channel,
-        startTime: bestWindow.startTime,
-        endTime: bestWindow.endTime,
-        phases: [{
-          name: 'Initial Rate',
-          timeStart: bestWindow.startTime.toFixed(2),
-          timeEnd: bestWindow.endTime.toFixed(2),
-          slope: bestWindow.slope,
-          r_squared: bestWindow.r_squared,
-        }]
+        startTime,
+        endTime,
+        pointsInWindow: window.points,
+        lagTime: window.lagTime,
+        lagDetected: window.lagDetected,
+        curvatureDetected: window.curvatureDetected,
+        phases: [],
+        droppedFrames,
       };
     }
   }
 
+  // Whole-curve phases on the same channel as V₀
+  if (bestData) {
+    // The breakpoint penalty needs the frame noise, which smoothing would hide
+    const rawNoise = filters
+      ? estimateNoiseSD([...usableData].sort((a, b) => a.time - b.time).map(d => d.abs[bestFit.primaryChannel]))
+      : null;
+    bestFit.phases = segmentPhases(bestData, { noiseSD: rawNoise, ...options.segmentation });
+  }
+  bestFit.filters = filters;
+  bestFit.outliersReplaced = outliers[bestFit.primaryChannel] || 0;
+
+  if (options.lod && bestFit.primaryChannel !== 'none') {
+    const floor = options.lod[bestFit.primaryChannel];
+    const windowPoints = fitData.filter(d => d.time >= bestFit.startTime && d.time <= bestFit.endTime);
+    bestFit.noiseFloor = floor;
+    bestFit.pointsBelowNoiseFloor = windowPoints.filter(d => Math.abs(d.abs[bestFit.primaryChannel]) < floor).length;
+    bestFit.rateDetectable = Math.abs(bestFit.v0 * (bestFit.endTime - bestFit.startTime)) > floor;
+  }
+
+  const range = options.linearRange?.[bestFit.primaryChannel];
+  if (range && bestFit.primaryChannel !== 'none') {
+    const windowPoints = fitData.filter(d => d.time >= bestFit.startTime && d.time <= bestFit.endTime);
+    const peak = Math.max(...windowPoints.map(d => d.abs[bestFit.primaryChannel]));
+    bestFit.linearRange = range;
+    bestFit.exceedsLinearRange = peak > range.max;
+    bestFit.linearityWarning = bestFit.exceedsLinearRange
+      ? `Fit window reaches ${peak.toFixed(3)} AU, above the validated linear range (≤ ${range.max.toFixed(3)} AU) of this channel.`
+      : null;
+  }
+
   return bestFit;
 }
 
+/**
+ * Runs analyzeKineticData on every sample trace of a multi-ROI scan.
+ * Blank-role traces are kept for display but not analysed; a sample trace
+ * that cannot be analysed gets `analysis: null` and an `error` message.
+ *
+ * @param {object[]} traces - Traces {roiId, name, role, referenceId, absorbanceData, lod?}.
+ * @param {object} [options] - Passed to analyzeKineticData (each trace's own lod is added).
+ * @returns {object[]} The same traces with `analysis` (and `error` when it failed).
+ */
+export function analyzeTraces(traces, options = {}) {
+  return traces.map(trace => {
+    if (trace.role !== 'sample') {
+      return { ...trace, analysis: null };
+    }
+    try {
+      return { ...trace, analysis: analyzeKineticData(trace.absorbanceData, { ...options, lod: trace.lod }) };
+    } catch (err) {
+      return { ...trace, analysis: null, error: `${trace.name}: ${err.message}` };
+    }
+  });
+}
+
 export function prepareChartData(absorbanceData) {
   const chartTime = absorbanceData.map((d) => d.time);
   const chartR = absorbanceData.map((d) => d.abs.r);
@@ -107,7 +380,7 @@ export function prepareChartData(absorbanceData) {
   return { chartTime, chartR, chartG, chartB };
 }
 
-function linearRegression(x, y) {
+export function linearRegression(x, y) {
   const n = x.length;
   if (n < 2) {
     return { slope: 0, intercept: 0, r_squared: 0 };
@@ -143,61 +416,121 @@ function linearRegression(x, y) {
   return { slope, intercept, r_squared: isNaN(r_squared) ? 0 : r_squared };
 }
 
+// Vmax and Km from a straight-line replot; null when the line cannot give them
+const linearizedEstimate = (points, toParameters) => {
+  if (points.length < 2) return null;
+  const fit = linearRegression(points.map(p => p.x), points.map(p => p.y));
+  const estimate = toParameters(fit);
+  return isFinite(estimate.vmax) && isFinite(estimate.km) ? { ...estimate, r_squared: fit.r_squared } : null;
+};
+
+const michaelisMentenModel = (s, [vmax, km]) => (vmax * s) / (km + s);
+
+/**
+ * Vmax and Km from initial rates at several substrate concentrations.
+ * v = Vmax·[S]/(Km + [S]) is fitted directly by nonlinear least squares, so
+ * every rate carries the same weight and the parameters come with standard
+ * errors and confidence intervals. The Lineweaver–Burk and Hanes–Woolf
+ * replots are still fitted, but only for comparison: they distort the
+ * errors (1/v blows up at low [S]) and are not used in the answer, except
+ * as the starting point of the fit. Replicate group means carry a weight
+ * (n / pooled variance, see replicateStats.js); when every rate has one the fit is weighted.
+ *
+ * @param {object[]} data - Rates {s, v0, sd?, weight?}; decay assays (all v0 ≤ 0) are fitted on |v0|.
+ * @returns {object} {vmax, km, fit, fitError, linearized: {lineweaverBurk, hanesWoolf}, michaelisMenten
+ *   (sorted by [S], with sd when given), lineweaverBurk, hanesWoolf}. fit is {vmax, km: {value, se, ci},
+ *   residuals, rSquared, residualSD, sse, dof, n, aic, converged, weighted}; with no fit (fewer than 3 rates or
+ *   no convergence) vmax and km are 0, fit is null and fitError says why. Two rates still get the replots.
+ */
 export function calculateKineticParameters(data) {
-    if (data.length < 2) {
-        return {
-            vmax: 0,
-            km: 0,
-            michaelisMenten: [],
-            lineweaverBurk: [],
-            hanesWoolf: [],
-        };
-    }
+  const empty = {
+    vmax: 0,
+    km: 0,
+    fit: null,
+    fitError: null,
+    linearized: { lineweaverBurk: null, hanesWoolf: null },
+    michaelisMenten: [],
+    lineweaverBurk: [],
+    hanesWoolf: [],
+  };
+  if (data.length < 2) {
+    return { ...empty, fitError: 'At least two rates are needed.' };
+  }
 
-    const michaelisMenten = data.map(d => ({ x: d.s, y: d.v0 }));
-    let validMethods = 0;
-    let total_vmax = 0;
-    let total_km = 0;
-
-    // Lineweaver-Burk
-    const lineweaverBurkData = data.filter(d => d.s > 0 && d.v0 > 0).map(d => ({ x: 1 / d.s, y: 1 / d.v0 }));
-    if (lineweaverBurkData.length > 1) {
-        const lb_lr = linearRegression(lineweaverBurkData.map(p => p.x), lineweaverBurkData.map(p => p.y));
-        if (lb_lr.intercept !== 0) {
-            const lb_vmax = 1 / lb_lr.intercept;
-            const lb_km = lb_lr.slope * lb_vmax;
-            if (isFinite(lb_vmax) && isFinite(lb_km)) {
-                total_vmax += lb_vmax;
-                total_km += lb_km;
-                validMethods++;
-            }
-        }
-    }
+  // Decay assays (signal falling below the blank) give negative rates; fit their magnitude
+  if (data.every(d => d.v0 <= 0)) {
+    data = data.map(d => ({ ...d, v0: -d.v0 }));
+  }
 
-    // Hanes-Woolf
-    const hanesWoolfData = data.filter(d => d.s > 0 && d.v0 > 0).map(d => ({ x: d.s, y: d.s / d.v0 }));
-    if (hanesWoolfData.length > 1) {
-        const hw_lr = linearRegression(hanesWoolfData.map(p => p.x), hanesWoolfData.map(p => p.y));
-        if (hw_lr.slope !== 0) {
-            const hw_vmax = 1 / hw_lr.slope;
-            const hw_km = hw_lr.intercept * hw_vmax;
-            if (isFinite(hw_vmax) && isFinite(hw_km)) {
-                total_vmax += hw_vmax;
-                total_km += hw_km;
-                validMethods++;
-            }
-        }
-    }
+  const sorted = [...data].sort((a, b) => a.s - b.s);
+  const michaelisMenten = sorted.map(d => (d.sd !== undefined ? { x: d.s, y: d.v0, sd: d.sd } : { x: d.s, y: d.v0 }));
+  const weights = sorted.every(d => d.weight > 0) ? sorted.map(d => d.weight) : undefined;
+  const positive = data.filter(d => d.s > 0 && d.v0 > 0);
+  const lineweaverBurkData = positive.map(d => ({ x: 1 / d.s, y: 1 / d.v0 }));
+  const hanesWoolfData = positive.map(d => ({ x: d.s, y: d.s / d.v0 }));
+
+  // 1/v = (Km/Vmax)·1/[S] + 1/Vmax
+  const lineweaverBurk = linearizedEstimate(lineweaverBurkData, ({ slope, intercept }) => ({
+    vmax: 1 / intercept,
+    km: slope / intercept,
+  }));
+  // [S]/v = [S]/Vmax + Km/Vmax
+  const hanesWoolf = linearizedEstimate(hanesWoolfData, ({ slope, intercept }) => ({
+    vmax: 1 / slope,
+    km: intercept / slope,
+  }));
+
+  const result = {
+    ...empty,
+    linearized: { lineweaverBurk, hanesWoolf },
+    michaelisMenten,
+    lineweaverBurk: lineweaverBurkData,
+    hanesWoolf: hanesWoolfData,
+  };
+  // Two rates pin the curve exactly and leave nothing to estimate its errors from
+  if (sorted.length < 3) {
+    return { ...result, fitError: `Michaelis–Menten needs at least 3 rates (got ${sorted.length}).` };
+  }
+
+  const x = michaelisMenten.map(p => p.x);
+  const y = michaelisMenten.map(p => p.y);
+  const seed = [hanesWoolf, lineweaverBurk].find(e => e && e.vmax > 0 && e.km > 0);
+  const positiveS = x.filter(v => v > 0).sort((a, b) => a - b);
+  const initial = seed
+    ? [seed.vmax, seed.km]
+    : [Math.max(...y) * 1.2 || 1, positiveS[Math.floor(positiveS.length / 2)] || 1];
+
+  let nlls;
+  try {
+    nlls = levenbergMarquardt(michaelisMentenModel, x, y, initial, { lower: [1e-12, 1e-12], weights });
+  } catch (err) {
+    return { ...result, fitError: err.message };
+  }
+  if (!nlls.converged) {
+    return { ...result, fitError: 'The Michaelis–Menten fit did not converge; add rates above and below Km.' };
+  }
+
+  const [vmax, km] = nlls.params;
+  return {
+    ...result,
+    vmax,
+    km,
+    fit: {
+      vmax: { value: vmax, se: nlls.se[0], ci: nlls.ci[0] },
+      km: { value: km, se: nlls.se[1], ci: nlls.ci[1] },
+      residuals: michaelisMenten.map((p, i) => ({ s: p.x, v0: p.y, fitted: nlls.fitted[i], residual: nlls.residuals[i] })),
+      rSquared: nlls.rSquared,
+      residualSD: nlls.residualSD,
+      sse: nlls.sse,
+      dof: nlls.dof,
+      n: nlls.n,
+      aic: nlls.aic,
+      converged: nlls.converged,
+      weighted: Boolean(weights),
+    },
+  };
+}
 
-    return {
-        vmax: validMethods > 0 ? total_vmax / validMethods : 0,
-        km: validMethods > 0 ? total_km / validMethods : 0,
-        michaelisMenten,
-        lineweaverBurk: lineweaverBurkData,
-                hanesWoolf: hanesWoolfData,
-            };
-        }
-        
 // Packet Parser
 export const parseDevicePacket = (base64String) => {
   try {
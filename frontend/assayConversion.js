@@ -0,0 +1,80 @@
+/**
+ * Converts absorbance rates into concentration rates and enzyme activity.
+ * Beer-Lambert: c = A / (ε · l), so a rate of ΔA/s becomes
+ * Δc/min = ΔA/s · 60 / (ε · l). One unit (U) of enzyme converts 1 µmol of
+ * substrate per minute, so the activity of the enzyme stock is the µmol/min
+ * produced in the cuvette divided by the enzyme volume added, times its dilution.
+ */
+
+export const DEFAULT_ASSAY_METADATA = {
+  extinctionCoefficient: null, // ε, M⁻¹·cm⁻¹ at the assay wavelength
+  pathLength: 1, // l, cm
+  reactionVolume: 1, // Total volume in the cuvette, mL
+  enzymeVolume: 0.1, // Volume of (diluted) enzyme added, mL
+  dilution: 1, // Fold dilution of the enzyme stock before it was added
+};
+
+const isPositive = (v) => typeof v === 'number' && Number.isFinite(v) && v > 0;
+
+/**
+ * Checks assay metadata. Missing ε is allowed (no conversion is made).
+ *
+ * @param {object} metadata - See DEFAULT_ASSAY_METADATA.
+ * @returns {string[]} Problems found; empty when valid.
+ */
+export const validateAssayMetadata = (metadata) => {
+  const problems = [];
+  if (metadata.extinctionCoefficient != null && !isPositive(metadata.extinctionCoefficient)) {
+    problems.push('Extinction coefficient must be positive.');
+  }
+  for (const [key, label] of [
+    ['pathLength', 'Path length'],
+    ['reactionVolume', 'Reaction volume'],
+    ['enzymeVolume', 'Enzyme volume'],
+    ['dilution', 'Dilution'],
+  ]) {
+    if (!isPositive(metadata[key])) {
+      problems.push(`${label} must be positive.`);
+    }
+  }
+  if (isPositive(metadata.enzymeVolume) && isPositive(metadata.reactionVolume) && metadata.enzymeVolume > metadata.reactionVolume) {
+    problems.push('Enzyme volume cannot exceed the reaction volume.');
+  }
+  return problems;
+};
+
+/**
+ * Converts an initial rate in A/s.
+ *
+ * @param {number} v0 - Initial rate, absorbance units per second (signed).
+ * @param {object} metadata - See DEFAULT_ASSAY_METADATA.
+ * @returns {object|null} {rateMicroMolarPerMin, activityUnitsPerMl, unitsInCuvette, metadata},
+ *   or null when the metadata cannot convert (no ε or invalid values). The rate keeps
+ *   the sign of V0 (negative for decay assays); activity is reported as a magnitude.
+ */
+export const convertRate = (v0, metadata) => {
+  if (typeof v0 !== 'number' || !Number.isFinite(v0)) return null;
+  if (metadata.extinctionCoefficient == null || validateAssayMetadata(metadata).length > 0) return null;
+
+  const molarPerMin = (v0 * 60) / (metadata.extinctionCoefficient * metadata.pathLength);
+  const rateMicroMolarPerMin = molarPerMin * 1e6;
+  // µmol/min in the cuvette = µM/min × volume in L
+  const unitsInCuvette = Math.abs(rateMicroMolarPerMin) * (metadata.reactionVolume / 1000);
+  const activityUnitsPerMl = (unitsInCuvette / metadata.enzymeVolume) * metadata.dilution;
+
+  return {
+    rateMicroMolarPerMin,
+    activityUnitsPerMl,
+    unitsInCuvette,
+    metadata: { ...metadata },
+  };
+};
+
+/**
+ * Formats a converted rate for lists and prompts.
+ *
+ * @param {object} converted - Result of convertRate.
+ * @returns {string} e.g. "12.3 µM/min · 0.123 U/mL".
+ */
+export const formatConvertedRate = (converted) =>
+  `${converted.rateMicroMolarPerMin.toFixed(3)} µM/min · ${converted.activityUnitsPerMl.toFixed(4)} U/mL`;
@@ -0,0 +1,129 @@
+import { linearRegression } from './analysisUtils';
+import { mixChannelStats } from './channelModel';
+
+/**
+ * Multi-frame blank averaging.
+ * Every usable frame captured during BLANKING is averaged into the blank,
+ * and the spread (noise) and trend (drift) of those frames decide whether
+ * the blank is good enough to scan against.
+ */
+
+// Limit of detection = LOD_SIGMA x the absorbance noise of the blank
+export const LOD_SIGMA = 3;
+
+export const DEFAULT_BLANK_LIMITS = {
+  minFrames: 5,
+  maxCV: 0.02, // Coefficient of variation per channel (2%)
+  maxDriftPerSecond: 0.002, // Relative intensity change per second (0.2%/s)
+};
+
+const CHANNELS = ['r', 'g', 'b'];
+
+const summarizeChannel = (times, values) => {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const sd = n > 1 ? Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (n - 1)) : 0;
+  const lr = linearRegression(times, values);
+  return {
+    mean,
+    sd,
+    cv: mean > 0 ? sd / mean : 0,
+    driftPerSecond: mean > 0 ? lr.slope / mean : 0,
+  };
+};
+
+/**
+ * Averages blank frames and reports their noise and drift for every ROI.
+ *
+ * @param {object[]} frames - Blank frames {time, rois: { [id]: {r, g, b} }}, time in seconds.
+ * @param {object} [overrides] - Partial DEFAULT_BLANK_LIMITS.
+ * @param {object} [names] - Map of ROI id -> display name used in the reasons.
+ * @returns {object} {rois, frameCount, duration, channels, limits, acceptable, reasons}.
+ *   `rois[id]` is the averaged blank intensity {r, g, b} (empty when no frames were captured);
+ *   `channels[id].r` etc. hold {mean, sd, cv, driftPerSecond}.
+ */
+export const summarizeBlank = (frames, overrides = {}, names = {}) => {
+  const limits = { ...DEFAULT_BLANK_LIMITS, ...overrides };
+  const frameCount = Array.isArray(frames) ? frames.length : 0;
+
+  if (frameCount === 0) {
+    return {
+      rois: {},
+      frameCount: 0,
+      duration: 0,
+      channels: null,
+      limits,
+      acceptable: false,
+      reasons: ['No usable blank frames were captured.'],
+    };
+  }
+
+  const times = frames.map((f) => f.time);
+  const roiIds = Object.keys(frames[0].rois);
+  const channels = {};
+  const means = {};
+  for (const id of roiIds) {
+    channels[id] = {};
+    means[id] = {};
+    for (const channel of CHANNELS) {
+      channels[id][channel] = summarizeChannel(times, frames.map((f) => f.rois[id][channel]));
+      means[id][channel] = channels[id][channel].mean;
+    }
+  }
+
+  const reasons = [];
+  if (frameCount < limits.minFrames) {
+    reasons.push(`Only ${frameCount} blank frames captured (need ${limits.minFrames}).`);
+  }
+  for (const id of roiIds) {
+    for (const channel of CHANNELS) {
+      const stats = channels[id][channel];
+      const label = `${names[id] || id} ${channel.toUpperCase()}`;
+      if (stats.cv > limits.maxCV) {
+        reasons.push(`${label} too noisy (CV ${(stats.cv * 100).toFixed(2)}%).`);
+      }
+      if (frameCount >= 3 && Math.abs(stats.driftPerSecond) > limits.maxDriftPerSecond) {
+        reasons.push(`${label} still drifting (${(stats.driftPerSecond * 100).toFixed(2)}%/s).`);
+      }
+    }
+  }
+
+  return {
+    rois: means,
+    frameCount,
+    duration: times[times.length - 1] - times[0],
+    channels,
+    limits,
+    acceptable: reasons.length === 0,
+    reasons,
+  };
+};
+
+/**
+ * Absorbance noise floor (limit of detection) of one sample/reference pair.
+ * A = -log10(S / R * const), so relative intensity noise propagates to
+ * absorbance as sigma_A = sqrt(cv_S^2 + cv_R^2) / ln(10).
+ *
+ * @param {object} report - Blank report from summarizeBlank.
+ * @param {string} sampleId - Sample (or blank-role) ROI id.
+ * @param {string} referenceId - Its reference ROI id.
+ * @param {number} [k] - Multiple of sigma (default LOD_SIGMA).
+ * @param {object[]} [channels] - Extra weighted channels (channelModel) to include by id.
+ * @returns {object|null} LOD {r, g, b, ...} in AU, or null when the report has no noise data.
+ */
+export const absorbanceNoiseFloor = (report, sampleId, referenceId, k = LOD_SIGMA, channels = []) => {
+  const sample = report?.channels?.[sampleId];
+  const reference = report?.channels?.[referenceId];
+  if (!sample || !reference) return null;
+
+  const lod = {};
+  for (const channel of CHANNELS) {
+    lod[channel] = (k * Math.hypot(sample[channel].cv, reference[channel].cv)) / Math.LN10;
+  }
+  for (const channel of channels) {
+    const sampleCV = mixChannelStats(sample, channel.weights).cv;
+    const referenceCV = mixChannelStats(reference, channel.weights).cv;
+    lod[channel.id] = (k * Math.hypot(sampleCV, referenceCV)) / Math.LN10;
+  }
+  return lod;
+};
@@ -0,0 +1,274 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { fitLinearLeastSquares, levenbergMarquardt, parameterGradient, studentTQuantile } from './fitting';
+
+/**
+ * Standard-curve calibration for endpoint colorimetry (Bradford, BCA, glucose...).
+ * Standards of known concentration are read with the same blank and
+ * calculateAbsorbance pipeline as kinetic scans, a linear, quadratic or 4PL
+ * curve is fitted to them, and unknowns are read back off the curve with a
+ * confidence interval. Calibrations are saved on the device so unknowns can
+ * be read against them in a later session.
+ */
+
+const STORAGE_KEY = 'mobilespectro.calibrations.v1';
+
+// Four-parameter logistic: bottom at zero concentration, top at saturation
+const fourPL = (x, [bottom, hill, ec50, top]) =>
+  top + (bottom - top) / (1 + Math.pow(Math.max(x, 0) / ec50, hill));
+
+export const CALIBRATION_MODELS = {
+  linear: {
+    id: 'linear',
+    label: 'Linear',
+    parameterNames: ['intercept', 'slope'],
+    minStandards: 3,
+    evaluate: (x, [a, b]) => a + b * x,
+  },
+  quadratic: {
+    id: 'quadratic',
+    label: 'Quadratic',
+    parameterNames: ['c0', 'c1', 'c2'],
+    minStandards: 4,
+    evaluate: (x, [c0, c1, c2]) => c0 + c1 * x + c2 * x * x,
+  },
+  '4pl': {
+    id: '4pl',
+    label: '4PL',
+    parameterNames: ['bottom', 'hill', 'ec50', 'top'],
+    minStandards: 5,
+    evaluate: fourPL,
+  },
+};
+
+/**
+ * Averages the frames of one endpoint read.
+ * Frames flagged `usable: false` (e.g. saturated) are left out.
+ * Throws an Error when no frame is usable.
+ *
+ * @param {object[]} points - Points {abs: {r, g, b, ...}, usable?} from the read window.
+ * @returns {object} {abs, sd, frames, rejectedFrames}, abs and sd keyed like the points.
+ */
+export const averageEndpointFrames = (points) => {
+  const usable = points.filter((p) => p && p.usable !== false && p.abs);
+  if (usable.length === 0) {
+    throw new Error(`No usable frames in the read (${points.length} rejected).`);
+  }
+  const abs = {};
+  const sd = {};
+  for (const key of Object.keys(usable[0].abs)) {
+    const values = usable.map((p) => p.abs[key]);
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    abs[key] = mean;
+    sd[key] = values.length > 1
+      ? Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (values.length - 1))
+      : 0;
+  }
+  return { abs, sd, frames: usable.length, rejectedFrames: points.length - usable.length };
+};
+
+/**
+ * Fits a calibration curve to standards.
+ * Throws an Error when there are too few standards or the fit fails.
+ *
+ * @param {object[]} standards - {concentration, absorbance} pairs.
+ * @param {string} modelId - 'linear', 'quadratic' or '4pl'.
+ * @param {object} [details] - {channel, units, assay} stored with the calibration.
+ * @returns {object} Calibration {model, params, se, covariance, residualSD, dof, rSquared,
+ *   standards, range, channel, units, assay, createdAt}.
+ */
+export const fitCalibration = (standards, modelId, details = {}) => {
+  const model = CALIBRATION_MODELS[modelId];
+  if (!model) {
+    throw new Error(`Unknown calibration model "${modelId}".`);
+  }
+  const points = standards.filter(
+    (s) => Number.isFinite(s.concentration) && s.concentration >= 0 && Number.isFinite(s.absorbance)
+  );
+  if (points.length < model.minStandards) {
+    throw new Error(`${model.label} calibration needs at least ${model.minStandards} standards (got ${points.length}).`);
+  }
+  const x = points.map((s) => s.concentration);
+  const y = points.map((s) => s.absorbance);
+  const levels = new Set(x).size;
+  if (levels < model.parameterNames.length) {
+    throw new Error(`${model.label} calibration needs at least ${model.parameterNames.length} different concentrations.`);
+  }
+
+  let fit;
+  if (modelId === '4pl') {
+    const order = x.map((_, i) => i).sort((a, b) => x[a] - x[b]);
+    const low = y[order[0]];
+    const high = y[order[order.length - 1]];
+    const positive = x.filter((v) => v > 0);
+    const midpoint = Math.sqrt(Math.min(...positive) * Math.max(...positive));
+    const span = high - low;
+    fit = levenbergMarquardt(fourPL, x, y, [low - 0.05 * span, 1, midpoint, high + 0.05 * span], {
+      lower: [-Infinity, 0.05, 1e-12, -Infinity],
+      upper: [Infinity, 20, Infinity, Infinity],
+    });
+  } else {
+    const basis = [() => 1, (v) => v, (v) => v * v].slice(0, model.parameterNames.length);
+    fit = fitLinearLeastSquares(x, y, basis);
+  }
+  if (!fit.covariance) {
+    throw new Error('Calibration fit is degenerate; add standards across the range.');
+  }
+
+  return {
+    model: modelId,
+    params: fit.params,
+    se: fit.se,
+    covariance: fit.covariance,
+    residualSD: fit.residualSD,
+    dof: fit.dof,
+    rSquared: fit.rSquared,
+    converged: fit.converged,
+    standards: points.map((s) => ({ concentration: s.concentration, absorbance: s.absorbance, label: s.label })),
+    range: { min: Math.min(...x), max: Math.max(...x) },
+    channel: details.channel || null,
+    units: details.units || '',
+    assay: details.assay || null,
+    createdAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Absorbance the calibration curve predicts at a concentration.
+ *
+ * @param {object} calibration - Result of fitCalibration.
+ * @param {number} concentration - Concentration in the calibration's units.
+ * @returns {number} Predicted absorbance.
+ */
+export const predictAbsorbance = (calibration, concentration) =>
+  CALIBRATION_MODELS[calibration.model].evaluate(concentration, calibration.params);
+
+// Concentration giving absorbance y, or null when the curve never reaches it
+const invertCurve = (calibration, y) => {
+  const { model, params, range } = calibration;
+  const width = range.max - range.min;
+  if (model === 'linear') {
+    const [a, b] = params;
+    return b !== 0 ? (y - a) / b : null;
+  }
+  if (model === 'quadratic') {
+    const [c0, c1, c2] = params;
+    if (Math.abs(c2) < 1e-15) return c1 !== 0 ? (y - c0) / c1 : null;
+    const disc = c1 * c1 - 4 * c2 * (c0 - y);
+    if (disc < 0) return null;
+    const roots = [(-c1 + Math.sqrt(disc)) / (2 * c2), (-c1 - Math.sqrt(disc)) / (2 * c2)];
+    // The branch that runs through the standards (allowing modest extrapolation)
+    const centre = (range.min + range.max) / 2;
+    const candidates = roots.filter((r) => r >= range.min - width && r <= range.max + width);
+    if (candidates.length === 0) return null;
+    return candidates.sort((a, b) => Math.abs(a - centre) - Math.abs(b - centre))[0];
+  }
+  const [bottom, hill, ec50, top] = params;
+  const ratio = (bottom - top) / (y - top) - 1;
+  if (!(ratio >= 0)) return null; // At or beyond an asymptote
+  return ec50 * Math.pow(ratio, 1 / hill);
+};
+
+/**
+ * Reads a concentration off a calibration curve.
+ * The confidence interval combines the scatter of a new reading about the
+ * curve (residual SD, divided among the replicates) with the uncertainty of
+ * the fitted curve itself, propagated through the curve's slope (delta method).
+ *
+ * @param {object} calibration - Result of fitCalibration (or a saved calibration).
+ * @param {number} absorbance - Measured absorbance (mean of the replicates).
+ * @param {object} [options] - {replicates = 1, confidence = 0.95}.
+ * @returns {object} {concentration, se, ci: [low, high], outOfRange, reason}; concentration is null
+ *   (with a reason) when the absorbance is beyond what the curve can reach.
+ */
+export const interpolateConcentration = (calibration, absorbance, options = {}) => {
+  const { replicates = 1, confidence = 0.95 } = options;
+  const model = CALIBRATION_MODELS[calibration.model];
+  const concentration = invertCurve(calibration, absorbance);
+  if (concentration == null || !Number.isFinite(concentration)) {
+    return { concentration: null, se: null, ci: null, outOfRange: true, reason: 'Absorbance is outside the range the curve can reach.' };
+  }
+
+  const h = 1e-6 * Math.max(Math.abs(concentration), calibration.range.max - calibration.range.min, 1e-9);
+  const slope = (model.evaluate(concentration + h, calibration.params) - model.evaluate(concentration - h, calibration.params)) / (2 * h);
+  const gradient = parameterGradient(model.evaluate, concentration, calibration.params);
+  let curveVariance = 0;
+  for (let a = 0; a < gradient.length; a++) {
+    for (let b = 0; b < gradient.length; b++) {
+      curveVariance += gradient[a] * calibration.covariance[a][b] * gradient[b];
+    }
+  }
+  const readingVariance = (calibration.residualSD * calibration.residualSD) / Math.max(1, replicates);
+  const se = Math.sqrt(readingVariance + Math.max(curveVariance, 0)) / Math.abs(slope);
+  const t = studentTQuantile(1 - (1 - confidence) / 2, calibration.dof);
+
+  const outOfRange = concentration < calibration.range.min || concentration > calibration.range.max;
+  return {
+    concentration,
+    se,
+    ci: [concentration - t * se, concentration + t * se],
+    outOfRange,
+    reason: outOfRange ? 'Outside the range of the standards (extrapolated).' : null,
+  };
+};
+
+/**
+ * Human-readable curve equation.
+ *
+ * @param {object} calibration - Result of fitCalibration.
+ * @returns {string} e.g. "A = 0.012 + 0.0451·c".
+ */
+export const describeCalibration = (calibration) => {
+  const p = calibration.params.map((v) => Number(v.toPrecision(4)));
+  switch (calibration.model) {
+    case 'linear':
+      return `A = ${p[0]} + ${p[1]}·c`;
+    case 'quadratic':
+      return `A = ${p[0]} + ${p[1]}·c + ${p[2]}·c²`;
+    default:
+      return `A = ${p[3]} + (${p[0]} − ${p[3]}) / (1 + (c/${p[2]})^${p[1]})`;
+  }
+};
+
+/**
+ * Loads every saved calibration from device storage.
+ *
+ * @returns {Promise<object[]>} Calibrations sorted by name; empty when none are saved.
+ */
+export const loadCalibrations = async () => {
+  const raw = await AsyncStorage.getItem(STORAGE_KEY);
+  if (!raw) return [];
+  const calibrations = JSON.parse(raw);
+  return Array.isArray(calibrations) ? calibrations : [];
+};
+
+const saveCalibrations = async (calibrations) => {
+  const sorted = [...calibrations].sort((a, b) => a.name.localeCompare(b.name));
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(sorted));
+  return sorted;
+};
+
+/**
+ * Saves a calibration under a name, replacing any calibration with the same name.
+ *
+ * @param {string} name - Display name (e.g. "BCA 2026-10-19").
+ * @param {object} calibration - Result of fitCalibration.
+ * @returns {Promise<object[]>} The updated calibration list.
+ */
+export const upsertCalibration = async (name, calibration) => {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    throw new Error('Calibration needs a name.');
+  }
+  const calibrations = await loadCalibrations();
+  return saveCalibrations([...calibrations.filter((c) => c.name !== trimmed), { ...calibration, name: trimmed }]);
+};
+
+/**
+ * Deletes the calibration with the given name.
+ *
+ * @returns {Promise<object[]>} The updated calibration list.
+ */
+export const deleteCalibration = async (name) => {
+  const calibrations = await loadCalibrations();
+  return saveCalibrations(calibrations.filter((c) => c.name !== name));
+};
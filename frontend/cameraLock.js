@@ -0,0 +1,114 @@
+/**
+ * Camera exposure / white-balance / focus lock for blanking and scanning.
+ * expo-camera cannot pin exposure or white balance, so those are only
+ * checked, not enforced: every frame is verified against the settings
+ * captured with the blank, and a scan whose settings moved is abandoned.
+ * Exposure time and ISO come from the frame EXIF, and white balance is
+ * tracked through the chromaticity of the reference ROI (which sees
+ * unabsorbed light and should not change colour). Focus is the only setting
+ * actually held, and only when the camera was told to hold it.
+ */
+
+export const CHECKED_SETTINGS = ['exposure time', 'ISO', 'white balance'];
+
+export const DEFAULT_LOCK_TOLERANCES = {
+  exposureTime: 0.01, // Relative change allowed in exposure time
+  iso: 0.01, // Relative change allowed in ISO
+  chromaticity: 0.03, // Relative change allowed in reference R/G and B/G ratios
+};
+
+const firstNumber = (value) => {
+  const v = Array.isArray(value) ? value[0] : value;
+  const n = typeof v === 'string' ? parseFloat(v) : v;
+  return typeof n === 'number' && isFinite(n) ? n : null;
+};
+
+/**
+ * Reads the exposure-related settings from a frame's EXIF block.
+ * iOS and Android use slightly different keys for ISO.
+ *
+ * @param {object} exif - EXIF object returned by takePictureAsync({ exif: true }).
+ * @returns {object|null} {exposureTime, iso, whiteBalance}, or null if exposure cannot be read.
+ */
+export const readExposureSettings = (exif) => {
+  if (!exif) return null;
+  const source = exif['{Exif}'] || exif;
+  const exposureTime = firstNumber(source.ExposureTime);
+  const iso = firstNumber(source.ISOSpeedRatings ?? source.PhotographicSensitivity ?? source.ISO);
+  if (exposureTime == null || iso == null) return null;
+
+  const whiteBalance = firstNumber(source.WhiteBalance);
+  return { exposureTime, iso, whiteBalance };
+};
+
+const chromaticityOf = (rgb) => ({
+  rg: rgb.r / Math.max(rgb.g, 1e-9),
+  bg: rgb.b / Math.max(rgb.g, 1e-9),
+});
+
+/**
+ * Captures the lock from the first blank frame.
+ *
+ * @param {object} exif - EXIF of the blank frame.
+ * @param {object} referenceRGB - {r, g, b} of the reference ROI in that frame.
+ * @param {boolean} focusLocked - Whether the camera is holding its focus (the autofocus prop), not just asked to.
+ * @returns {object} Lock {settings, referenceChromaticity, focusLocked, checked, lockedAt}; checked
+ *   lists the settings that are verified on every frame rather than held (CHECKED_SETTINGS).
+ * @throws {Error} If the frame does not report exposure settings, so the lock cannot be verified.
+ */
+export const createCameraLock = (exif, referenceRGB, focusLocked) => {
+  const settings = readExposureSettings(exif);
+  if (!settings) {
+    throw new Error('This camera does not report exposure time/ISO, so the exposure lock cannot be verified.');
+  }
+
+  return {
+    settings,
+    referenceChromaticity: chromaticityOf(referenceRGB),
+    focusLocked: Boolean(focusLocked),
+    checked: CHECKED_SETTINGS,
+    lockedAt: new Date().toISOString(),
+  };
+};
+
+const relativeChange = (value, locked) => Math.abs(value - locked) / Math.max(Math.abs(locked), 1e-9);
+
+/**
+ * Checks that a frame was captured with the locked settings.
+ *
+ * @param {object} lock - Lock from createCameraLock.
+ * @param {object} exif - EXIF of the current frame.
+ * @param {object} referenceRGB - {r, g, b} of the reference ROI in the current frame.
+ * @param {object} [tolerances] - Partial DEFAULT_LOCK_TOLERANCES.
+ * @returns {object} {held, reasons}.
+ */
+export const checkCameraLock = (lock, exif, referenceRGB, tolerances = {}) => {
+  const limits = { ...DEFAULT_LOCK_TOLERANCES, ...tolerances };
+  const settings = readExposureSettings(exif);
+  const reasons = [];
+
+  if (!settings) {
+    reasons.push('frame has no exposure data');
+  } else {
+    if (relativeChange(settings.exposureTime, lock.settings.exposureTime) > limits.exposureTime) {
+      reasons.push(`exposure changed ${lock.settings.exposureTime}s → ${settings.exposureTime}s`);
+    }
+    if (relativeChange(settings.iso, lock.settings.iso) > limits.iso) {
+      reasons.push(`ISO changed ${lock.settings.iso} → ${settings.iso}`);
+    }
+    if (lock.settings.whiteBalance != null && settings.whiteBalance != null && settings.whiteBalance !== lock.settings.whiteBalance) {
+      reasons.push('white balance mode changed');
+    }
+  }
+
+  const chroma = chromaticityOf(referenceRGB);
+  const chromaShift = Math.max(
+    relativeChange(chroma.rg, lock.referenceChromaticity.rg),
+    relativeChange(chroma.bg, lock.referenceChromaticity.bg)
+  );
+  if (chromaShift > limits.chromaticity) {
+    reasons.push(`white balance drifted ${(chromaShift * 100).toFixed(1)}% on the reference ROI`);
+  }
+
+  return { held: reasons.length === 0, reasons };
+};
@@ -0,0 +1,167 @@
+/**
+ * Colorimetric channel model.
+ * A camera only sees three broad colour bands, so a chromophore's absorbance
+ * band is approximated by a weighted mix of R, G and B. A channel is
+ * { id, label, wavelength, weights: {r, g, b} }; its intensity is the
+ * weighted sum of the ROI's RGB intensities and its absorbance is computed
+ * from that mixed intensity exactly like a single colour channel.
+ * An assay names its chromophore's channel and can fix analysis to it.
+ */
+
+// The raw camera channels, with the same nominal wavelengths shown on the result charts
+export const RGB_CHANNELS = [
+  { id: 'r', label: 'Red', wavelength: 650, weights: { r: 1, g: 0, b: 0 } },
+  { id: 'g', label: 'Green', wavelength: 550, weights: { r: 0, g: 1, b: 0 } },
+  { id: 'b', label: 'Blue', wavelength: 450, weights: { r: 0, g: 0, b: 1 } },
+];
+
+export const DEFAULT_ASSAYS = [
+  {
+    id: 'generic',
+    name: 'Generic (auto channel)',
+    channel: null, // Best-fitting raw channel is picked per scan
+    fixChannel: false,
+    extinctionCoefficient: null, // M⁻¹·cm⁻¹; enter it per scan
+  },
+  {
+    id: 'pnp',
+    name: 'p-Nitrophenol (405 nm)',
+    channel: { id: '405nm', label: '405 nm', wavelength: 405, weights: { r: 0, g: 0.2, b: 0.8 } },
+    fixChannel: true,
+    extinctionCoefficient: 18000, // p-nitrophenolate, alkaline pH
+  },
+  {
+    id: 'tmb',
+    name: 'TMB, blue product (652 nm)',
+    channel: { id: '652nm', label: '652 nm', wavelength: 652, weights: { r: 0.9, g: 0.1, b: 0 } },
+    fixChannel: true,
+    extinctionCoefficient: 39000, // TMB charge-transfer complex
+  },
+  {
+    id: 'tmb-stopped',
+    name: 'TMB, acid-stopped (450 nm)',
+    channel: { id: '450nm', label: '450 nm', wavelength: 450, weights: { r: 0, g: 0.1, b: 0.9 } },
+    fixChannel: true,
+    extinctionCoefficient: 59000, // TMB diimine after acid stop
+  },
+];
+
+/**
+ * Mixes an RGB intensity into a channel intensity.
+ *
+ * @param {object} rgb - {r, g, b} intensities.
+ * @param {object} weights - {r, g, b} channel weights.
+ * @returns {number} Weighted intensity.
+ */
+export const mixIntensity = (rgb, weights) =>
+  (weights.r || 0) * rgb.r + (weights.g || 0) * rgb.g + (weights.b || 0) * rgb.b;
+
+/**
+ * Noise of a mixed channel from per-channel blank statistics, treating the
+ * camera channels as independent.
+ *
+ * @param {object} stats - { r: {mean, sd}, g: {...}, b: {...} } from the blank summary.
+ * @param {object} weights - {r, g, b} channel weights.
+ * @returns {object} {mean, sd, cv} of the mixed intensity.
+ */
+export const mixChannelStats = (stats, weights) => {
+  let mean = 0;
+  let variance = 0;
+  for (const c of ['r', 'g', 'b']) {
+    const w = weights[c] || 0;
+    mean += w * stats[c].mean;
+    variance += w * w * stats[c].sd * stats[c].sd;
+  }
+  const sd = Math.sqrt(variance);
+  return { mean, sd, cv: mean > 0 ? sd / mean : 0 };
+};
+
+/**
+ * Checks a channel definition.
+ *
+ * @param {object} channel - Channel {id, label, wavelength, weights}.
+ * @returns {string[]} Problems found; empty when valid.
+ */
+export const validateChannel = (channel) => {
+  const problems = [];
+  if (!channel || typeof channel.id !== 'string' || channel.id.trim() === '') {
+    problems.push('Channel needs an id.');
+    return problems;
+  }
+  if (['r', 'g', 'b', 'auto'].includes(channel.id)) {
+    problems.push(`Channel id "${channel.id}" is reserved for the raw camera channels.`);
+  }
+  if (channel.wavelength != null && !(channel.wavelength > 0)) {
+    problems.push('Channel wavelength must be positive.');
+  }
+  const weights = channel.weights || {};
+  const values = ['r', 'g', 'b'].map((c) => weights[c] || 0);
+  if (values.some((w) => typeof w !== 'number' || !Number.isFinite(w) || w < 0)) {
+    problems.push('Channel weights must be non-negative numbers.');
+  } else if (values.every((w) => w === 0)) {
+    problems.push('At least one channel weight must be above zero.');
+  }
+  return problems;
+};
+
+/**
+ * Builds a custom channel id/label from its wavelength.
+ *
+ * @param {number} wavelength - Effective wavelength in nm.
+ * @param {object} weights - {r, g, b} weights.
+ * @returns {object} Channel definition.
+ */
+export const createChannel = (wavelength, weights) => ({
+  id: `${Math.round(wavelength)}nm`,
+  label: `${Math.round(wavelength)} nm`,
+  wavelength,
+  weights: { r: weights.r || 0, g: weights.g || 0, b: weights.b || 0 },
+});
+
+/**
+ * Human-readable name of a channel id, looking in the raw channels and the assay's channel.
+ *
+ * @param {string} id - Channel id ('r', 'g', 'b' or a pseudo-wavelength id).
+ * @param {object} [assay] - Assay whose channel may match the id.
+ * @returns {string} Display label.
+ */
+export const channelLabel = (id, assay) => {
+  if (!id || id === 'none') return 'N/A';
+  if (id === 'auto') return 'Auto';
+  const rgb = RGB_CHANNELS.find((c) => c.id === id);
+  if (rgb) return id.toUpperCase();
+  if (assay?.channel?.id === id) return assay.channel.label;
+  return id;
+};
+
+/**
+ * Channel the analysis uses for an assay: the assay's own channel when it
+ * fixes the channel, otherwise the user's preferred raw channel (or 'auto').
+ *
+ * @param {object} assay - Assay definition.
+ * @param {string} preferredChannel - 'auto', 'r', 'g' or 'b'.
+ * @returns {string} Channel id for analyzeKineticData.
+ */
+export const resolveAnalysisChannel = (assay, preferredChannel) =>
+  assay?.fixChannel && assay.channel ? assay.channel.id : preferredChannel;
+
+/**
+ * Absorbance of a weighted (pseudo-wavelength) channel.
+ * Uses the same reference-corrected Beer-Lambert expression as calculateAbsorbance.
+ *
+ * @param {object} channel - Channel definition.
+ * @param {object} sampleRGB - Sample intensity.
+ * @param {object} blankSampleRGB - Sample intensity during blanking.
+ * @param {object} referenceRGB - Reference intensity.
+ * @param {object} blankReferenceRGB - Reference intensity during blanking.
+ * @returns {number} Absorbance of the mixed channel (signed).
+ */
+export const calculateChannelAbsorbance = (channel, sampleRGB, blankSampleRGB, referenceRGB, blankReferenceRGB) => {
+  const epsilon = 1e-9;
+  const sample = mixIntensity(sampleRGB, channel.weights);
+  const blankSample = mixIntensity(blankSampleRGB, channel.weights);
+  const reference = mixIntensity(referenceRGB, channel.weights);
+  const blankReference = mixIntensity(blankReferenceRGB, channel.weights);
+  const corrected = sample * (blankReference / Math.max(reference, epsilon));
+  return -Math.log10(Math.max(corrected / Math.max(blankSample, epsilon), epsilon));
+};
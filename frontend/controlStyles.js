@@ -0,0 +1,76 @@
+import { StyleSheet } from 'react-native';
+
+/**
+ * Chips, labels, inputs and report boxes of the Scanner tab's settings,
+ * shared by App.js and the settings panels it is built from.
+ */
+export const controlStyles = StyleSheet.create({
+  roiChipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  roiChip: {
+    borderWidth: 1,
+    borderColor: '#444444',
+    borderRadius: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  roiChipActive: {
+    backgroundColor: '#007acc',
+  },
+  roiChipText: {
+    color: '#d4d4d4',
+    fontSize: 11,
+  },
+  roiHint: {
+    fontSize: 11,
+    color: '#a0a0a0',
+    fontStyle: 'italic',
+    marginTop: 4,
+  },
+  protocolGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  roiNameInput: {
+    borderWidth: 1,
+    borderColor: '#444444',
+    borderRadius: 4,
+    color: '#d4d4d4',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    marginBottom: 8,
+  },
+  controlLabel: {
+    fontSize: 12,
+    color: '#a0a0a0',
+    fontWeight: '500',
+    marginBottom: 8,
+  },
+  blankReportBox: {
+    backgroundColor: '#252526',
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 8,
+  },
+  blankReportTitle: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginBottom: 6,
+  },
+  blankReportText: {
+    fontSize: 11,
+    color: '#d4d4d4',
+    marginBottom: 4,
+  },
+  blankReportWarning: {
+    fontSize: 11,
+    color: '#FFA94D',
+    marginTop: 2,
+  },
+});
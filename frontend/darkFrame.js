@@ -0,0 +1,137 @@
+import { readExposureSettings } from './cameraLock';
+
+/**
+ * Dark-frame correction.
+ * Phone sensors report a black-level offset and holders leak ambient light,
+ * so zero intensity is not zero signal. An optional dark capture (light
+ * source off, cuvette covered) runs before blanking; its per-ROI level is
+ * subtracted from every later frame, so sample, reference and blank all
+ * reach calculateAbsorbance already corrected.
+ *
+ * The dark is shot before the exposure lock exists, so the camera picks its
+ * own exposure. Pixel values are gamma-encoded 8-bit JPEG on top of a fixed
+ * black level, so a dark level cannot be converted from one exposure to
+ * another: it is only subtracted when the dark frames were exposed exactly
+ * as the blank is locked, and otherwise discarded with a warning.
+ */
+
+export const DEFAULT_DARK_LIMITS = {
+  maxDarkFraction: 0.2, // Dark above this fraction of the blank leaves little dynamic range
+  exposureTolerance: 0.01, // Relative exposure/ISO difference to the blank before the dark is discarded
+};
+
+const CHANNELS = ['r', 'g', 'b'];
+
+/**
+ * Averages the dark frames per ROI.
+ *
+ * @param {object[]} frames - Dark frames {rois: { [id]: {r, g, b} }, exif}.
+ * @returns {object|null} {rois, frameCount, settings, capturedAt}; rois[id] is the dark {r, g, b}.
+ *   Null when no frames were captured.
+ */
+export const summarizeDark = (frames) => {
+  if (!Array.isArray(frames) || frames.length === 0) return null;
+  const rois = {};
+  for (const id of Object.keys(frames[0].rois)) {
+    rois[id] = {};
+    for (const channel of CHANNELS) {
+      rois[id][channel] = frames.reduce((sum, f) => sum + f.rois[id][channel], 0) / frames.length;
+    }
+  }
+  return {
+    rois,
+    frameCount: frames.length,
+    settings: readExposureSettings(frames[0].exif),
+    capturedAt: new Date().toISOString(),
+  };
+};
+
+const relativeChange = (value, locked) => Math.abs(value - locked) / Math.max(Math.abs(locked), 1e-9);
+
+/**
+ * Keeps the dark level only if it was captured at the exposure the camera was
+ * locked at for the blank. A dark exposed differently, or whose exposure is
+ * unknown, is discarded: its `rois` are emptied so subtractDark leaves every
+ * frame alone, and `discarded` says why.
+ *
+ * @param {object|null} dark - Result of summarizeDark.
+ * @param {object} lockSettings - Camera lock settings {exposureTime, iso} of the blank.
+ * @param {object} [overrides] - Partial DEFAULT_DARK_LIMITS.
+ * @returns {object|null} The dark, emptied and with `discarded` set when it does not match the lock.
+ */
+export const matchDarkToLock = (dark, lockSettings, overrides = {}) => {
+  if (!dark || !lockSettings || dark.discarded) return dark;
+  const limits = { ...DEFAULT_DARK_LIMITS, ...overrides };
+  const discard = (reason) => ({ ...dark, rois: {}, discarded: `${reason} The dark level was not subtracted.` });
+  if (!dark.settings) {
+    return discard('Dark frames did not report their exposure, so they could not be matched to the blank.');
+  }
+  const matched = ['exposureTime', 'iso'].every(
+    (key) => relativeChange(dark.settings[key], lockSettings[key]) <= limits.exposureTolerance
+  );
+  if (!matched) {
+    return discard(
+      `Dark frames were exposed differently (${dark.settings.exposureTime}s, ISO ${dark.settings.iso}) from the blank ` +
+        `(${lockSettings.exposureTime}s, ISO ${lockSettings.iso}).`
+    );
+  }
+  return dark;
+};
+
+/**
+ * Removes the dark level from every ROI of a frame.
+ * Intensities are floored at zero; calculateAbsorbance guards the division.
+ *
+ * @param {object} roiData - Result of extractROIStatistics.
+ * @param {object|null} dark - Result of matchDarkToLock; the frame is returned unchanged when null.
+ * @returns {object} roiData with each `intensity` dark-corrected (stats untouched).
+ */
+export const subtractDark = (roiData, dark) => {
+  if (!dark) return roiData;
+  const rois = {};
+  for (const [id, roi] of Object.entries(roiData.rois)) {
+    const level = dark.rois[id];
+    rois[id] = level
+      ? {
+          ...roi,
+          intensity: {
+            r: Math.max(0, roi.intensity.r - level.r),
+            g: Math.max(0, roi.intensity.g - level.g),
+            b: Math.max(0, roi.intensity.b - level.b),
+          },
+        }
+      : roi;
+  }
+  return { ...roiData, rois };
+};
+
+/**
+ * Checks the dark capture against the (dark-corrected) blank.
+ *
+ * @param {object} dark - Result of matchDarkToLock.
+ * @param {object} blankRGB - ROI id -> averaged, dark-corrected blank {r, g, b}.
+ * @param {object} [names] - ROI id -> display name.
+ * @param {object} [overrides] - Partial DEFAULT_DARK_LIMITS.
+ * @returns {string[]} Warnings; empty when the dark level looks sound.
+ */
+export const checkDark = (dark, blankRGB, names = {}, overrides = {}) => {
+  const limits = { ...DEFAULT_DARK_LIMITS, ...overrides };
+  const warnings = [];
+  if (dark.discarded) {
+    warnings.push(dark.discarded);
+  }
+  for (const [id, level] of Object.entries(dark.rois)) {
+    const blank = blankRGB?.[id];
+    if (!blank) continue;
+    for (const channel of CHANNELS) {
+      // The blank is already corrected, so the raw blank is blank + dark
+      const fraction = level[channel] / Math.max(blank[channel] + level[channel], 1e-9);
+      if (fraction > limits.maxDarkFraction) {
+        warnings.push(
+          `${names[id] || id} ${channel.toUpperCase()} dark level is ${(fraction * 100).toFixed(0)}% of the blank; check for stray light.`
+        );
+      }
+    }
+  }
+  return warnings;
+};
@@ -0,0 +1,112 @@
+import { levenbergMarquardt } from './fitting';
+
+/**
+ * Dose-response (IC50) analysis.
+ * Each scan's V₀ is turned into % activity against the control (no
+ * compound) scans, and a four-parameter logistic is fitted on log10 of
+ * the compound concentration:
+ *   activity = Bottom + (Top − Bottom) / (1 + 10^(nH·(log[C] − logIC50)))
+ * Fitting logIC50 rather than IC50 keeps the fit well conditioned across
+ * decades of concentration and gives an interval that is symmetric on the
+ * log axis, as dose-response intervals should be. nH is positive for an
+ * inhibitor. IC50 is the relative IC50, halfway between the fitted Top and
+ * Bottom.
+ */
+
+export const DOSE_RESPONSE_PARAMETERS = ['Bottom', 'Top', 'logIC50', 'Hill slope'];
+
+const logistic = (logC, [bottom, top, logIC50, hill]) => bottom + (top - bottom) / (1 + Math.pow(10, hill * (logC - logIC50)));
+
+/**
+ * Converts rates to % activity of the control.
+ * Throws an Error when there is no control scan or its mean rate is zero.
+ *
+ * @param {object[]} scans - {concentration, v0, control}; control scans are averaged.
+ * @returns {object} {controlRate, points: [{concentration, v0, activity}]} for the non-control scans,
+ *   sorted by concentration.
+ */
+export const percentActivity = (scans) => {
+  const controls = scans.filter((d) => d.control);
+  if (controls.length === 0) {
+    throw new Error('Mark at least one scan as the control (100% activity).');
+  }
+  const controlRate = controls.reduce((sum, d) => sum + d.v0, 0) / controls.length;
+  if (controlRate === 0) {
+    throw new Error('The control rate is zero, so % activity cannot be calculated.');
+  }
+  const points = scans
+    .filter((d) => !d.control)
+    .map((d) => ({ concentration: d.concentration, v0: d.v0, activity: (100 * d.v0) / controlRate }))
+    .sort((a, b) => a.concentration - b.concentration);
+  return { controlRate, points };
+};
+
+/**
+ * Fits the four-parameter logistic to % activity.
+ * Throws an Error when there are too few positive concentrations or no fit is found.
+ *
+ * @param {object[]} points - {concentration, activity}; zero concentrations cannot go on a log axis
+ *   and are left out.
+ * @param {object} [options] - {confidence = 0.95}.
+ * @returns {object} Fit summary (see fitting.js) on log10 concentration, plus named {Bottom, Top,
+ *   logIC50, Hill slope} each {value, se, ci}, ic50 {value, ci} back-transformed from logIC50, and
+ *   extrapolated (true when IC50 lies outside the concentrations tested).
+ */
+export const fitDoseResponse = (points, options = {}) => {
+  const { confidence = 0.95 } = options;
+  const usable = points.filter((d) => d.concentration > 0 && Number.isFinite(d.activity));
+  const p = DOSE_RESPONSE_PARAMETERS.length;
+  if (usable.length < p + 1) {
+    throw new Error(`A four-parameter logistic needs at least ${p + 1} non-zero concentrations (got ${usable.length}).`);
+  }
+  const logC = usable.map((d) => Math.log10(d.concentration));
+  const activity = usable.map((d) => d.activity);
+
+  const first = activity[0];
+  const last = activity[activity.length - 1];
+  const top = Math.max(first, last);
+  const bottom = Math.min(first, last);
+  // Concentration where activity first crosses halfway, as a first guess of IC50
+  const half = (first + last) / 2;
+  const crossing = activity.findIndex((a) => (first >= last ? a <= half : a >= half));
+  const logMid = crossing >= 0 ? logC[crossing] : (logC[0] + logC[logC.length - 1]) / 2;
+  const direction = first >= last ? 1 : -1;
+
+  let best = null;
+  for (const hill of [1, 2, 0.5].map((h) => h * direction)) {
+    try {
+      const fit = levenbergMarquardt(logistic, logC, activity, [bottom, top, logMid, hill], {
+        lower: [-Infinity, -Infinity, -Infinity, -10],
+        upper: [Infinity, Infinity, Infinity, 10],
+        confidence,
+      });
+      if (!best || fit.sse < best.sse) best = fit;
+    } catch (err) {
+      // Try the next starting slope
+    }
+  }
+  if (!best) {
+    throw new Error('The dose-response curve could not be fitted.');
+  }
+
+  const named = {};
+  DOSE_RESPONSE_PARAMETERS.forEach((name, j) => {
+    named[name] = { value: best.params[j], se: best.se[j], ci: best.ci[j] };
+  });
+  const logIC50 = named.logIC50;
+  return {
+    ...best,
+    named,
+    ic50: { value: Math.pow(10, logIC50.value), ci: logIC50.ci.map((v) => Math.pow(10, v)) },
+    extrapolated: logIC50.value < logC[0] || logIC50.value > logC[logC.length - 1],
+  };
+};
+
+/**
+ * Evaluates a fitted dose-response curve.
+ *
+ * @param {object} fit - Result of fitDoseResponse.
+ * @param {number[]} logConcentrations - log10 concentrations.
+ * @returns {number[]} % activity.
+ */
+export const evaluateDoseResponse = (fit, logConcentrations) => logConcentrations.map((x) => logistic(x, fit.params));
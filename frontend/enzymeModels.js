@@ -0,0 +1,194 @@
+import { levenbergMarquardt, nestedFTest } from './fitting';
+
+/**
+ * Rate laws for initial rates against substrate concentration, and their
+ * comparison. Every model is fitted to the same ([S], V₀) points by
+ * nonlinear least squares and ranked by AICc (AIC corrected for the small
+ * number of rates a kinetics experiment has), or by BIC when there are too
+ * few rates for AICc.
+ * Michaelis–Menten is nested in each of the others, so they are also
+ * tested against it with an extra-sum-of-squares F test, and a more complex
+ * model is only recommended when it both ranks first and is a significant
+ * improvement.
+ */
+
+export const MWC_SITES = 4; // Binding sites assumed by the MWC model (a tetramer)
+
+export const ENZYME_MODELS = {
+  michaelisMenten: {
+    id: 'michaelisMenten',
+    label: 'Michaelis–Menten',
+    equation: 'v = Vmax·[S] / (Km + [S])',
+    parameterNames: ['Vmax', 'Km'],
+    evaluate: (s, [vmax, km]) => (vmax * s) / (km + s),
+  },
+  hill: {
+    id: 'hill',
+    label: 'Hill',
+    equation: 'v = Vmax·[S]^nH / (K½^nH + [S]^nH)',
+    parameterNames: ['Vmax', 'K½', 'nH'],
+    evaluate: (s, [vmax, kHalf, nH]) => {
+      const sn = Math.pow(Math.max(s, 0), nH);
+      return (vmax * sn) / (Math.pow(kHalf, nH) + sn);
+    },
+  },
+  substrateInhibition: {
+    id: 'substrateInhibition',
+    label: 'Substrate inhibition',
+    equation: 'v = Vmax·[S] / (Km + [S]·(1 + [S]/Ki))',
+    parameterNames: ['Vmax', 'Km', 'Ki'],
+    evaluate: (s, [vmax, km, ki]) => (vmax * s) / (km + s * (1 + s / ki)),
+  },
+  allosteric: {
+    id: 'allosteric',
+    label: 'Allosteric (MWC)',
+    // Concerted model, substrate binding only the R state; L = [T]/[R] without substrate
+    equation: `v = Vmax·α(1+α)^${MWC_SITES - 1} / ((1+α)^${MWC_SITES} + L), α = [S]/KR`,
+    parameterNames: ['Vmax', 'KR', 'L'],
+    evaluate: (s, [vmax, kr, l]) => {
+      const alpha = Math.max(s, 0) / kr;
+      return (vmax * alpha * Math.pow(1 + alpha, MWC_SITES - 1)) / (Math.pow(1 + alpha, MWC_SITES) + l);
+    },
+  },
+};
+
+const BOUNDS = {
+  michaelisMenten: { lower: [1e-12, 1e-12] },
+  hill: { lower: [1e-12, 1e-12, 0.1], upper: [Infinity, Infinity, 10] },
+  substrateInhibition: { lower: [1e-12, 1e-12, 1e-12] },
+  allosteric: { lower: [1e-12, 1e-12, 0] },
+};
+
+const startingPoints = (modelId, s, v) => {
+  const vmax = Math.max(...v);
+  const positive = s.filter((x) => x > 0).sort((a, b) => a - b);
+  // [S] at about half the top rate, as a first guess of Km
+  const halfIndex = v.findIndex((x, i) => x >= vmax / 2 && s[i] > 0);
+  const km = halfIndex >= 0 ? s[halfIndex] : positive[Math.floor(positive.length / 2)] || 1;
+  const sMax = positive[positive.length - 1] || 1;
+  switch (modelId) {
+    case 'michaelisMenten':
+      return [[vmax * 1.2, km]];
+    case 'hill':
+      return [1, 2, 0.5].map((nH) => [vmax * 1.2, km, nH]);
+    case 'substrateInhibition':
+      return [[vmax * 2, km, sMax], [vmax * 1.5, km, sMax * 10]];
+    default:
+      return [1, 10, 100].map((l) => [vmax * 1.2, km / 2, l]);
+  }
+};
+
+/**
+ * Fits one rate law.
+ * Throws an Error when there are too few rates for the model or no fit is found.
+ *
+ * @param {string} modelId - Key of ENZYME_MODELS.
+ * @param {number[]} s - Substrate concentrations.
+ * @param {number[]} v - Initial rates (positive).
+ * @param {number[]} [weights] - Per-rate weights (n / pooled variance of replicate means).
+ * @returns {object} Fit summary (see fitting.js) plus {model, label, named}.
+ */
+export const fitEnzymeModel = (modelId, s, v, weights) => {
+  const model = ENZYME_MODELS[modelId];
+  if (!model) {
+    throw new Error(`Unknown kinetic model "${modelId}".`);
+  }
+  const p = model.parameterNames.length;
+  if (s.length < p + 1) {
+    throw new Error(`${model.label} needs at least ${p + 1} rates (got ${s.length}).`);
+  }
+  let best = null;
+  for (const initial of startingPoints(modelId, s, v)) {
+    try {
+      const fit = levenbergMarquardt(model.evaluate, s, v, initial, { ...BOUNDS[modelId], weights });
+      if (!best || fit.sse < best.sse) best = fit;
+    } catch (err) {
+      // Try the next starting point
+    }
+  }
+  if (!best) {
+    throw new Error(`${model.label} could not be fitted.`);
+  }
+  const named = {};
+  model.parameterNames.forEach((name, j) => {
+    named[name] = { value: best.params[j], se: best.se[j], ci: best.ci[j] };
+  });
+  return { ...best, model: modelId, label: model.label, named };
+};
+
+/**
+ * Fits every rate law to the same rates and recommends one.
+ *
+ * @param {object[]} data - Rates {s, v0, weight?}; decay assays (all v0 ≤ 0) are fitted on |v0|.
+ *   The fits are weighted when every rate has a weight.
+ * @param {object} [options] - {alpha = 0.05}: significance level of the F test.
+ * @returns {object} {fits, recommended, criterion, reason}. criterion is 'aicc', or 'bic' when there
+ *   are too few rates for AICc; fits are sorted by it and each has delta (from the best), weight
+ *   (Akaike/Schwarz weight) and, except Michaelis–Menten, fTest {f, dfn, dfd, p} against
+ *   Michaelis–Menten. A model that could not be fitted is {model, label, error}.
+ */
+export const compareEnzymeModels = (data, options = {}) => {
+  const { alpha = 0.05 } = options;
+  const rates = data.every((d) => d.v0 <= 0) ? data.map((d) => ({ ...d, v0: -d.v0 })) : data;
+  const sorted = [...rates].sort((a, b) => a.s - b.s);
+  const s = sorted.map((d) => d.s);
+  const v = sorted.map((d) => d.v0);
+  const weights = sorted.every((d) => d.weight > 0) ? sorted.map((d) => d.weight) : undefined;
+
+  const fits = Object.keys(ENZYME_MODELS).map((modelId) => {
+    try {
+      return fitEnzymeModel(modelId, s, v, weights);
+    } catch (err) {
+      return { model: modelId, label: ENZYME_MODELS[modelId].label, error: err.message };
+    }
+  });
+
+  const mm = fits.find((f) => f.model === 'michaelisMenten' && !f.error);
+  for (const f of fits) {
+    if (!f.error && mm && f !== mm) f.fTest = nestedFTest(mm, f);
+  }
+  const fitted = fits.filter((f) => !f.error);
+  if (fitted.length === 0) {
+    return { fits, recommended: null, criterion: null, reason: 'No model could be fitted to these rates.' };
+  }
+  // AICc is infinite when a model has too many parameters for the rates; with none finite, fall back to BIC
+  const criterion = fitted.some((f) => Number.isFinite(f.aicc)) ? 'aicc' : 'bic';
+  const ranked = fitted.sort((a, b) => a[criterion] - b[criterion] || a.bic - b.bic);
+  const finite = ranked.filter((f) => Number.isFinite(f[criterion]));
+  const minScore = finite[0][criterion];
+  const total = finite.reduce((sum, f) => sum + Math.exp(-(f[criterion] - minScore) / 2), 0);
+  for (const f of ranked) {
+    f.delta = Number.isFinite(f[criterion]) ? f[criterion] - minScore : Infinity;
+    f.weight = Number.isFinite(f[criterion]) ? Math.exp(-f.delta / 2) / total : 0;
+  }
+
+  const criterionLabel = criterion === 'aicc' ? 'AICc' : 'BIC';
+  let recommended = ranked[0];
+  let reason = `${recommended.label} has the lowest ${criterionLabel}.`;
+  if (recommended !== mm && mm) {
+    const p = recommended.fTest?.p;
+    if (!(p < alpha)) {
+      reason = `${recommended.label} has the lowest ${criterionLabel} but is not a significant improvement on Michaelis–Menten ` +
+        `(F test p = ${Number.isFinite(p) ? p.toFixed(3) : 'n/a'}); the simpler model is preferred.`;
+      recommended = mm;
+    } else {
+      reason += ` It improves significantly on Michaelis–Menten (F test p ${p < 0.001 ? '< 0.001' : `= ${p.toFixed(3)}`}).`;
+    }
+  }
+
+  return {
+    fits: [...ranked, ...fits.filter((f) => f.error)],
+    recommended: recommended.model,
+    criterion,
+    reason,
+  };
+};
+
+/**
+ * Evaluates a fitted rate law, for chart overlays.
+ *
+ * @param {object} fit - One entry of compareEnzymeModels().fits.
+ * @param {number[]} s - Substrate concentrations.
+ * @returns {number[]} Predicted rates (positive; flip the sign for decay assays).
+ */
+export const evaluateEnzymeModel = (fit, s) => s.map((x) => ENZYME_MODELS[fit.model].evaluate(x, fit.params));
@@ -0,0 +1,386 @@
+/**
+ * Least-squares curve fitting shared by the calibration and kinetics code.
+ * Every fit returns the same summary: parameters with standard errors,
+ * covariance and confidence intervals, residual statistics, R² and the
+ * information criteria (AIC, AICc, BIC) used to compare models.
+ *
+ * Models are plain functions `model(x, params) => y` with params an array.
+ * Models that are linear in their parameters are solved exactly by
+ * fitLinearLeastSquares; anything else goes through levenbergMarquardt.
+ */
+
+// ---- Distributions ----
+
+// Lanczos approximation (g = 7, n = 9)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+const logGamma = (x) => {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+  }
+  const z = x - 1;
+  let sum = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) {
+    sum += LANCZOS[i] / (z + i);
+  }
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+// Continued fraction for the incomplete beta function (modified Lentz)
+const betaContinuedFraction = (x, a, b) => {
+  const tiny = 1e-300;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    aa = (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-14) break;
+  }
+  return h;
+};
+
+/**
+ * Regularized incomplete beta function I_x(a, b).
+ *
+ * @param {number} x - Upper limit, 0 ≤ x ≤ 1.
+ * @param {number} a - First shape parameter (> 0).
+ * @param {number} b - Second shape parameter (> 0).
+ * @returns {number} I_x(a, b).
+ */
+export const regularizedIncompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  // The continued fraction converges fastest on this side of the mean
+  if (x < (a + 1) / (a + b + 2)) {
+    return (front * betaContinuedFraction(x, a, b)) / a;
+  }
+  return 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+};
+
+/**
+ * Cumulative distribution of Student's t.
+ *
+ * @param {number} t - t statistic.
+ * @param {number} dof - Degrees of freedom (> 0).
+ * @returns {number} P(T ≤ t).
+ */
+export const studentTCdf = (t, dof) => {
+  const tail = 0.5 * regularizedIncompleteBeta(dof / (dof + t * t), dof / 2, 0.5);
+  return t > 0 ? 1 - tail : tail;
+};
+
+/**
+ * Quantile of Student's t (bracketed bisection on the CDF).
+ *
+ * @param {number} p - Probability, 0 < p < 1 (0.975 for a two-sided 95% interval).
+ * @param {number} dof - Degrees of freedom (> 0).
+ * @returns {number} t such that P(T ≤ t) = p.
+ */
+export const studentTQuantile = (p, dof) => {
+  if (!(p > 0 && p < 1) || !(dof > 0)) return NaN;
+  let lo = -1;
+  let hi = 1;
+  while (studentTCdf(lo, dof) > p) lo *= 2;
+  while (studentTCdf(hi, dof) < p) hi *= 2;
+  for (let i = 0; i < 200 && hi - lo > 1e-12 * Math.max(1, Math.abs(hi)); i++) {
+    const mid = (lo + hi) / 2;
+    if (studentTCdf(mid, dof) < p) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+};
+
+/**
+ * Upper tail of the F distribution, for comparing nested fits.
+ *
+ * @param {number} f - F statistic.
+ * @param {number} d1 - Numerator degrees of freedom (> 0).
+ * @param {number} d2 - Denominator degrees of freedom (> 0).
+ * @returns {number} P(F ≥ f).
+ */
+export const fDistributionSf = (f, d1, d2) => {
+  if (!(d1 > 0 && d2 > 0)) return NaN;
+  if (!(f > 0)) return 1;
+  return regularizedIncompleteBeta(d2 / (d2 + d1 * f), d2 / 2, d1 / 2);
+};
+
+/**
+ * Extra-sum-of-squares F test of a simpler model nested in a more complex one.
+ *
+ * @param {object} simple - Fit summary of the simpler model.
+ * @param {object} complex - Fit summary of the model with more parameters.
+ * @returns {object} {f, dfn, dfd, p}; p is NaN when the complex model has no residual degrees of freedom.
+ */
+export const nestedFTest = (simple, complex) => {
+  const dfn = simple.dof - complex.dof;
+  const dfd = complex.dof;
+  if (!(dfn > 0 && dfd > 0)) return { f: NaN, dfn, dfd, p: NaN };
+  const f = Math.max(0, (simple.sse - complex.sse) / dfn) / (complex.sse / dfd);
+  return { f, dfn, dfd, p: fDistributionSf(f, dfn, dfd) };
+};
+
+// ---- Linear algebra ----
+
+/**
+ * Solves A·x = b by Gaussian elimination with partial pivoting.
+ *
+ * @param {number[][]} A - Square matrix (not modified).
+ * @param {number[]} b - Right-hand side.
+ * @returns {number[]|null} Solution, or null when A is singular.
+ */
+export const solveLinearSystem = (A, b) => {
+  const n = A.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(m[row][col]) > Math.abs(m[pivot][col])) pivot = row;
+    }
+    if (!(Math.abs(m[pivot][col]) > 1e-300)) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let row = col + 1; row < n; row++) {
+      const factor = m[row][col] / m[col][col];
+      for (let k = col; k <= n; k++) m[row][k] -= factor * m[col][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let row = n - 1; row >= 0; row--) {
+    let sum = m[row][n];
+    for (let k = row + 1; k < n; k++) sum -= m[row][k] * x[k];
+    x[row] = sum / m[row][row];
+  }
+  return x.every(Number.isFinite) ? x : null;
+};
+
+/**
+ * Inverts a square matrix column by column.
+ *
+ * @param {number[][]} A - Square matrix.
+ * @returns {number[][]|null} Inverse, or null when A is singular.
+ */
+export const invertMatrix = (A) => {
+  const n = A.length;
+  const columns = [];
+  for (let j = 0; j < n; j++) {
+    const e = new Array(n).fill(0);
+    e[j] = 1;
+    const column = solveLinearSystem(A, e);
+    if (!column) return null;
+    columns.push(column);
+  }
+  return A.map((_, i) => columns.map((column) => column[i]));
+};
+
+// ---- Fitting ----
+
+/**
+ * Gradient of a model with respect to its parameters at one x (central differences).
+ *
+ * @param {Function} model - (x, params) => y.
+ * @param {number} x - Independent variable.
+ * @param {number[]} params - Parameter values.
+ * @returns {number[]} ∂y/∂params.
+ */
+export const parameterGradient = (model, x, params) =>
+  params.map((p, j) => {
+    const h = 1e-6 * Math.max(Math.abs(p), 1e-6);
+    const up = [...params];
+    const down = [...params];
+    up[j] = p + h;
+    down[j] = p - h;
+    return (model(x, up) - model(x, down)) / (2 * h);
+  });
+
+// Normal matrix JᵀWJ
+const normalMatrix = (J, w) => {
+  const p = J[0].length;
+  const A = Array.from({ length: p }, () => new Array(p).fill(0));
+  for (let i = 0; i < J.length; i++) {
+    for (let a = 0; a < p; a++) {
+      for (let b = a; b < p; b++) A[a][b] += w[i] * J[i][a] * J[i][b];
+    }
+  }
+  for (let a = 0; a < p; a++) {
+    for (let b = 0; b < a; b++) A[a][b] = A[b][a];
+  }
+  return A;
+};
+
+const resolveWeights = (weights, n) => {
+  if (!weights) return new Array(n).fill(1);
+  if (weights.length !== n || weights.some((w) => !(w > 0) || !Number.isFinite(w))) {
+    throw new Error('Fit weights must be positive, one per point.');
+  }
+  return weights;
+};
+
+/**
+ * Builds the common fit summary from the converged parameters.
+ * With weights, SSE is weighted and the covariance is scaled by the
+ * residual variance, so only relative weights matter.
+ */
+const summarizeFit = ({ y, w, params, fitted, J, iterations, converged, confidence }) => {
+  const n = y.length;
+  const p = params.length;
+  const residuals = y.map((yi, i) => yi - fitted[i]);
+  const sse = residuals.reduce((sum, r, i) => sum + w[i] * r * r, 0);
+  const dof = n - p;
+
+  const wSum = w.reduce((a, b) => a + b, 0);
+  const yMean = y.reduce((sum, yi, i) => sum + w[i] * yi, 0) / wSum;
+  const sst = y.reduce((sum, yi, i) => sum + w[i] * (yi - yMean) ** 2, 0);
+  const rSquared = sst > 0 ? 1 - sse / sst : 0;
+
+  const residualVariance = dof > 0 ? sse / dof : NaN;
+  const inverse = invertMatrix(normalMatrix(J, w));
+  const covariance = inverse && dof > 0 ? inverse.map((row) => row.map((v) => v * residualVariance)) : null;
+  const se = covariance ? covariance.map((row, j) => Math.sqrt(Math.max(row[j], 0))) : params.map(() => NaN);
+  const t = dof > 0 ? studentTQuantile(1 - (1 - confidence) / 2, dof) : NaN;
+  const ci = params.map((v, j) => [v - t * se[j], v + t * se[j]]);
+
+  // Gaussian log-likelihood with the variance estimated from the residuals (k counts it too)
+  const k = p + 1;
+  const logTerm = n * Math.log(Math.max(sse, 1e-300) / n);
+  const aic = logTerm + 2 * k;
+  const aicc = n - k - 1 > 0 ? aic + (2 * k * (k + 1)) / (n - k - 1) : Infinity;
+  const bic = logTerm + k * Math.log(n);
+
+  return {
+    params,
+    se,
+    ci,
+    confidence,
+    covariance,
+    residuals,
+    fitted,
+    sse,
+    dof,
+    n,
+    residualSD: Math.sqrt(residualVariance),
+    rSquared,
+    aic,
+    aicc,
+    bic,
+    iterations,
+    converged,
+  };
+};
+
+/**
+ * Least squares for models that are linear in their parameters, y = Σ βj·fj(x).
+ * Throws an Error when there are fewer points than parameters or the basis is degenerate.
+ *
+ * @param {number[]} x - Independent variable.
+ * @param {number[]} y - Observations.
+ * @param {Function[]} basis - Basis functions fj(x).
+ * @param {object} [options] - {weights, confidence = 0.95}.
+ * @returns {object} Fit summary (see summarizeFit).
+ */
+export const fitLinearLeastSquares = (x, y, basis, options = {}) => {
+  const { confidence = 0.95 } = options;
+  const n = y.length;
+  if (n < basis.length) {
+    throw new Error(`Need at least ${basis.length} points for this fit (got ${n}).`);
+  }
+  const w = resolveWeights(options.weights, n);
+  const J = x.map((xi) => basis.map((f) => f(xi)));
+  const A = normalMatrix(J, w);
+  const rhs = basis.map((_, a) => J.reduce((sum, row, i) => sum + w[i] * row[a] * y[i], 0));
+  const params = solveLinearSystem(A, rhs);
+  if (!params) {
+    throw new Error('Fit is degenerate: the points do not determine every parameter.');
+  }
+  const fitted = J.map((row) => row.reduce((sum, v, j) => sum + v * params[j], 0));
+  return summarizeFit({ y, w, params, fitted, J, iterations: 1, converged: true, confidence });
+};
+
+/**
+ * Nonlinear least squares by Levenberg–Marquardt with a numerical Jacobian.
+ * Parameter bounds are enforced by clamping each step. Throws an Error when
+ * the model cannot be evaluated at the starting point.
+ *
+ * @param {Function} model - (x, params) => y.
+ * @param {Array} x - Independent variable; any values the model accepts (e.g. {s, i} for global fits).
+ * @param {number[]} y - Observations.
+ * @param {number[]} initial - Starting parameters.
+ * @param {object} [options] - {weights, lower, upper, maxIterations = 200, tolerance = 1e-10, confidence = 0.95}.
+ * @returns {object} Fit summary (see summarizeFit); `converged` is false when the iteration limit was hit.
+ */
+export const levenbergMarquardt = (model, x, y, initial, options = {}) => {
+  const { lower, upper, maxIterations = 200, tolerance = 1e-10, confidence = 0.95 } = options;
+  const n = y.length;
+  if (n < initial.length) {
+    throw new Error(`Need at least ${initial.length} points for this fit (got ${n}).`);
+  }
+  const w = resolveWeights(options.weights, n);
+
+  const clamp = (params) =>
+    params.map((v, j) => Math.min(upper?.[j] ?? Infinity, Math.max(lower?.[j] ?? -Infinity, v)));
+  const evaluate = (params) => x.map((xi) => model(xi, params));
+  const weightedSSE = (fitted) =>
+    fitted.reduce((sum, f, i) => sum + w[i] * (y[i] - f) ** 2, 0);
+
+  let params = clamp([...initial]);
+  let fitted = evaluate(params);
+  let sse = weightedSSE(fitted);
+  if (!Number.isFinite(sse)) {
+    throw new Error('Model cannot be evaluated at the starting parameters.');
+  }
+
+  let lambda = 1e-3;
+  let converged = false;
+  let iterations = 0;
+  for (; iterations < maxIterations && !converged; iterations++) {
+    const J = x.map((xi) => parameterGradient(model, xi, params));
+    const A = normalMatrix(J, w);
+    const g = params.map((_, a) => J.reduce((sum, row, i) => sum + w[i] * row[a] * (y[i] - fitted[i]), 0));
+
+    let accepted = false;
+    for (let attempt = 0; attempt < 20 && !accepted; attempt++) {
+      const damped = A.map((row, a) => row.map((v, b) => (a === b ? v + lambda * Math.max(v, 1e-12) : v)));
+      const step = solveLinearSystem(damped, g);
+      if (step) {
+        const trial = clamp(params.map((v, j) => v + step[j]));
+        const trialFitted = evaluate(trial);
+        const trialSSE = weightedSSE(trialFitted);
+        if (Number.isFinite(trialSSE) && trialSSE <= sse) {
+          const relativeStep = Math.max(...trial.map((v, j) => Math.abs(v - params[j]) / (Math.abs(params[j]) + 1e-12)));
+          converged = sse - trialSSE <= tolerance * Math.max(sse, 1e-300) && relativeStep < 1e-6;
+          params = trial;
+          fitted = trialFitted;
+          sse = trialSSE;
+          lambda = Math.max(lambda / 10, 1e-12);
+          accepted = true;
+        }
+      }
+      if (!accepted) lambda *= 10;
+    }
+    // No step reduces the SSE any more: we are at the minimum (to numerical precision)
+    if (!accepted) converged = true;
+  }
+
+  const J = x.map((xi) => parameterGradient(model, xi, params));
+  return summarizeFit({ y, w, params, fitted, J, iterations, converged, confidence });
+};
@@ -13,8 +13,11 @@ export const analyzeResultsWithGemini = async (resultData, userQuestion) => {
 You are an expert biochemistry analysis AI. A user has collected enzyme kinetic data with a mobile spectrometer.
 
 Result Summary:
-- V₀ (Initial Velocity): ${resultData.analysis.v0.toFixed(6)} A/s
-- R² (Fit Quality): ${resultData.analysis.r_squared.toFixed(4)}
+- V₀ (Initial Velocity): ${resultData.analysis.v0.toFixed(6)} A/s${resultData.analysis.v0_ci ? ` (95% CI ${resultData.analysis.v0_ci[0].toFixed(6)} to ${resultData.analysis.v0_ci[1].toFixed(6)})` : ''}
+${resultData.analysis.lagDetected ? `- Lag/mixing phase skipped: ${resultData.analysis.lagTime.toFixed(1)} s
+` : ''}${resultData.analysis.converted ? `- Rate: ${resultData.analysis.converted.rateMicroMolarPerMin.toFixed(3)} µM/min (ε = ${resultData.analysis.converted.metadata.extinctionCoefficient} M⁻¹cm⁻¹, path ${resultData.analysis.converted.metadata.pathLength} cm)
+- Enzyme Activity: ${resultData.analysis.converted.activityUnitsPerMl.toFixed(4)} U/mL of stock
+` : ''}- R² (Fit Quality): ${resultData.analysis.r_squared.toFixed(4)}
 - Primary Channel: ${resultData.analysis.primaryChannel.toUpperCase()}
 - Number of Data Points: ${resultData.absorbanceData.length}
 - Scan Duration: ${(resultData.scanData.length * 0.5).toFixed(1)} seconds
@@ -25,7 +28,10 @@ ${resultData.analysis.phases.map(p => `
   - ${p.name}: Slope = ${p.slope.toFixed(6)} A/s, R² = ${p.r_squared.toFixed(4)}
 `).join('')}
 ` : ''}
-
+${resultData.analysis.progressFits?.best ? `
+Progress-Curve Fits (ranked by AIC${resultData.analysis.progressFits.ambiguous ? '; the top two are within ΔAIC 2 and cannot be told apart' : ''}):
+${resultData.analysis.progressFits.fits.filter(f => !f.error).map(f => `  - ${f.label}: ΔAIC = ${f.deltaAIC.toFixed(1)}, ${Object.entries(f.named).map(([name, p]) => `${name} = ${p.value.toPrecision(4)} ${p.units}`).join(', ')}
+`).join('')}` : ''}
 User Question: ${userQuestion}
 
 Provide a helpful, scientifically accurate analysis of their results.
@@ -74,14 +80,24 @@ export const getSuggestedNextSteps = (resultData) => {
     suggestions.push('💡 Collect more data points for more robust analysis');
   }
 
-  if (resultData.analysis.phases.length > 0) {
-    const phase1Slope = Math.abs(resultData.analysis.phases[0].slope);
-    const phase2Slope = Math.abs(resultData.analysis.phases[1]?.slope || 0);
-    
-    if (phase1Slope > phase2Slope * 1.5) {
-      suggestions.push('📈 Strong initial phase suggests substrate abundance');
+  const phases = resultData.analysis.phases;
+  const linearIndex = phases.findIndex(p => p.kind === 'linear');
+  if (linearIndex >= 0) {
+    const linear = phases[linearIndex];
+    const next = phases[linearIndex + 1];
+
+    if (!next) {
+      suggestions.push('📈 Rate stays linear to the end of the scan - substrate is not limiting');
+    } else if (Math.abs(linear.slope) > Math.abs(next.slope) * 1.5) {
+      suggestions.push(`📉 Rate falls after ${linear.timeEnd}s - fit V₀ before then, or use more substrate / less enzyme`);
     }
   }
+  if (phases.some(p => p.kind === 'lag')) {
+    suggestions.push('⏱️ Lag phase at the start - check mixing, temperature equilibration or a coupled-enzyme delay');
+  }
+  if (phases.length > 0 && phases.every(p => p.kind === 'plateau')) {
+    suggestions.push('⚠️ No phase has a slope distinguishable from zero - check that the reaction started');
+  }
 
   return suggestions;
 };
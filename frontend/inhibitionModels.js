@@ -0,0 +1,251 @@
+import { levenbergMarquardt, nestedFTest } from './fitting';
+import { fitEnzymeModel } from './enzymeModels';
+
+/**
+ * Reversible inhibition mechanisms, fitted globally.
+ * An inhibition study is several substrate series, each at one inhibitor
+ * concentration. Every mechanism is fitted to all of the (V₀, [S], [I])
+ * points at once, so Vmax and Km are shared by the series and only the
+ * inhibition constants explain how the curves differ.
+ *
+ * All four are cases of the mixed equation
+ *   v = Vmax·[S] / (Km·(1 + [I]/Ki) + [S]·(1 + [I]/αKi))
+ * where Ki binds the free enzyme and αKi the enzyme–substrate complex:
+ * competitive has αKi → ∞, uncompetitive Ki → ∞ and (pure) noncompetitive
+ * Ki = αKi. They are ranked by AICc like the rate laws in enzymeModels.js,
+ * and mixed is only preferred when an F test shows its extra constant is
+ * needed.
+ */
+
+const mixedRate = (s, i, vmax, km, ki, alphaKi) => (vmax * s) / (km * (1 + i / ki) + s * (1 + i / alphaKi));
+
+export const INHIBITION_MODELS = {
+  competitive: {
+    id: 'competitive',
+    label: 'Competitive',
+    equation: 'v = Vmax·[S] / (Km·(1 + [I]/Ki) + [S])',
+    parameterNames: ['Vmax', 'Km', 'Ki'],
+    evaluate: ({ s, i }, [vmax, km, ki]) => mixedRate(s, i, vmax, km, ki, Infinity),
+  },
+  uncompetitive: {
+    id: 'uncompetitive',
+    label: 'Uncompetitive',
+    equation: 'v = Vmax·[S] / (Km + [S]·(1 + [I]/αKi))',
+    parameterNames: ['Vmax', 'Km', 'αKi'],
+    evaluate: ({ s, i }, [vmax, km, alphaKi]) => mixedRate(s, i, vmax, km, Infinity, alphaKi),
+  },
+  noncompetitive: {
+    id: 'noncompetitive',
+    label: 'Noncompetitive',
+    equation: 'v = Vmax·[S] / ((Km + [S])·(1 + [I]/Ki))',
+    parameterNames: ['Vmax', 'Km', 'Ki'],
+    evaluate: ({ s, i }, [vmax, km, ki]) => mixedRate(s, i, vmax, km, ki, ki),
+  },
+  mixed: {
+    id: 'mixed',
+    label: 'Mixed',
+    equation: 'v = Vmax·[S] / (Km·(1 + [I]/Ki) + [S]·(1 + [I]/αKi))',
+    parameterNames: ['Vmax', 'Km', 'Ki', 'αKi'],
+    evaluate: ({ s, i }, [vmax, km, ki, alphaKi]) => mixedRate(s, i, vmax, km, ki, alphaKi),
+  },
+};
+
+const SIMPLE_MODELS = ['competitive', 'uncompetitive', 'noncompetitive'];
+
+/**
+ * Distinct inhibitor concentrations of a data set, ascending.
+ *
+ * @param {object[]} data - Rates {s, i, v0}.
+ * @returns {number[]}
+ */
+export const inhibitorLevels = (data) => [...new Set(data.map((d) => d.i))].sort((a, b) => a - b);
+
+// Vmax and Km from the uninhibited (or least inhibited) series, falling back to plain guesses
+const baselineEstimate = (points) => {
+  const lowest = points.filter((d) => d.i === points[0].i);
+  try {
+    const fit = fitEnzymeModel('michaelisMenten', lowest.map((d) => d.s), lowest.map((d) => d.v));
+    return { vmax: fit.params[0], km: fit.params[1] };
+  } catch (err) {
+    const s = lowest.map((d) => d.s).sort((a, b) => a - b);
+    return { vmax: 1.2 * Math.max(...points.map((d) => d.v)), km: s[Math.floor(s.length / 2)] || 1 };
+  }
+};
+
+/**
+ * Fits one inhibition mechanism to every series at once.
+ * Throws an Error when there are too few rates or no fit is found.
+ *
+ * @param {string} modelId - Key of INHIBITION_MODELS.
+ * @param {object[]} points - Rates {s, i, v, weight?}, v positive, sorted by [I]; weighted when every
+ *   point has a weight.
+ * @param {number[][]} [extraStarts] - Further starting parameters to try.
+ * @returns {object} Fit summary (see fitting.js) plus {model, label, named}.
+ */
+export const fitInhibitionModel = (modelId, points, extraStarts = []) => {
+  const model = INHIBITION_MODELS[modelId];
+  if (!model) {
+    throw new Error(`Unknown inhibition model "${modelId}".`);
+  }
+  const p = model.parameterNames.length;
+  if (points.length < p + 1) {
+    throw new Error(`${model.label} inhibition needs at least ${p + 1} rates (got ${points.length}).`);
+  }
+  const { vmax, km } = baselineEstimate(points);
+  const inhibited = points.map((d) => d.i).filter((i) => i > 0);
+  const iMid = inhibited[Math.floor(inhibited.length / 2)] || 1;
+  // The inhibition constants are the least determined, so try them either side of the middle [I]
+  const starts = [0.3, 1, 3].map((ratio) =>
+    p === 4 ? [vmax, km, ratio * iMid, ratio * iMid * 3] : [vmax, km, ratio * iMid]
+  );
+
+  const weights = points.every((d) => d.weight > 0) ? points.map((d) => d.weight) : undefined;
+  let best = null;
+  for (const initial of [...starts, ...extraStarts]) {
+    try {
+      const fit = levenbergMarquardt(model.evaluate, points, points.map((d) => d.v), initial, {
+        lower: new Array(p).fill(1e-12),
+        weights,
+      });
+      if (!best || fit.sse < best.sse) best = fit;
+    } catch (err) {
+      // Try the next starting point
+    }
+  }
+  if (!best) {
+    throw new Error(`${model.label} inhibition could not be fitted.`);
+  }
+  const named = {};
+  model.parameterNames.forEach((name, j) => {
+    named[name] = { value: best.params[j], se: best.se[j], ci: best.ci[j] };
+  });
+  return { ...best, model: modelId, label: model.label, named };
+};
+
+/**
+ * Fits every inhibition mechanism globally and recommends one.
+ * Throws an Error when the data has fewer than two inhibitor concentrations.
+ *
+ * @param {object[]} data - Rates {s, i, v0, weight?}; decay assays (all v0 ≤ 0) are fitted on |v0|.
+ * @param {object} [options] - {alpha = 0.05}: significance level of the F test.
+ * @returns {object} {fits, recommended, criterion, reason, levels}. criterion is 'aicc', or 'bic'
+ *   when there are too few rates for AICc; fits are sorted by it and each has delta and weight.
+ *   Mixed also has fTest {f, dfn, dfd, p} against the best one-constant mechanism, and alpha
+ *   (αKi/Ki). A mechanism that could not be fitted is {model, label, error}.
+ */
+export const compareInhibitionModels = (data, options = {}) => {
+  const { alpha = 0.05 } = options;
+  const levels = inhibitorLevels(data);
+  if (levels.length < 2) {
+    throw new Error('An inhibition study needs rates at two or more inhibitor concentrations.');
+  }
+  const decay = data.every((d) => d.v0 <= 0);
+  const points = data
+    .map((d) => ({ s: d.s, i: d.i, v: decay ? -d.v0 : d.v0, weight: d.weight }))
+    .sort((a, b) => a.i - b.i || a.s - b.s);
+
+  const attempt = (modelId, extraStarts) => {
+    try {
+      return fitInhibitionModel(modelId, points, extraStarts);
+    } catch (err) {
+      return { model: modelId, label: INHIBITION_MODELS[modelId].label, error: err.message };
+    }
+  };
+  const simple = SIMPLE_MODELS.map((modelId) => attempt(modelId));
+  // Start mixed from the one-constant answers, which are its limiting cases
+  const byId = Object.fromEntries(simple.filter((f) => !f.error).map((f) => [f.model, f.params]));
+  const mixedStarts = [];
+  if (byId.competitive) mixedStarts.push([...byId.competitive, byId.competitive[2] * 100]);
+  if (byId.uncompetitive) mixedStarts.push([byId.uncompetitive[0], byId.uncompetitive[1], byId.uncompetitive[2] * 100, byId.uncompetitive[2]]);
+  if (byId.noncompetitive) mixedStarts.push([...byId.noncompetitive, byId.noncompetitive[2]]);
+  const mixed = attempt('mixed', mixedStarts);
+  const fits = [...simple, mixed];
+
+  const fitted = fits.filter((f) => !f.error);
+  if (fitted.length === 0) {
+    return { fits, recommended: null, criterion: null, reason: 'No mechanism could be fitted to these rates.', levels };
+  }
+  const criterion = fitted.some((f) => Number.isFinite(f.aicc)) ? 'aicc' : 'bic';
+  const ranked = fitted.sort((a, b) => a[criterion] - b[criterion] || a.bic - b.bic);
+  const finite = ranked.filter((f) => Number.isFinite(f[criterion]));
+  const minScore = finite[0][criterion];
+  const total = finite.reduce((sum, f) => sum + Math.exp(-(f[criterion] - minScore) / 2), 0);
+  for (const f of ranked) {
+    f.delta = Number.isFinite(f[criterion]) ? f[criterion] - minScore : Infinity;
+    f.weight = Number.isFinite(f[criterion]) ? Math.exp(-f.delta / 2) / total : 0;
+  }
+
+  const bestSimple = ranked.find((f) => f.model !== 'mixed');
+  if (!mixed.error) {
+    mixed.alpha = mixed.params[3] / mixed.params[2];
+    if (bestSimple) mixed.fTest = nestedFTest(bestSimple, mixed);
+  }
+
+  const criterionLabel = criterion === 'aicc' ? 'AICc' : 'BIC';
+  let recommended = ranked[0];
+  let reason = `${recommended.label} inhibition has the lowest ${criterionLabel}.`;
+  if (recommended === mixed && bestSimple) {
+    const p = mixed.fTest?.p;
+    if (!(p < alpha)) {
+      reason = `Mixed inhibition has the lowest ${criterionLabel} but its second constant is not a significant ` +
+        `improvement on ${bestSimple.label.toLowerCase()} (F test p = ${Number.isFinite(p) ? p.toFixed(3) : 'n/a'}); ` +
+        'the simpler mechanism is preferred.';
+      recommended = bestSimple;
+    } else {
+      reason += ` It improves significantly on ${bestSimple.label.toLowerCase()} (F test p ${p < 0.001 ? '< 0.001' : `= ${p.toFixed(3)}`}).`;
+    }
+  }
+
+  return {
+    fits: [...ranked, ...fits.filter((f) => f.error)],
+    recommended: recommended.model,
+    criterion,
+    reason,
+    levels,
+  };
+};
+
+/**
+ * Evaluates a fitted mechanism.
+ *
+ * @param {object} fit - One entry of compareInhibitionModels().fits.
+ * @param {number} s - Substrate concentration.
+ * @param {number} i - Inhibitor concentration.
+ * @returns {number} Predicted rate (positive; flip the sign for decay assays).
+ */
+export const evaluateInhibitionModel = (fit, s, i) => INHIBITION_MODELS[fit.model].evaluate({ s, i }, fit.params);
+
+/**
+ * Double-reciprocal and Dixon replots of an inhibition study, with the
+ * lines a fitted mechanism predicts. Lineweaver–Burk has one series per
+ * [I] (1/V₀ against 1/[S]); Dixon has one per [S] (1/V₀ against [I]).
+ * The fitted lines come from the global fit, not from regressing each
+ * replot, so they share its weighting.
+ *
+ * @param {object[]} data - Rates {s, i, v0}.
+ * @param {object|null} fit - One entry of compareInhibitionModels().fits, or null for data only.
+ * @returns {object} {lineweaverBurk, dixon}, each {x, series: [{level, observed, fitted}]}: x are the
+ *   shared axis values ascending, observed has 1/|V₀| per x (null where that combination was not
+ *   measured) and fitted the fit's 1/v per x (null without a fit).
+ */
+export const inhibitionReplots = (data, fit) => {
+  const rates = data.filter((d) => d.s > 0 && d.v0 !== 0);
+  const replot = (xOf, levelOf, toXValue) => {
+    const x = [...new Set(rates.map(xOf))].sort((a, b) => a - b);
+    const levels = [...new Set(rates.map(levelOf))].sort((a, b) => a - b);
+    const series = levels.map((level) => ({
+      level,
+      observed: x.map((xv) => {
+        const match = rates.filter((d) => levelOf(d) === level && xOf(d) === xv);
+        // Repeats of one combination are averaged
+        return match.length ? match.length / match.reduce((sum, d) => sum + Math.abs(d.v0), 0) : null;
+      }),
+      fitted: fit ? x.map((xv) => 1 / INHIBITION_MODELS[fit.model].evaluate(toXValue(xv, level), fit.params)) : null,
+    }));
+    return { x, series };
+  };
+  return {
+    lineweaverBurk: replot((d) => 1 / d.s, (d) => d.i, (x, i) => ({ s: 1 / x, i })),
+    dixon: replot((d) => d.i, (d) => d.s, (i, s) => ({ s, i })),
+  };
+};
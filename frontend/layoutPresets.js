@@ -0,0 +1,206 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_LOCK_TOLERANCES } from './cameraLock';
+import { ROI_ROLES, validateLayout } from './roiLayout';
+import { normalizeProtocol, validateProtocol } from './scanProtocol';
+import { DEFAULT_ASSAYS, validateChannel } from './channelModel';
+import { DEFAULT_ASSAY_METADATA, validateAssayMetadata } from './assayConversion';
+
+/**
+ * Named instrument layout presets, one per cuvette holder.
+ * A preset holds the ROI layout, the camera lock settings, the preferred
+ * analysis channel, the assay (with its channel and conversion metadata)
+ * and the scan protocol.
+ * Presets are kept on the device and can be exported and imported as JSON
+ * so a whole team scans with identical layouts.
+ */
+
+const STORAGE_KEY = 'mobilespectro.layoutPresets.v1';
+const EXPORT_FORMAT = 'mobilespectro-layout-presets';
+const EXPORT_VERSION = 1;
+
+// 'auto' lets analyzeKineticData pick the channel with the best initial-rate fit
+export const CHANNEL_OPTIONS = ['auto', 'r', 'g', 'b'];
+
+export const DEFAULT_CAMERA_SETTINGS = {
+  lockFocus: true, // Focus once on the blank, then hold it for the scan
+  tolerances: DEFAULT_LOCK_TOLERANCES,
+};
+
+/**
+ * Builds a preset from the current scanner settings.
+ *
+ * @param {string} name - Display name (e.g. the holder it belongs to).
+ * @param {object} settings - {rois, camera, preferredChannel, assay, assayMetadata, protocol}.
+ * @returns {object} Preset {name, rois, camera, preferredChannel, assay, assayMetadata, protocol, updatedAt}.
+ */
+export const createPreset = (
+  name,
+  {
+    rois,
+    camera = DEFAULT_CAMERA_SETTINGS,
+    preferredChannel = 'auto',
+    assay = DEFAULT_ASSAYS[0],
+    assayMetadata = DEFAULT_ASSAY_METADATA,
+    protocol,
+  }
+) => ({
+  name: name.trim(),
+  rois: rois.map((roi) => ({ ...roi })),
+  camera: {
+    lockFocus: camera.lockFocus !== false,
+    tolerances: { ...DEFAULT_LOCK_TOLERANCES, ...camera.tolerances },
+  },
+  preferredChannel,
+  assay,
+  assayMetadata: { ...DEFAULT_ASSAY_METADATA, ...assayMetadata },
+  protocol: normalizeProtocol(protocol),
+  updatedAt: new Date().toISOString(),
+});
+
+const isFraction = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0 && v <= 1;
+
+/**
+ * Checks an (imported) preset and fills in missing optional fields.
+ * Throws an Error describing the first problem found.
+ *
+ * @param {object} preset - Candidate preset.
+ * @returns {object} Normalised preset.
+ */
+export const validatePreset = (preset) => {
+  if (!preset || typeof preset !== 'object') {
+    throw new Error('Preset is not an object.');
+  }
+  if (typeof preset.name !== 'string' || preset.name.trim() === '') {
+    throw new Error('Preset has no name.');
+  }
+  if (!Array.isArray(preset.rois) || preset.rois.length === 0) {
+    throw new Error(`Preset "${preset.name}" has no ROIs.`);
+  }
+
+  const roles = Object.values(ROI_ROLES);
+  for (const roi of preset.rois) {
+    if (!roi || typeof roi.id !== 'string' || typeof roi.name !== 'string' || !roles.includes(roi.role)) {
+      throw new Error(`Preset "${preset.name}" has an ROI without a valid id, name and role.`);
+    }
+    if (![roi.x, roi.y, roi.width, roi.height].every(isFraction) || roi.width === 0 || roi.height === 0) {
+      throw new Error(`ROI "${roi.name}" in preset "${preset.name}" has invalid geometry.`);
+    }
+  }
+  const problems = validateLayout(preset.rois);
+  if (problems.length > 0) {
+    throw new Error(`Preset "${preset.name}": ${problems.join(' ')}`);
+  }
+
+  const preferredChannel = preset.preferredChannel || 'auto';
+  if (!CHANNEL_OPTIONS.includes(preferredChannel)) {
+    throw new Error(`Preset "${preset.name}" has unknown channel "${preferredChannel}".`);
+  }
+
+  if (preset.assay?.channel) {
+    const channelProblems = validateChannel(preset.assay.channel);
+    if (channelProblems.length > 0) {
+      throw new Error(`Preset "${preset.name}" assay: ${channelProblems.join(' ')}`);
+    }
+  }
+
+  const metadataProblems = validateAssayMetadata({ ...DEFAULT_ASSAY_METADATA, ...preset.assayMetadata });
+  if (metadataProblems.length > 0) {
+    throw new Error(`Preset "${preset.name}": ${metadataProblems.join(' ')}`);
+  }
+
+  const protocolProblems = validateProtocol(normalizeProtocol(preset.protocol));
+  if (protocolProblems.length > 0) {
+    throw new Error(`Preset "${preset.name}": ${protocolProblems.join(' ')}`);
+  }
+
+  return {
+    ...createPreset(preset.name, { ...preset, camera: preset.camera || DEFAULT_CAMERA_SETTINGS, preferredChannel }),
+    updatedAt: preset.updatedAt || new Date().toISOString(),
+  };
+};
+
+/**
+ * Loads every saved preset from device storage.
+ *
+ * @returns {Promise<object[]>} Presets sorted by name; empty when none are saved.
+ */
+export const loadPresets = async () => {
+  const raw = await AsyncStorage.getItem(STORAGE_KEY);
+  if (!raw) return [];
+  const presets = JSON.parse(raw);
+  return Array.isArray(presets) ? presets : [];
+};
+
+const savePresets = async (presets) => {
+  const sorted = [...presets].sort((a, b) => a.name.localeCompare(b.name));
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(sorted));
+  return sorted;
+};
+
+/**
+ * Saves a preset, replacing any existing preset with the same name.
+ *
+ * @param {object} preset - Preset from createPreset.
+ * @returns {Promise<object[]>} The updated preset list.
+ */
+export const upsertPreset = async (preset) => {
+  const presets = await loadPresets();
+  return savePresets([...presets.filter((p) => p.name !== preset.name), preset]);
+};
+
+/**
+ * Deletes the preset with the given name.
+ *
+ * @returns {Promise<object[]>} The updated preset list.
+ */
+export const deletePreset = async (name) => {
+  const presets = await loadPresets();
+  return savePresets(presets.filter((p) => p.name !== name));
+};
+
+/**
+ * Serialises presets for sharing.
+ *
+ * @param {object[]} presets - Presets to export.
+ * @returns {string} JSON document.
+ */
+export const exportPresets = (presets) =>
+  JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, presets }, null, 2);
+
+/**
+ * Parses presets exported by exportPresets (a single bare preset object is also accepted).
+ * Throws an Error if the JSON or any preset is invalid.
+ *
+ * @param {string} json - JSON text.
+ * @returns {object[]} Validated presets.
+ */
+export const parsePresets = (json) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (err) {
+    throw new Error('Not valid JSON.');
+  }
+
+  if (parsed && parsed.format === EXPORT_FORMAT) {
+    if (parsed.version > EXPORT_VERSION) {
+      throw new Error(`Presets were exported by a newer app version (v${parsed.version}).`);
+    }
+    return (parsed.presets || []).map(validatePreset);
+  }
+  return [validatePreset(parsed)];
+};
+
+/**
+ * Imports presets into device storage; presets with an existing name are replaced.
+ *
+ * @param {string} json - JSON text from exportPresets.
+ * @returns {Promise<{presets: object[], imported: string[]}>} Updated list and the imported names.
+ */
+export const importPresets = async (json) => {
+  const incoming = parsePresets(json);
+  const names = incoming.map((p) => p.name);
+  const existing = await loadPresets();
+  const presets = await savePresets([...existing.filter((p) => !names.includes(p.name)), ...incoming]);
+  return { presets, imported: names };
+};
@@ -0,0 +1,141 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { fitLinearLeastSquares } from './fitting';
+
+/**
+ * Detector linearity and dynamic range.
+ * A dilution series (or a set of neutral density filters) is read as
+ * endpoint reads with its nominal values; per channel, the straight line
+ * through the lowest points is extended upwards for as long as every point
+ * stays on it. The highest absorbance still on the line is the top of the
+ * validated range, which analyzeKineticData checks each fit window against.
+ */
+
+const STORAGE_KEY = 'mobilespectro.linearity.v1';
+
+export const DEFAULT_LINEARITY_OPTIONS = {
+  minPoints: 3, // Lowest points that must be linear before the range can be extended
+  maxDeviation: 0.05, // Relative deviation from the line allowed at any point (5%)
+  minDeviationAU: 0.005, // Absolute allowance so near-zero points are not judged on percentages
+};
+
+/**
+ * Works out the linear range of each channel from a dilution series.
+ *
+ * @param {object[]} points - {nominal, abs: {r, g, b, ...}}: nominal concentration, dilution or ND optical density.
+ * @param {object} [overrides] - Partial DEFAULT_LINEARITY_OPTIONS.
+ * @returns {object} {channels: { [id]: {minAbsorbance, maxAbsorbance, slope, intercept, rSquared,
+ *   pointsUsed, pointsTotal, deviations} }, pointCount, options, characterizedAt}.
+ *   A channel whose lowest points are not linear has maxAbsorbance null.
+ */
+export const characterizeLinearity = (points, overrides = {}) => {
+  const options = { ...DEFAULT_LINEARITY_OPTIONS, ...overrides };
+  const sorted = points
+    .filter((p) => Number.isFinite(p.nominal) && p.abs)
+    .sort((a, b) => a.nominal - b.nominal);
+  if (sorted.length < options.minPoints) {
+    throw new Error(`Linearity needs at least ${options.minPoints} dilution points (got ${sorted.length}).`);
+  }
+  if (new Set(sorted.map((p) => p.nominal)).size < 2) {
+    throw new Error('Dilution points need at least two different nominal values.');
+  }
+
+  const channelIds = Object.keys(sorted[0].abs).filter((id) => sorted.every((p) => typeof p.abs[id] === 'number'));
+  const channels = {};
+  for (const id of channelIds) {
+    const x = sorted.map((p) => p.nominal);
+    const y = sorted.map((p) => p.abs[id]);
+    let accepted = null;
+
+    // Grow the window from the bottom of the series while every point stays on the line
+    for (let m = options.minPoints; m <= sorted.length; m++) {
+      let fit;
+      try {
+        fit = fitLinearLeastSquares(x.slice(0, m), y.slice(0, m), [() => 1, (v) => v]);
+      } catch (err) {
+        continue; // Repeated nominal values at the bottom; wait for a distinct one
+      }
+      const [intercept, slope] = fit.params;
+      const deviations = y.slice(0, m).map((yi, i) => {
+        const predicted = intercept + slope * x[i];
+        return (yi - predicted) / Math.max(Math.abs(predicted), options.minDeviationAU / options.maxDeviation);
+      });
+      if (deviations.some((d) => Math.abs(d) > options.maxDeviation)) break;
+      accepted = { fit, m, deviations };
+    }
+
+    if (!accepted) {
+      channels[id] = {
+        minAbsorbance: null,
+        maxAbsorbance: null,
+        slope: null,
+        intercept: null,
+        rSquared: null,
+        pointsUsed: 0,
+        pointsTotal: sorted.length,
+        deviations: [],
+      };
+      continue;
+    }
+    const linearY = y.slice(0, accepted.m);
+    channels[id] = {
+      minAbsorbance: Math.min(...linearY),
+      maxAbsorbance: Math.max(...linearY),
+      slope: accepted.fit.params[1],
+      intercept: accepted.fit.params[0],
+      rSquared: accepted.fit.rSquared,
+      pointsUsed: accepted.m,
+      pointsTotal: sorted.length,
+      deviations: accepted.deviations,
+    };
+  }
+
+  return { channels, pointCount: sorted.length, options, characterizedAt: new Date().toISOString() };
+};
+
+/**
+ * The validated range per channel, in the form analyzeKineticData takes as `linearRange`.
+ *
+ * @param {object|null} profile - Result of characterizeLinearity.
+ * @returns {object|null} { [channel]: {min, max} } for every channel with a range.
+ */
+export const toLinearRange = (profile) => {
+  if (!profile) return null;
+  const range = {};
+  for (const [id, channel] of Object.entries(profile.channels)) {
+    if (channel.maxAbsorbance != null) {
+      range[id] = { min: channel.minAbsorbance, max: channel.maxAbsorbance };
+    }
+  }
+  return range;
+};
+
+/**
+ * Loads the saved detector linearity profile.
+ *
+ * @returns {Promise<object|null>} Profile from characterizeLinearity, or null when none is saved.
+ */
+export const loadLinearityProfile = async () => {
+  const raw = await AsyncStorage.getItem(STORAGE_KEY);
+  return raw ? JSON.parse(raw) : null;
+};
+
+/**
+ * Saves the detector linearity profile that scans are checked against.
+ *
+ * @param {object} profile - Result of characterizeLinearity.
+ * @returns {Promise<object>} The saved profile.
+ */
+export const saveLinearityProfile = async (profile) => {
+  await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(profile));
+  return profile;
+};
+
+/**
+ * Removes the saved profile, so scans are no longer checked against a range.
+ *
+ * @returns {Promise<null>}
+ */
+export const clearLinearityProfile = async () => {
+  await AsyncStorage.removeItem(STORAGE_KEY);
+  return null;
+};
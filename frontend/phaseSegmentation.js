@@ -0,0 +1,167 @@
+import { studentTQuantile } from './fitting';
+
+/**
+ * Piecewise-linear segmentation of a progress curve into kinetic phases
+ * (lag, linear, deceleration, plateau...).
+ * Breakpoints are placed by optimal partitioning: dynamic programming finds
+ * the split that minimises the total squared error of a straight line per
+ * segment plus a penalty per segment. The penalty is a BIC-style
+ * 3·σ²·ln(n), with the noise σ estimated from the data itself, so a new
+ * phase is only opened when the curve really changes slope. The pieces are
+ * then named from their slope relative to the steepest one, and neighbouring
+ * pieces of the same kind (a curve slowing down gradually) are merged.
+ */
+
+export const DEFAULT_SEGMENTATION_OPTIONS = {
+  minSegmentPoints: 4, // Fewest points in a phase
+  penaltyFactor: 3, // Penalty per segment, in units of σ²·ln(n)
+  flatFraction: 0.1, // A phase slower than this fraction of the steepest one counts as flat
+  confidence: 0.95,
+  noiseSD: null, // Noise σ of the curve; estimated from the data when null
+};
+
+export const PHASE_NAMES = {
+  lag: 'Lag',
+  acceleration: 'Acceleration',
+  linear: 'Linear',
+  deceleration: 'Deceleration',
+  plateau: 'Plateau',
+  reversal: 'Reversal',
+};
+
+/**
+ * Robust noise SD of a series from its second differences (for white noise
+ * Var(Δ²y) = 6σ²), so a smooth trend does not count as noise.
+ * Smoothing correlates neighbouring points and hides their noise, so
+ * estimate σ before smoothing a curve.
+ *
+ * @param {number[]} y - Series, in time order.
+ * @returns {number} σ estimate; 0 for fewer than 3 points.
+ */
+export const estimateNoiseSD = (y) => {
+  if (y.length < 3) return 0;
+  const d2 = [];
+  for (let i = 1; i < y.length - 1; i++) d2.push(y[i + 1] - 2 * y[i] + y[i - 1]);
+  const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  };
+  const centre = median(d2);
+  return (1.4826 * median(d2.map((d) => Math.abs(d - centre)))) / Math.sqrt(6);
+};
+
+/**
+ * Splits a progress curve into linear phases.
+ *
+ * @param {object[]} data - Points {x: time, y: absorbance}, sorted by time.
+ * @param {object} [overrides] - Partial DEFAULT_SEGMENTATION_OPTIONS.
+ * @returns {object[]} Phases in time order: {name, kind, timeStart, timeEnd, slope, slope_se,
+ *   r_squared, points}. kind is 'lag', 'acceleration', 'linear', 'deceleration', 'plateau'
+ *   or 'reversal'; name is the display name (numbered when a kind repeats). Empty when there
+ *   are too few points for a single phase.
+ */
+export const segmentPhases = (data, overrides = {}) => {
+  const options = { ...DEFAULT_SEGMENTATION_OPTIONS, ...overrides };
+  const n = data.length;
+  const minLength = Math.max(3, options.minSegmentPoints);
+  if (n < minLength) return [];
+
+  // Prefix sums (time centred for conditioning) give every segment's fit in O(1)
+  const xMean = data.reduce((sum, d) => sum + d.x, 0) / n;
+  const S = { x: [0], y: [0], xx: [0], xy: [0], yy: [0] };
+  data.forEach((d, i) => {
+    const x = d.x - xMean;
+    S.x.push(S.x[i] + x);
+    S.y.push(S.y[i] + d.y);
+    S.xx.push(S.xx[i] + x * x);
+    S.xy.push(S.xy[i] + x * d.y);
+    S.yy.push(S.yy[i] + d.y * d.y);
+  });
+  const fitSegment = (i, j) => {
+    const m = j - i;
+    const sx = S.x[j] - S.x[i];
+    const sy = S.y[j] - S.y[i];
+    const sxx = S.xx[j] - S.xx[i] - (sx * sx) / m;
+    const sxy = S.xy[j] - S.xy[i] - (sx * sy) / m;
+    const syy = S.yy[j] - S.yy[i] - (sy * sy) / m;
+    const slope = sxx > 0 ? sxy / sxx : 0;
+    const sse = Math.max(0, syy - slope * sxy);
+    return {
+      slope,
+      sse,
+      slopeSE: sxx > 0 && m > 2 ? Math.sqrt(sse / (m - 2) / sxx) : Infinity,
+      r_squared: syy > 0 ? 1 - sse / syy : 0,
+      points: m,
+    };
+  };
+
+  const y = data.map((d) => d.y);
+  const range = Math.max(...y) - Math.min(...y);
+  const sigma = Math.max(options.noiseSD ?? estimateNoiseSD(y), 1e-6 * range, 1e-12);
+  const penalty = options.penaltyFactor * sigma * sigma * Math.log(n);
+
+  // Optimal partitioning: best[j] is the lowest cost of the first j points
+  const best = new Array(n + 1).fill(Infinity);
+  const previous = new Array(n + 1).fill(-1);
+  best[0] = 0;
+  for (let j = minLength; j <= n; j++) {
+    for (let i = 0; i <= j - minLength; i++) {
+      if (best[i] === Infinity) continue;
+      const cost = best[i] + fitSegment(i, j).sse + penalty;
+      if (cost < best[j]) {
+        best[j] = cost;
+        previous[j] = i;
+      }
+    }
+  }
+  // n itself may be unreachable only if n < minLength, which was excluded above
+  const bounds = [];
+  for (let j = n; j > 0; j = previous[j]) bounds.unshift([previous[j], j]);
+
+  const pieces = bounds.map(([i, j]) => ({ ...fitSegment(i, j), start: i, end: j }));
+  const peakIndex = pieces.reduce((p, s, k) => (Math.abs(s.slope) > Math.abs(pieces[p].slope) ? k : p), 0);
+  const peak = pieces[peakIndex];
+  const isSignificant = (s) =>
+    Math.abs(s.slope) > studentTQuantile(1 - (1 - options.confidence) / 2, s.points - 2) * s.slopeSE;
+
+  const pieceKinds = pieces.map((s, k) => {
+    // Not even the steepest piece is distinguishable from zero: nothing is happening
+    if (!isSignificant(peak)) return 'plateau';
+    if (k === peakIndex) return 'linear';
+    const flat = !isSignificant(s) || Math.abs(s.slope) < options.flatFraction * Math.abs(peak.slope);
+    if (flat) return k < peakIndex ? 'lag' : 'plateau';
+    if (Math.sign(s.slope) !== Math.sign(peak.slope)) return 'reversal';
+    return k < peakIndex ? 'acceleration' : 'deceleration';
+  });
+
+  // A gradual slow-down is approximated by several straight pieces; they form one phase
+  const segments = [];
+  const kinds = [];
+  pieces.forEach((piece, k) => {
+    const last = segments.length - 1;
+    if (last >= 0 && kinds[last] === pieceKinds[k]) {
+      segments[last] = { ...fitSegment(segments[last].start, piece.end), start: segments[last].start, end: piece.end };
+    } else {
+      segments.push(piece);
+      kinds.push(pieceKinds[k]);
+    }
+  });
+
+  const seen = {};
+  return segments.map((s, k) => {
+    const kind = kinds[k];
+    const repeated = kinds.filter((other) => other === kind).length > 1;
+    seen[kind] = (seen[kind] || 0) + 1;
+    return {
+      name: repeated ? `${PHASE_NAMES[kind]} ${seen[kind]}` : PHASE_NAMES[kind],
+      kind,
+      timeStart: data[s.start].x.toFixed(2),
+      timeEnd: data[s.end - 1].x.toFixed(2),
+      slope: s.slope,
+      slope_se: s.slopeSE,
+      r_squared: s.r_squared,
+      points: s.points,
+    };
+  });
+};
@@ -0,0 +1,204 @@
+import { levenbergMarquardt } from './fitting';
+import { filterPoints } from './signalFilters';
+
+/**
+ * Whole progress-curve fitting.
+ * A linear V₀ uses only the start of a trace; these models use all of it.
+ * Each is fitted to absorbance against time on the scan's analysis channel
+ * and they are compared by AIC (lowest wins), so a curve that simply levels
+ * off can be told apart from one that slows as substrate is used up.
+ *
+ * Time is measured from the first usable frame (t₀). Absorbance is signed,
+ * so decay assays fit with a negative amplitude or direction.
+ *
+ * Fitting all the models takes up to a couple of seconds on a long trace,
+ * so callers run it after the scan has stopped, off the stop path.
+ */
+
+export const AMBIGUOUS_DELTA_AIC = 2; // A runner-up closer than this has about as much support as the best model
+
+// W(eˣ) for the principal branch of Lambert W, solved as w + ln w = x so large x cannot overflow
+const lambertWExp = (x) => {
+  let w = x > 1 ? x - Math.log(x) : Math.exp(x);
+  for (let i = 0; i < 50; i++) {
+    const step = (w + Math.log(w) - x) / (1 + 1 / w);
+    const next = w - step;
+    w = next > 0 ? next : w / 2;
+    if (Math.abs(step) <= 1e-12 * Math.max(w, 1e-300)) break;
+  }
+  return w;
+};
+
+// Product formed by time t under the integrated Michaelis–Menten equation (all in AU, AU/s)
+const productMM = (t, s0, km, vmax) =>
+  s0 - km * lambertWExp(Math.log(s0 / km) + (s0 - vmax * t) / km);
+
+export const PROGRESS_MODELS = {
+  exponential: {
+    id: 'exponential',
+    label: 'Single exponential',
+    equation: 'A = A₀ + ΔA·(1 − e^(−k·t))',
+    parameterNames: ['A0', 'deltaA', 'k'],
+    parameterUnits: ['AU', 'AU', '1/s'],
+    evaluate: (t, [a0, amplitude, k]) => a0 + amplitude * (1 - Math.exp(-k * t)),
+    initialRate: ([, amplitude, k]) => amplitude * k,
+  },
+  michaelisMenten: {
+    id: 'michaelisMenten',
+    label: 'Integrated Michaelis–Menten',
+    equation: 'A = A₀ ± [S₀ − Km·W((S₀/Km)·e^((S₀ − Vmax·t)/Km))]',
+    parameterNames: ['A0', 'S0', 'Km', 'Vmax'],
+    parameterUnits: ['AU', 'AU', 'AU', 'AU/s'],
+    // direction (+1 product appears, −1 substrate disappears) is fixed from the data before fitting
+    evaluate: (t, [a0, s0, km, vmax], direction = 1) => a0 + direction * productMM(t, s0, km, vmax),
+    initialRate: ([, s0, km, vmax], direction = 1) => (direction * vmax * s0) / (km + s0),
+  },
+  linearLag: {
+    id: 'linearLag',
+    label: 'Linear with lag',
+    equation: 'A = A₀ + v·max(0, t − t_lag)',
+    parameterNames: ['A0', 'v', 'tLag'],
+    parameterUnits: ['AU', 'AU/s', 's'],
+    evaluate: (t, [a0, v, lag]) => a0 + v * Math.max(0, t - lag),
+    initialRate: ([, v]) => v,
+  },
+};
+
+const startingPoints = (modelId, t, y, hint) => {
+  const span = t[t.length - 1] || 1;
+  const change = y[y.length - 1] - y[0];
+  const slope = Number.isFinite(hint.v0) && hint.v0 !== 0 ? hint.v0 : change / span || 1e-6;
+  switch (modelId) {
+    case 'exponential': {
+      const amplitude = Math.abs(change) > 1e-9 ? 1.2 * change : slope * span;
+      const k = Math.min(Math.max(Math.abs(slope / amplitude), 0.1 / span), 100 / span);
+      return [[y[0], amplitude, k], [y[0], 3 * amplitude, k / 3]];
+    }
+    case 'michaelisMenten': {
+      const s0 = Math.max(1.2 * Math.abs(change), 1e-4);
+      const vmax = Math.abs(slope) * 2;
+      // Km is the least determined parameter, so try it either side of S0
+      return [0.3, 1, 3].map((ratio) => [y[0], s0, ratio * s0, vmax * (1 + ratio) / 2]);
+    }
+    default:
+      return [[y[0], slope, Math.min(Math.max(hint.lagTime || 0, 0), span / 2)]];
+  }
+};
+
+/**
+ * Fits one progress-curve model.
+ * Throws an Error when no starting point gives a fit.
+ *
+ * @param {string} modelId - Key of PROGRESS_MODELS.
+ * @param {number[]} t - Time since t₀, s.
+ * @param {number[]} y - Absorbance.
+ * @param {object} [hint] - {v0, lagTime} from analyzeKineticData, used for starting values.
+ * @returns {object} Fit summary (see fitting.js) plus {model, label, direction, named, initialRate}.
+ */
+export const fitProgressModel = (modelId, t, y, hint = {}) => {
+  const model = PROGRESS_MODELS[modelId];
+  if (!model) {
+    throw new Error(`Unknown progress-curve model "${modelId}".`);
+  }
+  const span = t[t.length - 1];
+  const direction = (hint.v0 || y[y.length - 1] - y[0]) < 0 ? -1 : 1;
+  const evaluate = (x, params) => model.evaluate(x, params, direction);
+  const bounds = {
+    exponential: { lower: [-Infinity, -Infinity, 1e-9], upper: [Infinity, Infinity, Infinity] },
+    michaelisMenten: { lower: [-Infinity, 1e-6, 1e-6, 1e-12], upper: [Infinity, Infinity, Infinity, Infinity] },
+    linearLag: { lower: [-Infinity, -Infinity, 0], upper: [Infinity, Infinity, span] },
+  }[modelId];
+
+  let best = null;
+  let lastError = null;
+  for (const initial of startingPoints(modelId, t, y, hint)) {
+    try {
+      const fit = levenbergMarquardt(evaluate, t, y, initial, bounds);
+      if (!best || fit.sse < best.sse) best = fit;
+    } catch (err) {
+      lastError = err;
+    }
+  }
+  if (!best) {
+    throw lastError || new Error(`${model.label} fit failed.`);
+  }
+
+  const named = {};
+  model.parameterNames.forEach((name, j) => {
+    named[name] = { value: best.params[j], se: best.se[j], ci: best.ci[j], units: model.parameterUnits[j] };
+  });
+  return {
+    ...best,
+    model: modelId,
+    label: model.label,
+    direction,
+    named,
+    initialRate: model.initialRate(best.params, direction),
+  };
+};
+
+/**
+ * Fits every progress-curve model to one trace and ranks them by AIC.
+ * A model that fails is reported with its error rather than dropped.
+ *
+ * @param {object[]} absorbanceData - Points {time, abs, usable?}.
+ * @param {object} analysis - Result of analyzeKineticData (channel, V₀ and lag seed the fits;
+ *   its filters are applied first).
+ * @returns {object|null} {channel, t0, fits: [...], best, ambiguous}; fits are sorted by AIC and each
+ *   carries deltaAIC and its Akaike weight; ambiguous is true when another model is within
+ *   AMBIGUOUS_DELTA_AIC of the best, so the data cannot tell them apart. Null when the trace has too
+ *   few usable points.
+ */
+export const fitProgressCurves = (absorbanceData, analysis) => {
+  const channel = analysis?.primaryChannel;
+  if (!channel || channel === 'none') return null;
+  const usable = absorbanceData
+    .filter((d) => d && d.usable !== false && d.time != null && typeof d.abs?.[channel] === 'number')
+    .sort((a, b) => a.time - b.time);
+  // Same smoothing and outlier rejection as the V₀ fit
+  const { points } = filterPoints(usable, analysis.filters);
+  const minPoints = Math.max(...Object.values(PROGRESS_MODELS).map((m) => m.parameterNames.length)) + 2;
+  if (points.length < minPoints) return null;
+
+  const t0 = points[0].time;
+  const t = points.map((d) => d.time - t0);
+  const y = points.map((d) => d.abs[channel]);
+  const hint = { v0: analysis.v0, lagTime: analysis.lagDetected ? analysis.lagTime : 0 };
+
+  const fits = Object.keys(PROGRESS_MODELS).map((modelId) => {
+    try {
+      return fitProgressModel(modelId, t, y, hint);
+    } catch (err) {
+      return { model: modelId, label: PROGRESS_MODELS[modelId].label, error: err.message };
+    }
+  });
+
+  const ranked = fits.filter((f) => !f.error).sort((a, b) => a.aic - b.aic);
+  if (ranked.length > 0) {
+    const minAIC = ranked[0].aic;
+    const total = ranked.reduce((sum, f) => sum + Math.exp(-(f.aic - minAIC) / 2), 0);
+    for (const f of ranked) {
+      f.deltaAIC = f.aic - minAIC;
+      f.akaikeWeight = Math.exp(-f.deltaAIC / 2) / total;
+    }
+  }
+
+  return {
+    channel,
+    t0,
+    fits: [...ranked, ...fits.filter((f) => f.error)],
+    best: ranked[0]?.model || null,
+    ambiguous: ranked.length > 1 && ranked[1].deltaAIC < AMBIGUOUS_DELTA_AIC,
+  };
+};
+
+/**
+ * Evaluates a fitted progress curve at scan times, for chart overlays.
+ *
+ * @param {object} fit - One entry of fitProgressCurves().fits.
+ * @param {number} t0 - fitProgressCurves().t0.
+ * @param {number[]} times - Scan times, s.
+ * @returns {number[]} Fitted absorbance (times before t₀ are clamped to t₀).
+ */
+export const evaluateProgressFit = (fit, t0, times) =>
+  times.map((time) => PROGRESS_MODELS[fit.model].evaluate(Math.max(0, time - t0), fit.params, fit.direction));
@@ -0,0 +1,166 @@
+import { studentTQuantile } from './fitting';
+
+/**
+ * Replicate groups of scans.
+ * Scans tagged with the same group are replicates of one condition (same
+ * [S] and [I]) and are reduced to their mean V₀ with SD, CV and n. A
+ * replicate that disagrees with the rest is flagged by Grubbs' test or
+ * Dixon's Q test; it is only flagged, never dropped, so the user decides
+ * whether to deselect it. Group means go into the kinetic fits weighted by
+ * their number of replicates, so well-replicated groups count for more.
+ */
+
+export const OUTLIER_TESTS = {
+  grubbs: "Grubbs' test",
+  dixon: "Dixon's Q test",
+};
+
+// Two-sided 95% critical values of Dixon's Q (r10) by number of replicates
+export const DIXON_Q_CRITICAL_95 = {
+  3: 0.970,
+  4: 0.829,
+  5: 0.710,
+  6: 0.625,
+  7: 0.568,
+  8: 0.526,
+  9: 0.493,
+  10: 0.466,
+};
+
+/**
+ * Summary statistics of replicate values.
+ *
+ * @param {number[]} values - Replicate measurements.
+ * @returns {object} {n, mean, sd, cv, sem}; sd (sample SD), cv (% of |mean|) and sem are NaN for a
+ *   single value.
+ */
+export const describeReplicates = (values) => {
+  const n = values.length;
+  const mean = values.reduce((sum, v) => sum + v, 0) / n;
+  const sd = n > 1 ? Math.sqrt(values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1)) : NaN;
+  return {
+    n,
+    mean,
+    sd,
+    cv: mean !== 0 ? (100 * sd) / Math.abs(mean) : NaN,
+    sem: sd / Math.sqrt(n),
+  };
+};
+
+/**
+ * Two-sided Grubbs' test for a single outlier.
+ *
+ * @param {number[]} values - Replicate measurements.
+ * @param {number} [alpha] - Significance level.
+ * @returns {object|null} {index, statistic, critical, outlier} for the value furthest from the mean;
+ *   null with fewer than 3 values or no spread.
+ */
+export const grubbsTest = (values, alpha = 0.05) => {
+  const n = values.length;
+  if (n < 3) return null;
+  const { mean, sd } = describeReplicates(values);
+  if (!(sd > 0)) return null;
+  const index = values.reduce((best, v, i) => (Math.abs(v - mean) > Math.abs(values[best] - mean) ? i : best), 0);
+  const statistic = Math.abs(values[index] - mean) / sd;
+  const t = studentTQuantile(1 - alpha / (2 * n), n - 2);
+  const critical = ((n - 1) / Math.sqrt(n)) * Math.sqrt((t * t) / (n - 2 + t * t));
+  return { index, statistic, critical, outlier: statistic > critical };
+};
+
+/**
+ * Dixon's Q test for a single outlier at 95% confidence.
+ *
+ * @param {number[]} values - Replicate measurements.
+ * @returns {object|null} {index, statistic, critical, outlier} for the more isolated extreme value;
+ *   null outside 3–10 values or with no spread.
+ */
+export const dixonQTest = (values) => {
+  const n = values.length;
+  const critical = DIXON_Q_CRITICAL_95[n];
+  if (!critical) return null;
+  const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+  const sorted = order.map((i) => values[i]);
+  const range = sorted[n - 1] - sorted[0];
+  if (!(range > 0)) return null;
+  const lowGap = sorted[1] - sorted[0];
+  const highGap = sorted[n - 1] - sorted[n - 2];
+  const statistic = Math.max(lowGap, highGap) / range;
+  return {
+    index: lowGap > highGap ? order[0] : order[n - 1],
+    statistic,
+    critical,
+    outlier: statistic > critical,
+  };
+};
+
+/**
+ * Collects tagged scans into replicate groups; an untagged scan is a group of one.
+ * Throws an Error when one group mixes [S] or [I] values.
+ *
+ * @param {object[]} rates - {id, label, group, s, i, v0}; group is the user's tag (blank for none).
+ * @param {object} [options] - {outlierTest = 'grubbs' (or 'dixon'), alpha = 0.05 (Grubbs only)}.
+ * @returns {object[]} Groups in [I], then [S], order: {key, tag, s, i, n, mean, sd, cv, sem, members,
+ *   outlierTest}. members are {id, label, v0, outlier}; outlierTest is the test result or null.
+ */
+export const groupReplicates = (rates, options = {}) => {
+  const { outlierTest = 'grubbs', alpha = 0.05 } = options;
+  const byKey = new Map();
+  for (const rate of rates) {
+    const tag = (rate.group || '').trim();
+    const key = tag ? `group:${tag}` : `scan:${rate.id}`;
+    if (!byKey.has(key)) byKey.set(key, { key, tag, members: [] });
+    byKey.get(key).members.push(rate);
+  }
+
+  return [...byKey.values()]
+    .map(({ key, tag, members }) => {
+      const { s, i = 0 } = members[0];
+      if (members.some((m) => m.s !== s || (m.i || 0) !== i)) {
+        throw new Error(`Replicate group "${tag}" mixes different [S] or [I] values.`);
+      }
+      const values = members.map((m) => m.v0);
+      const test = outlierTest === 'dixon' ? dixonQTest(values) : grubbsTest(values, alpha);
+      return {
+        key,
+        tag,
+        s,
+        i,
+        ...describeReplicates(values),
+        members: members.map((m, k) => ({
+          id: m.id,
+          label: m.label,
+          v0: m.v0,
+          outlier: Boolean(test?.outlier && test.index === k),
+        })),
+        outlierTest: test,
+      };
+    })
+    .sort((a, b) => a.i - b.i || a.s - b.s);
+};
+
+/**
+ * Group means as fit points, weighted by n / pooled variance.
+ * Every group uses the variance pooled over all replicated groups rather
+ * than its own: an SD from two or three scans is too unstable to weight by,
+ * and a group whose replicates happen to agree would swamp the fit. With no
+ * replicated group, or no spread in any of them, the points are left
+ * unweighted.
+ *
+ * @param {object[]} groups - Result of groupReplicates.
+ * @returns {object[]} {s, i, v0, sd, n, weight}; weight is undefined when unweighted.
+ */
+export const weightedRates = (groups) => {
+  const replicated = groups.filter((g) => g.n > 1);
+  const pooledDof = replicated.reduce((sum, g) => sum + g.n - 1, 0);
+  const pooledVariance = pooledDof > 0
+    ? replicated.reduce((sum, g) => sum + (g.n - 1) * g.sd * g.sd, 0) / pooledDof
+    : NaN;
+  return groups.map((g) => ({
+    s: g.s,
+    i: g.i,
+    v0: g.mean,
+    sd: g.sd,
+    n: g.n,
+    weight: pooledVariance > 0 ? g.n / pooledVariance : undefined,
+  }));
+};
@@ -0,0 +1,244 @@
+import { toPixelArray } from './roiPixels';
+
+/**
+ * Automatic cuvette window detection from a single camera frame.
+ * The illuminated windows of a holder are the brightest compact regions in
+ * the frame, so the frame is reduced to luminance, split with an Otsu
+ * threshold, and the bright connected regions are taken as candidate
+ * windows. The existing ROI layout is then moved onto those windows (each
+ * ROI keeps its id, name, role and reference; only the geometry changes).
+ * Pure JS: runs on any decoded frame {width, height, data}.
+ */
+
+export const DEFAULT_LOCATE_OPTIONS = {
+  maxGridSize: 160, // Longest side of the analysis grid; larger frames are subsampled
+  minAreaFraction: 0.002, // Smallest window, as a fraction of the frame area
+  insetFraction: 0.1, // Shrink each window by this much per side to stay clear of the cuvette walls
+};
+
+// Rec. 601 luma
+const luminance = (r, g, b) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+/**
+ * Samples a frame onto a coarse luminance grid.
+ *
+ * @param {object} frame - Decoded frame {width, height, data}.
+ * @param {number} maxGridSize - Longest side of the grid.
+ * @returns {object} {width, height, step, values} where values is a Float32Array.
+ */
+export const toLuminanceGrid = (frame, maxGridSize = DEFAULT_LOCATE_OPTIONS.maxGridSize) => {
+  const data = toPixelArray(frame.data);
+  const step = Math.max(1, Math.ceil(Math.max(frame.width, frame.height) / maxGridSize));
+  const width = Math.floor(frame.width / step);
+  const height = Math.floor(frame.height / step);
+  const values = new Float32Array(width * height);
+
+  for (let gy = 0; gy < height; gy++) {
+    for (let gx = 0; gx < width; gx++) {
+      const i = (gy * step * frame.width + gx * step) * 4;
+      values[gy * width + gx] = luminance(data[i], data[i + 1], data[i + 2]);
+    }
+  }
+  return { width, height, step, values };
+};
+
+/**
+ * Otsu's threshold for 0-255 values.
+ *
+ * @param {Float32Array|number[]} values - Luminance values.
+ * @returns {object} {threshold, separability}; separability (0-1) is the
+ *   between-class share of the total variance, i.e. how bimodal the frame is.
+ */
+export const otsuThreshold = (values) => {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < values.length; i++) {
+    histogram[Math.min(255, Math.max(0, Math.round(values[i])))]++;
+  }
+
+  const total = values.length;
+  let sumAll = 0;
+  let sumSqAll = 0;
+  for (let v = 0; v < 256; v++) {
+    sumAll += v * histogram[v];
+    sumSqAll += v * v * histogram[v];
+  }
+  const mean = sumAll / total;
+  const totalVariance = sumSqAll / total - mean * mean;
+
+  let weightBack = 0;
+  let sumBack = 0;
+  let best = { threshold: 128, between: 0 };
+  for (let t = 0; t < 256; t++) {
+    weightBack += histogram[t];
+    if (weightBack === 0) continue;
+    const weightFore = total - weightBack;
+    if (weightFore === 0) break;
+    sumBack += t * histogram[t];
+    const meanBack = sumBack / weightBack;
+    const meanFore = (sumAll - sumBack) / weightFore;
+    const between = (weightBack / total) * (weightFore / total) * (meanBack - meanFore) ** 2;
+    if (between > best.between) {
+      best = { threshold: t, between };
+    }
+  }
+
+  return {
+    threshold: best.threshold,
+    separability: totalVariance > 0 ? best.between / totalVariance : 0,
+  };
+};
+
+/**
+ * Labels the 4-connected regions brighter than the threshold.
+ *
+ * @param {object} grid - Luminance grid from toLuminanceGrid.
+ * @param {number} threshold - Pixels above this are foreground.
+ * @returns {object[]} Blobs {left, top, width, height, area, fill, meanLuminance} in grid cells.
+ */
+export const findBrightBlobs = (grid, threshold) => {
+  const { width, height, values } = grid;
+  const labels = new Int32Array(width * height);
+  const blobs = [];
+  const stack = [];
+
+  for (let start = 0; start < values.length; start++) {
+    if (labels[start] !== 0 || values[start] <= threshold) continue;
+
+    const label = blobs.length + 1;
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+    let area = 0;
+    let sum = 0;
+
+    labels[start] = label;
+    stack.push(start);
+    while (stack.length > 0) {
+      const idx = stack.pop();
+      const x = idx % width;
+      const y = (idx - x) / width;
+      area++;
+      sum += values[idx];
+      if (x < minX) minX = x;
+      if (x > maxX) maxX = x;
+      if (y < minY) minY = y;
+      if (y > maxY) maxY = y;
+
+      const neighbours = [
+        x > 0 ? idx - 1 : -1,
+        x < width - 1 ? idx + 1 : -1,
+        y > 0 ? idx - width : -1,
+        y < height - 1 ? idx + width : -1,
+      ];
+      for (const n of neighbours) {
+        if (n >= 0 && labels[n] === 0 && values[n] > threshold) {
+          labels[n] = label;
+          stack.push(n);
+        }
+      }
+    }
+
+    const boxWidth = maxX - minX + 1;
+    const boxHeight = maxY - minY + 1;
+    blobs.push({
+      left: minX,
+      top: minY,
+      width: boxWidth,
+      height: boxHeight,
+      area,
+      fill: area / (boxWidth * boxHeight),
+      meanLuminance: sum / area,
+    });
+  }
+
+  return blobs;
+};
+
+const centreOf = (rect) => ({ x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 });
+
+/**
+ * Finds the illuminated cuvette windows in a frame and moves the layout's ROIs onto them.
+ * Each ROI goes to the nearest unclaimed window (closest pairs first), so a
+ * preset that is only slightly off keeps its sample/reference assignment.
+ *
+ * @param {object} frame - Decoded frame {width, height, data}.
+ * @param {object[]} rois - Current ROI layout (fractional geometry).
+ * @param {object} [overrides] - Partial DEFAULT_LOCATE_OPTIONS.
+ * @returns {object} {rois, confidence, windows, threshold, reasons}. `rois` is
+ *   null when fewer windows than ROIs were found; `confidence` is 0-1.
+ */
+export const autoLocateROIs = (frame, rois, overrides = {}) => {
+  const options = { ...DEFAULT_LOCATE_OPTIONS, ...overrides };
+  const grid = toLuminanceGrid(frame, options.maxGridSize);
+  const { threshold, separability } = otsuThreshold(grid.values);
+  const minArea = options.minAreaFraction * grid.width * grid.height;
+
+  // Candidate windows in frame fractions, largest first
+  const windows = findBrightBlobs(grid, threshold)
+    .filter((blob) => blob.area >= minArea)
+    .sort((a, b) => b.area - a.area)
+    .map((blob) => ({
+      x: blob.left / grid.width,
+      y: blob.top / grid.height,
+      width: blob.width / grid.width,
+      height: blob.height / grid.height,
+      area: blob.area,
+      fill: blob.fill,
+      meanLuminance: blob.meanLuminance,
+    }));
+
+  const reasons = [];
+  if (windows.length < rois.length) {
+    reasons.push(`Found ${windows.length} bright window${windows.length === 1 ? '' : 's'} but the layout has ${rois.length} ROIs.`);
+    return { rois: null, confidence: 0, windows, threshold, reasons };
+  }
+
+  // Use the largest windows, one per ROI
+  const chosen = windows.slice(0, rois.length);
+  const pairs = [];
+  rois.forEach((roi, r) => {
+    const rc = centreOf(roi);
+    chosen.forEach((win, w) => {
+      const wc = centreOf(win);
+      pairs.push({ r, w, distance: Math.hypot(rc.x - wc.x, rc.y - wc.y) });
+    });
+  });
+  pairs.sort((a, b) => a.distance - b.distance);
+
+  const assignment = new Array(rois.length).fill(-1);
+  const claimed = new Set();
+  for (const { r, w } of pairs) {
+    if (assignment[r] !== -1 || claimed.has(w)) continue;
+    assignment[r] = w;
+    claimed.add(w);
+  }
+
+  const located = rois.map((roi, r) => {
+    const win = chosen[assignment[r]];
+    const insetX = win.width * options.insetFraction;
+    const insetY = win.height * options.insetFraction;
+    return {
+      ...roi,
+      x: win.x + insetX,
+      y: win.y + insetY,
+      width: win.width - 2 * insetX,
+      height: win.height - 2 * insetY,
+    };
+  });
+
+  // Confidence: a clearly bimodal frame, rectangular windows of similar size,
+  // and no extra bright regions competing with the chosen ones
+  const meanFill = chosen.reduce((sum, w) => sum + w.fill, 0) / chosen.length;
+  const sizeRatio = chosen[chosen.length - 1].area / chosen[0].area;
+  const extra = windows[rois.length];
+  const distinctness = extra ? 1 - extra.area / chosen[chosen.length - 1].area : 1;
+  const confidence = separability * meanFill * Math.sqrt(sizeRatio) * Math.max(0, distinctness);
+
+  if (separability < 0.6) reasons.push('Windows are not clearly brighter than the background.');
+  if (meanFill < 0.7) reasons.push('Bright regions are not window-shaped (glare or light leaks?).');
+  if (sizeRatio < 0.5) reasons.push('Detected windows differ a lot in size.');
+  if (extra && distinctness < 0.5) reasons.push(`${windows.length} bright regions found; extra light is reaching the camera.`);
+
+  return { rois: located, confidence, windows, threshold, reasons };
+};
@@ -0,0 +1,171 @@
+import { mapFrameRectToView, mapViewRectToFrame } from './roiPixels';
+
+/**
+ * Named ROI layouts for multi-well / multi-cuvette scanning.
+ * Each ROI is positioned as fractions (0-1) of the camera frame:
+ * {x, y} is the top-left corner and {width, height} the size. Storing the
+ * geometry against the frame rather than the screen keeps a layout valid on
+ * any device size. Each ROI also has a role:
+ * - sample: traced and analysed against its reference
+ * - reference: unabsorbed light used to correct source drift
+ * - blank: solvent/buffer-only well, traced against its reference but not analysed
+ */
+
+export const ROI_ROLES = {
+  SAMPLE: 'sample',
+  REFERENCE: 'reference',
+  BLANK: 'blank',
+};
+
+export const ROI_ROLE_COLORS = {
+  sample: '#ffd700', // Yellow/Gold
+  reference: '#007acc', // Blue
+  blank: '#a0a0a0', // Grey
+};
+
+// Camera frames are 4:3 portrait until the first real frame reports its size
+export const DEFAULT_FRAME_SIZE = { width: 3, height: 4 };
+
+export const DEFAULT_ROIS = [
+  {
+    id: 'sample-1',
+    name: 'Sample 1',
+    role: ROI_ROLES.SAMPLE,
+    x: 0.1,
+    y: 0.25,
+    width: 0.8,
+    height: 0.15,
+    referenceId: 'reference-1',
+  },
+  {
+    id: 'reference-1',
+    name: 'Reference 1',
+    role: ROI_ROLES.REFERENCE,
+    x: 0.1,
+    y: 0.6,
+    width: 0.8,
+    height: 0.15,
+  },
+];
+
+/**
+ * Converts an ROI to a rectangle in preview (view) pixels.
+ *
+ * @param {object} roi - ROI with fractional {x, y, width, height}.
+ * @param {object} viewSize - {width, height} of the preview container.
+ * @param {object} frameSize - {width, height} of the camera frame (any unit, only the aspect matters).
+ * @returns {object} {left, top, width, height}.
+ */
+export const roiToViewRect = (roi, viewSize, frameSize) =>
+  mapFrameRectToView(
+    {
+      left: roi.x * frameSize.width,
+      top: roi.y * frameSize.height,
+      width: roi.width * frameSize.width,
+      height: roi.height * frameSize.height,
+    },
+    viewSize,
+    frameSize
+  );
+
+/**
+ * Converts a rectangle in preview (view) pixels back to fractional ROI geometry.
+ *
+ * @param {object} rect - {left, top, width, height} in view pixels.
+ * @param {object} viewSize - {width, height} of the preview container.
+ * @param {object} frameSize - {width, height} of the camera frame.
+ * @returns {object} Fractional {x, y, width, height}.
+ */
+export const viewRectToGeometry = (rect, viewSize, frameSize) => {
+  const frameRect = mapViewRectToFrame(rect, viewSize, frameSize, { round: false });
+  return {
+    x: frameRect.left / frameSize.width,
+    y: frameRect.top / frameSize.height,
+    width: frameRect.width / frameSize.width,
+    height: frameRect.height / frameSize.height,
+  };
+};
+
+/**
+ * Builds a map of ROI id -> rectangle in frame pixels for the whole layout.
+ *
+ * @param {object[]} rois - ROI layout.
+ * @param {object} frameSize - {width, height} of the decoded frame.
+ * @returns {object} Map of ROI id -> {left, top, width, height}.
+ */
+export const layoutToFrameRects = (rois, frameSize) =>
+  rois.reduce((acc, roi) => {
+    acc[roi.id] = {
+      left: Math.round(roi.x * frameSize.width),
+      top: Math.round(roi.y * frameSize.height),
+      width: Math.round(roi.width * frameSize.width),
+      height: Math.round(roi.height * frameSize.height),
+    };
+    return acc;
+  }, {});
+
+export const getROIsByRole = (rois, role) => rois.filter((roi) => roi.role === role);
+
+/**
+ * Returns the reference ROI a sample/blank ROI is measured against.
+ * Falls back to the first reference ROI when none (or a missing one) is chosen.
+ */
+export const resolveReference = (roi, rois) => {
+  const references = getROIsByRole(rois, ROI_ROLES.REFERENCE);
+  return references.find((ref) => ref.id === roi.referenceId) || references[0] || null;
+};
+
+/**
+ * ROIs that produce an absorbance trace: every sample and blank ROI, in layout order.
+ */
+export const getTracedROIs = (rois) => rois.filter((roi) => roi.role !== ROI_ROLES.REFERENCE);
+
+/**
+ * Checks that a layout can be scanned.
+ *
+ * @param {object[]} rois - ROI layout.
+ * @returns {string[]} Problems found; empty when the layout is valid.
+ */
+export const validateLayout = (rois) => {
+  const problems = [];
+  if (getROIsByRole(rois, ROI_ROLES.SAMPLE).length === 0) {
+    problems.push('At least one sample ROI is required.');
+  }
+  if (getROIsByRole(rois, ROI_ROLES.REFERENCE).length === 0) {
+    problems.push('At least one reference ROI is required.');
+  }
+  const names = rois.map((roi) => roi.name.trim());
+  if (new Set(names).size !== names.length) {
+    problems.push('ROI names must be unique.');
+  }
+  return problems;
+};
+
+/**
+ * Creates a new ROI of the given role with a unique id and name.
+ *
+ * @param {string} role - One of ROI_ROLES.
+ * @param {object[]} rois - Existing layout (used to pick a free id/name).
+ * @returns {object} New ROI centred in the preview.
+ */
+export const createROI = (role, rois) => {
+  const label = role.charAt(0).toUpperCase() + role.slice(1);
+  let n = getROIsByRole(rois, role).length + 1;
+  while (rois.some((roi) => roi.id === `${role}-${n}` || roi.name === `${label} ${n}`)) {
+    n++;
+  }
+
+  const roi = {
+    id: `${role}-${n}`,
+    name: `${label} ${n}`,
+    role,
+    x: 0.4,
+    y: 0.4,
+    width: 0.2,
+    height: 0.2,
+  };
+  if (role !== ROI_ROLES.REFERENCE) {
+    roi.referenceId = getROIsByRole(rois, ROI_ROLES.REFERENCE)[0]?.id || null;
+  }
+  return roi;
+};
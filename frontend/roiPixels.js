@@ -0,0 +1,78 @@
+/**
+ * Pure-JS pixel access and geometry for camera frames.
+ * A frame is a decoded RGBA image: { width, height, data } where data holds
+ * width * height * 4 bytes. Nothing here touches the camera or the canvas,
+ * so the same functions run on decoded image fixtures. The per-ROI
+ * intensities themselves come from roiStatistics.js.
+ */
+
+/**
+ * Normalises pixel data into an indexable array.
+ * react-native-canvas returns ImageData.data as an index-keyed object
+ * ({ 0: r, 1: g, ... }) because it is serialised over the WebView bridge.
+ *
+ * @param {Uint8ClampedArray|Array|object} data - Raw pixel data.
+ * @returns {Uint8ClampedArray|Array} RGBA bytes.
+ */
+export const toPixelArray = (data) => {
+  if (!data) return [];
+  if (Array.isArray(data) || ArrayBuffer.isView(data)) return data;
+  return Uint8ClampedArray.from(Object.values(data));
+};
+
+// The camera preview fills its container like `resizeMode: cover`: the frame
+// is scaled to cover the view and the overflow is cropped equally on both sides.
+const coverTransform = (viewSize, frameSize) => {
+  const scale = Math.max(viewSize.width / frameSize.width, viewSize.height / frameSize.height);
+  return {
+    scale,
+    offsetX: (frameSize.width * scale - viewSize.width) / 2,
+    offsetY: (frameSize.height * scale - viewSize.height) / 2,
+  };
+};
+
+/**
+ * Maps a rectangle from preview (view) coordinates into frame pixel coordinates.
+ *
+ * @param {object} rect - {left, top, width, height} in view pixels.
+ * @param {object} viewSize - {width, height} of the preview container.
+ * @param {object} frameSize - {width, height} of the decoded frame.
+ * @param {object} [options] - { round: false } keeps fractional pixels instead of snapping outwards.
+ * @returns {object} {left, top, width, height} clipped to the frame.
+ */
+export const mapViewRectToFrame = (rect, viewSize, frameSize, { round = true } = {}) => {
+  const { scale, offsetX, offsetY } = coverTransform(viewSize, frameSize);
+  const floor = round ? Math.floor : (v) => v;
+  const ceil = round ? Math.ceil : (v) => v;
+
+  const x0 = Math.max(0, floor((rect.left + offsetX) / scale));
+  const y0 = Math.max(0, floor((rect.top + offsetY) / scale));
+  const x1 = Math.min(frameSize.width, ceil((rect.left + rect.width + offsetX) / scale));
+  const y1 = Math.min(frameSize.height, ceil((rect.top + rect.height + offsetY) / scale));
+
+  return {
+    left: x0,
+    top: y0,
+    width: Math.max(0, x1 - x0),
+    height: Math.max(0, y1 - y0),
+  };
+};
+
+/**
+ * Maps a rectangle from frame coordinates into preview (view) pixels.
+ * Inverse of mapViewRectToFrame; the result may extend past the view where the frame is cropped.
+ *
+ * @param {object} rect - {left, top, width, height} in frame units.
+ * @param {object} viewSize - {width, height} of the preview container.
+ * @param {object} frameSize - {width, height} of the frame in the same units as rect.
+ * @returns {object} {left, top, width, height} in view pixels.
+ */
+export const mapFrameRectToView = (rect, viewSize, frameSize) => {
+  const { scale, offsetX, offsetY } = coverTransform(viewSize, frameSize);
+  return {
+    left: rect.left * scale - offsetX,
+    top: rect.top * scale - offsetY,
+    width: rect.width * scale,
+    height: rect.height * scale,
+  };
+};
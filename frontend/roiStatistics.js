@@ -0,0 +1,141 @@
+import { toPixelArray } from './roiPixels';
+
+/**
+ * Robust per-ROI statistics.
+ * A plain mean is dragged around by specular glare, bubbles and clipped
+ * pixels, so each channel is summarised with a trimmed mean and median,
+ * and the fraction of saturated/dark pixels is reported so bad frames can
+ * be rejected downstream.
+ */
+
+export const DEFAULT_ROI_STATS_OPTIONS = {
+  trimFraction: 0.1, // Fraction trimmed from each end before averaging
+  saturationLevel: 255,
+  darkLevel: 10,
+  maxSaturatedFraction: 0.02, // Frames above this are flagged unusable
+};
+
+const CHANNELS = ['r', 'g', 'b'];
+
+/**
+ * Summarises one channel of ROI pixel values.
+ *
+ * @param {number[]} values - Pixel values (0-255) for one channel.
+ * @param {object} options - See DEFAULT_ROI_STATS_OPTIONS.
+ * @returns {object} {mean, trimmedMean, median, sd, saturatedFraction, darkFraction}.
+ */
+export const computeChannelStatistics = (values, options = DEFAULT_ROI_STATS_OPTIONS) => {
+  const n = values.length;
+  if (n === 0) {
+    return { mean: 0, trimmedMean: 0, median: 0, sd: 0, saturatedFraction: 0, darkFraction: 0 };
+  }
+
+  let sum = 0;
+  let saturated = 0;
+  let dark = 0;
+  for (let i = 0; i < n; i++) {
+    sum += values[i];
+    if (values[i] >= options.saturationLevel) saturated++;
+    if (values[i] <= options.darkLevel) dark++;
+  }
+  const mean = sum / n;
+
+  let sumSq = 0;
+  for (let i = 0; i < n; i++) {
+    sumSq += (values[i] - mean) * (values[i] - mean);
+  }
+
+  const sorted = Float64Array.from(values).sort();
+  const median = n % 2 === 1 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+
+  const trim = Math.floor(n * options.trimFraction);
+  let trimmedSum = 0;
+  for (let i = trim; i < n - trim; i++) {
+    trimmedSum += sorted[i];
+  }
+
+  return {
+    mean,
+    trimmedMean: trimmedSum / (n - 2 * trim),
+    median,
+    sd: n > 1 ? Math.sqrt(sumSq / (n - 1)) : 0,
+    saturatedFraction: saturated / n,
+    darkFraction: dark / n,
+  };
+};
+
+/**
+ * Computes robust statistics for every channel inside a frame rectangle.
+ *
+ * @param {object} frame - Decoded frame {width, height, data}.
+ * @param {object} rect - {left, top, width, height} in frame pixels.
+ * @param {object} [overrides] - Partial DEFAULT_ROI_STATS_OPTIONS.
+ * @returns {object} {r, g, b, pixelCount, usable, reasons}, one stats object per channel.
+ */
+export const computeROIStatistics = (frame, rect, overrides = {}) => {
+  const options = { ...DEFAULT_ROI_STATS_OPTIONS, ...overrides };
+  const data = toPixelArray(frame.data);
+  const x0 = Math.max(0, Math.floor(rect.left));
+  const y0 = Math.max(0, Math.floor(rect.top));
+  const x1 = Math.min(frame.width, Math.floor(rect.left + rect.width));
+  const y1 = Math.min(frame.height, Math.floor(rect.top + rect.height));
+  const count = Math.max(0, x1 - x0) * Math.max(0, y1 - y0);
+
+  if (count === 0) {
+    throw new Error('ROI does not overlap the camera frame.');
+  }
+
+  const channelValues = { r: new Uint8Array(count), g: new Uint8Array(count), b: new Uint8Array(count) };
+  let k = 0;
+  for (let y = y0; y < y1; y++) {
+    for (let x = x0; x < x1; x++) {
+      const i = (y * frame.width + x) * 4;
+      channelValues.r[k] = data[i];
+      channelValues.g[k] = data[i + 1];
+      channelValues.b[k] = data[i + 2];
+      k++;
+    }
+  }
+
+  const stats = { pixelCount: count };
+  for (const channel of CHANNELS) {
+    stats[channel] = computeChannelStatistics(channelValues[channel], options);
+  }
+
+  const reasons = [];
+  const worstSaturation = Math.max(...CHANNELS.map((c) => stats[c].saturatedFraction));
+  if (worstSaturation > options.maxSaturatedFraction) {
+    reasons.push(`${(worstSaturation * 100).toFixed(1)}% of pixels saturated`);
+  }
+
+  return { ...stats, usable: reasons.length === 0, reasons };
+};
+
+/**
+ * Extracts robust statistics for every ROI in one frame.
+ * The trimmed mean of each channel is returned as the ROI intensity.
+ *
+ * @param {object} frame - Decoded frame {width, height, data}.
+ * @param {object} rects - Map of ROI id -> {left, top, width, height} in frame pixels.
+ * @param {object} [overrides] - Partial DEFAULT_ROI_STATS_OPTIONS.
+ * @returns {object} { rois: { [id]: { intensity, stats } }, usable, reasons }.
+ *   `usable` is false if any ROI in the frame is unusable.
+ */
+export const extractROIStatistics = (frame, rects, overrides = {}) => {
+  const rois = {};
+  const reasons = [];
+
+  for (const id of Object.keys(rects)) {
+    const stats = computeROIStatistics(frame, rects[id], overrides);
+    rois[id] = { intensity: toIntensity(stats), stats };
+    reasons.push(...stats.reasons.map((r) => `${id}: ${r}`));
+  }
+
+  return { rois, usable: reasons.length === 0, reasons };
+};
+
+const toIntensity = (stats) => ({
+  r: stats.r.trimmedMean,
+  g: stats.g.trimmedMean,
+  b: stats.b.trimmedMean,
+});
@@ -0,0 +1,174 @@
+import { linearRegression } from './analysisUtils';
+import { DEFAULT_FILTERS, validateFilters } from './signalFilters';
+
+/**
+ * Scan protocols for hands-free, timed runs.
+ * A protocol fixes every timing the STATES machine uses (countdown, blank
+ * window, sampling interval, total duration) plus optional auto-stop rules
+ * and the smoothing/outlier filters used in the analysis, so unattended runs
+ * are captured and analysed the same way every time.
+ */
+
+export const DEFAULT_PROTOCOL = {
+  darkSeconds: null, // Dark capture (light off, cuvette covered) before blanking; null skips it
+  countdownSeconds: 3, // BLANKING_COUNTDOWN before the blank window opens
+  blankSeconds: 10, // Length of the BLANKING window
+  intervalMs: 500, // Frame sampling interval
+  durationSeconds: null, // Stop after this long in SCANNING; null runs until stopped
+  endpointFrames: 6, // Frames averaged into one endpoint (calibration) read
+  autoProceed: false, // Start SCANNING as soon as an acceptable blank is in
+  blankRetries: 2, // With autoProceed, re-blank this many times before waiting for the user
+  autoStop: {
+    plateau: null, // { windowSeconds, maxSlope }: stop once |slope| (AU/s) stays below maxSlope over the window
+    threshold: null, // { absorbance, direction, frames }: stop once absorbance has passed this value (see THRESHOLD_DEFAULTS)
+  },
+  filters: DEFAULT_FILTERS, // Smoothing/outlier rejection applied before fitting (see signalFilters.js)
+};
+
+// Settings a threshold auto-stop starts from when switched on
+export const THRESHOLD_DEFAULTS = {
+  absorbance: 1.0,
+  direction: 'above', // 'above' for rising signals, 'below' for decay assays (negative absorbance)
+  frames: 3, // Consecutive usable frames that must be past the threshold, so one noisy frame cannot end a run
+};
+
+const MIN_INTERVAL_MS = 250; // Faster than the camera can capture and decode a frame
+
+const isPositive = (v) => typeof v === 'number' && Number.isFinite(v) && v > 0;
+
+/**
+ * Checks a protocol before a scan starts.
+ *
+ * @param {object} protocol - Protocol in the DEFAULT_PROTOCOL shape.
+ * @returns {string[]} Problems found; empty when the protocol is valid.
+ */
+export const validateProtocol = (protocol) => {
+  const problems = [];
+  if (!(Number.isInteger(protocol.countdownSeconds) && protocol.countdownSeconds >= 0)) {
+    problems.push('Countdown must be a whole number of seconds.');
+  }
+  if (protocol.darkSeconds != null && !(Number.isInteger(protocol.darkSeconds) && protocol.darkSeconds >= 1)) {
+    problems.push('Dark capture must be at least 1 second (or empty to skip it).');
+  }
+  if (!(Number.isInteger(protocol.blankSeconds) && protocol.blankSeconds >= 1)) {
+    problems.push('Blank duration must be at least 1 second.');
+  }
+  if (!(isPositive(protocol.intervalMs) && protocol.intervalMs >= MIN_INTERVAL_MS)) {
+    problems.push(`Sampling interval must be at least ${MIN_INTERVAL_MS} ms.`);
+  }
+  if (protocol.durationSeconds != null && !isPositive(protocol.durationSeconds)) {
+    problems.push('Scan duration must be positive (or empty to run until stopped).');
+  }
+  if (protocol.durationSeconds != null && protocol.durationSeconds * 1000 < protocol.intervalMs * 6) {
+    problems.push('Scan duration is too short to collect 6 frames.');
+  }
+  if (!(Number.isInteger(protocol.endpointFrames) && protocol.endpointFrames >= 1)) {
+    problems.push('Endpoint reads must average at least 1 frame.');
+  }
+
+  const { plateau, threshold } = protocol.autoStop || {};
+  if (plateau && !(isPositive(plateau.windowSeconds) && isPositive(plateau.maxSlope))) {
+    problems.push('Plateau auto-stop needs a positive window and slope.');
+  }
+  if (plateau && plateau.windowSeconds * 1000 < protocol.intervalMs * 3) {
+    problems.push('Plateau window must span at least 3 frames.');
+  }
+  if (threshold && !(typeof threshold.absorbance === 'number' && Number.isFinite(threshold.absorbance))) {
+    problems.push('Threshold auto-stop needs an absorbance value.');
+  }
+  if (threshold && !['above', 'below'].includes(threshold.direction)) {
+    problems.push('Threshold auto-stop direction must be above or below.');
+  }
+  if (threshold && !(Number.isInteger(threshold.frames) && threshold.frames >= 1)) {
+    problems.push('Threshold auto-stop must wait for at least 1 frame.');
+  }
+  problems.push(...validateFilters(protocol.filters));
+  return problems;
+};
+
+/**
+ * Fills in fields missing from an older or partial protocol.
+ *
+ * @param {object} [protocol] - Partial protocol.
+ * @returns {object} Complete protocol.
+ */
+export const normalizeProtocol = (protocol = {}) => {
+  const autoStop = { ...DEFAULT_PROTOCOL.autoStop, ...(protocol.autoStop || {}) };
+  if (autoStop.threshold) {
+    // Older protocols only stored the absorbance; a negative one can only mean a decay assay
+    const { absorbance } = autoStop.threshold;
+    autoStop.threshold = {
+      ...THRESHOLD_DEFAULTS,
+      direction: absorbance < 0 ? 'below' : 'above',
+      ...autoStop.threshold,
+    };
+  }
+  return {
+    ...DEFAULT_PROTOCOL,
+    ...protocol,
+    autoStop,
+    filters: { ...DEFAULT_PROTOCOL.filters, ...(protocol.filters || {}) },
+  };
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// The channel the threshold watches: the analysis channel, or with 'auto' the one that has moved
+// furthest in the threshold's direction (the channel carrying the reaction)
+const thresholdChannel = (usable, channel, threshold) => {
+  if (channel && channel !== 'auto') return channel;
+  const k = Math.min(threshold.frames, usable.length);
+  const sign = threshold.direction === 'below' ? -1 : 1;
+  const change = (c) =>
+    sign * (mean(usable.slice(-k).map((p) => p.abs[c])) - mean(usable.slice(0, k).map((p) => p.abs[c])));
+  return ['r', 'g', 'b'].reduce((best, c) => (change(c) > change(best) ? c : best));
+};
+
+/**
+ * Decides whether a running scan has met one of its auto-stop conditions.
+ * The plateau rule only applies once two full windows have been recorded,
+ * so a lag phase at the start of the run is not mistaken for a plateau.
+ * The threshold rule watches a single channel and needs the last
+ * threshold.frames usable frames all past the threshold.
+ *
+ * @param {object[]} points - Trace points {time, abs: {r, g, b}, usable?}, time in seconds.
+ * @param {object} protocol - Scan protocol.
+ * @param {string} [channel] - 'r', 'g' or 'b'; 'auto' (default) watches every channel for a plateau
+ *   and, for the threshold, the channel that has changed most in its direction.
+ * @returns {string|null} Human-readable stop reason, or null to keep scanning.
+ */
+export const checkAutoStop = (points, protocol, channel = 'auto') => {
+  const usable = points.filter((p) => p.usable !== false && p.abs);
+  if (usable.length === 0) return null;
+  const channels = channel && channel !== 'auto' ? [channel] : ['r', 'g', 'b'];
+  const { plateau, threshold } = protocol.autoStop || {};
+  const latest = usable[usable.length - 1];
+
+  if (threshold) {
+    const { absorbance, direction, frames } = { ...THRESHOLD_DEFAULTS, ...threshold };
+    if (usable.length >= frames) {
+      const c = thresholdChannel(usable, channel, { direction, frames });
+      const past = usable
+        .slice(-frames)
+        .every((p) => (direction === 'below' ? p.abs[c] <= absorbance : p.abs[c] >= absorbance));
+      if (past) {
+        return `Absorbance ${direction === 'below' ? 'fell to' : 'reached'} ${absorbance} (${c.toUpperCase()}) for ${frames} frames.`;
+      }
+    }
+  }
+
+  if (plateau && latest.time >= plateau.windowSeconds * 2) {
+    const window = usable.filter((p) => p.time >= latest.time - plateau.windowSeconds);
+    if (window.length >= 3) {
+      const x = window.map((p) => p.time);
+      const flat = channels.every(
+        (c) => Math.abs(linearRegression(x, window.map((p) => p.abs[c])).slope) < plateau.maxSlope
+      );
+      if (flat) {
+        return `Plateau reached (slope below ${plateau.maxSlope} AU/s for ${plateau.windowSeconds} s).`;
+      }
+    }
+  }
+
+  return null;
+};
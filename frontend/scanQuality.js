@@ -0,0 +1,116 @@
+import { linearRegression } from './analysisUtils';
+
+/**
+ * Live signal-quality checks for a running scan.
+ * Works on the per-frame points of the primary trace (absorbanceDataRef) so
+ * a bad run can be spotted and aborted while it is still SCANNING.
+ */
+
+export const DEFAULT_QUALITY_LIMITS = {
+  targetIntervalMs: 500, // Frame interval the capture loop aims for
+  maxIntervalRatio: 1.5, // Achieved interval above this multiple of the target means frames are being dropped
+  maxReferenceDrift: 0.05, // Relative reference intensity change since the blank (5%)
+  noiseWindow: 10, // Points in the rolling noise window
+  maxNoise: 0.005, // Rolling residual SD of absorbance (AU)
+};
+
+const CHANNELS = ['r', 'g', 'b'];
+
+// SD of the residuals about a straight line, so a steady reaction slope is not counted as noise
+const residualSD = (x, y) => {
+  const n = x.length;
+  if (n < 3) return 0;
+  const lr = linearRegression(x, y);
+  let ss = 0;
+  for (let i = 0; i < n; i++) {
+    const residual = y[i] - (lr.intercept + lr.slope * x[i]);
+    ss += residual * residual;
+  }
+  return Math.sqrt(ss / (n - 2));
+};
+
+/**
+ * Summarises the quality of the scan so far.
+ *
+ * @param {object[]} points - Trace points {time, abs, reference, sampleStats, usable}, time in seconds.
+ * @param {object} blankReference - Averaged blank {r, g, b} of the trace's reference ROI.
+ * @param {object} [overrides] - Partial DEFAULT_QUALITY_LIMITS.
+ * @returns {object} {frameRate, referenceDrift, saturation, noise, warnings, ok}.
+ */
+export const assessScanQuality = (points, blankReference, overrides = {}) => {
+  const limits = { ...DEFAULT_QUALITY_LIMITS, ...overrides };
+  const warnings = [];
+  const n = Array.isArray(points) ? points.length : 0;
+
+  if (n < 2) {
+    return { frameRate: null, referenceDrift: null, saturation: null, noise: null, warnings, ok: true };
+  }
+
+  // Frame rate achieved vs the capture target
+  const elapsed = points[n - 1].time - points[0].time;
+  const intervalMs = (elapsed * 1000) / (n - 1);
+  const expectedFrames = Math.floor((elapsed * 1000) / limits.targetIntervalMs) + 1;
+  const frameRate = {
+    intervalMs,
+    fps: intervalMs > 0 ? 1000 / intervalMs : 0,
+    targetIntervalMs: limits.targetIntervalMs,
+    capturedFrames: n,
+    droppedFrames: Math.max(0, expectedFrames - n),
+  };
+  if (intervalMs > limits.targetIntervalMs * limits.maxIntervalRatio) {
+    warnings.push(
+      `Frames dropped: ${intervalMs.toFixed(0)} ms per frame (target ${limits.targetIntervalMs} ms), ${frameRate.droppedFrames} missed.`
+    );
+  }
+
+  // Reference (light source) drift since the blank
+  let referenceDrift = null;
+  const latestReference = points[n - 1].reference;
+  if (blankReference && latestReference) {
+    referenceDrift = { worst: 0, channel: null };
+    for (const channel of CHANNELS) {
+      const drift = blankReference[channel] > 0 ? latestReference[channel] / blankReference[channel] - 1 : 0;
+      referenceDrift[channel] = drift;
+      if (Math.abs(drift) > Math.abs(referenceDrift.worst)) {
+        referenceDrift.worst = drift;
+        referenceDrift.channel = channel;
+      }
+    }
+    if (Math.abs(referenceDrift.worst) > limits.maxReferenceDrift) {
+      warnings.push(
+        `Light source drifted ${(referenceDrift.worst * 100).toFixed(0)}% (${referenceDrift.channel.toUpperCase()}) since the blank.`
+      );
+    }
+  }
+
+  // Saturated / rejected frames in the recent window and over the whole run
+  const recent = points.slice(-limits.noiseWindow);
+  const recentRejected = recent.filter((p) => p.usable === false).length;
+  const latestStats = points[n - 1].sampleStats;
+  const saturation = {
+    latest: latestStats ? Math.max(...CHANNELS.map((c) => latestStats[c].saturatedFraction)) : 0,
+    recentRejected,
+    recentFrames: recent.length,
+    totalRejected: points.filter((p) => p.usable === false).length,
+  };
+  if (recentRejected > 0) {
+    warnings.push(`Sample saturated or rejected in ${recentRejected} of the last ${recent.length} frames.`);
+  }
+
+  // Rolling noise of the absorbance about its local trend
+  const usableRecent = recent.filter((p) => p.usable !== false && p.abs);
+  const noise = { worst: 0, channel: null };
+  for (const channel of CHANNELS) {
+    const sd = residualSD(usableRecent.map((p) => p.time), usableRecent.map((p) => p.abs[channel]));
+    noise[channel] = sd;
+    if (sd > noise.worst) {
+      noise.worst = sd;
+      noise.channel = channel;
+    }
+  }
+  if (noise.worst > limits.maxNoise) {
+    warnings.push(`Signal noisy: ${noise.worst.toFixed(4)} AU (${noise.channel.toUpperCase()}) over the last ${usableRecent.length} frames.`);
+  }
+
+  return { frameRate, referenceDrift, saturation, noise, warnings, ok: warnings.length === 0 };
+};
@@ -0,0 +1,237 @@
+import { solveLinearSystem } from './fitting';
+
+/**
+ * Smoothing and outlier rejection for progress curves.
+ * Camera frames are noisy and the odd frame spikes (a reflection, a bubble,
+ * autoexposure catching up). Filters run in a fixed order: Hampel outlier
+ * rejection, then a moving median, then Savitzky–Golay smoothing. They are
+ * applied to copies only; absorbanceData always keeps the raw frames, and
+ * the settings used are stored with the analysis.
+ *
+ * Savitzky–Golay is done as a local polynomial fit on the actual frame
+ * times, so dropped or late frames do not distort it, and the same fit
+ * gives the derivative used for dA/dt.
+ */
+
+// Every filter is off (null) by default; these are the settings a filter starts from when switched on
+export const FILTER_DEFAULTS = {
+  hampel: { windowPoints: 7, threshold: 3 }, // Replace points more than threshold robust SDs from the window median
+  median: { windowPoints: 5 },
+  savitzkyGolay: { windowPoints: 9, order: 2 },
+};
+
+export const DEFAULT_FILTERS = {
+  hampel: null,
+  median: null,
+  savitzkyGolay: null,
+};
+
+const isOddWindow = (v) => Number.isInteger(v) && v >= 3 && v % 2 === 1;
+
+/**
+ * Checks filter settings.
+ *
+ * @param {object} filters - In the DEFAULT_FILTERS shape.
+ * @returns {string[]} Problems found; empty when valid.
+ */
+export const validateFilters = (filters) => {
+  const problems = [];
+  const { hampel, median, savitzkyGolay } = filters || {};
+  if (hampel && !isOddWindow(hampel.windowPoints)) {
+    problems.push('Hampel window must be an odd number of points, at least 3.');
+  }
+  if (hampel && !(typeof hampel.threshold === 'number' && hampel.threshold > 0)) {
+    problems.push('Hampel threshold must be positive.');
+  }
+  if (median && !isOddWindow(median.windowPoints)) {
+    problems.push('Median window must be an odd number of points, at least 3.');
+  }
+  if (savitzkyGolay && !isOddWindow(savitzkyGolay.windowPoints)) {
+    problems.push('Savitzky–Golay window must be an odd number of points, at least 3.');
+  }
+  if (savitzkyGolay && !(Number.isInteger(savitzkyGolay.order) && savitzkyGolay.order >= 1 && savitzkyGolay.order < savitzkyGolay.windowPoints)) {
+    problems.push('Savitzky–Golay order must be a whole number from 1 to one less than the window.');
+  }
+  return problems;
+};
+
+/**
+ * Whether any filter is switched on.
+ *
+ * @param {object|null} filters - In the DEFAULT_FILTERS shape.
+ * @returns {boolean}
+ */
+export const hasFilters = (filters) => Boolean(filters && (filters.hampel || filters.median || filters.savitzkyGolay));
+
+/**
+ * Formats filter settings for results and prompts.
+ *
+ * @param {object|null} filters - In the DEFAULT_FILTERS shape.
+ * @returns {string} e.g. "Hampel 7 pts/3σ → Savitzky–Golay 9 pts/order 2", or "None".
+ */
+export const describeFilters = (filters) => {
+  if (!hasFilters(filters)) return 'None';
+  const parts = [];
+  if (filters.hampel) parts.push(`Hampel ${filters.hampel.windowPoints} pts/${filters.hampel.threshold}σ`);
+  if (filters.median) parts.push(`Median ${filters.median.windowPoints} pts`);
+  if (filters.savitzkyGolay) {
+    parts.push(`Savitzky–Golay ${filters.savitzkyGolay.windowPoints} pts/order ${filters.savitzkyGolay.order}`);
+  }
+  return parts.join(' → ');
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Indices of the window centred on i, shifted inwards at the ends so it keeps its full width
+const windowAround = (i, n, windowPoints) => {
+  const width = Math.min(windowPoints, n);
+  const start = Math.min(Math.max(0, i - Math.floor(width / 2)), n - width);
+  return [start, start + width];
+};
+
+/**
+ * Hampel identifier: a point further than threshold × 1.4826·MAD from the
+ * median of its window is an outlier and is replaced by that median.
+ *
+ * @param {number[]} values - Series.
+ * @param {object} settings - {windowPoints, threshold}.
+ * @returns {object} {values, outliers}: filtered copy and the indices replaced.
+ */
+export const hampelFilter = (values, { windowPoints, threshold }) => {
+  const out = [...values];
+  const outliers = [];
+  for (let i = 0; i < values.length; i++) {
+    const [start, end] = windowAround(i, values.length, windowPoints);
+    const window = values.slice(start, end);
+    const centre = median(window);
+    const scale = 1.4826 * median(window.map((v) => Math.abs(v - centre)));
+    if (Math.abs(values[i] - centre) > threshold * scale && scale > 0) {
+      out[i] = centre;
+      outliers.push(i);
+    }
+  }
+  return { values: out, outliers };
+};
+
+/**
+ * Moving median.
+ *
+ * @param {number[]} values - Series.
+ * @param {object} settings - {windowPoints}.
+ * @returns {number[]} Filtered copy.
+ */
+export const movingMedian = (values, { windowPoints }) =>
+  values.map((_, i) => {
+    const [start, end] = windowAround(i, values.length, windowPoints);
+    return median(values.slice(start, end));
+  });
+
+/**
+ * Savitzky–Golay smoothing (or differentiation) on possibly uneven times:
+ * a polynomial of the given order is fitted to each window and evaluated
+ * (or differentiated) at the centre point.
+ *
+ * @param {number[]} times - Frame times, ascending.
+ * @param {number[]} values - Series.
+ * @param {object} settings - {windowPoints, order}.
+ * @param {number} [derivative] - 0 smooths, 1 returns d(value)/dt.
+ * @returns {number[]} Smoothed values or derivative; the raw series (or NaN for the
+ *   derivative) where a window cannot support the polynomial.
+ */
+export const savitzkyGolay = (times, values, { windowPoints, order }, derivative = 0) =>
+  values.map((value, i) => {
+    const [start, end] = windowAround(i, values.length, windowPoints);
+    const degree = Math.min(order, end - start - 1);
+    if (degree < derivative) return derivative ? NaN : value;
+    // Normal equations in u = t − tᵢ, scaled to the window span for conditioning
+    const scale = Math.max(times[end - 1] - times[start], 1e-9);
+    const A = Array.from({ length: degree + 1 }, () => new Array(degree + 1).fill(0));
+    const b = new Array(degree + 1).fill(0);
+    for (let k = start; k < end; k++) {
+      const u = (times[k] - times[i]) / scale;
+      const powers = [1];
+      for (let p = 1; p <= 2 * degree; p++) powers.push(powers[p - 1] * u);
+      for (let r = 0; r <= degree; r++) {
+        b[r] += powers[r] * values[k];
+        for (let c = 0; c <= degree; c++) A[r][c] += powers[r + c];
+      }
+    }
+    const coefficients = solveLinearSystem(A, b);
+    if (!coefficients) return derivative ? NaN : value;
+    return derivative ? coefficients[1] / scale : coefficients[0];
+  });
+
+/**
+ * Runs the enabled filters over one series, in order Hampel → median → Savitzky–Golay.
+ *
+ * @param {number[]} times - Frame times, ascending.
+ * @param {number[]} values - Series.
+ * @param {object|null} filters - In the DEFAULT_FILTERS shape.
+ * @returns {object} {values, outliers}: filtered copy and the indices Hampel replaced.
+ */
+export const filterSeries = (times, values, filters) => {
+  let out = [...values];
+  let outliers = [];
+  if (filters?.hampel) {
+    ({ values: out, outliers } = hampelFilter(out, filters.hampel));
+  }
+  if (filters?.median) {
+    out = movingMedian(out, filters.median);
+  }
+  if (filters?.savitzkyGolay) {
+    out = savitzkyGolay(times, out, filters.savitzkyGolay);
+  }
+  return { values: out, outliers };
+};
+
+/**
+ * Rate of change of a series. With Savitzky–Golay on, it is the derivative
+ * of the local polynomial (after Hampel/median); otherwise a central
+ * difference of the filtered series.
+ *
+ * @param {number[]} times - Frame times, ascending.
+ * @param {number[]} values - Series.
+ * @param {object|null} filters - In the DEFAULT_FILTERS shape.
+ * @returns {number[]} d(value)/dt per frame (one-sided at the ends).
+ */
+export const derivativeSeries = (times, values, filters) => {
+  if (filters?.savitzkyGolay) {
+    const prefiltered = filterSeries(times, values, { ...filters, savitzkyGolay: null }).values;
+    return savitzkyGolay(times, prefiltered, filters.savitzkyGolay, 1);
+  }
+  const filtered = filterSeries(times, values, filters).values;
+  return filtered.map((_, i) => {
+    const lo = Math.max(0, i - 1);
+    const hi = Math.min(filtered.length - 1, i + 1);
+    const dt = times[hi] - times[lo];
+    return dt > 0 ? (filtered[hi] - filtered[lo]) / dt : NaN;
+  });
+};
+
+/**
+ * Filters every absorbance channel of a trace.
+ * Points are copied; the input points are not changed.
+ *
+ * @param {object[]} points - Points {time, abs: {r, g, b, ...}}, sorted by time.
+ * @param {object|null} filters - In the DEFAULT_FILTERS shape.
+ * @returns {object} {points, outliers}; outliers maps channel id -> number of points Hampel replaced.
+ */
+export const filterPoints = (points, filters) => {
+  if (!hasFilters(filters) || points.length === 0) return { points, outliers: {} };
+  const times = points.map((p) => p.time);
+  const channels = Object.keys(points[0].abs || {}).filter((id) => points.every((p) => typeof p.abs?.[id] === 'number'));
+  const filtered = points.map((p) => ({ ...p, abs: { ...p.abs } }));
+  const outliers = {};
+  for (const id of channels) {
+    const result = filterSeries(times, points.map((p) => p.abs[id]), filters);
+    result.values.forEach((v, i) => {
+      filtered[i].abs[id] = v;
+    });
+    outliers[id] = result.outliers.length;
+  }
+  return { points: filtered, outliers };
+};